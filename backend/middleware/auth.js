@@ -18,6 +18,9 @@ try {
   if (typeof module.exports !== 'function') {
     throw new Error('Auth function not found in compiled TypeScript module.');
   }
+  // Routes import it either as the function or as { authenticate } / { auth }
+  module.exports.authenticate = module.exports;
+  module.exports.auth = module.exports;
   console.log('Using TypeScript compiled auth middleware');
 } catch (err) {
   console.error('Error loading compiled TypeScript auth middleware:', err.message);
@@ -11,6 +11,7 @@ const apiIntegrationSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Selects the verification adapter (see services/verification); "mock" for the local mocks
   provider: {
     type: String,
     required: true,
@@ -18,7 +19,10 @@ const apiIntegrationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['phoneVerification', 'addressVerification', 'propertyData', 'skipTracing', 'other'],
+    enum: [
+      'phoneVerification', 'addressVerification', 'emailVerification', 'propertyData', 'skipTracing',
+      'imageAnalysis', 'documentAnalysis', 'other'
+    ],
     required: true
   },
   apiKey: {
@@ -33,6 +37,27 @@ const apiIntegrationSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Weight of the provider's answers in consensus verification (services/verification/consensus.js)
+  reliability: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 1
+  },
+  // Price the provider charges per unit (one lookup, image or document), recorded on a usage
+  // Transaction for every successful call (see services/usageAccountingService.js)
+  pricing: {
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    }
+  },
+  // Enforced across workers by services/integrationRateLimiter.js; 0 for no limit
   rateLimits: {
     requestsPerSecond: {
       type: Number,
@@ -44,6 +69,7 @@ const apiIntegrationSchema = new mongoose.Schema({
     }
   },
   usageStats: {
+    // Calls of the current UTC day, as counted by the rate limiter
     callsToday: {
       type: Number,
       default: 0
@@ -58,6 +84,7 @@ const apiIntegrationSchema = new mongoose.Schema({
     },
     lastCall: Date
   },
+  // Used by the shared outbound client (services/outboundClient.js) for every request
   settings: {
     timeout: {
       type: Number,
@@ -90,29 +117,18 @@ const apiIntegrationSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-// Method to check if rate limit has been exceeded
-apiIntegrationSchema.methods.isRateLimited = function() {
-  const currentDate = new Date();
-  const lastReset = new Date(this.usageStats.lastReset);
-  
-  // Check if a day has passed since the last reset
-  if (currentDate.getDate() !== lastReset.getDate() || 
-      currentDate.getMonth() !== lastReset.getMonth() || 
-      currentDate.getFullYear() !== lastReset.getFullYear()) {
-    // Reset daily counter
-    this.usageStats.callsToday = 0;
-    this.usageStats.lastReset = currentDate;
-  }
-  
-  return this.usageStats.callsToday >= this.rateLimits.requestsPerDay;
-};
-
-// Method to increment API call counters
-apiIntegrationSchema.methods.logApiCall = async function() {
-  this.usageStats.callsToday += 1;
-  this.usageStats.totalCalls += 1;
-  this.usageStats.lastCall = new Date();
-  return this.save();
+// Method to record an API call in usageStats, which are for display; the rate limits are
+// enforced by services/integrationRateLimiter.js, which counts calls atomically
+apiIntegrationSchema.methods.logApiCall = function(callsToday) {
+  const now = new Date();
+  return this.constructor.updateOne({ _id: this._id }, {
+    $inc: { 'usageStats.totalCalls': 1 },
+    $set: {
+      'usageStats.callsToday': callsToday,
+      'usageStats.lastReset': new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+      'usageStats.lastCall': now
+    }
+  });
 };
 
 // Create and export the ApiIntegration model
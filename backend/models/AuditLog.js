@@ -0,0 +1,103 @@
+/**
+ * AuditLog Model
+ * Immutable history of every create, update and delete on audited models
+ * (Lead, Verification, Subscription). Entries are written by the addAuditTrail
+ * plugin in utils/modelHooks.js and can never be changed or removed. Writes to many
+ * documents at once may be recorded as a single summary entry.
+ */
+const mongoose = require('mongoose');
+const { AUDIT_SOURCES } = require('../utils/auditContext');
+
+// A single changed field
+const fieldChangeSchema = new mongoose.Schema({
+  path: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Define AuditLog Schema
+const auditLogSchema = new mongoose.Schema({
+  modelName: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  // Absent on summary entries
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function() {
+      return !this.summary;
+    },
+    immutable: true
+  },
+  // Lead the change belongs to, for the lead timeline
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true,
+    immutable: true
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    immutable: true
+  },
+  // One entry for a write to many documents, in place of an entry per document:
+  // { operation, paths (fields written, for updates), matchedCount, modifiedCount }
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: AUDIT_SOURCES,
+    default: 'system',
+    immutable: true
+  },
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+auditLogSchema.index({ lead: 1, createdAt: -1 });
+auditLogSchema.index({ modelName: 1, documentId: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(method => {
+  auditLogSchema.pre(method, rejectChange);
+});
+
+// Create and export the AuditLog model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,143 @@
+/**
+ * BulkActionJob Model
+ * Defines the schema for background bulk actions on leads in MongoDB
+ */
+const mongoose = require('mongoose');
+
+const BULK_ACTIONS = [
+  'change_status', 'add_tags', 'remove_tags', 'assign', 'auto_assign', 'transfer', 'reverify', 'rescore', 'delete'
+];
+
+// Failures kept on the job; counts.failed always has the full number
+const MAX_RECORDED_FAILURES = 1000;
+
+// Define BulkActionJob Schema
+const bulkActionJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  action: {
+    type: String,
+    enum: BULK_ACTIONS,
+    required: true
+  },
+  // Action parameters: { status } for change_status, { tags } for add_tags and remove_tags,
+  // { assignee } for assign, { reassign } for auto_assign, { owner, keepAssignee } for transfer
+  // and { weights } for rescore
+  params: {
+    type: Object,
+    default: {}
+  },
+  // Leads selected when the job was created; later changes to the filter do not affect the job
+  leadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  // How the leads were selected: explicit IDs, a saved search or listing parameters
+  selection: {
+    type: {
+      type: String,
+      enum: ['ids', 'savedSearch', 'query'],
+      required: true
+    },
+    savedSearch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavedSearch'
+    }
+  },
+  counts: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    succeeded: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Leads the action could not be applied to (the first MAX_RECORDED_FAILURES)
+  failures: [{
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead'
+    },
+    reason: String,
+    _id: false
+  }],
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Updated after every chunk; a processing job without one for a while was interrupted
+  heartbeatAt: Date,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+bulkActionJobSchema.index({ user: 1, createdAt: -1 });
+// Jobs to resume
+bulkActionJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+// Accepted actions and the failure cap, exposed on the model for the service and request validation
+bulkActionJobSchema.statics.BULK_ACTIONS = BULK_ACTIONS;
+bulkActionJobSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+// Method to check if the job has stopped running
+bulkActionJobSchema.methods.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Method to get a client-facing summary of the job
+bulkActionJobSchema.methods.getSummary = function() {
+  const { total, processed } = this.counts;
+
+  return {
+    id: this._id,
+    status: this.status,
+    action: this.action,
+    params: this.params,
+    selection: this.selection,
+    counts: this.counts,
+    progress: total > 0 ? Math.round((processed / total) * 100) : 0,
+    failures: this.failures,
+    failuresTruncated: this.counts.failed > this.failures.length,
+    cancelRequested: this.cancelRequested,
+    error: this.error,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Create and export the BulkActionJob model
+const BulkActionJob = mongoose.model('BulkActionJob', bulkActionJobSchema);
+
+module.exports = BulkActionJob;
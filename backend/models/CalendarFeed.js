@@ -0,0 +1,37 @@
+/**
+ * CalendarFeed Model
+ * Secret tokens of users' task calendar (ICS) feeds. Calendar apps cannot send the
+ * API's bearer token, so the feed URL carries this token instead.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Define CalendarFeed Schema
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastAccessedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to create a random feed token
+calendarFeedSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Create and export the CalendarFeed model
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,124 @@
+/**
+ * ConsentRecord Model
+ * Ledger of consent given and withdrawn by phone number and email address, kept for
+ * TCPA compliance. Records are only ever added: the latest record for a contact and
+ * channel decides whether it may be contacted, and earlier ones stay as evidence.
+ */
+const mongoose = require('mongoose');
+
+const CONTACT_TYPES = ['phone', 'email'];
+const ACTIONS = ['opt_in', 'opt_out'];
+
+// "all" covers every channel, e.g. a revocation of consent by any reasonable means
+const CHANNELS = ['call', 'sms', 'email', 'all'];
+
+const SOURCES = ['web_form', 'sms_reply', 'manual', 'suppression_import', 'import', 'api'];
+
+// Define ConsentRecord Schema
+const consentRecordSchema = new mongoose.Schema({
+  contactType: {
+    type: String,
+    enum: CONTACT_TYPES,
+    required: true
+  },
+  // E.164 number or lowercase email address
+  contact: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    default: 'all'
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    required: true
+  },
+  // Wording the contact agreed to, as shown to them
+  consentLanguage: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  // Text of an inbound reply or the reason for a manual change
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // When consent was given or withdrawn; createdAt is when it was written down
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Address of the contact (web forms) or of the user who recorded it
+  ipAddress: String,
+  userAgent: String,
+  // User who recorded it; empty for inbound replies
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  // Suppression list whose upload or manual change the record came from
+  suppressionList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuppressionList'
+  },
+  // Owner of the ledger: the organization when there is one, otherwise the user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Latest records of a contact, and the export of a ledger by date
+consentRecordSchema.index({ organization: 1, contact: 1, recordedAt: -1 });
+consentRecordSchema.index({ user: 1, contact: 1, recordedAt: -1 });
+consentRecordSchema.index({ organization: 1, recordedAt: -1 });
+consentRecordSchema.index({ lead: 1, recordedAt: -1 });
+
+// The ledger is append-only
+consentRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Consent records cannot be changed.'));
+  }
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => {
+    // updateOne and deleteOne can also be called on a document
+    const options = ['updateOne', 'deleteOne'].includes(operation) ? { document: true, query: true } : { query: true };
+    consentRecordSchema.pre(operation, options, function(next) {
+      next(new Error('Consent records cannot be changed or deleted.'));
+    });
+  });
+
+consentRecordSchema.statics.CONTACT_TYPES = CONTACT_TYPES;
+consentRecordSchema.statics.ACTIONS = ACTIONS;
+consentRecordSchema.statics.CHANNELS = CHANNELS;
+consentRecordSchema.statics.SOURCES = SOURCES;
+
+// Create and export the ConsentRecord model
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+module.exports = ConsentRecord;
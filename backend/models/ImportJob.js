@@ -0,0 +1,167 @@
+/**
+ * ImportJob Model
+ * Defines the schema for background lead import jobs in MongoDB
+ */
+const mongoose = require('mongoose');
+
+const DUPLICATE_POLICIES = ['skip', 'overwrite', 'merge', 'keep_both'];
+const DUPLICATE_SCOPES = ['user', 'organization'];
+
+// Define ImportJob Schema
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'api'],
+    default: 'upload'
+  },
+  originalFilename: {
+    type: String,
+    trim: true
+  },
+  // Location of the file on disk while the job is pending; removed when the job ends
+  filePath: String,
+  fileType: {
+    type: String,
+    enum: ['.csv', '.xls', '.xlsx', '.json'],
+    required: true
+  },
+  // Column-mapping rules used to read the file; column names are guessed when empty
+  mapping: {
+    type: [Object],
+    default: undefined
+  },
+  mappingTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportMapping'
+  },
+  // What to do with rows that match an existing lead
+  duplicatePolicy: {
+    type: String,
+    enum: DUPLICATE_POLICIES,
+    default: 'skip'
+  },
+  // Whose leads rows are compared with: the importing user's or their whole organization's
+  duplicateScope: {
+    type: String,
+    enum: DUPLICATE_SCOPES,
+    default: 'user'
+  },
+  counts: {
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+    processedRows: {
+      type: Number,
+      default: 0
+    },
+    insertedRows: {
+      type: Number,
+      default: 0
+    },
+    failedRows: {
+      type: Number,
+      default: 0
+    },
+    duplicateRows: {
+      type: Number,
+      default: 0
+    },
+    // Existing leads changed by the overwrite and merge policies
+    updatedRows: {
+      type: Number,
+      default: 0
+    },
+    // Duplicates inserted and linked to the lead they matched (keep_both policy)
+    linkedRows: {
+      type: Number,
+      default: 0
+    },
+    // Inserted leads given an assignee by the organization's assignment rule
+    assignedRows: {
+      type: Number,
+      default: 0
+    }
+  },
+  chunks: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    completed: {
+      type: Number,
+      default: 0
+    }
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Updated while the job runs; a processing job without one for a while was interrupted
+  heartbeatAt: Date,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+// Jobs to resume
+importJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+// Accepted duplicate options, exposed on the model for request validation
+importJobSchema.statics.DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+importJobSchema.statics.DUPLICATE_SCOPES = DUPLICATE_SCOPES;
+
+// Method to check if the job has stopped running
+importJobSchema.methods.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Method to get a client-facing summary of the job
+importJobSchema.methods.getSummary = function() {
+  const { totalRows, processedRows } = this.counts;
+
+  return {
+    id: this._id,
+    status: this.status,
+    source: this.source,
+    originalFilename: this.originalFilename,
+    mappingTemplate: this.mappingTemplate,
+    duplicatePolicy: this.duplicatePolicy,
+    duplicateScope: this.duplicateScope,
+    counts: this.counts,
+    progress: totalRows > 0 ? Math.round((processedRows / totalRows) * 100) : 0,
+    cancelRequested: this.cancelRequested,
+    error: this.error,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Create and export the ImportJob model
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,99 @@
+/**
+ * ImportMapping Model
+ * Defines the schema for saved spreadsheet column-mapping templates in MongoDB
+ */
+const mongoose = require('mongoose');
+const { TARGET_FIELDS, TRANSFORMS } = require('../utils/columnMapper');
+
+// A single rule mapping one or more source columns to a Lead field
+const mappingRuleSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: Object.keys(TARGET_FIELDS),
+    required: true
+  },
+  columns: {
+    type: [String],
+    validate: {
+      validator: columns => columns.length > 0,
+      message: 'At least one source column is required'
+    }
+  },
+  transform: {
+    type: String,
+    enum: TRANSFORMS,
+    default: 'direct'
+  },
+  options: {
+    separator: String,
+    part: {
+      type: String,
+      enum: ['first', 'middle', 'last']
+    },
+    order: {
+      type: String,
+      enum: ['firstLast', 'lastFirst']
+    }
+  }
+}, { _id: false });
+
+// Define ImportMapping Schema
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Vendor or list type the template was built for (e.g. PropStream, county vacancy export)
+  vendor: {
+    type: String,
+    trim: true
+  },
+  rules: {
+    type: [mappingRuleSchema],
+    validate: {
+      validator: rules => rules.length > 0,
+      message: 'A mapping template needs at least one rule'
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When set, the template is shared with every member of the organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+importMappingSchema.index({ user: 1, name: 1 });
+importMappingSchema.index({ organization: 1, name: 1 });
+
+// Static method to find templates visible to a user (their own plus their organization's)
+importMappingSchema.statics.findVisibleTo = function(userId, organizationId) {
+  const conditions = [{ user: userId }];
+  if (organizationId) {
+    conditions.push({ organization: organizationId });
+  }
+  return this.find({ $or: conditions });
+};
+
+// Create and export the ImportMapping model
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+module.exports = ImportMapping;
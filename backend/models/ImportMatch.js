@@ -0,0 +1,58 @@
+/**
+ * ImportMatch Model
+ * Records each imported row that was recognized as a duplicate, the lead it
+ * matched and what the import's duplicate policy did with it
+ */
+const mongoose = require('mongoose');
+
+// Define ImportMatch Schema
+const importMatchSchema = new mongoose.Schema({
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // 1-based data row number in the imported file
+  row: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['skipped', 'overwritten', 'merged', 'linked'],
+    required: true
+  },
+  // Lead the row was matched to
+  matchedLead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Lead created from the row when both were kept
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  // True when the matched lead came from an earlier row of the same file
+  inFile: {
+    type: Boolean,
+    default: false
+  },
+  matchedOn: [{
+    type: String,
+    enum: ['email', 'phone', 'address']
+  }],
+  nameSimilarity: Number,
+  fullName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importMatchSchema.index({ importJob: 1, row: 1 });
+
+// Create and export the ImportMatch model
+const ImportMatch = mongoose.model('ImportMatch', importMatchSchema);
+
+module.exports = ImportMatch;
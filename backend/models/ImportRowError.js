@@ -0,0 +1,44 @@
+/**
+ * ImportRowError Model
+ * Records each imported row that failed validation, with the original row data
+ * so the failed rows can be downloaded, fixed and re-uploaded on their own
+ */
+const mongoose = require('mongoose');
+
+// A single field that failed validation
+const fieldErrorSchema = new mongoose.Schema({
+  field: String,
+  value: mongoose.Schema.Types.Mixed,
+  reason: String
+}, { _id: false });
+
+// Define ImportRowError Schema
+const importRowErrorSchema = new mongoose.Schema({
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // 1-based data row number in the imported file (the header row is not counted)
+  row: {
+    type: Number,
+    required: true
+  },
+  fieldErrors: [fieldErrorSchema],
+  // The row exactly as it appeared in the file
+  rawData: {
+    type: Object,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importRowErrorSchema.index({ importJob: 1, row: 1 });
+
+// Create and export the ImportRowError model
+const ImportRowError = mongoose.model('ImportRowError', importRowErrorSchema);
+
+module.exports = ImportRowError;
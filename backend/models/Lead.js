@@ -3,6 +3,8 @@
  * Defines the schema for lead data in MongoDB
  */
 const mongoose = require('mongoose');
+const { addAuditTrail, addSoftDelete } = require('../utils/modelHooks');
+const { buildMatchKeys } = require('../utils/leadMatching');
 
 // Define Lead Schema
 const leadSchema = new mongoose.Schema({
@@ -11,6 +13,18 @@ const leadSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  company: {
+    type: String,
+    trim: true
+  },
   email: {
     type: String,
     required: true,
@@ -21,19 +35,84 @@ const leadSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Every number found for the lead, primary phone first
+  phoneNumbers: [{
+    type: String,
+    trim: true
+  }],
   address: {
     type: String,
     trim: true
   },
+  city: {
+    type: String,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    trim: true
+  },
+  county: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   notes: {
     type: String,
     trim: true
   },
+  // Free-form labels, stored lowercase
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Values of the organization's custom fields keyed by field key (validated by leadFieldService)
+  customFields: {
+    type: Object,
+    default: {}
+  },
+  // Static lists the lead belongs to
+  lists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeadList'
+  }],
+  // Key of the lead's pipeline stage (see models/Pipeline.js); transitions are enforced by pipelineService
   status: {
     type: String,
-    enum: ['new', 'verified', 'rejected', 'pending'],
+    trim: true,
+    lowercase: true,
     default: 'new'
   },
+  stageEnteredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Every stage the lead has been in, oldest first
+  stageHistory: [{
+    stage: {
+      type: String,
+      required: true
+    },
+    previousStage: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  offerAmount: {
+    type: Number,
+    min: 0
+  },
   score: {
     type: Number,
     default: 0
@@ -114,12 +193,82 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: 'manual'
   },
+  // Import job that created this lead, if it came from a file or bulk import
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob'
+  },
+  // File row (1-based) of the import job the lead was created from
+  importRow: Number,
   // Add reference to user who owns this lead
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Teammate working the lead
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the lead is queued for re-verification
+  verificationRequestedAt: Date,
+  // When the first of the lead's verification results goes stale (see utils/verificationFreshness.js)
+  verificationExpiresAt: Date,
+  // Set while the re-verification schedule works on the lead (see services/reverificationService.js)
+  reverificationClaimedAt: Date,
+  // Verification types whose providers disagreed in a consensus verification, until a user reviews them
+  verificationReview: [String],
+  // Last scrub of the lead's numbers against the DNC and litigator lists and the consent
+  // ledger's opt-outs of calls (see suppressionService)
+  phoneScrub: {
+    checkedAt: Date,
+    // At least one number is on no list
+    callable: Boolean,
+    numbers: [{
+      // E.164 number
+      phone: String,
+      flagged: Boolean,
+      matches: [{
+        list: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SuppressionList'
+        },
+        name: String,
+        // List type, or opt_out for an opt-out in the consent ledger
+        type: { type: String },
+        version: Number,
+        consentRecord: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ConsentRecord'
+        },
+        _id: false
+      }],
+      checkedAt: Date,
+      _id: false
+    }]
+  },
+  // Organization of the owner, used to detect duplicates across a team
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Normalized email, E.164 phone and address used for duplicate detection (set on validate)
+  matchKeys: {
+    email: String,
+    phone: String,
+    address: String
+  },
+  // Existing lead this one was imported as a duplicate of ("keep both" policy)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  // Leads later imported as duplicates of this one
+  linkedLeads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -130,11 +279,70 @@ const leadSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Indexes backing the listing and export filters
+leadSchema.index({ user: 1, createdAt: -1 });
+leadSchema.index({ user: 1, status: 1, score: -1 });
+leadSchema.index({ organization: 1, status: 1 });
+// Leads due for re-verification
+leadSchema.index({ organization: 1, verificationRequestedAt: 1 });
+leadSchema.index({ verificationRequestedAt: 1 });
+leadSchema.index({ organization: 1, verificationExpiresAt: 1, score: -1 });
+// Leads waiting for review of a verification disagreement
+leadSchema.index({ organization: 1, verificationReview: 1 });
+leadSchema.index({ user: 1, tags: 1 });
+leadSchema.index({ user: 1, lists: 1 });
+leadSchema.index({ assignedTo: 1, status: 1 });
+
+// One lead per row of an import, so a chunk replayed after an interruption cannot insert it twice
+leadSchema.index(
+  { importJob: 1, importRow: 1 },
+  { unique: true, partialFilterExpression: { importJob: { $exists: true }, importRow: { $exists: true } } }
+);
+
+// Full-text search over name, address and notes (the `search` listing parameter)
+leadSchema.index(
+  { fullName: 'text', address: 'text', notes: 'text' },
+  { name: 'lead_text_search', weights: { fullName: 5, address: 3, notes: 1 } }
+);
+
+// Indexes backing duplicate detection within a user's or an organization's leads
+leadSchema.index({ user: 1, 'matchKeys.email': 1 });
+leadSchema.index({ user: 1, 'matchKeys.phone': 1 });
+leadSchema.index({ user: 1, 'matchKeys.address': 1 });
+leadSchema.index({ organization: 1, 'matchKeys.email': 1 });
+leadSchema.index({ organization: 1, 'matchKeys.phone': 1 });
+leadSchema.index({ organization: 1, 'matchKeys.address': 1 });
+
+// Keep the match keys in step with the contact fields, drop duplicate tags and start the
+// stage history of new leads
+leadSchema.pre('validate', function(next) {
+  this.matchKeys = buildMatchKeys(this);
+  if (this.isModified('tags')) {
+    this.tags = Array.from(new Set(this.tags.filter(Boolean)));
+  }
+  if (this.isNew && this.stageHistory.length === 0) {
+    this.stageHistory.push({ stage: this.status, changedBy: this.user, changedAt: this.stageEnteredAt });
+  }
+  next();
+});
+
 // Add static method to find leads by user ID
 leadSchema.statics.findByUserId = function(userId) {
   return this.find({ user: userId });
 };
 
+// Deleted leads go to the trash (isDeleted) and are left out of queries until restored or
+// purged; see services/leadTrashService.js. Applied first so audited updates see the same filter.
+leadSchema.plugin(addSoftDelete);
+leadSchema.index({ user: 1, isDeleted: 1, deletedAt: -1 });
+leadSchema.index({ isDeleted: 1, organization: 1, deletedAt: 1 });
+
+// Record every change to a lead in the audit history
+leadSchema.plugin(addAuditTrail, {
+  leadField: '_id',
+  ignore: ['matchKeys', 'stageHistory', 'stageEnteredAt', 'phoneScrub', 'verificationExpiresAt', 'reverificationClaimedAt']
+});
+
 // Create and export the Lead model
 const Lead = mongoose.model('Lead', leadSchema);
 
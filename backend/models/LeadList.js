@@ -0,0 +1,44 @@
+/**
+ * LeadList Model
+ * Named static lists of leads ("Probate Q3", "Mailer batch 7"). Membership is
+ * stored on the lead (lead.lists) so listings and exports can filter by it.
+ */
+const mongoose = require('mongoose');
+
+// Define LeadList Schema
+const leadListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+leadListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Create and export the LeadList model
+const LeadList = mongoose.model('LeadList', leadListSchema);
+
+module.exports = LeadList;
@@ -0,0 +1,63 @@
+/**
+ * Notification Model
+ * In-app notifications shown in the dashboard's notification menu, such as task
+ * reminders and assignments.
+ */
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['task_reminder', 'task_assigned'];
+
+// Notifications are removed this many days after they are created
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+// Define Notification Schema
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Path in the app the notification links to
+  link: String,
+  // Records the notification is about
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+// Create and export the Notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
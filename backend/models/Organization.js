@@ -4,6 +4,69 @@
  */
 const mongoose = require('mongoose');
 
+// Value types supported by lead custom fields
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+// Days trashed leads are kept before being purged, and the accepted range
+const TRASH_RETENTION = { default: 30, min: 1, max: 365 };
+
+// Member roles. Limited members only see the leads assigned to them.
+const MEMBER_ROLES = ['owner', 'admin', 'member', 'viewer', 'limited'];
+
+// How the lead assignment rule spreads leads over its members
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'weighted'];
+
+// A member taking part in lead auto-assignment
+const assignmentMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Relative share of leads under the weighted strategy
+  weight: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 100
+  },
+  // Leads given to the member since the rule was last saved, to keep the rotation fair
+  assigned: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Definition of a custom field the organization's leads can carry
+const leadCustomFieldSchema = new mongoose.Schema({
+  // Key used in lead.customFields and in filters (cf.<key>) and sorts
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true
+  },
+  // Allowed values of a select field
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 // Define Organization Schema
 const organizationSchema = new mongoose.Schema({
   name: {
@@ -83,6 +146,18 @@ const organizationSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    trashRetentionDays: {
+      type: Number,
+      default: TRASH_RETENTION.default,
+      min: TRASH_RETENTION.min,
+      max: TRASH_RETENTION.max
+    },
+    // Leads the re-verification schedule may re-verify per calendar month (UTC); 0 turns it off
+    reverificationBudget: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     branding: {
       primaryColor: {
         type: String,
@@ -92,6 +167,30 @@ const organizationSchema = new mongoose.Schema({
       customDomain: String
     }
   },
+  // Custom fields of the organization's leads (see services/leadFieldService.js)
+  leadCustomFields: [leadCustomFieldSchema],
+  // Auto-assignment of imported leads (see services/leadAssignmentService.js)
+  leadAssignment: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    strategy: {
+      type: String,
+      enum: ASSIGNMENT_STRATEGIES,
+      default: 'round_robin'
+    },
+    members: [assignmentMemberSchema]
+  },
+  // Leads re-verified by the schedule in the current month, counted against reverificationBudget
+  reverificationUsage: {
+    // YYYY-MM
+    month: String,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -104,7 +203,7 @@ const organizationSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['owner', 'admin', 'member', 'viewer'],
+      enum: MEMBER_ROLES,
       default: 'member'
     },
     permissions: {
@@ -126,6 +225,12 @@ const organizationSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Accepted custom field types, exposed on the model for request validation
+organizationSchema.statics.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+organizationSchema.statics.TRASH_RETENTION = TRASH_RETENTION;
+organizationSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+organizationSchema.statics.ASSIGNMENT_STRATEGIES = ASSIGNMENT_STRATEGIES;
+
 // Method to check if a user is a member of the organization
 organizationSchema.methods.isMember = function(userId) {
   return this.members.some(member => member.user.toString() === userId.toString());
@@ -137,6 +242,15 @@ organizationSchema.methods.isAdmin = function(userId) {
   return member && (member.role === 'admin' || member.role === 'owner');
 };
 
+// Method to get a user's role in the organization (the owner is always 'owner'), or null
+organizationSchema.methods.getMemberRole = function(userId) {
+  if (this.owner.toString() === userId.toString()) {
+    return 'owner';
+  }
+  const member = this.members.find(member => member.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
 // Method to get organization details
 organizationSchema.methods.getDetails = function() {
   return {
@@ -0,0 +1,89 @@
+/**
+ * Pipeline Model
+ * Defines the schema for an organization's lead pipeline: its ordered stages,
+ * the transitions allowed between them and the fields each stage requires
+ */
+const mongoose = require('mongoose');
+
+// A single pipeline stage; its key is the value stored in Lead.status
+const stageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Stage keys may only contain letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Keys of the stages a lead may move to from this one; empty allows any stage, except
+  // from a terminal stage, which leads then never leave
+  allowedTransitions: {
+    type: [String],
+    default: []
+  },
+  // Lead fields (dot-notation paths) that must have a value before a lead enters this stage
+  requiredFields: {
+    type: [String],
+    default: []
+  },
+  // Closed or dead stages; time spent in them is not counted as pipeline time
+  isTerminal: {
+    type: Boolean,
+    default: false
+  },
+  color: String
+}, { _id: false });
+
+// Define Pipeline Schema
+const pipelineSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Lead pipeline'
+  },
+  // Stages in pipeline order
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: stages => stages.length > 0,
+      message: 'A pipeline needs at least one stage'
+    }
+  },
+  // Stage given to new leads
+  initialStage: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Method to find a stage by key
+pipelineSchema.methods.getStage = function(key) {
+  return this.stages.find(stage => stage.key === key) || null;
+};
+
+// Create and export the Pipeline model
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+module.exports = Pipeline;
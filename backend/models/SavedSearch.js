@@ -0,0 +1,86 @@
+/**
+ * SavedSearch Model
+ * Named lead queries: a query-language expression (see utils/leadQueryLanguage.js),
+ * a full-text search, the basic listing filters and a sort. Saved searches select
+ * the leads of listings, exports and bulk actions.
+ */
+const mongoose = require('mongoose');
+
+// Define SavedSearch Schema
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Query-language expression, e.g. "score BETWEEN 60 AND 90 AND county = Harris"
+  where: {
+    type: String,
+    trim: true
+  },
+  // Full-text search over name, address and notes
+  search: {
+    type: String,
+    trim: true
+  },
+  // Basic listing filters (status, tags, list, cf.<key>, ...) as query parameters
+  filters: {
+    type: Object,
+    default: {}
+  },
+  // Sort parameter, e.g. "-score,createdAt"
+  sort: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When set, the search is shared with every member of the organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+savedSearchSchema.index({ user: 1, name: 1 });
+savedSearchSchema.index({ organization: 1, name: 1 });
+
+// Static method to find searches visible to a user (their own plus their organization's)
+savedSearchSchema.statics.findVisibleTo = function(userId, organizationId) {
+  const conditions = [{ user: userId }];
+  if (organizationId) {
+    conditions.push({ organization: organizationId });
+  }
+  return this.find({ $or: conditions });
+};
+
+// Method to get the search as listing query parameters
+savedSearchSchema.methods.toQueryParams = function() {
+  const params = { ...(this.filters || {}) };
+  if (this.where) params.where = this.where;
+  if (this.search) params.search = this.search;
+  if (this.sort) params.sort = this.sort;
+  return params;
+};
+
+// Create and export the SavedSearch model
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,45 @@
+/**
+ * SmsReplyWebhook Model
+ * Secret tokens of the URLs an SMS provider posts inbound replies to. Providers cannot
+ * send the API's bearer token, so the URL carries this token, which also tells whose
+ * consent ledger a STOP reply is recorded in.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Define SmsReplyWebhook Schema
+const smsReplyWebhookSchema = new mongoose.Schema({
+  // Creator; the webhook belongs to the organization when there is one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastReceivedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+smsReplyWebhookSchema.index({ organization: 1 });
+smsReplyWebhookSchema.index({ user: 1 });
+
+// Static method to create a random webhook token
+smsReplyWebhookSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Create and export the SmsReplyWebhook model
+const SmsReplyWebhook = mongoose.model('SmsReplyWebhook', smsReplyWebhookSchema);
+
+module.exports = SmsReplyWebhook;
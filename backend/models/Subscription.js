@@ -3,6 +3,7 @@
  * Defines the schema for user subscription data in MongoDB
  */
 const mongoose = require('mongoose');
+const { addAuditTrail } = require('../utils/modelHooks');
 
 // Define Subscription Schema
 const subscriptionSchema = new mongoose.Schema({
@@ -150,6 +151,9 @@ subscriptionSchema.methods.incrementLeadUsage = function(count = 1) {
   return this.save();
 };
 
+// Record every change to a subscription in the audit history
+subscriptionSchema.plugin(addAuditTrail);
+
 // Create and export the Subscription model
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 
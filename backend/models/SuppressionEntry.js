@@ -0,0 +1,52 @@
+/**
+ * SuppressionEntry Model
+ * A phone number on a suppression list. Entries removed by a later version are kept,
+ * marked with the version that removed them, so every version of a list can be traced.
+ */
+const mongoose = require('mongoose');
+
+// Define SuppressionEntry Schema
+const suppressionEntrySchema = new mongoose.Schema({
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuppressionList',
+    required: true
+  },
+  // E.164 number
+  phone: {
+    type: String,
+    required: true
+  },
+  // NANP area code, used to replace one area code file of a registry list
+  areaCode: String,
+  // Why the number was added by hand, e.g. "Asked not to be called"
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  addedInVersion: {
+    type: Number,
+    required: true
+  },
+  // Last version whose upload contained the number
+  lastSeenVersion: Number,
+  // Version that took the number off the list; null while it is on it
+  removedInVersion: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Numbers currently on any list, and a list's numbers by area code
+suppressionEntrySchema.index({ phone: 1, removedInVersion: 1 });
+suppressionEntrySchema.index({ list: 1, removedInVersion: 1, areaCode: 1 });
+
+// Create and export the SuppressionEntry model
+const SuppressionEntry = mongoose.model('SuppressionEntry', suppressionEntrySchema);
+
+module.exports = SuppressionEntry;
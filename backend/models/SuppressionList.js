@@ -0,0 +1,150 @@
+/**
+ * SuppressionList Model
+ * Lists of phone numbers that must not be called or texted: the team's internal
+ * do-not-call list, federal and state DNC registry files and known TCPA litigators.
+ * Numbers are stored as SuppressionEntry documents; every upload or manual change
+ * creates a new version of the list.
+ */
+const mongoose = require('mongoose');
+
+const LIST_TYPES = ['internal_dnc', 'federal_dnc', 'state_dnc', 'litigator'];
+
+// Registry lists are published as one file per area code; replacing one only replaces
+// the area codes the new file covers
+const AREA_CODE_LIST_TYPES = ['federal_dnc', 'state_dnc'];
+
+const VERSION_SOURCES = ['upload', 'manual'];
+
+// One upload or manual change of a list
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: VERSION_SOURCES,
+    required: true
+  },
+  // replace: numbers missing from the upload are removed; append: numbers are only added
+  mode: {
+    type: String,
+    enum: ['replace', 'append'],
+    default: 'append'
+  },
+  fileName: String,
+  // Area codes an area code file covered
+  areaCodes: [String],
+  added: {
+    type: Number,
+    default: 0
+  },
+  removed: {
+    type: Number,
+    default: 0
+  },
+  // Lines that held no phone number
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  // Numbers on the list after this version
+  total: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Define SuppressionList Schema
+const suppressionListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: LIST_TYPES,
+    required: true
+  },
+  // Two letter state of a state DNC list
+  state: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z]{2}$/
+  },
+  // Inactive lists are kept but not scrubbed against
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+  // Numbers currently on the list
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  versions: [versionSchema],
+  // Creator; the list belongs to the organization when there is one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+suppressionListSchema.index({ organization: 1, isActive: 1 });
+suppressionListSchema.index({ user: 1, isActive: 1 });
+
+// State DNC lists need their state
+suppressionListSchema.pre('validate', function(next) {
+  if (this.type === 'state_dnc' && !this.state) {
+    this.invalidate('state', 'A state DNC list needs its two letter state.');
+  }
+  next();
+});
+
+/**
+ * Whether the list is published as area code files
+ * @returns {boolean}
+ */
+suppressionListSchema.methods.isAreaCodeList = function() {
+  return AREA_CODE_LIST_TYPES.includes(this.type);
+};
+
+suppressionListSchema.statics.LIST_TYPES = LIST_TYPES;
+suppressionListSchema.statics.AREA_CODE_LIST_TYPES = AREA_CODE_LIST_TYPES;
+
+// Create and export the SuppressionList model
+const SuppressionList = mongoose.model('SuppressionList', suppressionListSchema);
+
+module.exports = SuppressionList;
@@ -0,0 +1,133 @@
+/**
+ * Task Model
+ * Follow-up tasks on leads (callbacks, texts, visits, offers) with a due time, an
+ * assignee and an optional reminder delivered as an in-app notification.
+ */
+const mongoose = require('mongoose');
+
+const TASK_TYPES = ['call', 'text', 'visit', 'send_offer'];
+
+// Tasks that reach the lead by phone; they need a number on no DNC or litigator list
+const PHONE_TASK_TYPES = ['call', 'text'];
+const TASK_STATUSES = ['open', 'completed', 'cancelled'];
+
+// Reminder lead time used when none is given, in minutes before the due time
+const DEFAULT_REMINDER_MINUTES = 15;
+
+// Define Task Schema
+const taskSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TASK_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // Number to call or text, the lead's first number on no suppression list
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Minutes before dueAt to send the reminder; null for no reminder
+  reminderMinutes: {
+    type: Number,
+    min: 0,
+    max: 10080,
+    default: DEFAULT_REMINDER_MINUTES
+  },
+  // Derived from dueAt and reminderMinutes
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: TASK_STATUSES,
+    default: 'open'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Creator of the task
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+taskSchema.index({ assignee: 1, status: 1, dueAt: 1 });
+taskSchema.index({ lead: 1, status: 1, dueAt: 1 });
+taskSchema.index({ organization: 1, status: 1, dueAt: 1 });
+taskSchema.index({ status: 1, reminderSentAt: 1, remindAt: 1 });
+
+// Keep the reminder time in step with the due time; a new time re-arms the reminder
+taskSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('dueAt') || this.isModified('reminderMinutes')) {
+    this.remindAt = this.reminderMinutes === null || this.reminderMinutes === undefined || !this.dueAt
+      ? null
+      : new Date(this.dueAt.getTime() - this.reminderMinutes * 60 * 1000);
+    this.reminderSentAt = null;
+  }
+  if (this.isModified('status')) {
+    this.completedAt = this.status === 'completed' ? this.completedAt || new Date() : undefined;
+    if (this.status !== 'completed') {
+      this.completedBy = undefined;
+    }
+  }
+  next();
+});
+
+taskSchema.statics.TASK_TYPES = TASK_TYPES;
+taskSchema.statics.TASK_STATUSES = TASK_STATUSES;
+taskSchema.statics.PHONE_TASK_TYPES = PHONE_TASK_TYPES;
+
+// Method to check whether an open task is past its due time
+taskSchema.methods.isOverdue = function(now = new Date()) {
+  return this.status === 'open' && this.dueAt < now;
+};
+
+// Create and export the Task model
+const Task = mongoose.model('Task', taskSchema);
+
+module.exports = Task;
@@ -43,19 +43,33 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subscription'
   },
+  // Usage transactions record one external call each (see services/usageAccountingService.js)
   usageDetails: {
     feature: String,
     quantity: Number,
-    unitPrice: Number
+    unitPrice: Number,
+    integration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiIntegration'
+    },
+    provider: String,
+    // Import the call was made for, if any
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportJob'
+    }
   },
   metadata: {
     ipAddress: String,
     userAgent: String
   },
+  // Usage outside any user's request, e.g. by a background process, has no user
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.type !== 'usage';
+    }
   },
   organization: {
     type: mongoose.Schema.Types.ObjectId,
@@ -71,6 +85,10 @@ const transactionSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Cost breakdowns of usage
+transactionSchema.index({ type: 1, organization: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, user: 1, createdAt: -1 });
+
 // Method to generate receipt data
 transactionSchema.methods.generateReceipt = function() {
   return {
@@ -1,8 +1,48 @@
 /**
  * Verification Model
  * Defines the schema for verification data in MongoDB
+ *
+ * Every verification run of a lead adds a document holding the new results and carrying
+ * forward the lead's other latest results; the document it replaces is marked superseded
+ * and kept as history. The current document of a lead is the one not superseded.
  */
 const mongoose = require('mongoose');
+const { addAuditTrail } = require('../utils/modelHooks');
+
+// What started a verification run
+const TRIGGERS = ['manual', 'batch', 'requested', 'scheduled'];
+
+// Answers of every provider asked by a consensus verification (see services/verification/consensus.js)
+const consensusSchema = new mongoose.Schema({
+  answers: [{
+    integration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiIntegration'
+    },
+    name: String,
+    provider: String,
+    reliability: Number,
+    status: String,
+    confidence: Number,
+    details: Object,
+    verifiedAt: Date,
+    // Why the provider gave no answer
+    error: String,
+    _id: false
+  }],
+  // Providers gave different definite statuses; the lead waits for manual review
+  disagreement: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a user settled the disagreement
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String
+}, { _id: false });
 
 // Define Verification Schema
 const verificationSchema = new mongoose.Schema({
@@ -19,17 +59,27 @@ const verificationSchema = new mongoose.Schema({
     },
     provider: String,
     verifiedAt: Date,
+    // Carrier and line type come from the provider; the rest from the local parse (utils/phoneNumber.js)
     details: {
       carrier: String,
       lineType: String,
-      countryCode: String
+      countryCode: String,
+      e164: String,
+      nationalFormat: String,
+      extension: String,
+      areaCode: String,
+      region: String,
+      timeZone: String,
+      numberType: String,
+      invalidReason: String
     },
     confidence: {
       type: Number,
       default: 0,
       min: 0,
       max: 100
-    }
+    },
+    consensus: consensusSchema
   },
   addressVerification: {
     status: {
@@ -40,18 +90,21 @@ const verificationSchema = new mongoose.Schema({
     provider: String,
     verifiedAt: Date,
     details: {
+      // USPS-style address, e.g. "123 N MAIN ST APT 4, HOUSTON, TX 77002" (see utils/usAddress.js)
       standardizedAddress: String,
       zipCode: String,
       city: String,
       state: String,
-      country: String
+      country: String,
+      invalidReason: String
     },
     confidence: {
       type: Number,
       default: 0,
       min: 0,
       max: 100
-    }
+    },
+    consensus: consensusSchema
   },
   ownershipVerification: {
     status: {
@@ -67,6 +120,53 @@ const verificationSchema = new mongoose.Schema({
       ownershipStartDate: Date,
       propertyType: String
     },
+    confidence: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    consensus: consensusSchema
+  },
+  emailVerification: {
+    status: {
+      type: String,
+      enum: ['pending', 'valid', 'invalid', 'unknown'],
+      default: 'pending'
+    },
+    provider: String,
+    verifiedAt: Date,
+    details: {
+      domain: String,
+      deliverable: Boolean,
+      disposable: Boolean,
+      roleAccount: Boolean,
+      // Address with the common domain the given one is likely a typo of (gmial.com -> gmail.com)
+      suggestion: String,
+      invalidReason: String
+    },
+    confidence: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    consensus: consensusSchema
+  },
+  // Contact details found for the lead by a skip tracing provider
+  skipTrace: {
+    status: {
+      type: String,
+      enum: ['pending', 'found', 'not_found', 'unknown'],
+      default: 'pending'
+    },
+    provider: String,
+    verifiedAt: Date,
+    details: {
+      phones: [String],
+      emails: [String],
+      mailingAddress: String
+    },
     confidence: {
       type: Number,
       default: 0,
@@ -79,6 +179,23 @@ const verificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  trigger: {
+    type: String,
+    enum: TRIGGERS,
+    default: 'manual'
+  },
+  // Verification types run in this document's run; the others were carried forward
+  verifiedTypes: [String],
+  // Document this one replaced
+  previousVerification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verification'
+  },
+  // Set when a later run replaced this document
+  supersededAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -89,6 +206,16 @@ const verificationSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Current document and history of a lead
+verificationSchema.index({ lead: 1, supersededAt: 1, createdAt: -1 });
+
+verificationSchema.statics.TRIGGERS = TRIGGERS;
+
+// Static to find the current verification document of a lead
+verificationSchema.statics.findCurrent = function(leadId) {
+  return this.findOne({ lead: leadId, supersededAt: null }).sort({ createdAt: -1 });
+};
+
 // Method to calculate overall verification score
 verificationSchema.methods.calculateScore = function() {
   const phoneScore = this.phoneVerification.status === 'valid' ? this.phoneVerification.confidence : 0;
@@ -100,6 +227,9 @@ verificationSchema.methods.calculateScore = function() {
   return Math.round(weightedScore);
 };
 
+// Record every change to a verification in the audit history
+verificationSchema.plugin(addAuditTrail, { leadField: 'lead', ignore: ['supersededAt'] });
+
 // Create and export the Verification model
 const Verification = mongoose.model('Verification', verificationSchema);
 
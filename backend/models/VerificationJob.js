@@ -0,0 +1,175 @@
+/**
+ * VerificationJob Model
+ * Defines the schema for background batch verifications of leads in MongoDB
+ */
+const mongoose = require('mongoose');
+
+// Verification types a batch can run
+const BATCH_TYPES = ['phone', 'email', 'address', 'ownership', 'skipTrace'];
+
+// Failures kept on the job; counts.failed always has the full number
+const MAX_RECORDED_FAILURES = 1000;
+
+// Define VerificationJob Schema
+const verificationJobSchema = new mongoose.Schema({
+  // Paused jobs wait for resumeAt, e.g. after the providers' daily limits ran out
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'paused', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  types: [{
+    type: String,
+    enum: BATCH_TYPES
+  }],
+  // Types no integration is configured for; they are not tried again and fail for every lead
+  unconfiguredTypes: [{
+    type: String,
+    enum: BATCH_TYPES
+  }],
+  // Ask every configured provider and combine their answers (see services/verification/consensus.js)
+  consensus: {
+    type: Boolean,
+    default: false
+  },
+  // Leads selected when the job was created; later changes to the filter do not affect the job
+  leadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  // How the leads were selected: explicit IDs, a saved search or listing parameters
+  selection: {
+    type: {
+      type: String,
+      enum: ['ids', 'savedSearch', 'query'],
+      required: true
+    },
+    savedSearch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavedSearch'
+    }
+  },
+  // Leads verified at the same time, from the plan's batchSize
+  batchSize: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // Checkpoint: index in leadIds of the next lead to verify
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  // Leads of the last batch left unverified when the providers' limits ran out; verified
+  // first when the job resumes
+  deferredLeadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  counts: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    succeeded: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    // Provider verifications run, over all leads and types
+    verifications: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Leads that could not be verified (the first MAX_RECORDED_FAILURES)
+  failures: [{
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead'
+    },
+    reason: String,
+    _id: false
+  }],
+  resumeAt: Date,
+  // Why the job is paused
+  pauseReason: String,
+  // Updated while a batch runs and after it; a processing job without one for a while was interrupted
+  heartbeatAt: Date,
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+verificationJobSchema.index({ user: 1, createdAt: -1 });
+// Jobs to resume
+verificationJobSchema.index({ status: 1, resumeAt: 1 });
+verificationJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+// Accepted types and the failure cap, exposed on the model for the service and request validation
+verificationJobSchema.statics.BATCH_TYPES = BATCH_TYPES;
+verificationJobSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+// Method to check if the job has stopped running
+verificationJobSchema.methods.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Method to get a client-facing summary of the job
+verificationJobSchema.methods.getSummary = function() {
+  const { total, processed } = this.counts;
+
+  return {
+    id: this._id,
+    status: this.status,
+    types: this.types,
+    unconfiguredTypes: this.unconfiguredTypes,
+    consensus: this.consensus,
+    selection: this.selection,
+    batchSize: this.batchSize,
+    counts: this.counts,
+    progress: total > 0 ? Math.round((processed / total) * 100) : 0,
+    failures: this.failures,
+    failuresTruncated: this.counts.failed > this.failures.length,
+    resumeAt: this.resumeAt,
+    pauseReason: this.pauseReason,
+    cancelRequested: this.cancelRequested,
+    error: this.error,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Create and export the VerificationJob model
+const VerificationJob = mongoose.model('VerificationJob', verificationJobSchema);
+
+module.exports = VerificationJob;
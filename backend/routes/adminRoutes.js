@@ -367,7 +367,7 @@ router.delete('/users/:userId', async (req, res) => {
     }
     
     // Delete user's leads
-    await Lead.deleteMany({ user: req.params.userId });
+    await Lead.deleteMany({ user: req.params.userId }).setOptions({ auditSummary: true });
     
     // Remove user from organizations
     await Organization.updateMany(
@@ -0,0 +1,108 @@
+/**
+ * Assignment Rule Routes
+ * The organization's lead auto-assignment rule, mounted at /api/leads/assignment-rule.
+ * The rule assigns the new leads of every finished import, and can be run on existing
+ * leads with the auto_assign bulk action.
+ */
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const leadAssignmentService = require('../services/leadAssignmentService');
+
+/**
+ * Sends the 400 response used when the user has no organization.
+ */
+function noOrganization(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'NO_ORGANIZATION',
+      message: 'Lead assignment is configured per organization. Join or create an organization first.'
+    }
+  });
+}
+
+// GET /api/leads/assignment-rule - The organization's assignment rule
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const organization = organizationId
+      ? await Organization.findById(organizationId).select('leadAssignment').lean()
+      : null;
+
+    if (!organization) {
+      return noOrganization(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        strategies: Organization.ASSIGNMENT_STRATEGIES,
+        rule: organization.leadAssignment || { enabled: false, strategy: 'round_robin', members: [] }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching assignment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the assignment rule.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/assignment-rule - Replace the organization's assignment rule (organization admins only)
+// Body: { enabled, strategy: round_robin|weighted, members: [{ user, weight }] }
+// Saving the rule restarts the rotation.
+router.put('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+    if (!organization) {
+      return noOrganization(res);
+    }
+
+    if (!organization.isAdmin(req.userId) && organization.owner.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only organization admins can change the assignment rule.'
+        }
+      });
+    }
+
+    const rule = await leadAssignmentService.saveRule(organization, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment rule updated.',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ASSIGNMENT_RULE',
+          message: error.message
+        }
+      });
+    }
+    console.error('Error updating assignment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating the assignment rule.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+/**
+ * Bulk Action Routes
+ * Run one action on many leads as a tracked background job, mounted at /api/leads/bulk.
+ * Leads are selected by explicit IDs, a saved search or listing parameters.
+ *
+ * When a member leaves, an organization admin moves their work with two jobs:
+ * assign (or auto_assign with reassign) selected by query { assignedTo: <member> },
+ * and transfer selected by query { owner: <member> }.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const { requireActiveSubscription } = require('../middleware/subscriptionChecks');
+const bulkActionService = require('../services/bulkActionService');
+
+/**
+ * Sends the 400 response used for malformed job IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid bulk action job ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a job is missing or belongs to another user.
+ */
+function notFound(res, action = 'access') {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: `Bulk action job not found or you do not have permission to ${action} it.`
+    }
+  });
+}
+
+// POST /api/leads/bulk - Start a bulk action
+// Body: { action, params, leadIds | savedSearch | query }
+//   action: change_status ({ status }), add_tags / remove_tags ({ tags }), assign ({ assignee }),
+//           auto_assign ({ reassign }: spread with the organization's assignment rule; admins only),
+//           transfer ({ owner, keepAssignee }: change the owning member; admins only),
+//           reverify (queued for the re-verification schedule's next pass; leads without a phone,
+//           email or address fail), rescore ({ weights }) or delete (moves the leads to the trash)
+//   query: listing parameters as accepted by GET /api/leads (filters, where, search)
+// Responds with 202 and the job summary; poll GET /api/leads/bulk/:jobId for progress and failures.
+router.post('/', authenticate, requireActiveSubscription, async (req, res) => {
+  try {
+    const { action, params, leadIds, savedSearch, query } = req.body;
+    const job = await bulkActionService.createJob({
+      userId: req.userId,
+      action,
+      params: params || {},
+      leadIds,
+      savedSearch,
+      query
+    });
+    bulkActionService.start(job);
+
+    res.status(202).json({
+      success: true,
+      message: `Bulk action started on ${job.counts.total} leads. Poll the job for progress.`,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.statusCode === 403 ? error.code || 'FORBIDDEN' : 'INVALID_BULK_ACTION',
+          message: error.message
+        }
+      });
+    }
+    console.error('Error starting bulk action:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while starting the bulk action.'
+      }
+    });
+  }
+});
+
+// GET /api/leads/bulk - List the user's recent bulk action jobs
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await bulkActionService.listJobs(req.userId, limit);
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(job => job.getSummary())
+    });
+  } catch (error) {
+    console.error('Error fetching bulk action jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving bulk action jobs.'
+      }
+    });
+  }
+});
+
+// GET /api/leads/bulk/:jobId - Get the progress and failures of a bulk action job
+router.get('/:jobId', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return invalidId(res);
+  }
+
+  try {
+    const job = await bulkActionService.getJob(req.params.jobId, req.userId);
+    if (!job) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error(`Error fetching bulk action job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the bulk action job.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/bulk/:jobId/cancel - Cancel a queued or running bulk action job
+router.post('/:jobId/cancel', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return invalidId(res);
+  }
+
+  try {
+    const job = await bulkActionService.cancel(req.params.jobId, req.userId);
+    if (!job) {
+      return notFound(res, 'cancel');
+    }
+
+    if (job.isFinished() && !job.cancelRequested) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'JOB_FINISHED',
+          message: `Bulk action job has already ${job.status === 'completed' ? 'completed' : 'stopped'}.`
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled'
+        ? 'Bulk action job cancelled.'
+        : 'Cancellation requested. The job stops after the current chunk; changes already applied are kept.',
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error(`Error cancelling bulk action job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while cancelling the bulk action job.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * Consent Routes
+ * The consent and opt-out ledger, mounted at /api/consent. Records are only ever added;
+ * the latest record of a number or address for a channel decides whether it may be
+ * contacted. STOP replies arrive from the SMS provider through the reply webhook.
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const consentService = require('../services/consentService');
+const suppressionService = require('../services/suppressionService');
+
+// Most records one request can add
+const MAX_RECORDS_PER_REQUEST = 1000;
+
+/**
+ * Sends the response for a failed request: 400 for invalid input, 403 for users who
+ * cannot export the ledger or manage the webhook, or a 500 for anything else.
+ */
+function handleError(res, error, action) {
+  if (error.statusCode === 400 || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action}.`
+    }
+  });
+}
+
+/**
+ * Builds the public URL of an SMS reply webhook.
+ */
+function webhookUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/consent/sms-replies/${token}`;
+}
+
+/**
+ * Picks the ledger filters from the query string.
+ */
+function ledgerQuery(query) {
+  const { lead, contact, action, channel, source, from, to } = query;
+  return { lead, contact, action, channel, source, from, to };
+}
+
+// GET /api/consent - List ledger records, newest first
+// Query: lead (records of the lead and of its numbers and address), contact, action (opt_in, opt_out),
+// channel, source, from, to (dates), limit (default 100, max 500), skip
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { records, total } = await consentService.listRecords(req.userId, {
+      ...ledgerQuery(req.query),
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500),
+      skip: Math.max(parseInt(req.query.skip, 10) || 0, 0)
+    });
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      total,
+      data: records
+    });
+  } catch (error) {
+    handleError(res, error, 'retrieving consent records');
+  }
+});
+
+// GET /api/consent/export - Download the ledger for legal review, oldest first
+// Query: format=csv|ndjson plus the filters of GET /api/consent
+router.get('/export', authenticate, async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!consentService.isSupportedFormat(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'UNSUPPORTED_FORMAT',
+        message: 'Export format must be csv or ndjson.'
+      }
+    });
+  }
+
+  try {
+    await consentService.streamExport(res, req.userId, ledgerQuery(req.query), format);
+  } catch (error) {
+    // Once streaming has started the status line is gone; all we can do is end the response.
+    if (res.headersSent) {
+      console.error('Error exporting the consent ledger:', error);
+      return res.end();
+    }
+    handleError(res, error, 'exporting the consent ledger');
+  }
+});
+
+// POST /api/consent/status - Current consent of numbers and addresses
+// Body: { contacts: [...], channel (call, sms or email) }
+router.post('/status', authenticate, async (req, res) => {
+  const { contacts, channel } = req.body;
+  if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'contacts must be an array of 1 to 1000 phone numbers or email addresses.'
+      }
+    });
+  }
+
+  try {
+    const scope = await consentService.getScope(req.userId);
+    const statuses = await consentService.getStatuses(scope, contacts, channel);
+    res.status(200).json({
+      success: true,
+      data: statuses
+    });
+  } catch (error) {
+    handleError(res, error, 'checking consent');
+  }
+});
+
+// POST /api/consent - Record consent given or withdrawn
+// Body: one record or { records: [...] }, each { contact, contactType (phone or email, optional), action
+// (opt_in, opt_out), channel (call, sms, email, all), source (web_form, manual (default), import, api),
+// consentLanguage, message, recordedAt, lead, ipAddress and userAgent (of the contact, e.g. on a web form;
+// default the request's) }
+router.post('/', authenticate, async (req, res) => {
+  const entries = Array.isArray(req.body.records) ? req.body.records : [req.body];
+  if (entries.length === 0 || entries.length > MAX_RECORDS_PER_REQUEST) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `records must hold 1 to ${MAX_RECORDS_PER_REQUEST} records.`
+      }
+    });
+  }
+
+  try {
+    const { count, scope } = await consentService.recordForUser(req.userId, entries, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    // Leads with these numbers are flagged, or cleared, without waiting for the next scrub
+    const phones = entries
+      .map(entry => consentService.normalizeContact(entry.contact, entry.contactType))
+      .filter(contact => contact && contact.contactType === 'phone')
+      .map(contact => contact.contact);
+    suppressionService.rescrubPhonesInBackground(scope, phones);
+
+    res.status(201).json({
+      success: true,
+      message: `${count} consent records added.`,
+      data: { recorded: count }
+    });
+  } catch (error) {
+    handleError(res, error, 'recording consent');
+  }
+});
+
+// POST /api/consent/sms-webhook - Get the URL the SMS provider should post inbound replies to
+// Body: { rotate } - replace the secret in the URL, so that the old URL stops working
+router.post('/sms-webhook', authenticate, async (req, res) => {
+  try {
+    const token = await consentService.getWebhookToken(req.userId, { rotate: req.body.rotate === true });
+    res.status(200).json({
+      success: true,
+      message: 'Set this URL as the inbound message webhook of your SMS provider. Keep it private.',
+      data: { url: webhookUrl(req, token) }
+    });
+  } catch (error) {
+    handleError(res, error, 'creating the SMS reply webhook');
+  }
+});
+
+// DELETE /api/consent/sms-webhook - Turn off the SMS reply webhook
+router.delete('/sms-webhook', authenticate, async (req, res) => {
+  try {
+    const revoked = await consentService.revokeWebhook(req.userId);
+    res.status(200).json({
+      success: true,
+      message: revoked ? 'SMS reply webhook turned off.' : 'No SMS reply webhook was active.'
+    });
+  } catch (error) {
+    handleError(res, error, 'turning off the SMS reply webhook');
+  }
+});
+
+// POST /api/consent/sms-replies/:token - Inbound SMS reply from the provider, authenticated by the
+// secret in the URL. Body (JSON or form): From/from and Body/body/text
+router.post('/sms-replies/:token', async (req, res) => {
+  try {
+    const reply = await consentService.handleSmsReply(req.params.token, {
+      from: req.body.From || req.body.from,
+      body: req.body.Body || req.body.body || req.body.text,
+      ipAddress: req.ip
+    });
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Unknown webhook.'
+        }
+      });
+    }
+    if (reply.action) {
+      suppressionService.rescrubPhonesInBackground(reply.scope, [reply.phone]);
+    }
+
+    // An empty TwiML document, so that providers expecting one send no reply of their own
+    res.set('Content-Type', 'text/xml');
+    res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  } catch (error) {
+    handleError(res, error, 'recording the SMS reply');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Custom Field Routes
+ * The custom fields an organization defines for its leads, mounted at
+ * /api/leads/custom-fields. Values are stored in lead.customFields.
+ */
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const leadFieldService = require('../services/leadFieldService');
+
+// GET /api/leads/custom-fields - Custom fields that apply to the user's leads
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        types: Organization.CUSTOM_FIELD_TYPES,
+        fields: await leadFieldService.getCustomFieldsForUser(req.userId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving custom fields.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/custom-fields - Replace the organization's custom fields (organization admins only)
+// Body: { fields: [{ key, label, type: text|number|date|select, options, required }] }
+router.put('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_ORGANIZATION',
+          message: 'Custom fields are configured per organization. Join or create an organization first.'
+        }
+      });
+    }
+
+    if (!organization.isAdmin(req.userId) && organization.owner.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only organization admins can change custom fields.'
+        }
+      });
+    }
+
+    const fields = await leadFieldService.saveCustomFields(organization, req.body.fields);
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom fields updated.',
+      data: { fields }
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CUSTOM_FIELDS',
+          message: error.message
+        }
+      });
+    }
+    console.error('Error updating custom fields:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating custom fields.'
+      }
+    });
+  }
+});
+
+module.exports = router;
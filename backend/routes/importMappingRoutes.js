@@ -0,0 +1,221 @@
+/**
+ * Import Mapping Routes
+ * Saved column-mapping templates for lead imports, mounted at /api/leads/mappings.
+ * Templates are private to their creator unless shared with the creator's organization.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ImportMapping = require('../models/ImportMapping');
+const { authenticate } = require('../middleware/auth');
+const { validateMapping } = require('../utils/columnMapper');
+const { getOrganizationId } = require('../utils/accountHelpers');
+
+/**
+ * Sends the 400 response used for malformed template IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid mapping template ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a template is missing or not visible to the user.
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Mapping template not found or you do not have permission to access it.'
+    }
+  });
+}
+
+/**
+ * Picks the editable template fields from a request body.
+ * `shared: true` shares the template with the creator's organization.
+ */
+async function buildTemplateData(body, userId) {
+  const data = {};
+  ['name', 'description', 'vendor'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  if (body.rules !== undefined) {
+    data.rules = validateMapping(body.rules);
+  }
+  if (body.shared !== undefined) {
+    data.organization = body.shared ? await getOrganizationId(userId) : null;
+  }
+  return data;
+}
+
+/**
+ * Sends the error response for a failed create or update.
+ */
+function sendSaveError(res, error, action) {
+  if (error.statusCode === 400 || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_MAPPING',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action} mapping template:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action} the mapping template.`
+    }
+  });
+}
+
+// GET /api/leads/mappings - List templates visible to the user (own and organization-shared)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const templates = await ImportMapping.findVisibleTo(req.userId, organizationId)
+      .sort({ lastUsedAt: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching mapping templates:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving mapping templates.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/mappings - Save a new template ({ name, description, vendor, rules, shared })
+router.post('/', authenticate, async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Template name is required.'
+      }
+    });
+  }
+
+  try {
+    const data = await buildTemplateData(req.body, req.userId);
+    const template = await ImportMapping.create({ ...data, user: req.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Mapping template saved.',
+      data: template
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'saving');
+  }
+});
+
+// GET /api/leads/mappings/:id - Get a single template
+router.get('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const template = await ImportMapping.findVisibleTo(req.userId, organizationId)
+      .findOne({ _id: req.params.id });
+
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error(`Error fetching mapping template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the mapping template.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/mappings/:id - Update a template (creator only)
+router.put('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const data = await buildTemplateData(req.body, req.userId);
+    const template = await ImportMapping.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Mapping template updated.',
+      data: template
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+});
+
+// DELETE /api/leads/mappings/:id - Delete a template (creator only)
+router.delete('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const template = await ImportMapping.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Mapping template deleted.',
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error(`Error deleting mapping template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while deleting the mapping template.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -20,6 +20,12 @@ const propertyAnalysisRoutes = require('./propertyAnalysisRoutes');
 const firecrawlRoutes = require('./firecrawl');
 const verificationRoutes = require('./verificationRoutes');
 const subscriptionRoutes = require('./subscriptionRoutes');
+const pipelineRoutes = require('./pipelineRoutes');
+const taskRoutes = require('./taskRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const suppressionListRoutes = require('./suppressionListRoutes');
+const consentRoutes = require('./consentRoutes');
+const usageRoutes = require('./usageRoutes');
 
 // Register routes with their base paths
 router.use('/auth', authRoutes);
@@ -32,6 +38,12 @@ router.use('/property-analysis', propertyAnalysisRoutes);
 router.use('/firecrawl', firecrawlRoutes);
 router.use('/verify', verificationRoutes);
 router.use('/subscriptions', subscriptionRoutes);
+router.use('/pipeline', pipelineRoutes);
+router.use('/tasks', taskRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/suppression-lists', suppressionListRoutes);
+router.use('/consent', consentRoutes);
+router.use('/usage', usageRoutes);
 
 // Add base routes
 router.get('/', (req, res) => {
@@ -50,9 +62,6 @@ const notImplemented = (req, res) => {
 };
 
 // Placeholder routes
-router.post('/leads/import', notImplemented);
-router.get('/leads/export', notImplemented);
-
 router.get('/users/me', notImplemented);
 router.put('/users/me', notImplemented);
 router.put('/users/me/password', notImplemented);
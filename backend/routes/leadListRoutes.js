@@ -0,0 +1,308 @@
+/**
+ * Lead List Routes
+ * Named static lists of leads, mounted at /api/leads/lists. A lead can belong to
+ * several lists; the leads of a list are listed with GET /api/leads?list=<id>.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadList = require('../models/LeadList');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+
+/**
+ * Sends the 400 response used for malformed list IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid list ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a list is missing or belongs to another user.
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'List not found or you do not have permission to access it.'
+    }
+  });
+}
+
+/**
+ * Sends the error response for a failed create or update.
+ */
+function sendSaveError(res, error, action) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_LIST',
+        message: 'You already have a list with this name.'
+      }
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action} lead list:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action} the list.`
+    }
+  });
+}
+
+/**
+ * Counts the user's leads in each of the given lists.
+ * @returns {Promise<Map<string, number>>} Lead counts by list ID
+ */
+async function countLeads(userId, listIds) {
+  const counts = await Lead.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), lists: { $in: listIds } } },
+    { $unwind: '$lists' },
+    { $match: { lists: { $in: listIds } } },
+    { $group: { _id: '$lists', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+}
+
+/**
+ * Reads and checks the leadIds of a membership request.
+ * @returns {Array<string>|null} Lead IDs, or null if the body is malformed
+ */
+function readLeadIds(body) {
+  const leadIds = Array.isArray(body.leadIds) ? body.leadIds.map(String) : null;
+  if (!leadIds || leadIds.length === 0 || leadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+  return leadIds;
+}
+
+/**
+ * Sends the 400 response for a malformed leadIds array.
+ */
+function invalidLeadIds(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'leadIds must be a non-empty array of lead IDs.'
+    }
+  });
+}
+
+// GET /api/leads/lists - List the user's lead lists with their lead counts
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const lists = await LeadList.find({ user: req.userId }).sort({ name: 1 }).lean();
+    const counts = await countLeads(req.userId, lists.map(list => list._id));
+
+    res.status(200).json({
+      success: true,
+      data: lists.map(list => ({ ...list, leadCount: counts.get(list._id.toString()) || 0 }))
+    });
+  } catch (error) {
+    console.error('Error fetching lead lists:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving lists.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/lists - Create a list ({ name, description })
+router.post('/', authenticate, async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'List name is required.'
+      }
+    });
+  }
+
+  try {
+    const list = await LeadList.create({
+      name: req.body.name,
+      description: req.body.description,
+      user: req.userId,
+      organization: await getOrganizationId(req.userId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'List created.',
+      data: { ...list.toObject(), leadCount: 0 }
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'creating');
+  }
+});
+
+// GET /api/leads/lists/:id - Get a single list with its lead count
+router.get('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const list = await LeadList.findOne({ _id: req.params.id, user: req.userId }).lean();
+    if (!list) {
+      return notFound(res);
+    }
+    const counts = await countLeads(req.userId, [list._id]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...list, leadCount: counts.get(list._id.toString()) || 0 }
+    });
+  } catch (error) {
+    console.error(`Error fetching lead list ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the list.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/lists/:id - Rename or describe a list
+router.put('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const data = {};
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const list = await LeadList.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+    if (!list) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'List updated.',
+      data: list
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+});
+
+// DELETE /api/leads/lists/:id - Delete a list; its leads are kept and only lose the membership
+router.delete('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const list = await LeadList.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!list) {
+      return notFound(res);
+    }
+    await Lead.updateMany({ user: req.userId, lists: list._id }, { $pull: { lists: list._id } })
+      .setOptions({ includeDeleted: true, auditSummary: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'List deleted.',
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error(`Error deleting lead list ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while deleting the list.'
+      }
+    });
+  }
+});
+
+/**
+ * Builds the handler adding leads to (or removing them from) a list.
+ * Only the user's own leads are touched; the response counts the leads matched and changed.
+ */
+function updateMembership(adding) {
+  return async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res);
+    }
+    const leadIds = readLeadIds(req.body);
+    if (!leadIds) {
+      return invalidLeadIds(res);
+    }
+
+    try {
+      const list = await LeadList.findOne({ _id: req.params.id, user: req.userId });
+      if (!list) {
+        return notFound(res);
+      }
+
+      const result = await Lead.updateMany(
+        { _id: { $in: leadIds }, user: req.userId },
+        adding ? { $addToSet: { lists: list._id } } : { $pull: { lists: list._id } }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: adding ? 'Leads added to the list.' : 'Leads removed from the list.',
+        data: {
+          matched: result.matchedCount,
+          modified: result.modifiedCount
+        }
+      });
+    } catch (error) {
+      console.error(`Error updating members of lead list ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'An unexpected error occurred while updating the list.'
+        }
+      });
+    }
+  };
+}
+
+// POST /api/leads/lists/:id/leads - Add leads to a list ({ leadIds })
+router.post('/:id/leads', authenticate, updateMembership(true));
+
+// DELETE /api/leads/lists/:id/leads - Remove leads from a list ({ leadIds })
+router.delete('/:id/leads', authenticate, updateMembership(false));
+
+module.exports = router;
@@ -1,14 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
+const ImportMapping = require('../models/ImportMapping');
+const ImportJob = require('../models/ImportJob');
+const SavedSearch = require('../models/SavedSearch');
 const { authenticate } = require('../middleware/auth');
-const { needsSplitting, splitExcelFile, cleanupSplitFiles } = require('../utils/fileSplitter');
+const { toList } = require('../utils/leadQuery');
+const { readRawRows } = require('../utils/leadFileParser');
+const { applyMapping, suggestMappings, validateMapping } = require('../utils/columnMapper');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { BadRequestError, ValidationError } = require('../utils/errors');
+const leadExportService = require('../services/leadExportService');
+const importJobService = require('../services/importJobService');
+const importReportService = require('../services/importReportService');
+const pipelineService = require('../services/pipelineService');
+const leadTimelineService = require('../services/leadTimelineService');
+const leadFieldService = require('../services/leadFieldService');
+const leadSearchService = require('../services/leadSearchService');
+const leadAccessService = require('../services/leadAccessService');
+const leadAssignmentService = require('../services/leadAssignmentService');
+const importMappingRoutes = require('./importMappingRoutes');
+const leadListRoutes = require('./leadListRoutes');
+const customFieldRoutes = require('./customFieldRoutes');
+const savedSearchRoutes = require('./savedSearchRoutes');
+const bulkActionRoutes = require('./bulkActionRoutes');
+const assignmentRuleRoutes = require('./assignmentRuleRoutes');
+const leadTrashRoutes = require('./leadTrashRoutes');
+const leadTrashService = require('../services/leadTrashService');
+const taskService = require('../services/taskService');
+const suppressionService = require('../services/suppressionService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -48,17 +72,106 @@ const upload = multer({
   }
 });
 
-// GET /api/leads - Get all leads for the authenticated user
+// Lead fields a client may set on update. The status goes through the pipeline, and tags,
+// custom fields, lists and the assignee through resolveLeadFields; ownership, the trash,
+// duplicate links, match keys and verification results are only changed by the server.
+const UPDATABLE_LEAD_FIELDS = [
+  'fullName', 'firstName', 'lastName', 'company', 'email', 'phone', 'phoneNumbers',
+  'address', 'city', 'zipCode', 'county', 'state', 'notes', 'offerAmount', 'score'
+];
+
+/**
+ * Builds the filter and sort of a lead listing or export from the query string
+ * (see leadSearchService.buildQuery), and records the use of a saved search.
+ */
+async function buildLeadQuery(req) {
+  const { filter, sort, savedSearch } = await leadSearchService.buildQuery(req.userId, req.query);
+  if (savedSearch) {
+    await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return { filter, sort };
+}
+
+/**
+ * Validates the tags, custom fields, lists and assignee present in a lead create or update body.
+ * Custom field values are merged over `existingCustomFields`; with `requireCustomFields`
+ * they are validated even when absent, so required fields are enforced on create.
+ * @returns {Promise<Object>} The fields to set on the lead
+ * @throws {ValidationError} 422 with details keyed by tags, customFields, lists or assignedTo.
+ */
+async function resolveLeadFields(body, userId, { existingCustomFields, requireCustomFields = false } = {}) {
+  const fields = {};
+
+  if (body.tags !== undefined) {
+    fields.tags = leadFieldService.normalizeTags(body.tags);
+  }
+  if (body.customFields !== undefined || requireCustomFields) {
+    const definitions = await leadFieldService.getCustomFieldsForUser(userId);
+    fields.customFields = leadFieldService.validateCustomFields(body.customFields, definitions, existingCustomFields);
+  }
+  if (body.lists !== undefined) {
+    fields.lists = await leadFieldService.resolveLists(body.lists || [], userId);
+  }
+  if (body.assignedTo !== undefined) {
+    try {
+      fields.assignedTo = await leadAssignmentService.resolveAssignee(body.assignedTo, userId);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      throw new ValidationError('Invalid assignee.', { assignedTo: error.message });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Whether an error was raised by resolveLeadFields.
+ */
+function isLeadFieldError(error) {
+  return error.statusCode === 422 && Boolean(error.errors) &&
+    ['tags', 'customFields', 'lists', 'assignedTo'].some(field => error.errors[field]);
+}
+
+/**
+ * Sends the 422 response for invalid tags, custom field values, lists or assignees.
+ */
+function sendLeadFieldError(res, error) {
+  return res.status(422).json({
+    success: false,
+    error: {
+      code: 'INVALID_LEAD_FIELDS',
+      message: error.message,
+      details: error.errors
+    }
+  });
+}
+
+// GET /api/leads - Get all leads visible to the authenticated user (see leadAccessService)
+// Accepts the filters understood by buildLeadFilter (status, score range, source, county, date range,
+// tags, list membership, assignee, owner and cf.<key> custom fields) and sort=field,-field (custom fields as cf.<key>).
+// where=<expression> adds a compound filter (see utils/leadQueryLanguage.js), search=<text> a full-text
+// search over name, address and notes, and savedSearch=<id> runs a saved search. Each lead carries nextTask.
 router.get('/', authenticate, async (req, res) => {
   try {
-    // Fetch leads specifically associated with the authenticated user's ID
-    const leads = await Lead.findByUserId(req.userId);
+    // Fetch the leads visible to the authenticated user that match the filters
+    const { filter, sort } = await buildLeadQuery(req);
+    const leads = await Lead.find(filter).sort(sort);
+    // Each lead carries its next open follow-up task (or null)
+    const nextTasks = await taskService.getNextTasks(leads.map(lead => lead._id));
     res.status(200).json({
       success: true,
       message: 'Leads retrieved successfully.',
-      data: leads
+      data: leads.map(lead => ({ ...lead.toJSON(), nextTask: nextTasks.get(lead._id.toString()) || null }))
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILTER',
+          message: error.message
+        }
+      });
+    }
     // Log the detailed error for server-side diagnostics
     console.error('Error fetching leads:', error);
     // Send a standardized error message to the client
@@ -72,134 +185,303 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/leads/tags - Tags used on the leads visible to the user, with the number of leads carrying each
+router.get('/tags', authenticate, async (req, res) => {
+  try {
+    const tags = await Lead.aggregate([
+      { $match: await leadAccessService.scopeFilter(req.userId) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: tags.map(tag => ({ tag: tag._id, count: tag.count }))
+    });
+  } catch (error) {
+    console.error('Error fetching lead tags:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving tags.'
+      }
+    });
+  }
+});
+
+// GET /api/leads/export - Stream leads matching the listing filters as CSV, XLSX or NDJSON
+// Query: format=csv|xlsx|ndjson, columns=comma separated list of (dot-notation) columns, plus the
+// listing's filter, where, search, savedSearch and sort parameters, and callable=true to leave out
+// numbers on a DNC or litigator list or opted out in the consent ledger, and leads without any other number
+router.get('/export', authenticate, async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!leadExportService.isSupportedFormat(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'UNSUPPORTED_FORMAT',
+        message: 'Export format must be one of csv, xlsx or ndjson.'
+      }
+    });
+  }
+
+  try {
+    const { filter, sort } = await buildLeadQuery(req);
+    const columns = req.query.columns ? toList(req.query.columns) : null;
+
+    const callable = req.query.callable === 'true';
+
+    await leadExportService.streamExport(res, { filter, format, columns, sort, callable });
+  } catch (error) {
+    console.error('Error exporting leads:', error);
+
+    // Once streaming has started the status line is gone; all we can do is end the response.
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILTER',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXPORT_ERROR',
+        message: 'An unexpected error occurred while exporting leads.'
+      }
+    });
+  }
+});
+
 /**
- * Standardizes lead data from various potential input column names.
- * It looks for common variations of field names (e.g., 'Full Name', 'Owner Full Name')
- * and maps them to a consistent internal structure.
- * Also collects multiple phone numbers into an array.
- * @param {object} row - A row object from the parsed CSV or Excel file.
- * @returns {object} - A standardized lead data object.
+ * Removes an uploaded file that will not be handed to an import job.
+ * @param {string} filePath - Path to the uploaded file.
  */
-function mapColumnNames(row) {
-  // Preserve the original row data for reference or future use.
-  const rawData = { ...row };
-  
-  // Initialize the standardized lead data structure.
-  const leadData = {
-    fullName: '',
-    firstName: '',
-    lastName: '',
-    address: '',
-    phoneNumbers: [],
-    primaryPhone: '',
-    email: '',
-    county: '',
-    state: '',
-    rawData: rawData
-  };
-  
-  // Name mapping
-  leadData.fullName = row['Owner Full Name'] || row['Full Name'] || row['Name'] || row['name'] || '';
-  leadData.firstName = row['Owner First Name'] || row['First Name'] || row['firstName'] || '';
-  leadData.lastName = row['Owner Last Name'] || row['Last Name'] || row['lastName'] || '';
-  
-  // If we have first and last but no full name, create it
-  if (!leadData.fullName && (leadData.firstName || leadData.lastName)) {
-    leadData.fullName = `${leadData.firstName} ${leadData.lastName}`.trim();
+function removeUploadedFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (err) {
+    // Log cleanup errors but don't let them crash the response.
+    console.error('Error deleting uploaded file:', err);
   }
-  
-  // Address mapping
-  leadData.address = row['Property Address'] || row['Address'] || row['address'] || '';
-  
-  // County and State mapping
-  leadData.county = row['County Name'] || row['County'] || row['county'] || '';
-  leadData.state = row['State'] || row['state'] || '';
-  
-  // Email mapping - ensure it's never undefined
-  leadData.email = row['Email'] || row['email'] || row['Email Address'] || 'no-email@example.com';
-  
-  // Phone number mapping - collect all possible phone numbers
-  const phoneFields = [
-    'Phone', 'phone', 'Phone Number', 'phoneNumber',
-    'Wireless 1', 'Wireless 2', 'Wireless 3', 'Wireless 4', 'Wireless 5',
-    'Landline 1', 'Landline 2', 'Landline 3', 'Landline 4', 'Landline 5'
-  ];
-  
-  phoneFields.forEach(field => {
-    if (row[field] && row[field].trim() !== '') {
-      leadData.phoneNumbers.push(row[field].trim());
+}
+
+/**
+ * Resolves the column mapping requested for an import or preview.
+ * Accepts `mappingId` (a saved template visible to the user) or `mapping`
+ * (rules as an array, or a JSON string when sent as a multipart field).
+ * @returns {Promise<{mapping: (Array|undefined), mappingTemplate: (ObjectId|undefined)}>}
+ * @throws {BadRequestError} If the template is unknown or the rules are malformed.
+ */
+async function resolveImportMapping(req) {
+  const { mappingId } = req.body;
+  let { mapping } = req.body;
+
+  if (mappingId) {
+    if (!mongoose.Types.ObjectId.isValid(mappingId)) {
+      throw new BadRequestError('Invalid mapping template ID format.');
     }
-  });
-  
-  // Set primary phone (first available phone number)
-  if (leadData.phoneNumbers.length > 0) {
-    leadData.primaryPhone = leadData.phoneNumbers[0];
+    const organizationId = await getOrganizationId(req.userId);
+    const template = await ImportMapping.findVisibleTo(req.userId, organizationId)
+      .findOne({ _id: mappingId });
+    if (!template) {
+      throw new BadRequestError('Mapping template not found.');
+    }
+
+    template.lastUsedAt = new Date();
+    await template.save();
+    return { mapping: template.rules.map(rule => rule.toObject()), mappingTemplate: template._id };
   }
-  
-  return leadData;
+
+  if (!mapping) {
+    return {};
+  }
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new BadRequestError('Mapping must be valid JSON.');
+    }
+  }
+  return { mapping: validateMapping(mapping) };
 }
 
 /**
- * Parses a CSV file stream and standardizes lead data.
- * Uses the 'csv-parser' library to handle streaming and parsing.
- * @param {string} filePath - Path to the CSV file.
- * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ * Reads the duplicate handling requested for an import.
+ * `duplicatePolicy`: skip (default), overwrite, merge or keep_both.
+ * `duplicateScope`: user (default) or organization.
+ * @returns {{duplicatePolicy: string, duplicateScope: string}}
+ * @throws {BadRequestError} If either value is not recognized.
  */
-function parseCsvFile(filePath) {
-  return new Promise((resolve, reject) => {
-    // Array to accumulate the processed lead data.
-    const leadsToInsert = [];
-
-    fs.createReadStream(filePath)
-      // Pipe the stream through csv-parser to convert CSV rows to objects.
-      .pipe(csv())
-      .on('data', (row) => {
-        // For each row (data event), standardize the column names.
-        const leadData = mapColumnNames(row);
-        leadsToInsert.push(leadData);
-      })
-      // When the stream ends, resolve the promise with the collected leads.
-      .on('end', () => {
-        resolve(leadsToInsert);
-      })
-      // If an error occurs during streaming or parsing, reject the promise.
-      .on('error', (error) => {
-        reject(error);
-      });
+function resolveDuplicateOptions(req) {
+  const duplicatePolicy = req.body.duplicatePolicy || 'skip';
+  const duplicateScope = req.body.duplicateScope || 'user';
+
+  if (!ImportJob.DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    throw new BadRequestError(`duplicatePolicy must be one of ${ImportJob.DUPLICATE_POLICIES.join(', ')}.`);
+  }
+  if (!ImportJob.DUPLICATE_SCOPES.includes(duplicateScope)) {
+    throw new BadRequestError(`duplicateScope must be one of ${ImportJob.DUPLICATE_SCOPES.join(', ')}.`);
+  }
+  return { duplicatePolicy, duplicateScope };
+}
+
+/**
+ * Resolves every import option in the request (mapping and duplicate handling).
+ */
+async function resolveImportOptions(req) {
+  const duplicateOptions = resolveDuplicateOptions(req);
+  const mappingOptions = await resolveImportMapping(req);
+  return { ...mappingOptions, ...duplicateOptions };
+}
+
+/**
+ * Sends the 400 response for import options that could not be resolved.
+ */
+function sendInvalidImportOptions(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_IMPORT_OPTIONS',
+      message: error.message
+    }
   });
 }
 
+// Failed rows returned inline by a dry run; the CSV report always has every row
+const DRY_RUN_MAX_INLINE_ERRORS = 1000;
+
 /**
- * Parses an Excel file and standardizes lead data.
- * Uses the 'xlsx' library to handle file reading and conversion.
- * @param {string} filePath - Path to the Excel file.
- * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ * Whether the request asks for a dry run (dryRun=true as a query or body field).
  */
-function parseExcelFile(filePath) {
-  return new Promise((resolve, reject) => {
-    try {
-      // Use xlsx library to read the file content.
-      const workbook = xlsx.readFile(filePath);
-      // Assume data is in the first sheet.
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+function isDryRun(req) {
+  return String(req.query.dryRun || req.body.dryRun || '').toLowerCase() === 'true';
+}
 
-      // Convert the sheet to an array of JavaScript objects. 'defval: ''' handles empty cells.
-      const jsonData = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+/**
+ * Validates a file as an import would, without writing anything, and responds with the
+ * summary counts and the row-level error report. reportFormat=csv downloads the report.
+ * The file is always removed afterwards.
+ */
+async function sendDryRun(req, res, { filePath, originalFilename, source, importOptions }) {
+  try {
+    const { summary, errors } = await importJobService.dryRun({
+      userId: req.userId,
+      filePath,
+      originalFilename,
+      source,
+      ...importOptions
+    });
 
-      // Apply the column name standardization to each row.
-      const leadsToInsert = jsonData.map(row => mapColumnNames(row));
+    if (String(req.query.reportFormat || req.body.reportFormat || '').toLowerCase() === 'csv') {
+      return await importReportService.writeErrorReport(res, errors, 'import-dry-run-errors.csv');
+    }
 
-      // Resolve the promise with the array of processed lead data.
-      resolve(leadsToInsert);
-    } catch (error) {
-      // If any error occurs during file reading or parsing, reject the promise.
-      reject(error);
+    res.status(200).json({
+      success: true,
+      message: 'Dry run completed. No leads were written.',
+      data: {
+        dryRun: true,
+        summary,
+        errors: errors.slice(0, DRY_RUN_MAX_INLINE_ERRORS),
+        errorsTruncated: errors.length > DRY_RUN_MAX_INLINE_ERRORS
+      }
+    });
+  } catch (error) {
+    console.error('Error running import dry run:', error);
+    if (res.headersSent) {
+      return res.end();
     }
-  });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FILE_PROCESSING_ERROR',
+        message: 'Error processing file upload.',
+        details: error.message
+      }
+    });
+  } finally {
+    removeUploadedFile(filePath);
+  }
 }
 
-// POST /api/leads/upload - Handles uploading, parsing, (optional) splitting, and saving leads.
+/**
+ * Creates an import job for the uploaded file and starts it in the background.
+ * Responds immediately with 202 and the job summary; clients poll GET /api/leads/imports/:jobId.
+ */
+async function queueFileImport(req, res) {
+  let importOptions;
+  try {
+    importOptions = await resolveImportOptions(req);
+  } catch (error) {
+    removeUploadedFile(req.file.path);
+    if (error.statusCode === 400) {
+      return sendInvalidImportOptions(res, error);
+    }
+    console.error('Error resolving import mapping:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while loading the mapping template.'
+      }
+    });
+  }
+
+  if (isDryRun(req)) {
+    return sendDryRun(req, res, {
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      importOptions
+    });
+  }
+
+  try {
+    const job = await importJobService.createJob({
+      userId: req.userId,
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      ...importOptions
+    });
+    importJobService.start(job);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started. Poll the job for progress.',
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error('Error creating import job:', error);
+    removeUploadedFile(req.file.path);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FILE_PROCESSING_ERROR',
+        message: 'Error processing file upload.',
+        details: error.message
+      }
+    });
+  }
+}
+
+// POST /api/leads/upload - Uploads a CSV or Excel file and imports its leads in a background job.
+// Optional multipart fields: mappingId (saved template) or mapping (JSON rules); columns are guessed otherwise.
+// duplicatePolicy (skip|overwrite|merge|keep_both) and duplicateScope (user|organization) control
+// how rows matching existing leads are handled; see GET /api/leads/imports/:jobId/matches for the report.
+// dryRun=true validates the whole file and returns the error report without writing anything
+// (reportFormat=csv downloads it); failed rows of real imports are at GET /api/leads/imports/:jobId/errors.
 router.post('/upload', authenticate, upload.single('file'), async (req, res) => {
   // Check if multer middleware successfully processed a file.
   if (!req.file) {
@@ -212,111 +494,414 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
     });
   }
 
-  // Store file path and original name for processing and cleanup.
-  const filePath = req.file.path;
-  const originalFilename = req.file.originalname;
-  // Initially, assume we process the single uploaded file.
-  let filesToProcess = [filePath];
-  // Flag to track if splitting occurred, for cleanup purposes.
-  let splitFiles = false;
+  return queueFileImport(req, res);
+});
+
+// POST /api/leads/import - Imports leads from an uploaded file or a JSON array in the body ({ leads: [...] }).
+router.post('/import', authenticate, upload.single('file'), async (req, res) => {
+  if (req.file) {
+    return queueFileImport(req, res);
+  }
+
+  const rows = req.body.leads;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_LEADS_PROVIDED',
+        message: 'Provide a file upload or a non-empty "leads" array.'
+      }
+    });
+  }
 
   try {
-    // Determine file type for parsing logic.
-    const fileExt = path.extname(originalFilename).toLowerCase();
-
-    // Check if the file (Excel only) needs splitting based on size or row count.
-    if ((fileExt === '.xlsx' || fileExt === '.xls') && await needsSplitting(filePath)) {
-      console.log(`File ${originalFilename} is large. Splitting into smaller chunks.`);
-      // If splitting is needed, replace filesToProcess with the paths to the chunks.
-      filesToProcess = await splitExcelFile(filePath);
-      // Set the flag if multiple chunk files were created.
-      splitFiles = filesToProcess.length > 1;
-    }
-
-    // Counter for the total number of leads successfully inserted.
-    let totalLeadsInserted = 0;
-
-    // Loop through the files (original file or multiple chunks).
-    for (const currentFile of filesToProcess) {
-      let leadsToInsert = [];
-
-      // Select the appropriate parser based on the file extension.
-      if (fileExt === '.csv') {
-        leadsToInsert = await parseCsvFile(currentFile);
-      } else if (fileExt === '.xlsx' || fileExt === '.xls') {
-        leadsToInsert = await parseExcelFile(currentFile);
-      } else {
-        // This should theoretically not be reached due to multer fileFilter, but handle defensively.
-        throw new Error('Unsupported file format');
-      }
-
-      // Enrich each lead object with the user ID, default status, and score.
-      leadsToInsert = leadsToInsert.map(lead => ({
-        ...lead,
-        user: req.userId, // Associate lead with the logged-in user
-        status: 'pending', // Initial status
-        score: 0, // Initial score
-        phone: lead.primaryPhone || '' // Map primaryPhone to the phone field required by schema
-      }));
+    const importOptions = await resolveImportOptions(req);
+
+    if (isDryRun(req)) {
+      return sendDryRun(req, res, {
+        filePath: await importJobService.writeRowsFile(rows),
+        originalFilename: 'import.json',
+        source: 'api',
+        importOptions
+      });
+    }
+
+    const job = await importJobService.createJobFromRows(req.userId, rows, importOptions);
+    importJobService.start(job);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started. Poll the job for progress.',
+      data: job.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return sendInvalidImportOptions(res, error);
+    }
+    console.error('Error creating import job:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'IMPORT_ERROR',
+        message: 'An unexpected error occurred while starting the import.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/imports/preview - Preview the first rows of a file before importing it
+// Returns the headers, raw rows and suggested mapping rules. With mappingId or mapping,
+// also returns the rows as they would be imported. Query: rows (default 10, max 100).
+router.post('/imports/preview', authenticate, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_FILE_UPLOADED',
+        message: 'No file uploaded.'
+      }
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.rows, 10) || 10, 1), 100);
+
+  try {
+    const { mapping, mappingTemplate } = await resolveImportMapping(req);
+    const { headers, rows, totalRows } = await readRawRows(
+      req.file.path,
+      path.extname(req.file.originalname),
+      limit
+    );
+
+    const data = {
+      originalFilename: req.file.originalname,
+      headers,
+      rows,
+      totalRows,
+      suggestedMappings: suggestMappings(headers)
+    };
+    if (mapping) {
+      data.mappingTemplate = mappingTemplate;
+      data.mappedRows = rows.map(row => {
+        const { rawData, ...lead } = applyMapping(row, mapping);
+        return lead;
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return sendInvalidImportOptions(res, error);
+    }
+    console.error('Error previewing import file:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FILE_PROCESSING_ERROR',
+        message: 'Error reading the uploaded file.',
+        details: error.message
+      }
+    });
+  } finally {
+    // The preview never imports, so the file is not kept
+    removeUploadedFile(req.file.path);
+  }
+});
+
+// GET /api/leads/imports - List the authenticated user's recent import jobs
+router.get('/imports', authenticate, async (req, res) => {
+  try {
+    const jobs = await importJobService.listJobs(req.userId);
+    res.status(200).json({
+      success: true,
+      data: jobs.map(job => job.getSummary())
+    });
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving import jobs.'
+      }
+    });
+  }
+});
 
-      // Insert leads into the database.
-      if (leadsToInsert.length > 0) {
-        // Use insertMany for efficiency, but break into smaller batches
-        // to avoid potential MongoDB BSON size limits or performance issues.
-        const batchSize = 1000;
-        for (let i = 0; i < leadsToInsert.length; i += batchSize) {
-          const batch = leadsToInsert.slice(i, i + batchSize);
-          const insertedLeads = await Lead.insertMany(batch);
-          totalLeadsInserted += batch.length;
-          console.log(`Inserted batch of ${batch.length} leads from ${path.basename(currentFile)}`);
+// GET /api/leads/imports/:jobId - Get progress of an import job
+router.get('/imports/:jobId', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid import job ID format.'
         }
+      });
+    }
+
+    const job = await importJobService.getJob(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import job not found or you do not have permission to access it.'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error(`Error fetching import job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the import job.'
       }
+    });
+  }
+});
+
+// GET /api/leads/imports/:jobId/matches - Duplicate report: which rows matched which existing leads
+// Query: page (default 1), limit (default 100, max 1000)
+router.get('/imports/:jobId/matches', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid import job ID format.'
+        }
+      });
     }
 
-    // If the file was split, clean up the temporary chunk files.
-    if (splitFiles) {
-      await cleanupSplitFiles(filesToProcess);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const report = await importJobService.listMatches(req.params.jobId, req.userId, { page, limit });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import job not found or you do not have permission to access it.'
+        }
+      });
     }
 
-    // Get the IDs of all leads for the current user to return
-    const userLeads = await Lead.find({ user: req.userId }).select('_id');
-    const leadIds = userLeads.map(lead => lead._id);
+    res.status(200).json({
+      success: true,
+      data: {
+        page,
+        limit,
+        total: report.total,
+        matches: report.matches
+      }
+    });
+  } catch (error) {
+    console.error(`Error fetching duplicate report for import job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the duplicate report.'
+      }
+    });
+  }
+});
 
-    // Send response with lead IDs for further verification
-    res.status(201).json({
+// GET /api/leads/imports/:jobId/errors - Row-level validation report of an import job
+// Query: page, limit (JSON), or format=csv to download the full report (row, field, value, reason)
+router.get('/imports/:jobId/errors', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid import job ID format.'
+        }
+      });
+    }
+
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const job = await importJobService.getJob(req.params.jobId, req.userId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Import job not found or you do not have permission to access it.'
+          }
+        });
+      }
+      return await importReportService.writeErrorReport(
+        res,
+        importReportService.errorCursor(job._id),
+        `import-${job._id}-errors.csv`
+      );
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const report = await importJobService.listErrors(req.params.jobId, req.userId, { page, limit });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import job not found or you do not have permission to access it.'
+        }
+      });
+    }
+
+    res.status(200).json({
       success: true,
-      message: 'Leads uploaded successfully.',
       data: {
-        count: totalLeadsInserted,
-        leadIds: leadIds
+        page,
+        limit,
+        total: report.total,
+        errors: report.errors
       }
     });
   } catch (error) {
-    // Catch any errors during splitting, parsing, or database insertion.
-    console.error('Error processing file upload:', error);
+    console.error(`Error fetching error report for import job ${req.params.jobId}:`, error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: {
-        code: 'FILE_PROCESSING_ERROR',
-        message: 'Error processing file upload.',
-        details: error.message
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the error report.'
       }
     });
-  } finally {
-    // Always attempt to clean up the originally uploaded file,
-    // regardless of whether splitting occurred or if there was an error.
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`Cleaned up original uploaded file: ${filePath}`);
+  }
+});
+
+// GET /api/leads/imports/:jobId/failed-rows - Download the failed rows with their original columns,
+// so they can be fixed and re-uploaded on their own
+router.get('/imports/:jobId/failed-rows', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid import job ID format.'
+        }
+      });
+    }
+
+    const job = await importJobService.getJob(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import job not found or you do not have permission to access it.'
+        }
+      });
+    }
+
+    const baseName = path.parse(job.originalFilename || 'import').name;
+    await importReportService.writeFailedRows(res, job._id, `${baseName}-failed-rows.csv`);
+  } catch (error) {
+    console.error(`Error downloading failed rows for import job ${req.params.jobId}:`, error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while downloading the failed rows.'
       }
-    } catch (err) {
-      // Log cleanup errors but don't let them crash the response.
-      console.error('Error deleting original uploaded file:', err);
+    });
+  }
+});
+
+// POST /api/leads/imports/:jobId/cancel - Cancel a queued or running import job
+router.post('/imports/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid import job ID format.'
+        }
+      });
     }
+
+    const job = await importJobService.cancel(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import job not found or you do not have permission to cancel it.'
+        }
+      });
+    }
+
+    if (job.isFinished() && !job.cancelRequested) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'JOB_FINISHED',
+          message: `Import job has already ${job.status === 'completed' ? 'completed' : 'stopped'}.`
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled'
+        ? 'Import job cancelled.'
+        : 'Cancellation requested. The job stops after the current chunk; leads already imported are kept.',
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error(`Error cancelling import job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while cancelling the import job.'
+      }
+    });
   }
 });
 
+// Saved column-mapping templates (/api/leads/mappings)
+router.use('/mappings', importMappingRoutes);
+
+// Static lead lists, the organization's custom field definitions and saved searches
+router.use('/lists', leadListRoutes);
+router.use('/custom-fields', customFieldRoutes);
+router.use('/searches', savedSearchRoutes);
+
+// Bulk actions on leads selected by IDs or filter (/api/leads/bulk)
+router.use('/bulk', bulkActionRoutes);
+
+// The organization's lead auto-assignment rule (/api/leads/assignment-rule)
+router.use('/assignment-rule', assignmentRuleRoutes);
+
+// Deleted leads awaiting restore or purge (/api/leads/trash)
+router.use('/trash', leadTrashRoutes);
+
 // POST /api/leads/verify - Verifies leads using integrated verification service
 router.post('/verify', authenticate, async (req, res) => {
   try {
@@ -324,7 +909,7 @@ router.post('/verify', authenticate, async (req, res) => {
     const verificationService = require('../utils/verificationService');
     
     // Determine which leads to verify: either specific IDs from the request body
-    // or all leads belonging to the user that are currently 'pending'.
+    // or all leads belonging to the user that are still waiting for verification.
     const leadIds = req.body.leadIds || [];
     let leadsToVerify;
 
@@ -335,9 +920,10 @@ router.post('/verify', authenticate, async (req, res) => {
         user: req.userId
       });
     } else {
-      // Find all leads for the user with 'pending' status.
+      // Find all leads for the user in the pipeline's initial stage or pending verification.
+      const pipeline = await pipelineService.getPipelineForUser(req.userId);
       leadsToVerify = await Lead.find({
-        status: 'pending',
+        status: { $in: [pipeline.initialStage, 'pending'] },
         user: req.userId
       });
     }
@@ -557,7 +1143,7 @@ router.post('/score', authenticate, async (req, res) => {
 router.post('/', authenticate, async (req, res) => {
   try {
     const leadData = req.body;
-    const { fullName, email, address, phone, company, notes, status, score, source } = leadData;
+    const { fullName, email, address, phone, company, notes, status, score, source, offerAmount } = leadData;
 
     // Basic validation
     if (!fullName || !email) {
@@ -570,6 +1156,31 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    // An explicit status must be a stage of the user's pipeline whose required fields are set;
+    // otherwise the lead starts in its initial stage
+    const pipeline = await pipelineService.getPipelineForUser(req.userId);
+    const stage = status ? String(status).trim().toLowerCase() : pipeline.initialStage;
+    if (!pipeline.getStage(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unknown pipeline stage "${status}".`
+        }
+      });
+    }
+
+    // Tags, organization custom fields, list membership and assignee
+    const leadFields = await resolveLeadFields(leadData, req.userId, { requireCustomFields: true });
+
+    // Limited members only see leads assigned to them, so their new leads start assigned to them
+    if (leadFields.assignedTo === undefined) {
+      const { role } = await leadAccessService.getAccess(req.userId);
+      if (role === 'limited') {
+        leadFields.assignedTo = req.userId;
+      }
+    }
+
     // Create the new lead associated with the authenticated user
     const newLead = new Lead({
       fullName,
@@ -578,15 +1189,21 @@ router.post('/', authenticate, async (req, res) => {
       phone: phone || '', // Ensure phone is not undefined
       company,
       notes,
-      status: status || 'pending', // Default status if not provided
+      offerAmount,
       score: score || 0,           // Default score if not provided
       source: source || 'manual',  // Default source if not provided
       user: req.userId,          // Associate lead with the authenticated user
+      organization: pipeline.organization,
       verificationStatus: 'pending', // Initial verification status
+      ...leadFields,
       // rawData: leadData // Optionally store the entire input if needed for history/debugging
     });
+    pipelineService.startLead(newLead, pipeline, stage);
+    // A lead created straight into a stage needs the fields that stage requires, as when moved there
+    pipelineService.checkRequiredFields(newLead, pipeline.getStage(stage));
 
     const savedLead = await newLead.save();
+    await suppressionService.scrubLeads([savedLead]);
 
     res.status(201).json({
       success: true,
@@ -595,6 +1212,19 @@ router.post('/', authenticate, async (req, res) => {
     });
 
   } catch (error) {
+    if (isLeadFieldError(error)) {
+      return sendLeadFieldError(res, error);
+    }
+    if (error.statusCode === 422) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'MISSING_REQUIRED_FIELDS',
+          message: error.message,
+          details: error.errors
+        }
+      });
+    }
     console.error('Error creating lead:', error);
     // Check for Mongoose validation error
     if (error.name === 'ValidationError') {
@@ -617,6 +1247,52 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/leads/:id/timeline - Activity feed of a lead, newest first
+// Merges field-level audit history, stage and score changes, notes and verification runs.
+// Query: limit (default 200, max 1000), types (comma separated event types)
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid lead ID format.'
+        }
+      });
+    }
+
+    const lead = await Lead.findOne({ _id: req.params.id, ...await leadAccessService.scopeFilter(req.userId) });
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lead not found or you do not have permission to access it.'
+        }
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const types = req.query.types ? toList(req.query.types) : undefined;
+    const events = await leadTimelineService.getTimeline(lead, { limit, types });
+
+    res.status(200).json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error(`Error fetching timeline for lead ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the lead timeline.'
+      }
+    });
+  }
+});
+
 // GET /api/leads/:id - Get a single lead by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -633,7 +1309,7 @@ router.get('/:id', authenticate, async (req, res) => {
       });
     }
 
-    const lead = await Lead.findOne({ _id: leadId, user: req.userId });
+    const lead = await Lead.findOne({ _id: leadId, ...await leadAccessService.scopeFilter(req.userId) });
 
     if (!lead) {
       return res.status(404).json({
@@ -663,10 +1339,15 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // PUT /api/leads/:id - Update an existing lead
+// A changed status moves the lead through the pipeline: the transition must be allowed and the
+// target stage's required fields set (in the lead or in this update). The response includes the
+// lead's time-in-stage metrics. Fields outside UPDATABLE_LEAD_FIELDS are ignored.
 router.put('/:id', authenticate, async (req, res) => {
   try {
     const leadId = req.params.id;
-    const updateData = req.body;
+    const updateData = Object.fromEntries(UPDATABLE_LEAD_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
 
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(leadId)) {
@@ -679,35 +1360,81 @@ router.put('/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Prevent updating the user association or _id
-    delete updateData.user;
-    delete updateData._id;
-
-    // Find the lead and ensure it belongs to the authenticated user
-    const lead = await Lead.findOneAndUpdate(
-      { _id: leadId, user: req.userId },
-      { $set: updateData },
-      { new: true, runValidators: true } // new: true returns the updated doc, runValidators ensures schema validation on update
-    );
+    // Find the lead and ensure the authenticated user can see it (owner, assignee or organization admin)
+    const access = await leadAccessService.getAccess(req.userId);
+    const lead = await Lead.findOne({ _id: leadId, ...access.filter });
 
     if (!lead) {
       return res.status(404).json({
         success: false,
         error: {
           code: 'NOT_FOUND',
-          message: 'Lead not found, you do not have permission to update it, or no changes were made.'
+          message: 'Lead not found or you do not have permission to update it.'
         }
       });
     }
 
+    // Seeing a lead is not enough to change it, as with deleting it
+    if (!leadAccessService.canEditLead(access, lead, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the lead\'s owner or an organization admin can update it.'
+        }
+      });
+    }
+
+    // Custom field values are merged into the lead's existing values
+    Object.assign(updateData, await resolveLeadFields(req.body, req.userId, {
+      existingCustomFields: lead.customFields
+    }));
+
+    const newStatus = req.body.status !== undefined ? String(req.body.status).trim().toLowerCase() : undefined;
+
+    if (newStatus !== undefined && newStatus !== lead.status) {
+      const pipeline = await pipelineService.getPipelineForUser(req.userId);
+      pipelineService.changeStage(lead, pipeline, newStatus, req.userId, updateData);
+    }
+
+    lead.set(updateData);
+    const phonesChanged = lead.isModified('phone') || lead.isModified('phoneNumbers');
+    await lead.save();
+    if (phonesChanged) {
+      await suppressionService.scrubLeads([lead]);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Lead updated successfully.',
-      data: lead
+      data: lead,
+      stageMetrics: pipelineService.getStageMetrics(lead)
     });
 
   } catch (error) {
+    if (isLeadFieldError(error)) {
+      return sendLeadFieldError(res, error);
+    }
     console.error(`Error updating lead ${req.params.id}:`, error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STAGE_TRANSITION',
+          message: error.message
+        }
+      });
+    }
+    if (error.statusCode === 422) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'MISSING_REQUIRED_FIELDS',
+          message: error.message,
+          details: error.errors
+        }
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -728,7 +1455,7 @@ router.put('/:id', authenticate, async (req, res) => {
   }
 });
 
-// DELETE /api/leads/:id - Delete a lead
+// DELETE /api/leads/:id - Move a lead to the trash (see /api/leads/trash to restore or purge it)
 router.delete('/:id', authenticate, async (req, res) => {
   try {
     const leadId = req.params.id;
@@ -744,7 +1471,7 @@ router.delete('/:id', authenticate, async (req, res) => {
       });
     }
 
-    const lead = await Lead.findOneAndDelete({ _id: leadId, user: req.userId });
+    const lead = await leadTrashService.trashLead(leadId, req.userId);
 
     if (!lead) {
       return res.status(404).json({
@@ -758,8 +1485,8 @@ router.delete('/:id', authenticate, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Lead deleted successfully.',
-      data: { id: leadId } // Confirm which lead was deleted
+      message: 'Lead moved to the trash.',
+      data: { id: leadId, deletedAt: lead.deletedAt } // Confirm which lead was deleted
     });
 
   } catch (error) {
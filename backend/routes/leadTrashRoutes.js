@@ -0,0 +1,166 @@
+/**
+ * Lead Trash Routes
+ * Deleted leads, mounted at /api/leads/trash. Trashed leads can be restored until their
+ * organization's retention period runs out, after which they are purged.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const leadTrashService = require('../services/leadTrashService');
+
+// GET /api/leads/trash - List the user's trashed leads, most recently deleted first
+// Query: page (default 1), limit (default 20, max 100). Each lead carries purgeAt.
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { leads, total, retentionDays } = await leadTrashService.listTrash(req.userId, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        page,
+        limit,
+        total,
+        retentionDays,
+        leads
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trashed leads:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the trash.'
+      }
+    });
+  }
+});
+
+// DELETE /api/leads/trash - Permanently delete every lead in the user's trash
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const deleted = await leadTrashService.emptyTrash(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: `${deleted} leads permanently deleted.`,
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while emptying the trash.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/trash/retention - Set how many days the organization keeps trashed leads
+// (organization admins only). Body: { days }
+router.put('/retention', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_ORGANIZATION',
+          message: 'Trash retention is configured per organization. Join or create an organization first.'
+        }
+      });
+    }
+
+    if (!organization.isAdmin(req.userId) && organization.owner.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only organization admins can change trash retention.'
+        }
+      });
+    }
+
+    const { min, max } = Organization.TRASH_RETENTION;
+    const days = Number(req.body.days);
+    if (!Number.isInteger(days) || days < min || days > max) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `days must be a whole number between ${min} and ${max}.`
+        }
+      });
+    }
+
+    const retentionDays = await leadTrashService.setRetentionDays(organization, days);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash retention updated.',
+      data: { retentionDays }
+    });
+  } catch (error) {
+    console.error('Error updating trash retention:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating trash retention.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/trash/:id/restore - Restore a trashed lead
+router.post('/:id/restore', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID_FORMAT',
+        message: 'Invalid lead ID format.'
+      }
+    });
+  }
+
+  try {
+    const lead = await leadTrashService.restoreLead(req.params.id, req.userId);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lead not found in your trash. It may have been restored or permanently deleted.'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead restored.',
+      data: lead
+    });
+  } catch (error) {
+    console.error(`Error restoring lead ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while restoring the lead.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Notification Routes
+ * The user's in-app notifications, such as task reminders. Mounted at /api/notifications.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+// GET /api/notifications - List the user's notifications, newest first
+// Query: unreadOnly (true/false), limit (default 20, max 100)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { notifications, unread } = await notificationService.list(req.userId, {
+      unreadOnly: req.query.unreadOnly === 'true',
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        unread,
+        notifications
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving notifications.'
+      }
+    });
+  }
+});
+
+// POST /api/notifications/read-all - Mark all of the user's notifications as read
+router.post('/read-all', authenticate, async (req, res) => {
+  try {
+    const marked = await notificationService.markRead(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: `${marked} notifications marked as read.`,
+      data: { marked }
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating notifications.'
+      }
+    });
+  }
+});
+
+// POST /api/notifications/:id/read - Mark one notification as read
+router.post('/:id/read', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID_FORMAT',
+        message: 'Invalid notification ID format.'
+      }
+    });
+  }
+
+  try {
+    const marked = await notificationService.markRead(req.userId, [req.params.id]);
+
+    res.status(200).json({
+      success: true,
+      message: marked ? 'Notification marked as read.' : 'Notification was already read.',
+      data: { marked }
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating the notification.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Pipeline Routes
+ * Read and configure the organization's lead pipeline stages, and report
+ * time-in-stage metrics. Mounted at /api/pipeline.
+ */
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const pipelineService = require('../services/pipelineService');
+
+// GET /api/pipeline - Get the pipeline that applies to the user's leads
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const pipeline = await pipelineService.getPipelineForUser(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        name: pipeline.name,
+        initialStage: pipeline.initialStage,
+        stages: pipeline.stages,
+        isDefault: pipelineService.isDefault(pipeline),
+        updatedAt: pipelineService.isDefault(pipeline) ? null : pipeline.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the pipeline.'
+      }
+    });
+  }
+});
+
+// PUT /api/pipeline - Replace the organization's stages (organization admins only)
+// Body: { name, initialStage, stages: [{ key, name, allowedTransitions, requiredFields, isTerminal, color }] }
+router.put('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_ORGANIZATION',
+          message: 'Custom pipelines are configured per organization. Join or create an organization first.'
+        }
+      });
+    }
+
+    if (!organization.isAdmin(req.userId) && organization.owner.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only organization admins can change the pipeline.'
+        }
+      });
+    }
+
+    const pipeline = await pipelineService.savePipeline(organizationId, req.body, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pipeline updated.',
+      data: pipeline
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409 || error.name === 'ValidationError') {
+      return res.status(error.statusCode === 409 ? 409 : 400).json({
+        success: false,
+        error: {
+          code: error.statusCode === 409 ? 'STAGE_IN_USE' : 'INVALID_PIPELINE',
+          message: error.message
+        }
+      });
+    }
+    console.error('Error updating pipeline:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating the pipeline.'
+      }
+    });
+  }
+});
+
+// GET /api/pipeline/metrics - Time-in-stage statistics for the organization's (or user's) leads
+router.get('/metrics', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const pipeline = await pipelineService.getPipeline(organizationId);
+    const filter = organizationId ? { organization: organizationId } : { user: req.userId };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stages: await pipelineService.getPipelineMetrics(filter, pipeline)
+      }
+    });
+  } catch (error) {
+    console.error('Error computing pipeline metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while computing pipeline metrics.'
+      }
+    });
+  }
+});
+
+module.exports = router;
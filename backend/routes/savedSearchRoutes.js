@@ -0,0 +1,212 @@
+/**
+ * Saved Search Routes
+ * Named lead queries, mounted at /api/leads/searches. Searches are private to their
+ * creator unless shared with the creator's organization, and are run by passing
+ * savedSearch=<id> to the lead listing, export or bulk actions.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const { authenticate } = require('../middleware/auth');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const leadSearchService = require('../services/leadSearchService');
+
+/**
+ * Sends the 400 response used for malformed saved search IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid saved search ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a search is missing or not visible to the user.
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Saved search not found or you do not have permission to access it.'
+    }
+  });
+}
+
+/**
+ * Picks the editable search fields from a request body.
+ * `shared: true` shares the search with the creator's organization.
+ */
+async function buildSearchData(body, userId) {
+  const data = await leadSearchService.buildSearchData(body, userId);
+  if (body.shared !== undefined) {
+    data.organization = body.shared ? await getOrganizationId(userId) : null;
+  }
+  return data;
+}
+
+/**
+ * Sends the error response for a failed create or update.
+ */
+function sendSaveError(res, error, action) {
+  if (error.statusCode === 400 || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_SEARCH',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action} saved search:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action} the saved search.`
+    }
+  });
+}
+
+// GET /api/leads/searches - List searches visible to the user (own and organization-shared)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const organizationId = await getOrganizationId(req.userId);
+    const searches = await SavedSearch.findVisibleTo(req.userId, organizationId)
+      .sort({ lastUsedAt: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: searches
+    });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving saved searches.'
+      }
+    });
+  }
+});
+
+// POST /api/leads/searches - Save a search ({ name, description, where, search, filters, sort, shared })
+router.post('/', authenticate, async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Search name is required.'
+      }
+    });
+  }
+
+  try {
+    const data = await buildSearchData(req.body, req.userId);
+    const search = await SavedSearch.create({ ...data, user: req.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved.',
+      data: search
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'saving');
+  }
+});
+
+// GET /api/leads/searches/:id - Get a single saved search
+router.get('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const search = await leadSearchService.findSavedSearch(req.params.id, req.userId);
+
+    if (!search) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    console.error(`Error fetching saved search ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the saved search.'
+      }
+    });
+  }
+});
+
+// PUT /api/leads/searches/:id - Update a saved search (creator only)
+router.put('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const data = await buildSearchData(req.body, req.userId);
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+
+    if (!search) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated.',
+      data: search
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+});
+
+// DELETE /api/leads/searches/:id - Delete a saved search (creator only)
+router.delete('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!search) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted.',
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error(`Error deleting saved search ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while deleting the saved search.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+/**
+ * Suppression List Routes
+ * Do-not-call and litigator lists leads are scrubbed against before anyone is called
+ * or texted, mounted at /api/suppression-lists. Lists belong to the user's organization
+ * (or to the user without one); every upload or manual change creates a new version.
+ */
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const suppressionService = require('../services/suppressionService');
+
+// Registry area code files can be large; they are read line by line from disk
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: function(req, file, cb) {
+      cb(null, path.join(__dirname, '../uploads'));
+    },
+    filename: function(req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, uniqueSuffix + '-' + file.originalname);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.txt'].includes(ext) || ['text/csv', 'text/plain'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and text files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 200 * 1024 * 1024
+  }
+});
+
+/**
+ * Sends the 400 response used for malformed list IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid suppression list ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a list is missing or not visible to the user.
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Suppression list not found or you do not have permission to access it.'
+    }
+  });
+}
+
+/**
+ * Sends the response for a failed request: 400 for invalid input, 403 for users who
+ * cannot change lists, or a 500 for anything else.
+ */
+function handleError(res, error, action) {
+  if (error.statusCode === 400 || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action}.`
+    }
+  });
+}
+
+/**
+ * Loads the list of the request into req.suppressionList, or responds 400/404.
+ */
+async function loadList(req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+  try {
+    const list = await suppressionService.getList(req.params.id, req.userId);
+    if (!list) {
+      return notFound(res);
+    }
+    req.suppressionList = list;
+    next();
+  } catch (error) {
+    handleError(res, error, 'retrieving the suppression list');
+  }
+}
+
+// GET /api/suppression-lists - List the suppression lists that apply to the user's leads
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const lists = await suppressionService.listLists(req.userId);
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists
+    });
+  } catch (error) {
+    handleError(res, error, 'retrieving suppression lists');
+  }
+});
+
+// POST /api/suppression-lists/check - Check numbers against the user's active lists
+// Body: { phones: [...] }
+router.post('/check', authenticate, async (req, res) => {
+  const phones = req.body.phones;
+  if (!Array.isArray(phones) || phones.length === 0 || phones.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'phones must be an array of 1 to 1000 phone numbers.'
+      }
+    });
+  }
+
+  try {
+    const scope = await suppressionService.getScope(req.userId);
+    const matches = await suppressionService.checkPhones(scope, phones);
+    const data = Array.from(matches, ([phone, lists]) => ({ phone, flagged: lists.length > 0, matches: lists }));
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'checking phone numbers');
+  }
+});
+
+// POST /api/suppression-lists/scrub - Rescrub the numbers of every lead the user's lists apply to
+router.post('/scrub', authenticate, async (req, res) => {
+  try {
+    const count = await suppressionService.scrubUserLeads(req.userId);
+    res.status(200).json({
+      success: true,
+      message: `${count} leads scrubbed.`,
+      data: { scrubbed: count }
+    });
+  } catch (error) {
+    handleError(res, error, 'scrubbing leads');
+  }
+});
+
+// POST /api/suppression-lists - Create a list
+// Body: { name, type (internal_dnc, federal_dnc, state_dnc, litigator), state (state_dnc only),
+//         description, isActive }
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const list = await suppressionService.createList(req.userId, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Suppression list created.',
+      data: list
+    });
+  } catch (error) {
+    handleError(res, error, 'creating the suppression list');
+  }
+});
+
+// GET /api/suppression-lists/:id - Get a list and its version history
+router.get('/:id', authenticate, loadList, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.suppressionList
+  });
+});
+
+// PUT /api/suppression-lists/:id - Update a list
+// Body: any of { name, description, type, state, isActive }
+router.put('/:id', authenticate, loadList, async (req, res) => {
+  try {
+    const list = await suppressionService.updateList(req.suppressionList, req.userId, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Suppression list updated.',
+      data: list
+    });
+  } catch (error) {
+    handleError(res, error, 'updating the suppression list');
+  }
+});
+
+// DELETE /api/suppression-lists/:id - Delete a list and its numbers
+router.delete('/:id', authenticate, loadList, async (req, res) => {
+  try {
+    await suppressionService.deleteList(req.suppressionList, req.userId);
+    res.status(200).json({
+      success: true,
+      message: 'Suppression list deleted.'
+    });
+  } catch (error) {
+    handleError(res, error, 'deleting the suppression list');
+  }
+});
+
+// GET /api/suppression-lists/:id/versions - Version history of a list, newest first
+router.get('/:id/versions', authenticate, loadList, (req, res) => {
+  const versions = req.suppressionList.versions.slice().reverse();
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: versions
+  });
+});
+
+// POST /api/suppression-lists/:id/versions - Upload a new version from a CSV or text file
+// Form data: file (one number per line, or registry "area code,number" lines)
+// Query: mode (replace: numbers missing from the file are removed, default; append)
+router.post('/:id/versions', authenticate, loadList, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_FILE_UPLOADED',
+        message: 'No file was uploaded.'
+      }
+    });
+  }
+
+  try {
+    const version = await suppressionService.uploadVersion(
+      req.suppressionList,
+      req.userId,
+      { path: req.file.path, originalName: req.file.originalname },
+      req.query.mode || 'replace'
+    );
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.version} uploaded.`,
+      data: version
+    });
+  } catch (error) {
+    handleError(res, error, 'uploading the suppression list');
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// GET /api/suppression-lists/:id/numbers - Numbers on a list
+// Query: version (numbers on the list in that version), limit (default 100, max 1000), skip
+router.get('/:id/numbers', authenticate, loadList, async (req, res) => {
+  try {
+    const { entries, total } = await suppressionService.listNumbers(req.suppressionList, {
+      version: parseInt(req.query.version, 10) || undefined,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000),
+      skip: Math.max(parseInt(req.query.skip, 10) || 0, 0)
+    });
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      data: entries
+    });
+  } catch (error) {
+    handleError(res, error, 'retrieving suppressed numbers');
+  }
+});
+
+// POST /api/suppression-lists/:id/numbers - Add numbers to a list by hand
+// Body: { phones: [...], reason }
+router.post('/:id/numbers', authenticate, loadList, async (req, res) => {
+  try {
+    const version = await suppressionService.addNumbers(
+      req.suppressionList,
+      req.userId,
+      req.body.phones,
+      req.body.reason
+    );
+    res.status(201).json({
+      success: true,
+      message: `${version.added} numbers added.`,
+      data: version
+    });
+  } catch (error) {
+    handleError(res, error, 'adding suppressed numbers');
+  }
+});
+
+// DELETE /api/suppression-lists/:id/numbers/:phone - Take a number off a list
+router.delete('/:id/numbers/:phone', authenticate, loadList, async (req, res) => {
+  try {
+    const version = await suppressionService.removeNumber(req.suppressionList, req.userId, req.params.phone);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'The number is not on this list.'
+        }
+      });
+    }
+    res.status(200).json({
+      success: true,
+      message: 'Number removed.',
+      data: version
+    });
+  } catch (error) {
+    handleError(res, error, 'removing the suppressed number');
+  }
+});
+
+module.exports = router;
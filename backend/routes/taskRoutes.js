@@ -0,0 +1,287 @@
+/**
+ * Task Routes
+ * Follow-up tasks on leads (calls, texts, visits, offers to send), mounted at /api/tasks.
+ * Reminders arrive as notifications (see /api/notifications) and open tasks can be
+ * subscribed to from a calendar app through the ICS feed.
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const taskService = require('../services/taskService');
+
+/**
+ * Sends the 400 response used for malformed task IDs.
+ */
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid task ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a task is missing or not visible to the user.
+ */
+function notFound(res, action = 'access') {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: `Task not found or you do not have permission to ${action} it.`
+    }
+  });
+}
+
+/**
+ * Sends the 400 response for invalid task input, the 409 response for call and text
+ * tasks on leads that may not be called, or a 500 for anything else.
+ */
+function handleError(res, error, action) {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TASK',
+        message: error.message
+      }
+    });
+  }
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'LEAD_NOT_CALLABLE',
+        message: error.message
+      }
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: `An unexpected error occurred while ${action}.`
+    }
+  });
+}
+
+/**
+ * Lists tasks for one of the list endpoints.
+ */
+async function sendTaskList(req, res, view) {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const tasks = await taskService.listTasks(req.userId, {
+      view: view || req.query.view,
+      assignee: req.query.assignee,
+      lead: req.query.lead,
+      type: req.query.type,
+      days: req.query.days,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    handleError(res, error, 'retrieving tasks');
+  }
+}
+
+/**
+ * Builds the public URL of a calendar feed.
+ */
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/tasks/feed/${token}.ics`;
+}
+
+// GET /api/tasks - List tasks
+// Query: view (open (default), overdue, upcoming, completed, all), assignee ("me" (default), user ID
+// or "all"), lead, type, days (look-ahead of the upcoming view, default 7), limit (default 100)
+router.get('/', authenticate, (req, res) => sendTaskList(req, res));
+
+// GET /api/tasks/overdue - Open tasks past their due time, oldest first
+router.get('/overdue', authenticate, (req, res) => sendTaskList(req, res, 'overdue'));
+
+// GET /api/tasks/upcoming - Open tasks due in the next `days` days (default 7), soonest first
+router.get('/upcoming', authenticate, (req, res) => sendTaskList(req, res, 'upcoming'));
+
+// GET /api/tasks/calendar.ics - Download the user's open tasks as an ICS calendar
+router.get('/calendar.ics', authenticate, async (req, res) => {
+  try {
+    const calendar = await taskService.buildCalendarFeed(req.userId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="tasks.ics"');
+    res.status(200).send(calendar);
+  } catch (error) {
+    handleError(res, error, 'building the task calendar');
+  }
+});
+
+// POST /api/tasks/calendar-feed - Get the URL of the user's calendar feed
+// Body: { rotate } - replace the secret in the URL, so that old subscriptions stop working
+router.post('/calendar-feed', authenticate, async (req, res) => {
+  try {
+    const token = await taskService.getFeedToken(req.userId, { rotate: req.body.rotate === true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscribe to this URL from your calendar app. Keep it private: anyone with it can read your tasks.',
+      data: { url: feedUrl(req, token) }
+    });
+  } catch (error) {
+    handleError(res, error, 'creating the calendar feed');
+  }
+});
+
+// DELETE /api/tasks/calendar-feed - Turn off the user's calendar feed
+router.delete('/calendar-feed', authenticate, async (req, res) => {
+  try {
+    const revoked = await taskService.revokeFeed(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: revoked ? 'Calendar feed turned off.' : 'No calendar feed was active.'
+    });
+  } catch (error) {
+    handleError(res, error, 'turning off the calendar feed');
+  }
+});
+
+// GET /api/tasks/feed/:token.ics - Public calendar feed, authenticated by the secret in the URL
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const userId = await taskService.findFeedUser(req.params.token);
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Calendar feed not found.'
+        }
+      });
+    }
+
+    const calendar = await taskService.buildCalendarFeed(userId);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(calendar);
+  } catch (error) {
+    handleError(res, error, 'building the task calendar');
+  }
+});
+
+// POST /api/tasks - Create a task on a lead
+// Body: { lead, type (call, text, visit, send_offer), dueAt, title, notes, assignee,
+//         reminderMinutes (minutes before dueAt, default 15; null for no reminder) }
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const task = await taskService.createTask(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created.',
+      data: task
+    });
+  } catch (error) {
+    handleError(res, error, 'creating the task');
+  }
+});
+
+// GET /api/tasks/:id - Get a task
+router.get('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const task = await taskService.getTask(req.params.id, req.userId);
+    if (!task) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    handleError(res, error, 'retrieving the task');
+  }
+});
+
+// PUT /api/tasks/:id - Update a task
+// Body: any of { type, dueAt, title, notes, assignee, reminderMinutes, status }
+router.put('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const task = await taskService.getTask(req.params.id, req.userId);
+    if (!task) {
+      return notFound(res, 'update');
+    }
+
+    const updated = await taskService.updateTask(task, req.body, req.userId);
+    res.status(200).json({
+      success: true,
+      message: 'Task updated.',
+      data: updated
+    });
+  } catch (error) {
+    handleError(res, error, 'updating the task');
+  }
+});
+
+// POST /api/tasks/:id/complete - Mark a task as completed
+router.post('/:id/complete', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const task = await taskService.getTask(req.params.id, req.userId);
+    if (!task) {
+      return notFound(res, 'complete');
+    }
+
+    const updated = await taskService.updateTask(task, { status: 'completed' }, req.userId);
+    res.status(200).json({
+      success: true,
+      message: 'Task completed.',
+      data: updated
+    });
+  } catch (error) {
+    handleError(res, error, 'completing the task');
+  }
+});
+
+// DELETE /api/tasks/:id - Delete a task
+router.delete('/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return invalidId(res);
+  }
+
+  try {
+    const task = await taskService.getTask(req.params.id, req.userId);
+    if (!task) {
+      return notFound(res, 'delete');
+    }
+
+    await task.deleteOne();
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted.'
+    });
+  } catch (error) {
+    handleError(res, error, 'deleting the task');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Usage Routes
+ * Cost of the external calls made for verification, skip tracing and image and document
+ * analysis, mounted at /api/usage. Each call is recorded as a usage Transaction at its
+ * integration's price (see services/usageAccountingService.js). Organization owners and
+ * admins see their organization's costs, other users their own.
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const usageAccountingService = require('../services/usageAccountingService');
+
+// GET /api/usage/costs - Cost breakdown of external calls, most expensive first
+// Query: groupBy (comma-separated: user, organization, feature, provider, importJob, month;
+// default month,feature), from, to (dates), feature, user, importJob
+router.get('/costs', authenticate, async (req, res) => {
+  try {
+    const { groupBy, from, to, feature, user, importJob } = req.query;
+    const breakdown = await usageAccountingService.getCostBreakdown(req.userId, {
+      groupBy: groupBy ? String(groupBy).split(',').map(field => field.trim()).filter(Boolean) : undefined,
+      from,
+      to,
+      feature,
+      user,
+      importJob
+    });
+
+    res.status(200).json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+    console.error('Error building the usage cost breakdown:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while building the usage cost breakdown.'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,17 @@
 /**
  * Verification Routes
  * API endpoints for verification services
+ *
+ * Each verification runs through the provider adapter of the active ApiIntegration of
+ * its type (see services/verification). Set VERIFICATION_PROVIDER=mock to use the
+ * deterministic local mock providers.
+ *
+ * Every run with a lead is kept as history (see services/reverificationService.js).
+ * Results past their type's freshness window are flagged stale and re-verified by the
+ * schedule within the organization's monthly budget. With consensus set, phone, email
+ * and property verifications ask every configured provider and combine their answers;
+ * disagreements wait for manual review (GET /api/verify/reviews). Many leads are verified
+ * at once by background jobs (POST /api/verify/batch, see services/verificationJobService.js).
  */
 const express = require('express');
 const router = express.Router();
@@ -8,16 +19,235 @@ const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const Lead = require('../models/Lead');
 const Verification = require('../models/Verification');
+const Organization = require('../models/Organization');
 const User = require('../dist/models/User');
-const Subscription = require('../models/Subscription');
-const ApiIntegration = require('../models/ApiIntegration');
-const axios = require('axios');
+const leadAccessService = require('../services/leadAccessService');
+const verificationProviders = require('../services/verification');
+const reverificationService = require('../services/reverificationService');
+const verificationReviewService = require('../services/verificationReviewService');
+const verificationJobService = require('../services/verificationJobService');
+const pipelineService = require('../services/pipelineService');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { getExpiresAt } = require('../utils/verificationFreshness');
+
+// Plans that include property, ownership and skip trace lookups
+const PAID_PLANS = ['basic', 'premium', 'enterprise'];
+
+// Batch verification types that need one of the PAID_PLANS
+const PAID_BATCH_TYPES = ['address', 'ownership', 'skipTrace'];
+
+/**
+ * Loads the user and checks their plan allows a verification. Sends the error response
+ * and returns null when it does not.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { paidOnly: require an active basic or higher plan, label: name of the verification }
+ * @returns {Promise<Object|null>} The user
+ */
+async function checkSubscription(req, res, { paidOnly, label }) {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found.'
+      }
+    });
+    return null;
+  }
+
+  const hasSubscription = user.subscription && user.subscription.status === 'active';
+  const allowed = paidOnly
+    ? hasSubscription && PAID_PLANS.includes(user.subscription.plan)
+    : hasSubscription || user.subscription.plan === 'free';
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'SUBSCRIPTION_REQUIRED',
+        message: paidOnly
+          ? `Basic or higher subscription required for ${label}.`
+          : `Active subscription required for ${label}.`
+      }
+    });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Finds the lead a verification is for, if one was given. Sends the error response and
+ * returns false when the lead is not visible to the user.
+ * @returns {Promise<Object|null|false>} The lead, null without leadId, or false on error
+ */
+async function findLead(req, res, leadId) {
+  if (!leadId) {
+    return null;
+  }
+
+  const lead = mongoose.Types.ObjectId.isValid(leadId)
+    ? await Lead.findOne({ _id: leadId, ...await leadAccessService.scopeFilter(req.userId) })
+    : null;
+  if (!lead) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'LEAD_NOT_FOUND',
+        message: 'Lead not found.'
+      }
+    });
+    return false;
+  }
+  return lead;
+}
+
+/**
+ * Runs verifications with the providers of the user's organization
+ * @param {string} userId - User verifying
+ * @param {Object} inputs - Input by verification type
+ * @param {Object} options - { consensus: ask every provider and combine their answers }
+ * @returns {Promise<Object>} Normalized result by verification type
+ */
+async function runVerifications(userId, inputs, { consensus = false } = {}) {
+  const organization = await getOrganizationId(userId);
+  const results = {};
+  for (const [type, input] of Object.entries(inputs)) {
+    ({ result: results[type] } = consensus
+      ? await verificationProviders.verifyConsensus(type, input, { organization })
+      : await verificationProviders.verify(type, input, { organization }));
+  }
+  return results;
+}
+
+/**
+ * Records results as a new verification run of the lead and, when isComplete(verification)
+ * holds, scores the lead and moves it to the verified stage if its pipeline allows
+ * The latest result of each type is also kept on the lead's verificationResults, where
+ * lead scoring reads it.
+ * @returns {Promise<Object>} The new verification record
+ */
+async function saveResults(lead, userId, results, isComplete) {
+  const verification = await reverificationService.recordResults(lead, userId, results);
+
+  if (isComplete(verification)) {
+    await Lead.updateOne({ _id: lead._id }, { $set: { score: verification.calculateScore() } });
+    await pipelineService.advanceLead(lead, 'verified', userId);
+  }
+  return verification;
+}
+
+/**
+ * Adds when each result goes stale, and whether it has, to the sections of a
+ * verification record
+ */
+function withFreshness(sections) {
+  const now = new Date();
+  return Object.fromEntries(Object.entries(sections).map(([type, section]) => {
+    const expiresAt = getExpiresAt(type, section.verifiedAt);
+    return [type, { ...section, expiresAt, stale: Boolean(expiresAt && expiresAt <= now) }];
+  }));
+}
+
+/**
+ * Loads the user's organization for the re-verification settings. Sends the error
+ * response and returns null when the user has none, or is not one of its admins and
+ * adminOnly is set.
+ */
+async function findOrganization(req, res, { adminOnly }) {
+  const organizationId = await getOrganizationId(req.userId);
+  const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+  if (!organization) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_ORGANIZATION',
+        message: 'Scheduled re-verification is configured per organization. Join or create an organization first.'
+      }
+    });
+    return null;
+  }
+
+  if (adminOnly && !organization.isAdmin(req.userId) && organization.owner.toString() !== req.userId.toString()) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only organization admins can change the re-verification budget.'
+      }
+    });
+    return null;
+  }
+  return organization;
+}
+
+/**
+ * Sends the 400 response used for malformed batch verification job IDs.
+ */
+function invalidJobId(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID_FORMAT',
+      message: 'Invalid batch verification job ID format.'
+    }
+  });
+}
+
+/**
+ * Sends the 404 response used when a batch verification job is missing or belongs to another user.
+ */
+function jobNotFound(res, action = 'access') {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: `Batch verification job not found or you do not have permission to ${action} it.`
+    }
+  });
+}
+
+/**
+ * Sends the response of a failed provider call
+ */
+function sendProviderError(res, error, label) {
+  if (error.statusCode === 429) {
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: error.message
+      }
+    });
+  }
+  if (error.statusCode === 503) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        code: 'API_NOT_AVAILABLE',
+        message: `${label.charAt(0).toUpperCase()}${label.slice(1)} service is currently unavailable.`
+      }
+    });
+  }
+  console.error(`${label} API error:`, error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'API_ERROR',
+      message: `Error connecting to ${label} service.`
+    }
+  });
+}
 
 // POST /api/verify/phone - Verify a phone number
+// Impossible numbers are marked invalid locally, without a provider call.
+// Body: { phoneNumber, leadId, consensus (ask every configured provider and combine their answers) }
 router.post('/phone', auth, async (req, res) => {
   try {
     const { phoneNumber, leadId } = req.body;
-    
+
     if (!phoneNumber) {
       return res.status(400).json({
         success: false,
@@ -27,183 +257,121 @@ router.post('/phone', auth, async (req, res) => {
         }
       });
     }
-    
-    // Check user subscription and limits
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'USER_NOT_FOUND',
-          message: 'User not found.'
-        }
-      });
-    }
-    
-    // Check subscription and usage limits
-    const hasSubscription = user.subscription && user.subscription.status === 'active';
-    const isPhoneVerificationAllowed = hasSubscription || user.subscription.plan === 'free';
-    
-    if (!isPhoneVerificationAllowed) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'SUBSCRIPTION_REQUIRED',
-          message: 'Active subscription required for phone verification.'
-        }
+
+    if (!await checkSubscription(req, res, { paidOnly: false, label: 'phone verification' })) return;
+    const lead = await findLead(req, res, leadId);
+    if (lead === false) return;
+
+    let results;
+    try {
+      results = await runVerifications(req.userId, { phone: { phone: phoneNumber } }, {
+        consensus: req.body.consensus === true
       });
+    } catch (apiError) {
+      return sendProviderError(res, apiError, 'phone verification');
     }
-    
-    // Get API integration for phone verification
-    const phoneApi = await ApiIntegration.findOne({ 
-      type: 'phoneVerification',
-      isActive: true
+    const { phone } = results;
+
+    const verification = lead && await saveResults(lead, req.userId, results, saved =>
+      saved.phoneVerification.status === 'valid' &&
+      (saved.addressVerification?.status === 'valid' || saved.ownershipVerification?.status === 'confirmed'));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Phone verification completed.',
+      data: {
+        phoneNumber: String(phoneNumber).replace(/\D/g, ''),
+        verificationResult: {
+          valid: phone.status === 'valid',
+          status: phone.status,
+          ...phone.details,
+          confidence: phone.confidence,
+          provider: phone.provider,
+          consensus: phone.consensus
+        },
+        verificationId: verification?._id
+      }
     });
-    
-    if (!phoneApi) {
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: 'API_NOT_AVAILABLE',
-          message: 'Phone verification service is currently unavailable.'
-        }
-      });
-    }
-    
-    // Check rate limiting
-    if (phoneApi.isRateLimited()) {
-      return res.status(429).json({
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred during phone verification.'
+      }
+    });
+  }
+});
+
+// POST /api/verify/email - Verify an email address
+// Malformed addresses and disposable domains are marked invalid locally, without a provider call.
+// Body: { email, leadId, consensus (ask every configured provider and combine their answers) }
+router.post('/email', auth, async (req, res) => {
+  try {
+    const { email, leadId } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'RATE_LIMIT_EXCEEDED',
-          message: 'API rate limit exceeded. Please try again later.'
+          code: 'MISSING_EMAIL',
+          message: 'Email address is required for verification.'
         }
       });
     }
-    
-    // Format phone number (remove non-digits)
-    const formattedPhone = phoneNumber.replace(/\D/g, '');
-    
-    // Call the phone verification API
+
+    if (!await checkSubscription(req, res, { paidOnly: false, label: 'email verification' })) return;
+    const lead = await findLead(req, res, leadId);
+    if (lead === false) return;
+
+    let results;
     try {
-      // Log API call
-      await phoneApi.logApiCall();
-      
-      // Mock API call for now (replace with actual API integration)
-      const verificationResult = {
-        valid: Math.random() > 0.2, // 80% chance of being valid for mock data
-        carrier: 'Sample Carrier',
-        lineType: Math.random() > 0.5 ? 'mobile' : 'landline',
-        countryCode: 'US',
-        confidence: Math.floor(Math.random() * 40) + 60 // Random value between 60-100
-      };
-      
-      // Create or update verification record
-      let verification;
-      
-      if (leadId) {
-        // Find the lead
-        const lead = await Lead.findById(leadId);
-        if (!lead) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              code: 'LEAD_NOT_FOUND',
-              message: 'Lead not found.'
-            }
-          });
-        }
-        
-        // Check if verification record exists
-        verification = await Verification.findOne({ lead: leadId });
-        
-        if (verification) {
-          // Update existing verification
-          verification.phoneVerification = {
-            status: verificationResult.valid ? 'valid' : 'invalid',
-            provider: phoneApi.provider,
-            verifiedAt: new Date(),
-            details: {
-              carrier: verificationResult.carrier,
-              lineType: verificationResult.lineType,
-              countryCode: verificationResult.countryCode
-            },
-            confidence: verificationResult.confidence
-          };
-          await verification.save();
-        } else {
-          // Create new verification
-          verification = new Verification({
-            lead: leadId,
-            user: req.userId,
-            phoneVerification: {
-              status: verificationResult.valid ? 'valid' : 'invalid',
-              provider: phoneApi.provider,
-              verifiedAt: new Date(),
-              details: {
-                carrier: verificationResult.carrier,
-                lineType: verificationResult.lineType,
-                countryCode: verificationResult.countryCode
-              },
-              confidence: verificationResult.confidence
-            }
-          });
-          await verification.save();
-        }
-        
-        // Update lead status if verification is complete
-        if (verification.phoneVerification.status === 'valid' &&
-            (verification.addressVerification?.status === 'valid' || 
-             verification.ownershipVerification?.status === 'confirmed')) {
-          await Lead.findByIdAndUpdate(leadId, { 
-            status: 'verified',
-            score: verification.calculateScore()
-          });
-        }
-      }
-      
-      return res.status(200).json({
-        success: true,
-        message: 'Phone verification completed.',
-        data: {
-          phoneNumber: formattedPhone,
-          verificationResult: {
-            valid: verificationResult.valid,
-            carrier: verificationResult.carrier,
-            lineType: verificationResult.lineType,
-            countryCode: verificationResult.countryCode,
-            confidence: verificationResult.confidence
-          },
-          verificationId: verification?._id
-        }
+      results = await runVerifications(req.userId, { email: { email } }, {
+        consensus: req.body.consensus === true
       });
     } catch (apiError) {
-      console.error('Phone API error:', apiError);
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: 'API_ERROR',
-          message: 'Error connecting to phone verification service.'
-        }
-      });
+      return sendProviderError(res, apiError, 'email verification');
     }
+    const { email: result } = results;
+
+    // Email alone never completes a lead's verification
+    const verification = lead && await saveResults(lead, req.userId, results, () => false);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verification completed.',
+      data: {
+        email: String(email).trim().toLowerCase(),
+        verificationResult: {
+          valid: result.status === 'valid',
+          status: result.status,
+          ...result.details,
+          confidence: result.confidence,
+          provider: result.provider,
+          consensus: result.consensus
+        },
+        verificationId: verification?._id
+      }
+    });
   } catch (error) {
-    console.error('Phone verification error:', error);
+    console.error('Email verification error:', error);
     return res.status(500).json({
       success: false,
       error: {
         code: 'SERVER_ERROR',
-        message: 'An unexpected error occurred during phone verification.'
+        message: 'An unexpected error occurred during email verification.'
       }
     });
   }
 });
 
 // POST /api/verify/property - Verify property ownership
+// Body: { address, ownerName, leadId, consensus (ask every configured provider and combine their answers) }
 router.post('/property', auth, async (req, res) => {
   try {
     const { address, ownerName, leadId } = req.body;
-    
+
     if (!address) {
       return res.status(400).json({
         success: false,
@@ -213,201 +381,265 @@ router.post('/property', auth, async (req, res) => {
         }
       });
     }
-    
-    // Check user subscription and limits
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'USER_NOT_FOUND',
-          message: 'User not found.'
-        }
-      });
+
+    // Property verification requires at least basic plan
+    if (!await checkSubscription(req, res, { paidOnly: true, label: 'property verification' })) return;
+    const lead = await findLead(req, res, leadId);
+    if (lead === false) return;
+
+    let results;
+    try {
+      results = await runVerifications(req.userId, {
+        address: { address },
+        ownership: { address, ownerName }
+      }, { consensus: req.body.consensus === true });
+    } catch (apiError) {
+      return sendProviderError(res, apiError, 'property verification');
     }
-    
-    // Check subscription and usage limits - Property verification requires at least basic plan
-    const hasBasicSubscription = user.subscription && 
-                                 user.subscription.status === 'active' && 
-                                 ['basic', 'premium', 'enterprise'].includes(user.subscription.plan);
-    
-    if (!hasBasicSubscription) {
-      return res.status(403).json({
+    const { address: addressResult, ownership } = results;
+
+    const verification = lead && await saveResults(lead, req.userId, results, saved =>
+      (saved.phoneVerification?.status === 'valid' || !saved.phoneVerification) &&
+      saved.addressVerification.status === 'valid');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Property verification completed.',
+      data: {
+        address: address,
+        verificationResult: {
+          foundProperty: addressResult.status === 'valid',
+          standardizedAddress: addressResult.details.standardizedAddress,
+          ownerMatches: ownership.status === 'confirmed',
+          ownerName: ownership.details.ownerName,
+          propertyType: ownership.details.propertyType,
+          confidence: ownership.confidence,
+          provider: ownership.provider,
+          consensus: req.body.consensus === true ? {
+            address: addressResult.consensus,
+            ownership: ownership.consensus
+          } : undefined
+        },
+        verificationId: verification?._id
+      }
+    });
+  } catch (error) {
+    console.error('Property verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred during property verification.'
+      }
+    });
+  }
+});
+
+// POST /api/verify/skip-trace - Find contact details of a property owner
+router.post('/skip-trace', auth, async (req, res) => {
+  try {
+    const { name, address, leadId } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'SUBSCRIPTION_REQUIRED',
-          message: 'Basic or higher subscription required for property verification.'
+          code: 'MISSING_NAME',
+          message: 'Owner name is required for skip tracing.'
         }
       });
     }
-    
-    // Get API integration for property data
-    const propertyApi = await ApiIntegration.findOne({ 
-      type: 'propertyData',
-      isActive: true
+
+    if (!await checkSubscription(req, res, { paidOnly: true, label: 'skip tracing' })) return;
+    const lead = await findLead(req, res, leadId);
+    if (lead === false) return;
+
+    let results;
+    try {
+      results = await runVerifications(req.userId, { skipTrace: { name, address } });
+    } catch (apiError) {
+      return sendProviderError(res, apiError, 'skip tracing');
+    }
+    const { skipTrace } = results;
+
+    const verification = lead && await saveResults(lead, req.userId, results, () => false);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Skip trace completed.',
+      data: {
+        name,
+        verificationResult: {
+          found: skipTrace.status === 'found',
+          phones: skipTrace.details.phones || [],
+          emails: skipTrace.details.emails || [],
+          mailingAddress: skipTrace.details.mailingAddress,
+          confidence: skipTrace.confidence,
+          provider: skipTrace.provider
+        },
+        verificationId: verification?._id
+      }
     });
-    
-    if (!propertyApi) {
-      return res.status(500).json({
+  } catch (error) {
+    console.error('Skip trace error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred during skip tracing.'
+      }
+    });
+  }
+});
+
+// POST /api/verify/batch - Verify many leads in a background job
+// Body: { types, consensus, leadIds | savedSearch | query }
+//   types: verification types to run (phone, email, address, ownership, skipTrace)
+//   query: listing parameters as accepted by GET /api/leads (filters, where, search)
+// Leads are verified batchSize (per the plan) at a time within the providers' rate limits. When
+// the limits run out the job pauses and resumes on its own. Responds with 202 and the job
+// summary; poll GET /api/verify/batch/:jobId for live counts.
+router.post('/batch', auth, async (req, res) => {
+  try {
+    const { types, consensus, leadIds, savedSearch, query } = req.body;
+    const paidOnly = Array.isArray(types) && types.some(type => PAID_BATCH_TYPES.includes(type));
+    if (!await checkSubscription(req, res, { paidOnly, label: 'property verification and skip tracing' })) return;
+
+    const job = await verificationJobService.createJob({
+      userId: req.userId,
+      types,
+      consensus: consensus === true,
+      leadIds,
+      savedSearch,
+      query
+    });
+    verificationJobService.start(job);
+
+    return res.status(202).json({
+      success: true,
+      message: `Batch verification started on ${job.counts.total} leads. Poll the job for progress.`,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'API_NOT_AVAILABLE',
-          message: 'Property verification service is currently unavailable.'
+          code: 'INVALID_BATCH',
+          message: error.message
         }
       });
     }
-    
-    // Check rate limiting
-    if (propertyApi.isRateLimited()) {
-      return res.status(429).json({
-        success: false,
-        error: {
-          code: 'RATE_LIMIT_EXCEEDED',
-          message: 'API rate limit exceeded. Please try again later.'
-        }
-      });
+    console.error('Error starting batch verification:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while starting the batch verification.'
+      }
+    });
+  }
+});
+
+// GET /api/verify/batch - List the user's recent batch verification jobs
+router.get('/batch', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await verificationJobService.listJobs(req.userId, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: jobs.map(job => job.getSummary())
+    });
+  } catch (error) {
+    console.error('Error fetching batch verification jobs:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving batch verification jobs.'
+      }
+    });
+  }
+});
+
+// GET /api/verify/batch/:jobId - Get the progress and failures of a batch verification job
+router.get('/batch/:jobId', auth, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return invalidJobId(res);
+  }
+
+  try {
+    const job = await verificationJobService.getJob(req.params.jobId, req.userId);
+    if (!job) {
+      return jobNotFound(res);
     }
-    
-    // Call the property verification API
-    try {
-      // Log API call
-      await propertyApi.logApiCall();
-      
-      // Mock API call for now (replace with actual API integration)
-      const verificationResult = {
-        foundProperty: Math.random() > 0.1, // 90% chance of finding property
-        ownerMatches: ownerName ? Math.random() > 0.3 : false, // 70% chance of match if name provided
-        ownerName: ownerName || 'Sample Owner',
-        propertyType: ['Single Family', 'Multi Family', 'Condo', 'Land'][Math.floor(Math.random() * 4)],
-        confidence: Math.floor(Math.random() * 30) + 70 // Random value between 70-100
-      };
-      
-      // Create or update verification record
-      let verification;
-      
-      if (leadId) {
-        // Find the lead
-        const lead = await Lead.findById(leadId);
-        if (!lead) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              code: 'LEAD_NOT_FOUND',
-              message: 'Lead not found.'
-            }
-          });
-        }
-        
-        // Check if verification record exists
-        verification = await Verification.findOne({ lead: leadId });
-        
-        if (verification) {
-          // Update existing verification
-          verification.addressVerification = {
-            status: verificationResult.foundProperty ? 'valid' : 'invalid',
-            provider: propertyApi.provider,
-            verifiedAt: new Date(),
-            details: {
-              standardizedAddress: address, // In real implementation, this would be standardized
-              city: 'Sample City', // Mock data
-              state: 'Sample State',
-              zipCode: '12345'
-            },
-            confidence: verificationResult.confidence
-          };
-          
-          verification.ownershipVerification = {
-            status: verificationResult.ownerMatches ? 'confirmed' : 'unconfirmed',
-            provider: propertyApi.provider,
-            verifiedAt: new Date(),
-            details: {
-              ownerName: verificationResult.ownerName,
-              matchConfidence: verificationResult.confidence,
-              propertyType: verificationResult.propertyType
-            },
-            confidence: verificationResult.confidence
-          };
-          
-          await verification.save();
-        } else {
-          // Create new verification
-          verification = new Verification({
-            lead: leadId,
-            user: req.userId,
-            addressVerification: {
-              status: verificationResult.foundProperty ? 'valid' : 'invalid',
-              provider: propertyApi.provider,
-              verifiedAt: new Date(),
-              details: {
-                standardizedAddress: address,
-                city: 'Sample City', // Mock data
-                state: 'Sample State',
-                zipCode: '12345'
-              },
-              confidence: verificationResult.confidence
-            },
-            ownershipVerification: {
-              status: verificationResult.ownerMatches ? 'confirmed' : 'unconfirmed',
-              provider: propertyApi.provider,
-              verifiedAt: new Date(),
-              details: {
-                ownerName: verificationResult.ownerName,
-                matchConfidence: verificationResult.confidence,
-                propertyType: verificationResult.propertyType
-              },
-              confidence: verificationResult.confidence
-            }
-          });
-          await verification.save();
-        }
-        
-        // Update lead status if verification is complete
-        if ((verification.phoneVerification?.status === 'valid' || !verification.phoneVerification) &&
-            verification.addressVerification.status === 'valid') {
-          await Lead.findByIdAndUpdate(leadId, { 
-            status: 'verified',
-            score: verification.calculateScore()
-          });
-        }
+
+    return res.status(200).json({
+      success: true,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    console.error(`Error fetching batch verification job ${req.params.jobId}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the batch verification job.'
       }
-      
-      return res.status(200).json({
-        success: true,
-        message: 'Property verification completed.',
-        data: {
-          address: address,
-          verificationResult: {
-            foundProperty: verificationResult.foundProperty,
-            ownerMatches: verificationResult.ownerMatches,
-            ownerName: verificationResult.ownerName,
-            propertyType: verificationResult.propertyType,
-            confidence: verificationResult.confidence
-          },
-          verificationId: verification?._id
-        }
-      });
-    } catch (apiError) {
-      console.error('Property API error:', apiError);
-      return res.status(500).json({
+    });
+  }
+});
+
+// POST /api/verify/batch/:jobId/cancel - Cancel a queued, paused or running batch verification job
+router.post('/batch/:jobId/cancel', auth, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return invalidJobId(res);
+  }
+
+  try {
+    const job = await verificationJobService.cancel(req.params.jobId, req.userId);
+    if (!job) {
+      return jobNotFound(res, 'cancel');
+    }
+
+    if (job.isFinished() && !job.cancelRequested) {
+      return res.status(409).json({
         success: false,
         error: {
-          code: 'API_ERROR',
-          message: 'Error connecting to property verification service.'
+          code: 'JOB_FINISHED',
+          message: `Batch verification job has already ${job.status === 'completed' ? 'completed' : 'stopped'}.`
         }
       });
     }
+
+    return res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled'
+        ? 'Batch verification job cancelled.'
+        : 'Cancellation requested. The job stops after the current batch; verifications already recorded are kept.',
+      data: job.getSummary()
+    });
   } catch (error) {
-    console.error('Property verification error:', error);
+    console.error(`Error cancelling batch verification job ${req.params.jobId}:`, error);
     return res.status(500).json({
       success: false,
       error: {
         code: 'SERVER_ERROR',
-        message: 'An unexpected error occurred during property verification.'
+        message: 'An unexpected error occurred while cancelling the batch verification job.'
       }
     });
   }
 });
 
+// GET /api/verify/providers - Verification providers with a registered adapter
+router.get('/providers', auth, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: verificationProviders.listProviders()
+  });
+});
+
 // GET /api/verify/status/:leadId - Get verification status for a lead
 router.get('/status/:leadId', auth, async (req, res) => {
   try {
@@ -447,8 +679,8 @@ router.get('/status/:leadId', auth, async (req, res) => {
       });
     }
     
-    // Find verification record
-    const verification = await Verification.findOne({ lead: leadId });
+    // Find the current verification record
+    const verification = await Verification.findCurrent(leadId);
     
     if (!verification) {
       return res.status(200).json({
@@ -462,6 +694,7 @@ router.get('/status/:leadId', auth, async (req, res) => {
       });
     }
     
+    const sections = verification.toObject();
     return res.status(200).json({
       success: true,
       message: 'Verification status retrieved.',
@@ -469,11 +702,17 @@ router.get('/status/:leadId', auth, async (req, res) => {
         leadId: leadId,
         status: lead.status,
         score: lead.score,
-        verifications: {
-          phone: verification.phoneVerification || { status: 'pending' },
-          address: verification.addressVerification || { status: 'pending' },
-          ownership: verification.ownershipVerification || { status: 'pending' }
-        }
+        verifiedAt: verification.createdAt,
+        // Results past their type's freshness window are flagged stale
+        verifications: withFreshness({
+          phone: sections.phoneVerification || { status: 'pending' },
+          address: sections.addressVerification || { status: 'pending' },
+          email: sections.emailVerification || { status: 'pending' },
+          ownership: sections.ownershipVerification || { status: 'pending' },
+          skipTrace: sections.skipTrace || { status: 'pending' }
+        }),
+        verificationRequestedAt: lead.verificationRequestedAt,
+        verificationExpiresAt: lead.verificationExpiresAt
       }
     });
   } catch (error) {
@@ -488,5 +727,163 @@ router.get('/status/:leadId', auth, async (req, res) => {
   }
 });
 
+// GET /api/verify/history/:leadId - Verification runs of a lead, newest (the current one) first
+// Query: limit (default 50, max 200)
+router.get('/history/:leadId', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req, res, req.params.leadId);
+    if (!lead) return;
+
+    const history = await reverificationService.getHistory(lead._id, {
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+    });
+    return res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Verification history error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving verification history.'
+      }
+    });
+  }
+});
+
+// GET /api/verify/reviews - Leads whose providers disagreed, with each provider's answer
+// Query: limit (default 50, max 200), skip
+router.get('/reviews', auth, async (req, res) => {
+  try {
+    const { leads, total } = await verificationReviewService.listReviews(req.userId, {
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      skip: Math.max(parseInt(req.query.skip, 10) || 0, 0)
+    });
+    return res.status(200).json({
+      success: true,
+      count: leads.length,
+      total,
+      data: leads
+    });
+  } catch (error) {
+    console.error('Verification review list error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving verifications to review.'
+      }
+    });
+  }
+});
+
+// POST /api/verify/reviews/:leadId - Settle a disagreement of the lead's providers
+// Body: { type (phone, address, email or ownership), status, note }
+router.post('/reviews/:leadId', auth, async (req, res) => {
+  try {
+    const { type, status, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.leadId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LEAD_ID',
+          message: 'Invalid lead ID format.'
+        }
+      });
+    }
+
+    const verification = await verificationReviewService.resolve(req.userId, req.params.leadId, type, {
+      status,
+      note: typeof note === 'string' ? note.trim().slice(0, 1000) : undefined
+    });
+    return res.status(200).json({
+      success: true,
+      message: 'Verification review saved.',
+      data: { verificationId: verification._id }
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.statusCode === 404 ? 'LEAD_NOT_FOUND' : 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+    console.error('Verification review error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while saving the verification review.'
+      }
+    });
+  }
+});
+
+// GET /api/verify/reverification - The organization's re-verification budget, its use this month
+// and the leads waiting (requested, or with stale results)
+router.get('/reverification', auth, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, { adminOnly: false });
+    if (!organization) return;
+
+    return res.status(200).json({
+      success: true,
+      data: await reverificationService.getStatus(organization)
+    });
+  } catch (error) {
+    console.error('Re-verification status error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while retrieving the re-verification status.'
+      }
+    });
+  }
+});
+
+// PUT /api/verify/reverification/budget - Set how many leads the schedule may re-verify per month
+// (organization admins only; 0 turns re-verification of stale leads off; requested leads are
+// re-verified whatever the budget). Body: { budget }
+router.put('/reverification/budget', auth, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, { adminOnly: true });
+    if (!organization) return;
+
+    const budget = Number(req.body.budget);
+    if (!Number.isInteger(budget) || budget < 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'budget must be a whole number of 0 or more.'
+        }
+      });
+    }
+
+    const saved = await reverificationService.setBudget(organization, budget);
+    return res.status(200).json({
+      success: true,
+      message: 'Re-verification budget updated.',
+      data: { budget: saved }
+    });
+  } catch (error) {
+    console.error('Error updating the re-verification budget:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'An unexpected error occurred while updating the re-verification budget.'
+      }
+    });
+  }
+});
+
 // Export the router
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,539 @@
+/**
+ * Bulk Action Service
+ * Applies one action (change status, add or remove tags, assign, auto-assign, transfer
+ * ownership, re-verify, re-score, delete) to many leads in a background job, recording
+ * progress and per-lead failures on a BulkActionJob document so clients can poll for
+ * status or cancel the job. Jobs act on the leads visible to the user who started them;
+ * leads the user may see but not edit are recorded as failures.
+ * Jobs interrupted by a restart, or queued when it happened, are picked up again by a
+ * schedule and carry on after the leads already processed.
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const BulkActionJob = require('../models/BulkActionJob');
+const User = require('../dist/models/User');
+const leadFieldService = require('./leadFieldService');
+const leadSearchService = require('./leadSearchService');
+const leadAccessService = require('./leadAccessService');
+const leadAssignmentService = require('./leadAssignmentService');
+const pipelineService = require('./pipelineService');
+const reverificationService = require('./reverificationService');
+const scoringService = require('../utils/scoringService');
+const { canAccessFeature, getOrganizationId } = require('../utils/accountHelpers');
+const { runWithAuditContext } = require('../utils/auditContext');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('bulkActionService');
+
+// Most leads one job can act on
+const MAX_BULK_LEADS = 50000;
+
+// Most leads a plan without the bulkActions feature can act on at once
+const BASIC_BULK_LEADS = 100;
+
+// Actions that reorganize the organization's leads and need an organization admin
+const MANAGER_ACTIONS = ['auto_assign', 'transfer'];
+
+// A processing job without a heartbeat for this long was interrupted, e.g. by a restart
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// How often a running job records that it is still alive
+const HEARTBEAT_MS = 60 * 1000;
+
+class BulkActionService {
+  constructor() {
+    // Number of leads loaded and processed per round trip
+    this.chunkSize = 100;
+    // How often interrupted jobs are looked for
+    this.intervalMs = 60 * 1000;
+    this.timer = null;
+    // Jobs running in this process, to avoid starting the same job twice
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Create a bulk action job
+   * The leads are selected once, from explicit IDs, a saved search or listing parameters,
+   * and the action parameters are checked before the job is queued.
+   * @param {Object} params - Job parameters
+   * @param {string} params.userId - User running the action
+   * @param {string} params.action - One of BulkActionJob.BULK_ACTIONS
+   * @param {Object} params.params - Action parameters
+   * @param {Array<string>} params.leadIds - Explicit lead IDs
+   * @param {string} params.savedSearch - Saved search ID
+   * @param {Object} params.query - Listing parameters (filters, where, search)
+   * @returns {Promise<Object>} The created BulkActionJob document
+   * @throws {BadRequestError} If the action, its parameters or the selection are invalid
+   * @throws {ForbiddenError} If the action needs an organization admin, or the user's plan
+   *   does not allow a selection this large (code BULK_LIMIT_EXCEEDED)
+   */
+  async createJob({ userId, action, params = {}, leadIds, savedSearch, query }) {
+    if (!BulkActionJob.BULK_ACTIONS.includes(action)) {
+      throw new BadRequestError(`action must be one of ${BulkActionJob.BULK_ACTIONS.join(', ')}.`);
+    }
+
+    const organizationId = await getOrganizationId(userId);
+    if (MANAGER_ACTIONS.includes(action) && !(await leadAccessService.getAccess(userId)).canManage) {
+      throw new ForbiddenError(`Only organization admins can run ${action} on leads.`);
+    }
+    const actionParams = await this._validateParams(action, params, userId, organizationId);
+    const { ids, selection } = await this.selectLeads(userId, { leadIds, savedSearch, query });
+
+    if (ids.length === 0) {
+      throw new BadRequestError('No leads match the selection.');
+    }
+    if (ids.length > BASIC_BULK_LEADS) {
+      const user = await User.findById(userId);
+      if (!canAccessFeature(user, 'bulkActions')) {
+        const error = new ForbiddenError(
+          `Your subscription plan allows bulk actions on up to ${BASIC_BULK_LEADS} leads at a time.`
+        );
+        error.code = 'BULK_LIMIT_EXCEEDED';
+        throw error;
+      }
+    }
+
+    return BulkActionJob.create({
+      user: userId,
+      organization: organizationId,
+      action,
+      params: actionParams,
+      leadIds: ids,
+      selection,
+      counts: { total: ids.length }
+    });
+  }
+
+  /**
+   * Start processing a job in the background
+   * @param {Object} job - BulkActionJob document
+   */
+  start(job) {
+    setImmediate(() => {
+      runWithAuditContext({ source: 'api', actor: job.user }, () => this.run(job._id))
+        .catch(error => {
+          logger.error(`Bulk action job ${job._id} crashed: ${error.message}`, error);
+        });
+    });
+  }
+
+  /**
+   * Find a job owned by a user
+   * @param {string} jobId - BulkActionJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} BulkActionJob document
+   */
+  getJob(jobId, userId) {
+    return BulkActionJob.findOne({ _id: jobId, user: userId });
+  }
+
+  /**
+   * List the most recent jobs of a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} BulkActionJob documents, without their lead IDs
+   */
+  listJobs(userId, limit = 20) {
+    return BulkActionJob.find({ user: userId }).select('-leadIds').sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs stop after the current chunk.
+   * Changes already applied are kept.
+   * @param {string} jobId - BulkActionJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated BulkActionJob document, or null if not found
+   */
+  async cancel(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    if (!job || job.isFinished()) {
+      return job;
+    }
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.completedAt = new Date();
+    }
+
+    return job.save();
+  }
+
+  /**
+   * Process a job from start to finish
+   * Queued jobs and processing jobs that were interrupted can be run.
+   * @param {string} jobId - BulkActionJob ID
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<void>}
+   */
+  async run(jobId, now = new Date()) {
+    const key = jobId.toString();
+    if (this.runningJobs.has(key)) {
+      return;
+    }
+
+    // Claim the job atomically so only one worker processes it
+    const staleBefore = new Date(now.getTime() - STALE_JOB_MS);
+    const job = await BulkActionJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', heartbeatAt: { $lte: staleBefore } },
+          // Interrupted before jobs kept a heartbeat
+          { status: 'processing', heartbeatAt: null, startedAt: { $lte: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'processing', heartbeatAt: now },
+        $min: { startedAt: now }
+      },
+      { new: true }
+    );
+    if (!job) {
+      return;
+    }
+
+    this.runningJobs.add(key);
+    // Kept up while a chunk runs too, so a slow chunk does not make the job look interrupted
+    const heartbeat = setInterval(() => {
+      BulkActionJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } }).catch(error => {
+        logger.warn(`Failed to record the heartbeat of bulk action job ${job._id}: ${error.message}`);
+      });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    try {
+      const context = await this._createContext(job);
+      let finished = true;
+
+      // Chunks are recorded once done, so an interrupted job starts again after the last one
+      for (let i = job.counts.processed; i < job.leadIds.length; i += this.chunkSize) {
+        if (await this._isCancelRequested(job._id)) {
+          finished = false;
+          break;
+        }
+        await this._processChunk(job, job.leadIds.slice(i, i + this.chunkSize), context);
+      }
+
+      await this._finish(job, finished ? 'completed' : 'cancelled');
+    } catch (error) {
+      logger.error(`Bulk action job ${job._id} failed: ${error.message}`, error);
+      await this._finish(job, 'failed', error.message);
+    } finally {
+      clearInterval(heartbeat);
+      this.runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Resume jobs interrupted while processing, and queued jobs left over from a restart
+   * before they started
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeDue(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - STALE_JOB_MS);
+    const jobs = await BulkActionJob.find({
+      $or: [
+        { status: 'queued', createdAt: { $lte: new Date(now.getTime() - this.intervalMs) } },
+        { status: 'processing', heartbeatAt: { $lte: staleBefore } },
+        { status: 'processing', heartbeatAt: null, startedAt: { $lte: staleBefore } }
+      ]
+    }).select('user').lean();
+
+    const resumable = jobs.filter(job => !this.runningJobs.has(job._id.toString()));
+    resumable.forEach(job => this.start(job));
+    return resumable.length;
+  }
+
+  /**
+   * Resume due jobs now and then periodically while the process runs
+   */
+  startSchedule() {
+    if (this.timer) {
+      return;
+    }
+    const run = () => {
+      runWithAuditContext({ source: 'system' }, () => this.resumeDue()).catch(error => {
+        logger.error(`Failed to resume bulk action jobs: ${error.message}`, error);
+      });
+    };
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Resolve the selection of a job to lead IDs
+   * Also used by batch verification jobs (see verificationJobService).
+   * @param {string} userId - User ID
+   * @param {Object} selection - { leadIds } | { savedSearch } | { query }
+   * @returns {Promise<{ids: Array<ObjectId>, selection: Object}>} Selected lead IDs and how they were selected
+   * @throws {BadRequestError} If the selection is invalid or too large
+   */
+  async selectLeads(userId, { leadIds, savedSearch, query }) {
+    const given = [leadIds, savedSearch, query].filter(value => value !== undefined && value !== null);
+    if (given.length !== 1) {
+      throw new BadRequestError('Select leads with exactly one of leadIds, savedSearch or query.');
+    }
+
+    if (leadIds !== undefined && leadIds !== null) {
+      if (!Array.isArray(leadIds) || leadIds.length === 0 ||
+        leadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new BadRequestError('leadIds must be a non-empty array of lead IDs.');
+      }
+      if (leadIds.length > MAX_BULK_LEADS) {
+        throw new BadRequestError(`A bulk action can include at most ${MAX_BULK_LEADS} leads.`);
+      }
+      // Only leads visible to the user are acted on; unknown IDs are dropped here
+      const scope = await leadAccessService.scopeFilter(userId);
+      const leads = await Lead.find({ _id: { $in: leadIds }, ...scope }).select('_id').lean();
+      return { ids: leads.map(lead => lead._id), selection: { type: 'ids' } };
+    }
+
+    if (query !== undefined && (typeof query !== 'object' || Array.isArray(query))) {
+      throw new BadRequestError('query must be an object of listing parameters.');
+    }
+
+    const { filter, sort, savedSearch: search } = await leadSearchService.buildQuery(
+      userId,
+      savedSearch !== undefined ? { savedSearch } : query
+    );
+    const leads = await Lead.find(filter).sort(sort).select('_id').limit(MAX_BULK_LEADS + 1).lean();
+    if (leads.length > MAX_BULK_LEADS) {
+      throw new BadRequestError(
+        `The selection matches more than ${MAX_BULK_LEADS} leads. Narrow the filter and try again.`
+      );
+    }
+
+    return {
+      ids: leads.map(lead => lead._id),
+      selection: search ? { type: 'savedSearch', savedSearch: search._id } : { type: 'query' }
+    };
+  }
+
+  /**
+   * Check and normalize the parameters of an action
+   * @param {string} action - Bulk action
+   * @param {Object} params - Raw parameters
+   * @param {string} userId - User ID
+   * @param {string|null} organizationId - User's organization
+   * @returns {Promise<Object>} Parameters to store on the job
+   * @private
+   */
+  async _validateParams(action, params, userId, organizationId) {
+    switch (action) {
+      case 'change_status': {
+        const status = params.status ? String(params.status).trim().toLowerCase() : '';
+        const pipeline = await pipelineService.getPipeline(organizationId);
+        if (!status || !pipeline.getStage(status)) {
+          throw new BadRequestError(`Unknown pipeline stage "${params.status || ''}".`);
+        }
+        return { status };
+      }
+      case 'add_tags':
+      case 'remove_tags': {
+        const tags = leadFieldService.normalizeTags(params.tags);
+        if (tags.length === 0) {
+          throw new BadRequestError('tags must list at least one tag.');
+        }
+        return { tags };
+      }
+      case 'assign':
+        // A null assignee unassigns the leads
+        if (params.assignee === undefined) {
+          throw new BadRequestError('assignee must be a user ID, or null to unassign.');
+        }
+        return { assignee: await leadAssignmentService.resolveAssignee(params.assignee, userId) };
+      case 'auto_assign':
+        if (!(await leadAssignmentService.getActiveRule(organizationId))) {
+          throw new BadRequestError('Your organization has no enabled assignment rule.');
+        }
+        return { reassign: params.reassign === true };
+      case 'transfer': {
+        // The new owner must be a member; it also becomes the assignee unless keepAssignee is set
+        if (!params.owner) {
+          throw new BadRequestError('owner must be the user ID of a member of your organization.');
+        }
+        const owner = await leadAssignmentService.resolveAssignee(params.owner, userId);
+        return { owner, keepAssignee: params.keepAssignee === true };
+      }
+      case 'rescore':
+        return params.weights ? { weights: params.weights } : {};
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Load what the action needs once per job
+   * @param {Object} job - BulkActionJob document
+   * @returns {Promise<Object>} { pipeline, rule, scope, access }
+   * @private
+   */
+  async _createContext(job) {
+    const access = await leadAccessService.getAccess(job.user);
+    return {
+      pipeline: job.action === 'change_status' ? await pipelineService.getPipeline(job.organization) : null,
+      // Auto-assignment keeps its own rotation, recorded on the rule chunk by chunk
+      rule: job.action === 'auto_assign' ? await leadAssignmentService.getActiveRule(job.organization) : null,
+      scope: access.filter,
+      access
+    };
+  }
+
+  /**
+   * Apply the action to one chunk of leads and record the counts and failures on the job
+   * @param {Object} job - BulkActionJob document
+   * @param {Array<ObjectId>} leadIds - Leads of the chunk
+   * @param {Object} context - Per-job context from _createContext
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processChunk(job, leadIds, context) {
+    const leads = await Lead.find({ _id: { $in: leadIds }, ...context.scope });
+    const leadsById = new Map(leads.map(lead => [lead._id.toString(), lead]));
+    const failures = [];
+    let succeeded = 0;
+
+    const assignees = [];
+
+    for (const leadId of leadIds) {
+      const lead = leadsById.get(leadId.toString());
+      if (!lead) {
+        failures.push({ lead: leadId, reason: 'Lead no longer exists or is no longer visible to you.' });
+        continue;
+      }
+
+      try {
+        await this._apply(job, lead, context);
+        if (job.action === 'auto_assign' && lead.assignedTo) {
+          assignees.push(String(lead.assignedTo));
+        }
+        succeeded++;
+      } catch (error) {
+        failures.push({ lead: leadId, reason: error.message });
+      }
+    }
+
+    if (assignees.length > 0) {
+      await leadAssignmentService.recordAssignments(job.organization, assignees);
+    }
+
+    await BulkActionJob.updateOne({ _id: job._id }, {
+      $inc: {
+        'counts.processed': leadIds.length,
+        'counts.succeeded': succeeded,
+        'counts.failed': failures.length
+      },
+      $set: { heartbeatAt: new Date() },
+      // Only the first failures are kept on the job
+      $push: { failures: { $each: failures, $slice: BulkActionJob.MAX_RECORDED_FAILURES } }
+    });
+  }
+
+  /**
+   * Apply the job's action to a single lead
+   * @param {Object} job - BulkActionJob document
+   * @param {Object} lead - Lead document
+   * @param {Object} context - Per-job context from _createContext
+   * @returns {Promise<void>}
+   * @throws {Error} If the user cannot change the lead or the action cannot be applied
+   *   (e.g. a disallowed stage transition)
+   * @private
+   */
+  async _apply(job, lead, context) {
+    const { params } = job;
+
+    // Every action changes the lead, and seeing a lead is not enough to change it
+    if (!leadAccessService.canEditLead(context.access, lead, job.user)) {
+      throw new Error('Only the lead\'s owner or an organization admin can change it.');
+    }
+
+    switch (job.action) {
+      case 'change_status':
+        if (lead.status === params.status) {
+          return;
+        }
+        pipelineService.changeStage(lead, context.pipeline, params.status, job.user);
+        break;
+      case 'add_tags':
+        lead.tags = Array.from(new Set([...lead.tags, ...params.tags]));
+        break;
+      case 'remove_tags':
+        lead.tags = lead.tags.filter(tag => !params.tags.includes(tag));
+        break;
+      case 'assign':
+        lead.assignedTo = params.assignee;
+        break;
+      case 'auto_assign': {
+        if (lead.assignedTo && !params.reassign) {
+          return;
+        }
+        const [assignee] = leadAssignmentService.pickAssignees(context.rule, 1);
+        context.rule.members.find(member => String(member.user) === assignee).assigned++;
+        lead.assignedTo = assignee;
+        break;
+      }
+      case 'transfer':
+        // Lists are private to their creator, so the lead leaves the previous owner's lists
+        lead.user = params.owner;
+        lead.organization = job.organization;
+        lead.lists = [];
+        if (!params.keepAssignee) {
+          lead.assignedTo = params.owner;
+        }
+        break;
+      case 'reverify':
+        // Queued for the re-verification schedule, which re-verifies requested leads on its next pass
+        lead.verificationRequestedAt = new Date();
+        if (Object.keys(reverificationService.getDueInputs(lead)).length === 0) {
+          throw new Error('Lead has no phone, email or address to verify.');
+        }
+        break;
+      case 'rescore':
+        lead.score = scoringService.calculateLeadScore(lead, params.weights || scoringService.DEFAULT_WEIGHTS).score;
+        break;
+      case 'delete':
+        await lead.softDelete(job.user);
+        return;
+      default:
+        throw new Error(`Unsupported action ${job.action}.`);
+    }
+
+    await lead.save();
+  }
+
+  /**
+   * Check whether a cancellation has been requested for a job
+   * @param {string} jobId - BulkActionJob ID
+   * @returns {Promise<boolean>} True if the job should stop
+   * @private
+   */
+  async _isCancelRequested(jobId) {
+    const job = await BulkActionJob.findById(jobId).select('cancelRequested').lean();
+    return !job || job.cancelRequested === true;
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {Object} job - BulkActionJob document
+   * @param {string} status - completed, failed or cancelled
+   * @param {string} error - Error message for failed jobs
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finish(job, status, error) {
+    const update = { status, completedAt: new Date() };
+    if (error) {
+      update.error = error;
+    }
+
+    await BulkActionJob.updateOne({ _id: job._id }, { $set: update });
+    logger.info(`Bulk action job ${job._id} (${job.action}) ${status}`);
+  }
+}
+
+module.exports = new BulkActionService();
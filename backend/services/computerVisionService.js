@@ -2,10 +2,10 @@
  * Computer Vision Service
  * Handles property image analysis to detect condition, vacancy signs, and improvement potential
  */
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const outboundClient = require('./outboundClient');
 
 // Placeholder for when we'll integrate with a real computer vision API
 // We'll use a mock service for now, but design for easy replacement with FoxyAI, CAPE Analytics, etc.
@@ -13,6 +13,16 @@ class ComputerVisionService {
   constructor() {
     this.baseUrl = config.computerVision?.apiUrl || 'https://api.computervision-example.com';
     this.apiKey = config.computerVision?.apiKey || process.env.COMPUTER_VISION_API_KEY;
+    // Provider configured through the environment, tried after any imageAnalysis ApiIntegrations
+    this.defaultIntegration = {
+      name: 'Computer vision API',
+      provider: 'environment',
+      type: 'imageAnalysis',
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      settings: { timeout: 30000, retryAttempts: 2 },
+      pricing: { unitPrice: parseFloat(process.env.COMPUTER_VISION_UNIT_PRICE) || 0 }
+    };
     this.cachePath = path.join(__dirname, '../cache/vision-results');
     
     // Ensure cache directory exists
@@ -64,6 +74,8 @@ class ComputerVisionService {
 
   /**
    * Call the external computer vision API
+   * Each active imageAnalysis ApiIntegration is tried in turn, then the provider configured
+   * through the environment, with retries and circuit breakers (see outboundClient).
    * @param {Array<string>} images - Array of image URLs
    * @param {Object} options - API options
    * @returns {Promise<Object>} API response
@@ -71,22 +83,20 @@ class ComputerVisionService {
    */
   async _callExternalAPI(images, options) {
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/property-analysis`,
-        {
+      const integrations = [...await outboundClient.findIntegrations('imageAnalysis'), this.defaultIntegration];
+      const { result } = await outboundClient.withFailover(integrations, integration => outboundClient.request(integration, {
+        method: 'post',
+        url: '/property-analysis',
+        data: {
           images,
           analysisTypes: options.analysisTypes || ['condition', 'vacancy', 'repairs'],
           ...options
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      return response.data;
+        headers: { 'Content-Type': 'application/json' },
+        usage: { feature: 'imageAnalysis', quantity: images.length }
+      }), 'Property image analysis');
+
+      return result;
     } catch (error) {
       console.error('API call failed:', error.response?.data || error.message);
       throw error;
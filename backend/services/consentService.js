@@ -0,0 +1,508 @@
+/**
+ * Consent Service
+ * The consent and opt-out ledger: recording consent given and withdrawn by phone number
+ * and email, STOP replies posted by the SMS provider, the current consent of contacts
+ * checked before anyone is called, texted or exported, and the ledger's listing and
+ * export for legal review. Ledgers belong to the organization, or to the user without one.
+ */
+const mongoose = require('mongoose');
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+const ConsentRecord = require('../models/ConsentRecord');
+const SmsReplyWebhook = require('../models/SmsReplyWebhook');
+const Lead = require('../models/Lead');
+const leadAccessService = require('./leadAccessService');
+const { normalizePhone, normalizeEmail } = require('../utils/leadMatching');
+const { parseEmail } = require('../utils/emailAddress');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('consentService');
+
+// Carrier opt-out and opt-in keywords (CTIA), matched against the start of a reply
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+
+const EXPORT_COLUMNS = [
+  'recordedAt', 'contactType', 'contact', 'action', 'channel', 'source', 'consentLanguage', 'message',
+  'ipAddress', 'userAgent', 'recordedBy', 'lead', 'suppressionList', '_id', 'createdAt'
+];
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Sources users can record; STOP replies and suppression list changes are recorded by the system
+const USER_SOURCES = ['web_form', 'manual', 'import', 'api'];
+
+/**
+ * Keyword a reply starts with, if it is an opt-out or opt-in keyword
+ * @param {string} body - Text of the reply
+ * @returns {string|null} opt_out, opt_in or null
+ */
+const replyAction = (body) => {
+  const word = String(body || '').trim().toUpperCase().split(/[^A-Z]+/)[0];
+  if (OPT_OUT_KEYWORDS.includes(word)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(word)) return 'opt_in';
+  return null;
+};
+
+class ConsentService {
+  constructor() {
+    // Records written per insert when many contacts are recorded at once
+    this.insertBatchSize = 1000;
+  }
+
+  /**
+   * Owner of the ledger a user records in: their organization, or themselves
+   * @param {string} userId - User ID
+   * @returns {Promise<{organization: (string|null), user: string, canManage: boolean}>}
+   *   canManage: the user can export the ledger and manage the SMS webhook
+   */
+  async getScope(userId) {
+    const { organization, canManage } = await leadAccessService.getAccess(userId);
+    return {
+      organization: organization ? organization._id : null,
+      user: userId,
+      canManage: !organization || canManage
+    };
+  }
+
+  /**
+   * Scope of the ledger a lead's contacts are recorded in
+   * @param {Object} lead - Lead with organization and user
+   * @returns {{organization: (string|null), user: string}}
+   */
+  leadScope(lead) {
+    return { organization: lead.organization || null, user: lead.user };
+  }
+
+  /**
+   * Split leads by the ledger (and suppression lists) that apply to them
+   * @param {Array<Object>} leads - Leads with organization and user
+   * @returns {Array<{scope: Object, leads: Array<Object>}>}
+   */
+  groupByScope(leads) {
+    const groups = new Map();
+    leads.forEach(lead => {
+      const scope = this.leadScope(lead);
+      const key = scope.organization ? `o:${scope.organization}` : `u:${scope.user}`;
+      if (!groups.has(key)) groups.set(key, { scope, leads: [] });
+      groups.get(key).leads.push(lead);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Filter matching the records of a scope's ledger
+   * @param {Object} scope - { organization, user }
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _scopeFilter(scope) {
+    return scope.organization
+      ? { organization: new mongoose.Types.ObjectId(String(scope.organization)) }
+      : { organization: null, user: new mongoose.Types.ObjectId(String(scope.user)) };
+  }
+
+  /**
+   * Normalize a phone number or email address for the ledger
+   * @param {string} value - Number or address
+   * @param {string} contactType - phone or email (optional; guessed from the value)
+   * @returns {{contactType: string, contact: string}|null} Null when it is neither
+   */
+  normalizeContact(value, contactType) {
+    const type = contactType || (String(value || '').includes('@') ? 'email' : 'phone');
+    if (type === 'email') {
+      const parsed = parseEmail(value);
+      return parsed.valid ? { contactType: 'email', contact: parsed.normalized || normalizeEmail(value) } : null;
+    }
+    if (type === 'phone') {
+      const phone = normalizePhone(value);
+      return phone ? { contactType: 'phone', contact: phone } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Write records to a scope's ledger
+   * @param {Object} scope - { organization, user } owning the ledger
+   * @param {Array<Object>} entries - { contact, contactType, action, channel, source, consentLanguage,
+   *   message, recordedAt, lead, suppressionList, ipAddress, userAgent }
+   * @param {Object} context - Defaults for every entry: { recordedBy, ipAddress, userAgent }
+   * @returns {Promise<number>} Number of records written
+   * @throws {BadRequestError} If an entry is invalid; nothing is written then
+   */
+  async record(scope, entries, context = {}) {
+    const records = entries.map((entry, index) => {
+      const where = entries.length > 1 ? ` (entry ${index + 1})` : '';
+      const contact = this.normalizeContact(entry.contact, entry.contactType);
+      if (!contact) {
+        throw new BadRequestError(`contact must be a valid phone number or email address${where}.`);
+      }
+      if (!ConsentRecord.ACTIONS.includes(entry.action)) {
+        throw new BadRequestError(`action must be one of ${ConsentRecord.ACTIONS.join(', ')}${where}.`);
+      }
+      const channel = entry.channel || (contact.contactType === 'email' ? 'email' : 'all');
+      if (!ConsentRecord.CHANNELS.includes(channel)) {
+        throw new BadRequestError(`channel must be one of ${ConsentRecord.CHANNELS.join(', ')}${where}.`);
+      }
+      if (!ConsentRecord.SOURCES.includes(entry.source)) {
+        throw new BadRequestError(`source must be one of ${ConsentRecord.SOURCES.join(', ')}${where}.`);
+      }
+      const recordedAt = entry.recordedAt ? new Date(entry.recordedAt) : new Date();
+      if (Number.isNaN(recordedAt.getTime()) || recordedAt > new Date(Date.now() + 60 * 1000)) {
+        throw new BadRequestError(`recordedAt must be a date and time that is not in the future${where}.`);
+      }
+
+      return {
+        ...contact,
+        action: entry.action,
+        channel,
+        source: entry.source,
+        consentLanguage: entry.consentLanguage,
+        message: entry.message,
+        recordedAt,
+        ipAddress: entry.ipAddress || context.ipAddress,
+        userAgent: entry.userAgent || context.userAgent,
+        recordedBy: context.recordedBy,
+        lead: entry.lead,
+        suppressionList: entry.suppressionList,
+        user: scope.user,
+        organization: scope.organization || undefined
+      };
+    });
+
+    for (let start = 0; start < records.length; start += this.insertBatchSize) {
+      await ConsentRecord.insertMany(records.slice(start, start + this.insertBatchSize));
+    }
+    return records.length;
+  }
+
+  /**
+   * Write records to the user's ledger on their behalf
+   * @param {string} userId - User recording them
+   * @param {Array<Object>} entries - See record(); source defaults to manual and a lead must be
+   *   one the user can see
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<{count: number, scope: Object}>} Number of records written and the ledger's scope
+   * @throws {BadRequestError} If an entry is invalid
+   */
+  async recordForUser(userId, entries, context = {}) {
+    entries = entries.map(entry => ({ ...entry, source: entry.source || 'manual' }));
+    if (entries.some(entry => !USER_SOURCES.includes(entry.source))) {
+      throw new BadRequestError(`source must be one of ${USER_SOURCES.join(', ')}.`);
+    }
+    const leadIds = Array.from(new Set(entries.filter(entry => entry.lead).map(entry => String(entry.lead))));
+    if (leadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new BadRequestError('lead must be a lead ID.');
+    }
+    if (leadIds.length > 0) {
+      const visible = await Lead.countDocuments({ _id: { $in: leadIds }, ...await leadAccessService.scopeFilter(userId) });
+      if (visible !== leadIds.length) {
+        throw new BadRequestError('Lead not found or you do not have permission to access it.');
+      }
+    }
+
+    const scope = await this.getScope(userId);
+    const count = await this.record(scope, entries, { ...context, recordedBy: userId });
+    return { count, scope };
+  }
+
+  /**
+   * Record that numbers opted out, e.g. when they are put on an internal DNC list
+   * @param {Object} scope - { organization, user } owning the ledger
+   * @param {Array<string>} phones - Numbers in any format
+   * @param {Object} details - { source, channel (default all), message, recordedBy, suppressionList }
+   * @returns {Promise<number>} Number of records written
+   */
+  async recordOptOuts(scope, phones, { source, channel = 'all', message, recordedBy, suppressionList }) {
+    const entries = phones.filter(phone => normalizePhone(phone)).map(contact => ({
+      contact,
+      contactType: 'phone',
+      action: 'opt_out',
+      channel,
+      source,
+      message,
+      suppressionList
+    }));
+    return this.record(scope, entries, { recordedBy });
+  }
+
+  /**
+   * Latest record of each contact for a channel (records for every channel included)
+   * @param {Object} scope - { organization, user } owning the ledger
+   * @param {Array<string>} contacts - Normalized numbers and addresses
+   * @param {string} channel - call, sms or email
+   * @returns {Promise<Map<string, Object>>} Latest record by contact; contacts without one are left out
+   */
+  async getLatestRecords(scope, contacts, channel) {
+    if (contacts.length === 0) {
+      return new Map();
+    }
+    const latest = await ConsentRecord.aggregate([
+      { $match: { ...this._scopeFilter(scope), contact: { $in: contacts }, channel: { $in: [channel, 'all'] } } },
+      { $sort: { recordedAt: -1, _id: -1 } },
+      { $group: { _id: '$contact', record: { $first: '$$ROOT' } } }
+    ]);
+    return new Map(latest.map(({ _id, record }) => [_id, record]));
+  }
+
+  /**
+   * Contacts whose latest record for a channel is an opt-out
+   * @param {Object} scope - { organization, user } owning the ledger
+   * @param {Array<string>} contacts - Normalized numbers and addresses
+   * @param {string} channel - call, sms or email
+   * @returns {Promise<Map<string, Object>>} Opt-out record by contact
+   */
+  async getOptOuts(scope, contacts, channel) {
+    const latest = await this.getLatestRecords(scope, contacts, channel);
+    return new Map(Array.from(latest).filter(([, record]) => record.action === 'opt_out'));
+  }
+
+  /**
+   * Current consent of contacts
+   * @param {Object} scope - { organization, user } owning the ledger
+   * @param {Array<string>} values - Numbers and addresses in any format
+   * @param {string} channel - call, sms or email
+   * @returns {Promise<Array<Object>>} { contact, status (opted_in, opted_out or unknown), record }
+   */
+  async getStatuses(scope, values, channel) {
+    if (!ConsentRecord.CHANNELS.includes(channel) || channel === 'all') {
+      throw new BadRequestError('channel must be one of call, sms or email.');
+    }
+    const contacts = Array.from(new Set(values.map(value => this.normalizeContact(value)).filter(Boolean)
+      .map(({ contact }) => contact)));
+    const latest = await this.getLatestRecords(scope, contacts, channel);
+
+    return contacts.map(contact => {
+      const record = latest.get(contact) || null;
+      const status = !record ? 'unknown' : record.action === 'opt_in' ? 'opted_in' : 'opted_out';
+      return { contact, status, record };
+    });
+  }
+
+  /**
+   * Remove the email addresses that opted out of email from copies of leads
+   * @param {Array<Object>} leads - Plain leads with email, organization and user
+   * @returns {Promise<Array<Object>>} The leads, with opted-out addresses blanked
+   */
+  async withoutOptedOutEmails(leads) {
+    const optedOut = new Set();
+    for (const group of this.groupByScope(leads)) {
+      const emails = Array.from(new Set(group.leads.map(lead => normalizeEmail(lead.email)).filter(Boolean)));
+      const optOuts = await this.getOptOuts(group.scope, emails, 'email');
+      group.leads.forEach(lead => {
+        if (optOuts.has(normalizeEmail(lead.email))) optedOut.add(lead);
+      });
+    }
+    return leads.map(lead => (optedOut.has(lead) ? { ...lead, email: '' } : lead));
+  }
+
+  /**
+   * Build the filter of a ledger listing or export
+   * @param {string} userId - User ID
+   * @param {Object} query - { lead, contact, action, channel, source, from, to }
+   * @returns {Promise<Object>} MongoDB filter
+   * @throws {BadRequestError} If a parameter is invalid or the lead is not visible to the user
+   * @private
+   */
+  async _buildFilter(userId, query) {
+    const scope = await this.getScope(userId);
+    const filter = this._scopeFilter(scope);
+
+    if (query.lead) {
+      if (!mongoose.Types.ObjectId.isValid(query.lead)) {
+        throw new BadRequestError('lead must be a lead ID.');
+      }
+      const lead = await Lead.findOne({ _id: query.lead, ...await leadAccessService.scopeFilter(userId) })
+        .select('email phone phoneNumbers');
+      if (!lead) {
+        throw new BadRequestError('Lead not found or you do not have permission to access it.');
+      }
+      // Records made against the lead and every record of its numbers and address
+      const contacts = [lead.email, lead.phone, ...(lead.phoneNumbers || [])]
+        .map(value => this.normalizeContact(value)).filter(Boolean).map(({ contact }) => contact);
+      filter.$or = [{ lead: lead._id }, { contact: { $in: contacts } }];
+    }
+    if (query.contact) {
+      const contact = this.normalizeContact(query.contact);
+      if (!contact) {
+        throw new BadRequestError('contact must be a valid phone number or email address.');
+      }
+      filter.contact = contact.contact;
+    }
+    ['action', 'channel', 'source'].forEach(field => {
+      if (query[field]) filter[field] = String(query[field]);
+    });
+    if (query.from || query.to) {
+      filter.recordedAt = {};
+      [['from', '$gte'], ['to', '$lte']].forEach(([param, operator]) => {
+        if (!query[param]) return;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+          throw new BadRequestError(`${param} must be a date.`);
+        }
+        filter.recordedAt[operator] = date;
+      });
+    }
+    return filter;
+  }
+
+  /**
+   * List records of the user's ledger, newest first
+   * @param {string} userId - User ID
+   * @param {Object} query - Filters (see _buildFilter) plus limit and skip
+   * @returns {Promise<{records: Array<Object>, total: number}>}
+   */
+  async listRecords(userId, { limit = 100, skip = 0, ...query } = {}) {
+    const filter = await this._buildFilter(userId, query);
+    const [records, total] = await Promise.all([
+      ConsentRecord.find(filter).sort({ recordedAt: -1, _id: -1 }).skip(skip).limit(limit)
+        .populate('recordedBy', 'name email'),
+      ConsentRecord.countDocuments(filter)
+    ]);
+    return { records, total };
+  }
+
+  /**
+   * Check whether an export format is supported
+   * @param {string} format - Requested format
+   * @returns {boolean}
+   */
+  isSupportedFormat(format) {
+    return EXPORT_FORMATS.includes(format);
+  }
+
+  /**
+   * Stream the user's ledger as CSV or NDJSON, oldest first, for legal review
+   * @param {Object} res - Express response object
+   * @param {string} userId - User ID
+   * @param {Object} query - Filters (see _buildFilter)
+   * @param {string} format - csv or ndjson
+   * @returns {Promise<number>} Number of exported records
+   * @throws {ForbiddenError} If the user cannot export the ledger
+   */
+  async streamExport(res, userId, query, format = 'csv') {
+    if (!(await this.getScope(userId)).canManage) {
+      throw new ForbiddenError('Only organization owners and admins can export the consent ledger.');
+    }
+    const filter = await this._buildFilter(userId, query);
+    const stringifier = createCsvStringifier({ header: EXPORT_COLUMNS.map(column => ({ id: column, title: column })) });
+    const extension = format === 'csv' ? 'csv' : 'ndjson';
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition',
+      `attachment; filename="consent-ledger-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    if (format === 'csv') {
+      await this._write(res, stringifier.getHeaderString());
+    }
+
+    let count = 0;
+    const cursor = ConsentRecord.find(filter).sort({ recordedAt: 1, _id: 1 }).lean().cursor({ batchSize: 500 });
+    for await (const record of cursor) {
+      const row = EXPORT_COLUMNS.reduce((values, column) => {
+        const value = record[column];
+        values[column] = value === undefined || value === null ? ''
+          : value instanceof Date ? value.toISOString() : String(value);
+        return values;
+      }, {});
+      await this._write(res, format === 'csv' ? stringifier.stringifyRecords([row]) : `${JSON.stringify(row)}\n`);
+      count++;
+    }
+    res.end();
+    return count;
+  }
+
+  /**
+   * Get the token of the SMS reply webhook of the user's ledger, creating it if needed
+   * @param {string} userId - User ID
+   * @param {Object} options - { rotate: replace an existing token }
+   * @returns {Promise<string>} Webhook token
+   * @throws {ForbiddenError} If the user cannot manage the webhook
+   */
+  async getWebhookToken(userId, { rotate = false } = {}) {
+    const scope = await this.getScope(userId);
+    if (!scope.canManage) {
+      throw new ForbiddenError('Only organization owners and admins can manage the SMS reply webhook.');
+    }
+
+    const filter = this._scopeFilter(scope);
+    const webhook = await SmsReplyWebhook.findOne(filter);
+    if (webhook && !rotate) {
+      return webhook.token;
+    }
+
+    const token = SmsReplyWebhook.generateToken();
+    await SmsReplyWebhook.updateOne(
+      filter,
+      { $set: { token, user: userId, createdAt: new Date() } },
+      { upsert: true }
+    );
+    return token;
+  }
+
+  /**
+   * Turn off the SMS reply webhook of the user's ledger
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether a webhook existed
+   * @throws {ForbiddenError} If the user cannot manage the webhook
+   */
+  async revokeWebhook(userId) {
+    const scope = await this.getScope(userId);
+    if (!scope.canManage) {
+      throw new ForbiddenError('Only organization owners and admins can manage the SMS reply webhook.');
+    }
+    const result = await SmsReplyWebhook.deleteOne(this._scopeFilter(scope));
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Record an inbound SMS reply posted to a webhook
+   * STOP and the other opt-out keywords withdraw consent to calls and texts alike, as a
+   * revocation by any reasonable means must be honoured on every channel; START only
+   * opts back in to texts.
+   * @param {string} token - Webhook token from the URL
+   * @param {Object} reply - { from, body, ipAddress }
+   * @returns {Promise<Object|null>} { action, phone, scope } of the recorded reply ({ action: null }
+   *   for other replies), or null when the token is unknown
+   */
+  async handleSmsReply(token, { from, body, ipAddress }) {
+    const webhook = await SmsReplyWebhook.findOneAndUpdate(
+      { token: String(token) },
+      { $set: { lastReceivedAt: new Date() } }
+    );
+    if (!webhook) {
+      return null;
+    }
+
+    const action = replyAction(body);
+    const phone = normalizePhone(from);
+    if (!action || !phone) {
+      return { action: null };
+    }
+
+    const scope = { organization: webhook.organization || null, user: webhook.user };
+    await this.record(scope, [{
+      contact: phone,
+      contactType: 'phone',
+      action,
+      channel: action === 'opt_out' ? 'all' : 'sms',
+      source: 'sms_reply',
+      message: String(body).slice(0, 2000),
+      ipAddress
+    }]);
+    logger.info(`Recorded ${action} from an SMS reply for ${scope.organization ? `organization ${scope.organization}` : `user ${scope.user}`}`);
+    return { action, phone, scope };
+  }
+
+  /**
+   * Write a chunk to the response, waiting for the socket to drain when needed
+   * @private
+   */
+  _write(res, chunk) {
+    if (res.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => res.once('drain', resolve));
+  }
+}
+
+module.exports = new ConsentService();
@@ -2,11 +2,11 @@
  * Document Analysis Service
  * Implements NLP to analyze property-related documents and extract insights
  */
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const natural = require('natural');
 const documentFetchService = require('./documentFetchService');
+const outboundClient = require('./outboundClient');
 const logger = require('../utils/logger');
 
 // Initialize NLP tools from natural.js
@@ -20,6 +20,16 @@ class DocumentAnalysisService {
     // External NLP API configuration
     this.baseUrl = process.env.NLP_API_URL || 'https://api.example.com/nlp';
     this.apiKey = process.env.NLP_API_KEY || '';
+    // Provider configured through the environment, tried after any documentAnalysis ApiIntegrations
+    this.defaultIntegration = {
+      name: 'NLP API',
+      provider: 'environment',
+      type: 'documentAnalysis',
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      settings: { timeout: 15000, retryAttempts: 2 },
+      pricing: { unitPrice: parseFloat(process.env.NLP_API_UNIT_PRICE) || 0 }
+    };
     
     // Cache path
     this.cachePath = path.join(__dirname, '../cache/document-analysis');
@@ -90,9 +100,10 @@ class DocumentAnalysisService {
       
       let analysisResults;
       
-      // If we're not in development mode and have API credentials, call the external API
-      if (process.env.NODE_ENV !== 'development' && this.apiKey) {
-        analysisResults = await this._analyzeWithExternalAPI(documents, options);
+      // If we're not in development mode and have an API configured, call the external API
+      const integrations = process.env.NODE_ENV !== 'development' ? await this._findIntegrations() : [];
+      if (integrations.length > 0) {
+        analysisResults = await this._analyzeWithExternalAPI(documents, options, integrations);
       } else {
         // Otherwise use our built-in analysis
         analysisResults = this._analyzeWithBuiltInNLP(documents);
@@ -119,14 +130,27 @@ class DocumentAnalysisService {
     return crypto.createHash('md5').update(documentIds).digest('hex');
   }
 
+  /**
+   * NLP providers to try, in order: active documentAnalysis ApiIntegrations, then the
+   * provider configured through the environment when it has an API key
+   * @returns {Promise<Array<Object>>} Integrations
+   * @private
+   */
+  async _findIntegrations() {
+    const integrations = await outboundClient.findIntegrations('documentAnalysis');
+    return this.apiKey ? [...integrations, this.defaultIntegration] : integrations;
+  }
+
   /**
    * Analyze documents using an external NLP API
+   * Providers are tried in turn with retries and circuit breakers (see outboundClient).
    * @param {Array} documents - Array of document objects
    * @param {Object} options - Analysis options
+   * @param {Array<Object>} integrations - Providers to try, preferred first
    * @returns {Promise<Object>} Analysis results
    * @private
    */
-  async _analyzeWithExternalAPI(documents, options) {
+  async _analyzeWithExternalAPI(documents, options, integrations) {
     try {
       // Prepare document content for API
       const documentContent = documents.map(doc => ({
@@ -137,22 +161,19 @@ class DocumentAnalysisService {
       }));
       
       // Call external NLP API
-      const response = await axios.post(
-        `${this.baseUrl}/analyze`,
-        {
+      const { result } = await outboundClient.withFailover(integrations, integration => outboundClient.request(integration, {
+        method: 'post',
+        url: '/analyze',
+        data: {
           documents: documentContent,
           analysisTypes: options.analysisTypes || ['entities', 'sentiment', 'classification'],
           options
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      return response.data;
+        headers: { 'Content-Type': 'application/json' },
+        usage: { feature: 'documentAnalysis', quantity: documents.length }
+      }), 'Document analysis');
+
+      return result;
     } catch (error) {
       logger.error('NLP API call failed:', error.response?.data || error.message);
       // Fallback to built-in NLP if API fails
@@ -5,6 +5,8 @@
  * It includes mappings for county detection, API endpoints, and availability status.
  */
 
+const { parseAddress } = require('../../../utils/usAddress');
+
 const counties = {
   // Texas
   harrisCounty: {
@@ -189,7 +191,8 @@ const getCountyById = (id) => {
  * @returns {string|null} - County ID or null if not found
  */
 const determineCounty = (addressComponents) => {
-  const { state, city, zip } = addressComponents;
+  // City, state and ZIP may be given separately or only as part of the address
+  const { state, city, zip } = parseAddress(addressComponents);
   
   // First try exact matches by state and city
   if (state && city) {
@@ -200,9 +203,7 @@ const determineCounty = (addressComponents) => {
       const county = counties[countyId];
       
       // Check if state matches
-      if (county.state.toLowerCase() === stateNormalized || 
-          (stateNormalized === 'tx' && county.state.toLowerCase() === 'texas') || 
-          (stateNormalized === 'ca' && county.state.toLowerCase() === 'california')) {
+      if (county.state.toLowerCase() === stateNormalized) {
         
         // Check if city matches
         if (county.cities.some(countyCity => 
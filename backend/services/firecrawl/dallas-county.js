@@ -3,6 +3,7 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { sameAddress } = require('../../utils/usAddress');
 
 /**
  * Dallas County Property Scraper
@@ -359,8 +360,7 @@ class DallasCountyScraper {
     const ownerAddress = details.ownerAddress || '';
     
     // If owner address is different from property address, likely vacant
-    if (propertyAddress && ownerAddress && 
-        !ownerAddress.toLowerCase().includes(this._normalizeAddress(propertyAddress).toLowerCase())) {
+    if (propertyAddress && ownerAddress && !sameAddress(ownerAddress, propertyAddress)) {
       return true;
     }
     
@@ -368,18 +368,6 @@ class DallasCountyScraper {
     return false;
   }
 
-  /**
-   * Normalize address for comparison
-   * @param {string} address - Address to normalize
-   * @returns {string} - Normalized address
-   */
-  _normalizeAddress(address) {
-    return address.replace(/\s+/g, ' ')
-                  .replace(/,/g, '')
-                  .toLowerCase()
-                  .trim();
-  }
-
   /**
    * Calculate property motivation score
    * @param {Object} propertyDetails - Property details including tax info
@@ -3,6 +3,7 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { parseAddress, sameAddress } = require('../../utils/usAddress');
 
 /**
  * Harris County Property Scraper
@@ -256,7 +257,7 @@ class HarrisCountyScraper {
   _isLikelyVacant(details) {
     // If owner address is different from property address, likely vacant
     if (details.address && details.ownerAddress && 
-        !details.ownerAddress.includes(details.address)) {
+        !sameAddress(details.ownerAddress, details.address)) {
       return true;
     }
     
@@ -270,20 +271,18 @@ class HarrisCountyScraper {
    * @returns {string} - Street number
    */
   _extractStreetNumber(address) {
-    if (!address) return '';
-    const match = address.match(/^(\d+)/);
-    return match ? match[1] : '';
+    return parseAddress(address).number || '';
   }
 
   /**
-   * Extract street name from address
+   * Extract street name from address, standardized and without the unit
+   * ("123 North Main Street Apt 4" -> "N MAIN ST")
    * @param {string} address - Full address
    * @returns {string} - Street name
    */
   _extractStreetName(address) {
-    if (!address) return '';
-    const match = address.match(/^\d+\s+(.*?)(?:,|$)/);
-    return match ? match[1].trim() : '';
+    const parsed = parseAddress(address);
+    return [parsed.preDirectional, parsed.streetName, parsed.suffix, parsed.postDirectional].filter(Boolean).join(' ');
   }
 
   /**
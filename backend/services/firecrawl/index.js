@@ -6,6 +6,7 @@ const path = require('path');
 const harrisCountyScraper = require('./harris-county');
 const dallasCountyScraper = require('./dallas-county');
 const countiesConfig = require('./config/counties');
+const { sameAddress } = require('../../utils/usAddress');
 
 /**
  * FireCrawlService - A service for web scraping real estate data and validating leads
@@ -112,7 +113,7 @@ class FireCrawlService {
    */
   _determineCounty(lead) {
     // Extract address components
-    const { address = '', city = '', state = '', zip = '' } = lead;
+    const { address = '', city = '', state = '', zip = lead.zipCode || '' } = lead;
     
     // Use the counties configuration to determine the county
     return countiesConfig.determineCounty({ address, city, state, zip });
@@ -195,8 +196,7 @@ class FireCrawlService {
       
       // Try to find the property that matches the address
       const matchedProperty = properties.find(p => 
-        p.address && lead.address && 
-        this._normalizeAddress(p.address).includes(this._normalizeAddress(lead.address))
+        p.address && lead.address && this._isLeadAddress(lead, p.address)
       ) || properties[0];
       
       // Get detailed information for the property
@@ -211,8 +211,8 @@ class FireCrawlService {
       }
       
       // Add property verification status
-      propertyDetails.addressVerified = matchedProperty.address && lead.address && 
-                                      this._normalizeAddress(matchedProperty.address).includes(this._normalizeAddress(lead.address));
+      propertyDetails.addressVerified = Boolean(matchedProperty.address && lead.address &&
+                                      this._isLeadAddress(lead, matchedProperty.address));
       propertyDetails.ownerVerified = true;
       
       return propertyDetails;
@@ -223,16 +223,13 @@ class FireCrawlService {
   }
 
   /**
-   * Normalize address for comparison
-   * @param {string} address - Address to normalize
-   * @returns {string} - Normalized address
+   * Check whether a county record's address is the lead's address
+   * @param {Object} lead - Lead with address, city, state and zipCode
+   * @param {string} address - Address of the county record
+   * @returns {boolean} - True when both standardize to the same address
    */
-  _normalizeAddress(address) {
-    if (!address) return '';
-    return address.replace(/\s+/g, ' ')
-                  .replace(/,/g, '')
-                  .toLowerCase()
-                  .trim();
+  _isLeadAddress(lead, address) {
+    return sameAddress({ address: lead.address, city: lead.city, state: lead.state, zip: lead.zip || lead.zipCode }, address);
   }
 
   /**
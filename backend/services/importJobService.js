@@ -0,0 +1,649 @@
+/**
+ * Import Job Service
+ * Runs lead file imports in the background, in chunks, recording progress on an
+ * ImportJob document so clients can poll for status or cancel the import. Jobs
+ * interrupted by a restart, or queued when it happened, are picked up again by a
+ * schedule and carry on after the rows already processed.
+ */
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const Lead = require('../models/Lead');
+const ImportJob = require('../models/ImportJob');
+const ImportMatch = require('../models/ImportMatch');
+const ImportRowError = require('../models/ImportRowError');
+const leadDeduplicationService = require('./leadDeduplicationService');
+const leadAssignmentService = require('./leadAssignmentService');
+const pipelineService = require('./pipelineService');
+const suppressionService = require('./suppressionService');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { runWithAuditContext } = require('../utils/auditContext');
+const { parseLeadFile } = require('../utils/leadFileParser');
+const { needsSplitting, splitExcelFile, cleanupSplitFiles } = require('../utils/fileSplitter');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('importJobService');
+
+// A processing job without a heartbeat for this long was interrupted, e.g. by a restart
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// How often a running job records that it is still alive
+const HEARTBEAT_MS = 60 * 1000;
+
+class ImportJobService {
+  constructor() {
+    // Number of rows validated and inserted per database round trip
+    this.chunkSize = 500;
+    this.uploadsDir = path.join(__dirname, '../uploads');
+    // How often interrupted jobs are looked for
+    this.intervalMs = 60 * 1000;
+    this.timer = null;
+    // Jobs running in this process, to avoid starting the same job twice
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Create an import job for an uploaded file
+   * @param {Object} params - Job parameters
+   * @param {string} params.userId - Owner of the imported leads
+   * @param {string} params.filePath - Path of the uploaded file
+   * @param {string} params.originalFilename - Name of the file as uploaded
+   * @param {string} params.source - upload or api
+   * @param {Array<Object>} params.mapping - Column-mapping rules (optional)
+   * @param {string} params.mappingTemplate - ImportMapping the rules came from (optional)
+   * @param {string} params.duplicatePolicy - skip, overwrite, merge or keep_both (default skip)
+   * @param {string} params.duplicateScope - user or organization (default user)
+   * @returns {Promise<Object>} The created ImportJob document
+   */
+  async createJob({
+    userId,
+    filePath,
+    originalFilename,
+    source = 'upload',
+    mapping,
+    mappingTemplate,
+    duplicatePolicy,
+    duplicateScope
+  }) {
+    return ImportJob.create({
+      user: userId,
+      organization: await getOrganizationId(userId),
+      filePath,
+      originalFilename,
+      fileType: path.extname(originalFilename || filePath).toLowerCase(),
+      source,
+      mapping,
+      mappingTemplate,
+      duplicatePolicy,
+      duplicateScope
+    });
+  }
+
+  /**
+   * Create an import job for leads submitted as JSON
+   * The rows are written to the uploads directory so they are processed exactly like a file.
+   * @param {string} userId - Owner of the imported leads
+   * @param {Array<Object>} rows - Lead rows
+   * @param {Object} options - Optional mapping and duplicate settings, as for createJob
+   * @returns {Promise<Object>} The created ImportJob document
+   */
+  async createJobFromRows(userId, rows, options = {}) {
+    const filePath = await this.writeRowsFile(rows);
+
+    return this.createJob({
+      userId,
+      filePath,
+      originalFilename: 'import.json',
+      source: 'api',
+      ...options
+    });
+  }
+
+  /**
+   * Write leads submitted as JSON to the uploads directory
+   * @param {Array<Object>} rows - Lead rows
+   * @returns {Promise<string>} Path of the written file
+   */
+  async writeRowsFile(rows) {
+    const filePath = path.join(this.uploadsDir, `${Date.now()}-${Math.round(Math.random() * 1E9)}-import.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify(rows));
+    return filePath;
+  }
+
+  /**
+   * Start processing a job in the background
+   * @param {Object} job - ImportJob document
+   */
+  start(job) {
+    setImmediate(() => {
+      // Changes made by the job are attributed to the importing user, with the import as source
+      runWithAuditContext({ source: 'import', actor: job.user, importJob: job._id }, () => this.run(job._id))
+        .catch(error => {
+          logger.error(`Import job ${job._id} crashed: ${error.message}`, error);
+        });
+    });
+  }
+
+  /**
+   * Find a job owned by a user
+   * @param {string} jobId - ImportJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} ImportJob document
+   */
+  getJob(jobId, userId) {
+    return ImportJob.findOne({ _id: jobId, user: userId });
+  }
+
+  /**
+   * List the most recent jobs of a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} ImportJob documents
+   */
+  listJobs(userId, limit = 20) {
+    return ImportJob.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * List the duplicate report of a job owned by a user
+   * @param {string} jobId - ImportJob ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Entries per page
+   * @returns {Promise<Object|null>} { total, matches }, or null if the job is not found
+   */
+  async listMatches(jobId, userId, { page = 1, limit = 100 } = {}) {
+    const job = await this.getJob(jobId, userId);
+    if (!job) {
+      return null;
+    }
+
+    const [total, matches] = await Promise.all([
+      ImportMatch.countDocuments({ importJob: job._id }),
+      ImportMatch.find({ importJob: job._id })
+        .sort({ row: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    return { total, matches };
+  }
+
+  /**
+   * List the failed rows of a job owned by a user
+   * @param {string} jobId - ImportJob ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Entries per page
+   * @returns {Promise<Object|null>} { total, errors }, or null if the job is not found
+   */
+  async listErrors(jobId, userId, { page = 1, limit = 100 } = {}) {
+    const job = await this.getJob(jobId, userId);
+    if (!job) {
+      return null;
+    }
+
+    const [total, errors] = await Promise.all([
+      ImportRowError.countDocuments({ importJob: job._id }),
+      ImportRowError.find({ importJob: job._id })
+        .sort({ row: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    return { total, errors };
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs stop after the current chunk.
+   * Leads inserted before the cancellation are kept.
+   * @param {string} jobId - ImportJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated ImportJob document, or null if not found
+   */
+  async cancel(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    if (!job || job.isFinished()) {
+      return job;
+    }
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.completedAt = new Date();
+      await this._removeFile(job.filePath);
+    }
+
+    return job.save();
+  }
+
+  /**
+   * Process a job from start to finish
+   * Queued jobs and processing jobs that were interrupted can be run; an interrupted job
+   * skips the rows it already processed.
+   * @param {string} jobId - ImportJob ID
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<void>}
+   */
+  async run(jobId, now = new Date()) {
+    const key = jobId.toString();
+    if (this.runningJobs.has(key)) {
+      return;
+    }
+
+    // Claim the job atomically so only one worker processes it
+    const staleBefore = new Date(now.getTime() - STALE_JOB_MS);
+    const job = await ImportJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', heartbeatAt: { $lte: staleBefore } },
+          // Interrupted before jobs kept a heartbeat
+          { status: 'processing', heartbeatAt: null, startedAt: { $lte: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'processing', heartbeatAt: now, 'chunks.completed': 0 },
+        $min: { startedAt: now }
+      },
+      { new: true }
+    );
+    if (!job) {
+      return;
+    }
+
+    this.runningJobs.add(key);
+    const heartbeat = setInterval(() => {
+      ImportJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } }).catch(error => {
+        logger.warn(`Failed to record the heartbeat of import job ${job._id}: ${error.message}`);
+      });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    try {
+      // Duplicate matching state shared by all chunks, so rows repeated within the file are caught
+      const matchContext = leadDeduplicationService.createContext(job);
+      // Imported leads start in the initial stage of the organization's pipeline
+      const pipeline = await pipelineService.getPipeline(job.organization);
+
+      const finished = await this._readChunks(job, {
+        onTotalRows: totalRows => this._setTotalRows(job, totalRows),
+        onChunkFiles: count => ImportJob.updateOne({ _id: job._id }, { $set: { 'chunks.total': count } }),
+        onRows: async (rows, rowOffset) => {
+          if (await this._isCancelRequested(job._id)) {
+            return false;
+          }
+          // Processed before the job was interrupted; those leads are found as duplicates from here on
+          if (rowOffset + rows.length <= job.counts.processedRows) {
+            return true;
+          }
+          await this._processRows(job, rows, rowOffset, matchContext, pipeline);
+          return true;
+        },
+        onChunkFileDone: () => ImportJob.updateOne({ _id: job._id }, { $inc: { 'chunks.completed': 1 } })
+      });
+
+      // Leads inserted before a cancellation are kept, so they are assigned as well
+      const assigned = await leadAssignmentService.assignImportedLeads(job);
+      if (assigned > 0) {
+        await ImportJob.updateOne({ _id: job._id }, { $set: { 'counts.assignedRows': assigned } });
+      }
+
+      await this._finish(job, finished ? 'completed' : 'cancelled');
+    } catch (error) {
+      logger.error(`Import job ${job._id} failed: ${error.message}`, error);
+      await this._finish(job, 'failed', error.message);
+    } finally {
+      clearInterval(heartbeat);
+      await this._removeFile(job.filePath);
+      this.runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Resume jobs interrupted while processing, and queued jobs left over from a restart
+   * before they started
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeDue(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - STALE_JOB_MS);
+    const jobs = await ImportJob.find({
+      $or: [
+        { status: 'queued', createdAt: { $lte: new Date(now.getTime() - this.intervalMs) } },
+        { status: 'processing', heartbeatAt: { $lte: staleBefore } },
+        { status: 'processing', heartbeatAt: null, startedAt: { $lte: staleBefore } }
+      ]
+    }).select('user').lean();
+
+    const resumable = jobs.filter(job => !this.runningJobs.has(job._id.toString()));
+    resumable.forEach(job => this.start(job));
+    return resumable.length;
+  }
+
+  /**
+   * Resume due jobs now and then periodically while the process runs
+   */
+  startSchedule() {
+    if (this.timer) {
+      return;
+    }
+    const run = () => {
+      runWithAuditContext({ source: 'system' }, () => this.resumeDue()).catch(error => {
+        logger.error(`Failed to resume import jobs: ${error.message}`, error);
+      });
+    };
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Run the full parse, normalization, validation and duplicate matching of a file
+   * without writing anything, and report what an import would do
+   * @param {Object} params - Same parameters as createJob; the caller removes the file afterwards
+   * @returns {Promise<Object>} { summary, errors } where errors lists every failed row
+   *   as { row, fieldErrors: [{ field, value, reason }], rawData }
+   */
+  async dryRun(params) {
+    // An unsaved job carries the options and an ID for the duplicate matching
+    const job = new ImportJob({
+      user: params.userId,
+      organization: await getOrganizationId(params.userId),
+      filePath: params.filePath,
+      originalFilename: params.originalFilename,
+      fileType: path.extname(params.originalFilename || params.filePath).toLowerCase(),
+      source: params.source || 'upload',
+      mapping: params.mapping,
+      mappingTemplate: params.mappingTemplate,
+      duplicatePolicy: params.duplicatePolicy,
+      duplicateScope: params.duplicateScope
+    });
+
+    const matchContext = leadDeduplicationService.createContext(job);
+    const pipeline = await pipelineService.getPipeline(job.organization);
+    const errors = [];
+    const summary = {
+      totalRows: 0,
+      validRows: 0,
+      failedRows: 0,
+      duplicateRows: 0,
+      newLeads: 0,
+      updatedLeads: 0,
+      linkedLeads: 0
+    };
+
+    await this._readChunks(job, {
+      onRows: async (rows, rowOffset) => {
+        const { entries, failures } = this._validateRows(job, rows, rowOffset, pipeline);
+        const { inserts, matches, updatedRows } =
+          await leadDeduplicationService.resolveChunk(job, entries, matchContext);
+        // Nothing is written, so leads from earlier chunks only exist in the match context
+        leadDeduplicationService.markPersisted(inserts);
+
+        errors.push(...failures);
+        summary.totalRows += rows.length;
+        summary.validRows += entries.length;
+        summary.failedRows += failures.length;
+        summary.duplicateRows += matches.length;
+        summary.newLeads += inserts.length;
+        summary.updatedLeads += updatedRows;
+        summary.linkedLeads += matches.filter(match => match.action === 'linked').length;
+        return true;
+      }
+    });
+
+    return { summary, errors };
+  }
+
+  /**
+   * Parse a job's file chunk by chunk, splitting large Excel files first
+   * @param {Object} job - ImportJob document
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onRows - Called with (rows, rowOffset) per slice of chunkSize rows;
+   *   returning false stops reading
+   * @param {Function} handlers.onTotalRows - Called with the total row count once known (optional)
+   * @param {Function} handlers.onChunkFiles - Called with the number of chunk files (optional)
+   * @param {Function} handlers.onChunkFileDone - Called after each chunk file (optional)
+   * @returns {Promise<boolean>} False if onRows stopped the read early
+   * @private
+   */
+  async _readChunks(job, { onRows, onTotalRows, onChunkFiles, onChunkFileDone }) {
+    let chunkFiles = [job.filePath];
+
+    try {
+      if (job.fileType === '.xlsx' || job.fileType === '.xls') {
+        if (onTotalRows) await onTotalRows(this._countExcelRows(job.filePath));
+        if (await needsSplitting(job.filePath)) {
+          chunkFiles = await splitExcelFile(job.filePath);
+        }
+      }
+      if (onChunkFiles) await onChunkFiles(chunkFiles.length);
+
+      let rowOffset = 0;
+      for (const chunkFile of chunkFiles) {
+        const rows = await parseLeadFile(chunkFile, job.fileType, { mapping: job.mapping });
+        if (chunkFiles.length === 1 && onTotalRows) {
+          await onTotalRows(rows.length);
+        }
+
+        for (let i = 0; i < rows.length; i += this.chunkSize) {
+          if (await onRows(rows.slice(i, i + this.chunkSize), rowOffset + i) === false) {
+            return false;
+          }
+        }
+        rowOffset += rows.length;
+
+        if (onChunkFileDone) await onChunkFileDone();
+      }
+
+      return true;
+    } finally {
+      if (chunkFiles.length > 1) {
+        await cleanupSplitFiles(chunkFiles);
+      }
+    }
+  }
+
+  /**
+   * Validate one chunk of parsed rows, apply the duplicate policy and write the result,
+   * recording the counts on the job
+   * @param {Object} job - ImportJob document
+   * @param {Array<Object>} rows - Standardized lead rows
+   * @param {number} rowOffset - Number of file rows before this chunk
+   * @param {Object} matchContext - Duplicate matching state for the job
+   * @param {Object} pipeline - Pipeline whose initial stage new leads start in
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processRows(job, rows, rowOffset, matchContext, pipeline) {
+    const { entries, failures } = this._validateRows(job, rows, rowOffset, pipeline);
+
+    // A chunk interrupted after its leads were inserted but before it was counted is replayed;
+    // its rows that already have a lead are counted as inserted rather than imported again
+    const imported = await Lead.find({ importJob: job._id, importRow: { $in: entries.map(entry => entry.row) } })
+      .setOptions({ includeDeleted: true })
+      .select('importRow')
+      .lean();
+    const importedRows = new Set(imported.map(lead => lead.importRow));
+
+    const { inserts, updates, matches, updatedRows } = await leadDeduplicationService.resolveChunk(
+      job, entries.filter(entry => !importedRows.has(entry.row)), matchContext);
+
+    if (inserts.length > 0) {
+      await Lead.insertMany(inserts);
+      leadDeduplicationService.markPersisted(inserts);
+    }
+    // One update at a time (rather than bulkWrite) so each change goes through the audit history
+    for (const { updateOne } of updates) {
+      await Lead.updateOne(updateOne.filter, updateOne.update);
+    }
+
+    // Scrub the numbers of new leads and of merged leads whose numbers changed
+    await suppressionService.scrubLeads(inserts);
+    const rephoned = updates
+      .filter(({ updateOne }) => updateOne.update.$set &&
+        (updateOne.update.$set.phone !== undefined || updateOne.update.$set.phoneNumbers !== undefined))
+      .map(({ updateOne }) => updateOne.filter._id);
+    if (rephoned.length > 0) {
+      await suppressionService.scrubMatching({ _id: { $in: rephoned } });
+    }
+    if (matches.length > 0) {
+      await ImportMatch.insertMany(matches);
+    }
+    if (failures.length > 0) {
+      await ImportRowError.insertMany(failures.map(failure => ({ ...failure, importJob: job._id })));
+    }
+
+    await ImportJob.updateOne({ _id: job._id }, {
+      $inc: {
+        'counts.processedRows': rows.length,
+        'counts.insertedRows': inserts.length + importedRows.size,
+        'counts.failedRows': failures.length,
+        'counts.duplicateRows': matches.length,
+        'counts.updatedRows': updatedRows,
+        'counts.linkedRows': matches.filter(match => match.action === 'linked').length
+      }
+    });
+  }
+
+  /**
+   * Build the leads of a slice of rows and validate them against the Lead schema
+   * @param {Object} job - ImportJob document
+   * @param {Array<Object>} rows - Standardized lead rows
+   * @param {number} rowOffset - Number of file rows before this slice
+   * @param {Object} pipeline - Pipeline whose initial stage new leads start in
+   * @returns {Object} { entries, failures }
+   *   entries: { row, lead } for valid rows
+   *   failures: { row, fieldErrors, rawData } for rows that failed validation
+   * @private
+   */
+  _validateRows(job, rows, rowOffset, pipeline) {
+    const entries = [];
+    const failures = [];
+
+    rows.forEach((row, index) => {
+      const rowNumber = rowOffset + index + 1;
+      const lead = this._buildLead(row, rowNumber, job, pipeline);
+      const validationError = new Lead(lead).validateSync();
+
+      if (validationError) {
+        failures.push({
+          row: rowNumber,
+          fieldErrors: Object.values(validationError.errors).map(error => ({
+            field: error.path,
+            value: error.value === undefined ? '' : error.value,
+            reason: error.kind === 'required' ? 'Required field is missing' : error.message
+          })),
+          rawData: row.rawData || {}
+        });
+        return;
+      }
+      entries.push({ row: rowNumber, lead });
+    });
+
+    return { entries, failures };
+  }
+
+  /**
+   * Enrich a standardized row with the fields every imported lead carries
+   * @param {Object} row - Standardized lead row
+   * @param {number} rowNumber - File row number (1-based)
+   * @param {Object} job - ImportJob document
+   * @param {Object} pipeline - Pipeline whose initial stage the lead starts in
+   * @returns {Object} Lead data ready for insertion
+   * @private
+   */
+  _buildLead(row, rowNumber, job, pipeline) {
+    return pipelineService.startLead({
+      ...row,
+      user: job.user, // Associate lead with the user who started the import
+      organization: job.organization,
+      score: 0, // Initial score
+      phone: row.primaryPhone || '', // Map primaryPhone to the phone field required by schema
+      source: job.source === 'api' ? 'import' : 'upload',
+      importJob: job._id,
+      importRow: rowNumber
+    }, pipeline);
+  }
+
+  /**
+   * Count the data rows of the first sheet of an Excel file without loading every cell
+   * @param {string} filePath - Path to the Excel file
+   * @returns {number} Number of data rows
+   * @private
+   */
+  _countExcelRows(filePath) {
+    const workbook = xlsx.readFile(filePath, { sheetRows: 1 });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const ref = sheet && (sheet['!fullref'] || sheet['!ref']);
+    return ref ? xlsx.utils.decode_range(ref).e.r : 0;
+  }
+
+  /**
+   * Record the total row count of a job
+   * @param {Object} job - ImportJob document
+   * @param {number} totalRows - Number of rows in the file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setTotalRows(job, totalRows) {
+    await ImportJob.updateOne({ _id: job._id }, { $set: { 'counts.totalRows': totalRows } });
+  }
+
+  /**
+   * Check whether a cancellation has been requested for a job
+   * @param {string} jobId - ImportJob ID
+   * @returns {Promise<boolean>} True if the job should stop
+   * @private
+   */
+  async _isCancelRequested(jobId) {
+    const job = await ImportJob.findById(jobId).select('cancelRequested').lean();
+    return !job || job.cancelRequested === true;
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {Object} job - ImportJob document
+   * @param {string} status - completed, failed or cancelled
+   * @param {string} error - Error message for failed jobs
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finish(job, status, error) {
+    const update = { status, completedAt: new Date() };
+    if (error) {
+      update.error = error;
+    }
+
+    await ImportJob.updateOne({ _id: job._id }, {
+      $set: update,
+      $unset: { filePath: 1 }
+    });
+    logger.info(`Import job ${job._id} ${status}`);
+  }
+
+  /**
+   * Delete a file, ignoring files that are already gone
+   * @param {string} filePath - Path of the file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error deleting import file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new ImportJobService();
@@ -0,0 +1,99 @@
+/**
+ * Import Report Service
+ * Writes the row-level validation reports of imports and dry runs as CSV downloads:
+ * the error report (one line per failed field) and the failed rows file (the original
+ * rows, ready to be fixed and re-uploaded on their own).
+ */
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+const ImportRowError = require('../models/ImportRowError');
+const leadExportService = require('./leadExportService');
+
+const ERROR_REPORT_COLUMNS = [
+  { id: 'row', title: 'row' },
+  { id: 'field', title: 'field' },
+  { id: 'value', title: 'value' },
+  { id: 'reason', title: 'reason' }
+];
+
+class ImportReportService {
+  /**
+   * Flatten a failed row into one report line per failed field
+   * @param {Object} rowError - { row, fieldErrors }
+   * @returns {Array<Object>} Report lines { row, field, value, reason }
+   */
+  toReportLines(rowError) {
+    return (rowError.fieldErrors || []).map(fieldError => ({
+      row: rowError.row,
+      field: fieldError.field,
+      value: fieldError.value === undefined || fieldError.value === null ? '' : String(fieldError.value),
+      reason: fieldError.reason
+    }));
+  }
+
+  /**
+   * Stream an error report as CSV
+   * @param {Object} res - Express response
+   * @param {Iterable|AsyncIterable} rowErrors - Failed rows (an array or a query cursor)
+   * @param {string} filename - Download file name
+   * @returns {Promise<void>}
+   */
+  async writeErrorReport(res, rowErrors, filename) {
+    const stringifier = createCsvStringifier({ header: ERROR_REPORT_COLUMNS });
+
+    this._startDownload(res, filename);
+    await leadExportService.write(res, stringifier.getHeaderString());
+
+    for await (const rowError of rowErrors) {
+      await leadExportService.write(res, stringifier.stringifyRecords(this.toReportLines(rowError)));
+    }
+    res.end();
+  }
+
+  /**
+   * Stream the failed rows of an import job as CSV, with the columns of the original file
+   * @param {Object} res - Express response
+   * @param {string} jobId - ImportJob ID
+   * @param {string} filename - Download file name
+   * @returns {Promise<void>}
+   */
+  async writeFailedRows(res, jobId, filename) {
+    // First pass collects the columns, in the order they appear in the file
+    const headers = new Set();
+    for await (const rowError of ImportRowError.find({ importJob: jobId }).select('rawData').lean().cursor()) {
+      Object.keys(rowError.rawData || {}).forEach(header => headers.add(header));
+    }
+
+    const stringifier = createCsvStringifier({
+      header: Array.from(headers).map(header => ({ id: header, title: header }))
+    });
+
+    this._startDownload(res, filename);
+    await leadExportService.write(res, stringifier.getHeaderString() || '\n');
+
+    const cursor = ImportRowError.find({ importJob: jobId }).sort({ row: 1 }).select('rawData').lean().cursor();
+    for await (const rowError of cursor) {
+      await leadExportService.write(res, stringifier.stringifyRecords([rowError.rawData || {}]));
+    }
+    res.end();
+  }
+
+  /**
+   * Get a cursor over the failed rows of an import job, in file order
+   * @param {string} jobId - ImportJob ID
+   * @returns {Object} Mongoose query cursor
+   */
+  errorCursor(jobId) {
+    return ImportRowError.find({ importJob: jobId }).sort({ row: 1 }).lean().cursor();
+  }
+
+  /**
+   * Set the headers of a CSV download
+   * @private
+   */
+  _startDownload(res, filename) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+}
+
+module.exports = new ImportReportService();
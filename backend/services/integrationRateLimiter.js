@@ -0,0 +1,107 @@
+/**
+ * Integration Rate Limiter
+ * Enforces the rateLimits of stored ApiIntegrations: requestsPerSecond as a token bucket
+ * and requestsPerDay as a quota per UTC day. Limits are counted in Redis when REDIS_URL
+ * is set, so they hold across cluster workers, and per process otherwise. Callers that
+ * only ran out of the per-second budget wait for a token; a used-up daily quota is an
+ * error, so that the caller can move on to another provider.
+ */
+const rateLimitStore = require('../utils/rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('integrationRateLimiter');
+
+// Per-second rate of integrations without a per-second limit
+const UNLIMITED_RATE = 1000000;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class IntegrationRateLimiter {
+  constructor() {
+    // Longest a caller waits for a per-second token before giving up
+    this.maxWaitMs = parseInt(process.env.INTEGRATION_RATE_LIMIT_MAX_WAIT_MS, 10) || 60 * 1000;
+  }
+
+  /**
+   * Limits of an integration in the store's terms
+   * Only stored integrations are limited; mock and environment-configured providers are not.
+   * @param {Object} integration - ApiIntegration
+   * @returns {Object|null} { rate, capacity, dayLimit }, or null when it is not limited
+   */
+  limitsOf(integration) {
+    if (!integration._id || integration.isNew || !integration.rateLimits) {
+      return null;
+    }
+    const { requestsPerSecond, requestsPerDay } = integration.rateLimits;
+    // Without a per-second limit the bucket never runs dry
+    const rate = requestsPerSecond > 0 ? requestsPerSecond : UNLIMITED_RATE;
+    return {
+      rate,
+      // A burst of up to one second's worth of requests
+      capacity: Math.max(Math.floor(rate), 1),
+      dayLimit: requestsPerDay > 0 ? requestsPerDay : 0
+    };
+  }
+
+  /**
+   * Take permission for one request to an integration, waiting for the per-second
+   * budget if needed, and record the call in the integration's usageStats
+   * @param {Object} integration - ApiIntegration
+   * @returns {Promise<number|null>} Requests made today, or null when it is not limited
+   * @throws {TooManyRequestsError} If the daily quota is used up (quotaExhausted) or no
+   *   token came free within maxWaitMs; either way with rateLimited set
+   */
+  async acquire(integration) {
+    const limits = this.limitsOf(integration);
+    if (!limits) {
+      return null;
+    }
+    const key = String(integration._id);
+    const name = integration.name || integration.provider;
+    const startedAt = Date.now();
+
+    for (;;) {
+      const { waitMs, usedToday, dayExhausted } = await rateLimitStore.take(key, limits);
+      if (dayExhausted) {
+        const error = new TooManyRequestsError(`The daily limit of ${limits.dayLimit} requests to ${name} is used up.`);
+        error.rateLimited = true;
+        error.quotaExhausted = true;
+        throw error;
+      }
+      if (waitMs === 0) {
+        this._recordUsage(integration, usedToday);
+        return usedToday;
+      }
+      if (Date.now() - startedAt + waitMs > this.maxWaitMs) {
+        const error = new TooManyRequestsError(`Too many requests are waiting for ${name}. Please try again later.`);
+        error.rateLimited = true;
+        throw error;
+      }
+      // Up to a fifth more, so that waiting callers do not all come back at once
+      await sleep(Math.ceil(waitMs * (1 + Math.random() * 0.2)));
+    }
+  }
+
+  /**
+   * Update usageStats without holding up the request; they are for display only
+   * @param {Object} integration - ApiIntegration
+   * @param {number} usedToday - Requests made today, as counted by the store
+   * @private
+   */
+  _recordUsage(integration, usedToday) {
+    if (typeof integration.logApiCall !== 'function') {
+      return;
+    }
+    integration.logApiCall(usedToday).catch(error => {
+      logger.error(`Error recording usage of ${integration.name || integration.provider}: ${error.message}`);
+    });
+  }
+}
+
+module.exports = new IntegrationRateLimiter();
@@ -0,0 +1,89 @@
+/**
+ * Lead Access Service
+ * Works out which leads a user can see from their role in their organization:
+ * - no organization: the leads they created
+ * - owner and admin: their own leads and every lead of the organization
+ * - member and viewer: their own leads and the leads assigned to them
+ * - limited: only the leads assigned to them
+ * Only a lead's owner and organization owners and admins can change or delete it, and
+ * viewers and limited members cannot change leads at all.
+ */
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { getOrganizationId } = require('../utils/accountHelpers');
+
+// Roles that can see and manage all of the organization's leads
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Roles that can see leads but not change them
+const READ_ONLY_ROLES = ['viewer', 'limited'];
+
+class LeadAccessService {
+  /**
+   * Load a user's organization and role and the filter of the leads they can see
+   * @param {string} userId - User ID
+   * @returns {Promise<{organization: (Object|null), role: (string|null), canManage: boolean, filter: Object}>}
+   */
+  async getAccess(userId) {
+    const organizationId = await getOrganizationId(userId);
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+    const role = organization ? organization.getMemberRole(userId) : null;
+    const canManage = MANAGER_ROLES.includes(role);
+
+    return {
+      organization,
+      role,
+      canManage,
+      filter: this._buildFilter(userId, organization, role)
+    };
+  }
+
+  /**
+   * Filter matching the leads a user can see
+   * IDs are ObjectIds so the filter can be used in aggregations.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  async scopeFilter(userId) {
+    return (await this.getAccess(userId)).filter;
+  }
+
+  /**
+   * Whether a user may change or delete a lead they can see
+   * @param {Object} access - The user's access, from getAccess
+   * @param {Object} lead - Lead document or plain object
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  canEditLead(access, lead, userId) {
+    if (READ_ONLY_ROLES.includes(access.role)) {
+      return false;
+    }
+    return access.canManage || String(lead.user) === String(userId);
+  }
+
+  /**
+   * Build the visibility filter for a role
+   * @param {string} userId - User ID
+   * @param {Object|null} organization - Organization document
+   * @param {string|null} role - Role in the organization
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _buildFilter(userId, organization, role) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+
+    if (!organization) {
+      return { user };
+    }
+    if (MANAGER_ROLES.includes(role)) {
+      return { $or: [{ user }, { organization: organization._id }] };
+    }
+    if (role === 'limited') {
+      return { assignedTo: user };
+    }
+    return { $or: [{ user }, { assignedTo: user }] };
+  }
+}
+
+module.exports = new LeadAccessService();
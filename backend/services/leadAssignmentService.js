@@ -0,0 +1,207 @@
+/**
+ * Lead Assignment Service
+ * Checks assignees and runs the organization's auto-assignment rule, which spreads
+ * leads over a set of members either in turn (round_robin) or in proportion to their
+ * weights (weighted). Imports assign their new leads with the rule when they finish.
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Organization = require('../models/Organization');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { BadRequestError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('leadAssignmentService');
+
+// Most members one rule can rotate through
+const MAX_RULE_MEMBERS = 100;
+
+class LeadAssignmentService {
+  /**
+   * Check the assignee of a lead
+   * @param {string|null} assignee - User ID, or null to unassign
+   * @param {string} userId - User making the assignment
+   * @returns {Promise<string|null>} The assignee ID, or null
+   * @throws {BadRequestError} If the assignee is not the user or a member of their organization
+   */
+  async resolveAssignee(assignee, userId) {
+    if (assignee === null || assignee === '') {
+      return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(assignee)) {
+      throw new BadRequestError('assignee must be a user ID, or null to unassign.');
+    }
+    if (String(assignee) !== String(userId)) {
+      const organizationId = await getOrganizationId(userId);
+      const organization = organizationId ? await Organization.findById(organizationId) : null;
+      if (!organization || !organization.getMemberRole(assignee)) {
+        throw new BadRequestError('Leads can only be assigned to members of your organization.');
+      }
+    }
+    return String(assignee);
+  }
+
+  /**
+   * Check and save an organization's auto-assignment rule
+   * Saving the rule restarts the rotation.
+   * @param {Object} organization - Organization document
+   * @param {Object} data - { enabled, strategy, members: [{ user, weight }] }
+   * @returns {Promise<Object>} The saved rule
+   * @throws {BadRequestError} If the rule is invalid
+   */
+  async saveRule(organization, data = {}) {
+    const strategy = data.strategy || 'round_robin';
+    if (!Organization.ASSIGNMENT_STRATEGIES.includes(strategy)) {
+      throw new BadRequestError(`strategy must be one of ${Organization.ASSIGNMENT_STRATEGIES.join(', ')}.`);
+    }
+
+    const members = data.members || [];
+    if (!Array.isArray(members) || members.length > MAX_RULE_MEMBERS) {
+      throw new BadRequestError(`members must be an array of at most ${MAX_RULE_MEMBERS} entries.`);
+    }
+
+    const seen = new Set();
+    const ruleMembers = members.map((member, index) => {
+      const user = member && member.user ? String(member.user) : '';
+      if (!mongoose.Types.ObjectId.isValid(user) || !organization.getMemberRole(user)) {
+        throw new BadRequestError(`members[${index}].user must be a member of the organization.`);
+      }
+      if (seen.has(user)) {
+        throw new BadRequestError(`members[${index}].user is listed more than once.`);
+      }
+      seen.add(user);
+
+      const weight = member.weight === undefined ? 1 : Number(member.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+        throw new BadRequestError(`members[${index}].weight must be a whole number between 1 and 100.`);
+      }
+      return { user, weight, assigned: 0 };
+    });
+
+    const enabled = Boolean(data.enabled);
+    if (enabled && ruleMembers.length === 0) {
+      throw new BadRequestError('An enabled assignment rule needs at least one member.');
+    }
+
+    organization.leadAssignment = { enabled, strategy, members: ruleMembers };
+    await organization.save();
+    return organization.leadAssignment;
+  }
+
+  /**
+   * Pick the assignees of the next leads under a rule
+   * Each lead goes to the member furthest below their share: the one with the lowest
+   * (assigned + 1) / weight, earlier members first on ties. With equal weights
+   * (round_robin) this is a plain rotation.
+   * @param {Object} rule - { strategy, members: [{ user, weight, assigned }] }
+   * @param {number} count - Number of leads
+   * @returns {Array<string>} Assignee IDs, one per lead
+   */
+  pickAssignees(rule, count) {
+    const members = rule.members.map(member => ({
+      user: String(member.user),
+      weight: rule.strategy === 'weighted' ? member.weight || 1 : 1,
+      assigned: member.assigned || 0
+    }));
+    if (members.length === 0) {
+      return [];
+    }
+
+    const assignees = [];
+    for (let i = 0; i < count; i++) {
+      let next = members[0];
+      for (const member of members) {
+        if ((member.assigned + 1) / member.weight < (next.assigned + 1) / next.weight) {
+          next = member;
+        }
+      }
+      next.assigned++;
+      assignees.push(next.user);
+    }
+    return assignees;
+  }
+
+  /**
+   * Load an organization's rule, keeping only members still in the organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>} { strategy, members }, or null if the rule is off or empty
+   */
+  async getActiveRule(organizationId) {
+    const organization = organizationId ? await Organization.findById(organizationId) : null;
+    const rule = organization && organization.leadAssignment;
+    if (!rule || !rule.enabled) {
+      return null;
+    }
+
+    const members = rule.members.filter(member => organization.getMemberRole(member.user));
+    return members.length > 0 ? { strategy: rule.strategy, members } : null;
+  }
+
+  /**
+   * Add to the assignment counts of a rule's members
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} assignees - Assignee IDs, one per assigned lead
+   * @returns {Promise<void>}
+   */
+  async recordAssignments(organizationId, assignees) {
+    const counts = new Map();
+    assignees.forEach(user => counts.set(user, (counts.get(user) || 0) + 1));
+
+    for (const [user, count] of counts) {
+      await Organization.updateOne(
+        { _id: organizationId, 'leadAssignment.members.user': user },
+        { $inc: { 'leadAssignment.members.$.assigned': count } }
+      );
+    }
+  }
+
+  /**
+   * Assign the unassigned leads matching a filter with the organization's rule
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filter - Lead filter
+   * @returns {Promise<number>} Number of leads assigned (0 if the rule is off)
+   */
+  async assignWithRule(organizationId, filter) {
+    const rule = await this.getActiveRule(organizationId);
+    if (!rule) {
+      return 0;
+    }
+
+    const leads = await Lead.find({ ...filter, assignedTo: null }).sort({ _id: 1 }).select('_id').lean();
+    const assignees = this.pickAssignees(rule, leads.length);
+
+    const idsByAssignee = new Map();
+    leads.forEach((lead, index) => {
+      const ids = idsByAssignee.get(assignees[index]) || [];
+      ids.push(lead._id);
+      idsByAssignee.set(assignees[index], ids);
+    });
+
+    for (const [assignee, ids] of idsByAssignee) {
+      await Lead.updateMany({ _id: { $in: ids }, assignedTo: null }, { $set: { assignedTo: assignee } });
+    }
+    await this.recordAssignments(organizationId, assignees);
+
+    return leads.length;
+  }
+
+  /**
+   * Assign the leads created by a finished import with its organization's rule
+   * Never throws: the import has already succeeded.
+   * @param {Object} job - ImportJob document
+   * @returns {Promise<number>} Number of leads assigned
+   */
+  async assignImportedLeads(job) {
+    if (!job.organization) {
+      return 0;
+    }
+    try {
+      return await this.assignWithRule(job.organization, { importJob: job._id });
+    } catch (error) {
+      logger.error(`Auto-assignment failed for import job ${job._id}: ${error.message}`, error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new LeadAssignmentService();
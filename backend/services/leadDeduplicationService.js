@@ -0,0 +1,258 @@
+/**
+ * Lead Deduplication Service
+ * Matches imported rows against earlier rows of the same import and against the
+ * user's or organization's existing leads, and applies the import's duplicate policy:
+ *
+ *   skip      - drop the row
+ *   overwrite - replace the matched lead's fields with the row's non-empty values
+ *   merge     - only fill fields that are empty on the matched lead
+ *   keep_both - insert the row as a new lead linked to the one it matched
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const {
+  MATCH_FIELDS,
+  PLACEHOLDER_EMAIL,
+  normalizePhone,
+  buildMatchKeys,
+  findBestMatch
+} = require('../utils/leadMatching');
+
+// Fields an import can change on an existing lead
+const MERGE_FIELDS = [
+  'fullName', 'firstName', 'lastName', 'email', 'phone', 'address',
+  'city', 'zipCode', 'county', 'state', 'company', 'notes'
+];
+
+const ACTIONS = {
+  skip: 'skipped',
+  overwrite: 'overwritten',
+  merge: 'merged',
+  keep_both: 'linked'
+};
+
+const isEmpty = (field, value) =>
+  value === undefined || value === null || value === '' || (field === 'email' && value === PLACEHOLDER_EMAIL);
+
+class LeadDeduplicationService {
+  /**
+   * Create the matching state kept for the whole of an import
+   * @param {Object} job - ImportJob document
+   * @returns {Object} Context passed to resolveChunk
+   */
+  createContext(job) {
+    return {
+      // Leads created or updated by this import, indexed by "<field>:<key>"
+      index: new Map(),
+      scopeFilter: job.duplicateScope === 'organization' && job.organization
+        ? { organization: job.organization }
+        : { user: job.user }
+    };
+  }
+
+  /**
+   * Decide what happens to each lead of a chunk
+   * @param {Object} job - ImportJob document
+   * @param {Array<Object>} entries - { row, lead } with row the 1-based row number and lead valid lead data
+   * @param {Object} context - Context from createContext
+   * @returns {Promise<Object>} { inserts, updates, matches, updatedRows }
+   *   inserts: lead data to insert (with _id assigned)
+   *   updates: updateOne operations ({ updateOne: { filter, update } }) for leads already in the database
+   *   matches: ImportMatch data describing every duplicate
+   *   updatedRows: number of rows that changed the lead they matched
+   */
+  async resolveChunk(job, entries, context) {
+    const inserts = [];
+    const updates = [];
+    const matches = [];
+    let updatedRows = 0;
+    const existing = await this._findExisting(job, entries, context);
+
+    entries.forEach(({ row, lead }) => {
+      lead.matchKeys = buildMatchKeys(lead);
+
+      const candidates = this._candidates(lead, existing, context.index);
+      const match = findBestMatch(lead, candidates);
+
+      if (!match) {
+        this._queueInsert(inserts, context.index, lead);
+        return;
+      }
+
+      const target = match.lead;
+      const report = {
+        importJob: job._id,
+        row,
+        action: ACTIONS[job.duplicatePolicy],
+        matchedLead: target._id,
+        inFile: target.fromImport === true,
+        matchedOn: match.matchedOn,
+        nameSimilarity: match.nameSimilarity,
+        fullName: lead.fullName
+      };
+
+      if (job.duplicatePolicy === 'keep_both') {
+        lead.duplicateOf = target._id;
+        this._queueInsert(inserts, context.index, lead);
+        report.lead = lead._id;
+
+        target.linkedLeads = [...(target.linkedLeads || []), lead._id];
+        if (!target.pending) {
+          updates.push({ updateOne: { filter: { _id: target._id }, update: { $addToSet: { linkedLeads: lead._id } } } });
+        }
+      } else if (job.duplicatePolicy === 'overwrite' || job.duplicatePolicy === 'merge') {
+        const changes = this.mergeFields(target, lead, job.duplicatePolicy);
+        if (Object.keys(changes).length > 0) {
+          updatedRows++;
+          Object.assign(target, changes);
+          this._addToIndex(context.index, target);
+          if (!target.pending) {
+            updates.push({ updateOne: { filter: { _id: target._id }, update: { $set: changes } } });
+          }
+        }
+      }
+
+      matches.push(report);
+    });
+
+    return { inserts, updates, matches, updatedRows };
+  }
+
+  /**
+   * Mark the leads of a chunk as written, so later matches update them in the database
+   * @param {Array<Object>} inserts - Leads returned by resolveChunk
+   */
+  markPersisted(inserts) {
+    inserts.forEach(lead => {
+      delete lead.pending;
+      delete lead.rawData;
+    });
+  }
+
+  /**
+   * Compute the changes a row makes to the lead it matched
+   * @param {Object} target - Matched lead
+   * @param {Object} incoming - Imported lead data
+   * @param {string} policy - overwrite or merge
+   * @returns {Object} Fields to set on the matched lead (empty if nothing changes)
+   */
+  mergeFields(target, incoming, policy) {
+    const changes = {};
+
+    MERGE_FIELDS.forEach(field => {
+      const value = incoming[field];
+      if (isEmpty(field, value) || value === target[field]) return;
+
+      if (policy === 'overwrite' || isEmpty(field, target[field])) {
+        changes[field] = value;
+      }
+    });
+
+    // Phone numbers are always combined; overwrite puts the imported numbers first.
+    // Numbers that only differ in formatting are kept once.
+    const existingPhones = target.phoneNumbers || [];
+    const incomingPhones = incoming.phoneNumbers || [];
+    const seen = new Set();
+    const phones = (policy === 'overwrite'
+      ? [...incomingPhones, ...existingPhones]
+      : [...existingPhones, ...incomingPhones]
+    ).filter(phone => {
+      const key = normalizePhone(phone) || phone;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (phones.join('|') !== existingPhones.join('|')) {
+      changes.phoneNumbers = phones;
+    }
+
+    // Updates bypass validation hooks, so keep the match keys current here
+    if (Object.keys(changes).length > 0) {
+      changes.matchKeys = buildMatchKeys({ ...target, ...changes });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Load existing leads in scope sharing any match key with the chunk
+   * @private
+   */
+  async _findExisting(job, entries, context) {
+    const conditions = MATCH_FIELDS.map(field => {
+      const values = Array.from(new Set(entries
+        .map(({ lead }) => buildMatchKeys(lead)[field])
+        .filter(Boolean)));
+      return values.length > 0 ? { [`matchKeys.${field}`]: { $in: values } } : null;
+    }).filter(Boolean);
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    // Leads from this import are tracked in the context index instead
+    return Lead.find({
+      ...context.scopeFilter,
+      importJob: { $ne: job._id },
+      $or: conditions
+    })
+      .select([...MERGE_FIELDS, 'phoneNumbers', 'matchKeys', 'linkedLeads'].join(' '))
+      .lean();
+  }
+
+  /**
+   * Collect the leads sharing at least one match key with a lead
+   * @private
+   */
+  _candidates(lead, existing, index) {
+    const candidates = new Map();
+
+    existing.forEach(candidate => {
+      if (MATCH_FIELDS.some(field => lead.matchKeys[field] && lead.matchKeys[field] === (candidate.matchKeys || {})[field])) {
+        candidates.set(candidate._id.toString(), candidate);
+      }
+    });
+
+    MATCH_FIELDS.forEach(field => {
+      const key = lead.matchKeys[field];
+      if (!key) return;
+      (index.get(`${field}:${key}`) || []).forEach(candidate => {
+        candidates.set(candidate._id.toString(), candidate);
+      });
+    });
+
+    return Array.from(candidates.values());
+  }
+
+  /**
+   * Assign an ID to a new lead and index it, so later rows can match it before it is written
+   * @private
+   */
+  _queueInsert(inserts, index, lead) {
+    lead._id = new mongoose.Types.ObjectId();
+    lead.pending = true;
+    lead.fromImport = true;
+    inserts.push(lead);
+    this._addToIndex(index, lead);
+  }
+
+  /**
+   * Index a lead created or updated by the import under its match keys
+   * @private
+   */
+  _addToIndex(index, lead) {
+    MATCH_FIELDS.forEach(field => {
+      const key = lead.matchKeys && lead.matchKeys[field];
+      if (!key) return;
+
+      const indexKey = `${field}:${key}`;
+      const leads = index.get(indexKey) || [];
+      if (!leads.includes(lead)) {
+        leads.push(lead);
+        index.set(indexKey, leads);
+      }
+    });
+  }
+}
+
+module.exports = new LeadDeduplicationService();
@@ -0,0 +1,335 @@
+/**
+ * Lead Export Service
+ * Streams leads matching a filter to CSV, XLSX or NDJSON without loading the
+ * whole result set into memory.
+ */
+const xlsx = require('xlsx');
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+const Lead = require('../models/Lead');
+const LeadList = require('../models/LeadList');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+
+// Top-level lead fields exported by default, in column order
+const BASE_COLUMNS = [
+  '_id',
+  'fullName',
+  'email',
+  'phone',
+  'address',
+  'county',
+  'state',
+  'status',
+  'score',
+  'source',
+  'notes',
+  'tags',
+  'lists',
+  'createdAt',
+  'updatedAt'
+];
+
+// Nested objects that are flattened into dot-notation columns
+const NESTED_ROOTS = ['verificationResults', 'propertyCondition', 'documentAnalysis', 'customFields'];
+
+// Fields stored as free-form objects whose keys can only be discovered from the data
+const DYNAMIC_PATHS = ['verificationResults', 'documentAnalysis.legalStatus', 'customFields'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+class LeadExportService {
+  constructor() {
+    // Number of documents pulled from the cursor before they are written out
+    this.batchSize = 500;
+  }
+
+  /**
+   * Check whether an export format is supported
+   * @param {string} format - Requested format
+   * @returns {boolean} True if supported
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * Flatten a nested object into dot-notation keys
+   * Arrays of primitives are joined with "; ", arrays of objects are JSON encoded.
+   * @param {Object} obj - Object to flatten
+   * @param {string} prefix - Key prefix
+   * @param {Object} result - Accumulator
+   * @returns {Object} Flattened object
+   */
+  flatten(obj, prefix = '', result = {}) {
+    if (obj === null || obj === undefined) {
+      return result;
+    }
+
+    Object.keys(obj).forEach(key => {
+      const value = obj[key];
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (value instanceof Date) {
+        result[path] = value.toISOString();
+      } else if (Array.isArray(value)) {
+        result[path] = value.some(item => item !== null && typeof item === 'object' && !(item instanceof Date))
+          ? JSON.stringify(value)
+          : value.join('; ');
+      } else if (value !== null && typeof value === 'object' && value._bsontype === 'ObjectId') {
+        result[path] = value.toString();
+      } else if (value !== null && typeof value === 'object') {
+        this.flatten(value, path, result);
+      } else {
+        result[path] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * List the flattened schema paths under the nested roots
+   * @returns {Array<string>} Column names
+   */
+  getSchemaColumns() {
+    const columns = [];
+
+    Lead.schema.eachPath((path) => {
+      const root = path.split('.')[0];
+      if (NESTED_ROOTS.includes(root) && !DYNAMIC_PATHS.includes(path)) {
+        columns.push(path);
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Discover the keys stored inside free-form nested objects for leads matching a filter
+   * Runs a projected pass over the cursor so only the dynamic fields are transferred.
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<Array<string>>} Column names
+   */
+  async discoverDynamicColumns(filter) {
+    const columns = new Set();
+    const projection = DYNAMIC_PATHS.reduce((acc, path) => ({ ...acc, [path]: 1 }), { _id: 0 });
+    const cursor = Lead.find(filter).select(projection).lean().cursor();
+
+    for await (const doc of cursor) {
+      DYNAMIC_PATHS.forEach(path => {
+        const value = path.split('.').reduce((acc, key) => (acc ? acc[key] : undefined), doc);
+        if (value && typeof value === 'object') {
+          Object.keys(this.flatten(value, path)).forEach(column => columns.add(column));
+        }
+      });
+    }
+
+    return Array.from(columns).sort();
+  }
+
+  /**
+   * Resolve the list of columns to export
+   * @param {Object} filter - MongoDB filter
+   * @param {Array<string>} requested - Columns requested by the client (optional)
+   * @returns {Promise<Array<string>>} Columns in export order
+   */
+  async resolveColumns(filter, requested) {
+    const needsAllColumns = !requested || requested.length === 0 ||
+      requested.some(column => NESTED_ROOTS.includes(column) || DYNAMIC_PATHS.includes(column));
+
+    if (!needsAllColumns) {
+      return requested;
+    }
+
+    const dynamicColumns = await this.discoverDynamicColumns(filter);
+    const allColumns = [...BASE_COLUMNS, ...this.getSchemaColumns(), ...dynamicColumns];
+
+    if (!requested || requested.length === 0) {
+      return allColumns;
+    }
+
+    // Expand a requested nested object (e.g. "propertyCondition") into its flattened columns
+    const expanded = requested.reduce((columns, column) => {
+      if (NESTED_ROOTS.includes(column) || DYNAMIC_PATHS.includes(column)) {
+        return columns.concat(allColumns.filter(candidate => candidate.startsWith(`${column}.`)));
+      }
+      return columns.concat(column);
+    }, []);
+
+    return Array.from(new Set(expanded));
+  }
+
+  /**
+   * Pick the requested columns from a lead document
+   * @param {Object} doc - Lean lead document
+   * @param {Array<string>} columns - Columns to include
+   * @param {Map<string, string>} listNames - Names of the lead lists by ID
+   * @returns {Object} Flat record keyed by column name
+   */
+  toRecord(doc, columns, listNames = new Map()) {
+    const flat = this.flatten({
+      ...doc,
+      lists: (doc.lists || []).map(id => listNames.get(id.toString()) || id.toString())
+    });
+    return columns.reduce((record, column) => {
+      record[column] = flat[column] !== undefined ? flat[column] : '';
+      return record;
+    }, {});
+  }
+
+  /**
+   * Load the names of the lists the matching leads belong to
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<Map<string, string>>} List names by ID
+   */
+  async loadListNames(filter) {
+    const listIds = await Lead.distinct('lists', filter);
+    if (listIds.length === 0) {
+      return new Map();
+    }
+    const lists = await LeadList.find({ _id: { $in: listIds } }).select('name').lean();
+    return new Map(lists.map(list => [list._id.toString(), list.name]));
+  }
+
+  /**
+   * Write a chunk to the response, waiting for the socket to drain when needed
+   * @param {Object} res - Express response object
+   * @param {string|Buffer} chunk - Data to write
+   * @returns {Promise<void>}
+   */
+  write(res, chunk) {
+    if (res.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => res.once('drain', resolve));
+  }
+
+  /**
+   * Stream leads to an Express response
+   * @param {Object} res - Express response object
+   * @param {Object} options - Export options
+   * @param {Object} options.filter - MongoDB filter selecting the leads
+   * @param {string} options.format - csv, xlsx or ndjson
+   * @param {Array<string>} options.columns - Columns to include (optional)
+   * @param {Object} options.sort - Sort order (optional)
+   * @param {boolean} options.callable - Only export leads that can be called, without their numbers
+   *   on a DNC or litigator list or opted out, and without addresses opted out of email (optional)
+   * @returns {Promise<number>} Number of exported leads
+   */
+  async streamExport(res, { filter, format = 'csv', columns, sort = { createdAt: -1 }, callable = false }) {
+    const columnList = await this.resolveColumns(filter, columns);
+    const listNames = columnList.includes('lists') ? await this.loadListNames(filter) : new Map();
+    const { contentType, extension } = FORMATS[format];
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const query = Lead.find(filter)
+      .sort(sort)
+      .select('-rawData')
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+    const cursor = callable ? this._callableOnly(query) : query;
+
+    if (format === 'xlsx') {
+      return this._writeXlsx(res, cursor, columnList, listNames);
+    }
+
+    let count = 0;
+    let batch = [];
+    const csvStringifier = createCsvStringifier({
+      header: columnList.map(column => ({ id: column, title: column }))
+    });
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const chunk = format === 'csv'
+        ? csvStringifier.stringifyRecords(batch)
+        : batch.map(record => JSON.stringify(record)).join('\n') + '\n';
+      batch = [];
+      await this.write(res, chunk);
+    };
+
+    if (format === 'csv') {
+      await this.write(res, csvStringifier.getHeaderString());
+    }
+
+    for await (const doc of cursor) {
+      batch.push(this.toRecord(doc, columnList, listNames));
+      count++;
+      if (batch.length >= this.batchSize) {
+        await flush();
+      }
+    }
+
+    await flush();
+    res.end();
+    return count;
+  }
+
+  /**
+   * Pass on only the callable leads of a cursor, with their flagged numbers removed
+   * Numbers are checked against the suppression lists and the consent ledger batch by batch
+   * as they are read; addresses that opted out of email are blanked.
+   * @param {Object} cursor - Mongoose query cursor of lean leads
+   * @returns {AsyncGenerator<Object>} Callable leads
+   * @private
+   */
+  async *_callableOnly(cursor) {
+    let batch = [];
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= this.batchSize) {
+        yield* await consentService.withoutOptedOutEmails(await suppressionService.keepCallable(batch));
+        batch = [];
+      }
+    }
+    yield* await consentService.withoutOptedOutEmails(await suppressionService.keepCallable(batch));
+  }
+
+  /**
+   * Build an XLSX workbook from the cursor and send it
+   * The xlsx library can only serialise a complete workbook, so rows are appended
+   * to the worksheet batch by batch and the file is written once the cursor ends.
+   * @param {Object} res - Express response object
+   * @param {Object} cursor - Mongoose query cursor, or the callable leads of one
+   * @param {Array<string>} columns - Columns to include
+   * @param {Map<string, string>} listNames - Names of the lead lists by ID
+   * @returns {Promise<number>} Number of exported leads
+   * @private
+   */
+  async _writeXlsx(res, cursor, columns, listNames) {
+    const worksheet = xlsx.utils.aoa_to_sheet([columns]);
+    let count = 0;
+    let batch = [];
+
+    for await (const doc of cursor) {
+      const record = this.toRecord(doc, columns, listNames);
+      batch.push(columns.map(column => record[column]));
+      count++;
+      if (batch.length >= this.batchSize) {
+        xlsx.utils.sheet_add_aoa(worksheet, batch, { origin: -1 });
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      xlsx.utils.sheet_add_aoa(worksheet, batch, { origin: -1 });
+    }
+
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Leads');
+    res.end(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    return count;
+  }
+}
+
+module.exports = new LeadExportService();
@@ -0,0 +1,240 @@
+/**
+ * Lead Field Service
+ * Manages the custom fields an organization defines for its leads, validates and
+ * coerces custom field values on write, normalizes tags and checks list membership.
+ */
+const mongoose = require('mongoose');
+const LeadList = require('../models/LeadList');
+const Organization = require('../models/Organization');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { BadRequestError, ValidationError } = require('../utils/errors');
+
+// Longest accepted text value and tag
+const MAX_TEXT_LENGTH = 1000;
+const MAX_TAG_LENGTH = 50;
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+class LeadFieldService {
+  /**
+   * Get the custom field definitions of an organization
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<Array<Object>>} Field definitions (empty without an organization)
+   */
+  async getCustomFields(organizationId) {
+    if (!organizationId) {
+      return [];
+    }
+    const organization = await Organization.findById(organizationId).select('leadCustomFields').lean();
+    return organization && organization.leadCustomFields ? organization.leadCustomFields : [];
+  }
+
+  /**
+   * Get the custom field definitions that apply to a user's leads
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Field definitions
+   */
+  async getCustomFieldsForUser(userId) {
+    return this.getCustomFields(await getOrganizationId(userId));
+  }
+
+  /**
+   * Check a list of field definitions before saving it
+   * @param {Array<Object>} fields - Definitions: { key, label, type, options, required }
+   * @returns {Array<Object>} Cleaned definitions
+   * @throws {BadRequestError} If a definition is malformed or a key is repeated
+   */
+  validateDefinitions(fields) {
+    if (!Array.isArray(fields)) {
+      throw new BadRequestError('fields must be an array.');
+    }
+
+    const keys = new Set();
+    return fields.map((field, index) => {
+      const key = field && typeof field.key === 'string' ? field.key.trim() : '';
+      if (!/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/.test(key)) {
+        throw new BadRequestError(
+          `Field ${index + 1}: key must start with a letter and contain only letters, digits and underscores.`
+        );
+      }
+      if (keys.has(key)) {
+        throw new BadRequestError(`Field key "${key}" is used more than once.`);
+      }
+      keys.add(key);
+
+      if (!Organization.CUSTOM_FIELD_TYPES.includes(field.type)) {
+        throw new BadRequestError(
+          `Field "${key}": type must be one of ${Organization.CUSTOM_FIELD_TYPES.join(', ')}.`
+        );
+      }
+
+      const options = Array.isArray(field.options)
+        ? Array.from(new Set(field.options.map(option => String(option).trim()).filter(Boolean)))
+        : [];
+      if (field.type === 'select' && options.length === 0) {
+        throw new BadRequestError(`Field "${key}": select fields need at least one option.`);
+      }
+
+      return {
+        key,
+        label: field.label ? String(field.label).trim() : key,
+        type: field.type,
+        options: field.type === 'select' ? options : [],
+        required: Boolean(field.required)
+      };
+    });
+  }
+
+  /**
+   * Replace an organization's custom field definitions
+   * Values already stored under removed keys are kept on the leads but no longer validated.
+   * @param {Object} organization - Organization document
+   * @param {Array<Object>} fields - New definitions
+   * @returns {Promise<Array<Object>>} Saved definitions
+   */
+  async saveCustomFields(organization, fields) {
+    organization.leadCustomFields = this.validateDefinitions(fields);
+    await organization.save();
+    return organization.leadCustomFields;
+  }
+
+  /**
+   * Coerce a single value to its field type
+   * @param {*} value - Raw value
+   * @param {Object} field - Field definition
+   * @returns {{value: *, error: (string|undefined)}} Coerced value, or the reason it was rejected
+   * @private
+   */
+  _coerce(value, field) {
+    switch (field.type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+      }
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        return Number.isNaN(date.getTime()) ? { error: 'must be a valid date' } : { value: date };
+      }
+      case 'select': {
+        const option = field.options.find(candidate => candidate.toLowerCase() === String(value).trim().toLowerCase());
+        return option !== undefined
+          ? { value: option }
+          : { error: `must be one of ${field.options.join(', ')}` };
+      }
+      default: {
+        if (typeof value === 'object') {
+          return { error: 'must be text' };
+        }
+        const text = String(value).trim();
+        return text.length > MAX_TEXT_LENGTH
+          ? { error: `must be at most ${MAX_TEXT_LENGTH} characters` }
+          : { value: text };
+      }
+    }
+  }
+
+  /**
+   * Validate custom field values against the organization's definitions
+   * `values` is merged over `existing`; a null or empty value removes the field.
+   * @param {Object} values - Values being written, keyed by field key
+   * @param {Array<Object>} definitions - Field definitions
+   * @param {Object} existing - Values already stored on the lead (optional)
+   * @returns {Object} Coerced values to store
+   * @throws {ValidationError} With { customFields: { key: reason } } when a value is invalid
+   */
+  validateCustomFields(values, definitions, existing = {}) {
+    if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+      throw new ValidationError('Custom fields must be an object keyed by field key.', {
+        customFields: { _: 'must be an object' }
+      });
+    }
+
+    const fieldsByKey = new Map(definitions.map(field => [field.key, field]));
+    const errors = {};
+    const result = { ...(existing || {}) };
+
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const field = fieldsByKey.get(key);
+      if (!field) {
+        errors[key] = 'is not a custom field of this organization';
+        return;
+      }
+      if (isEmpty(value)) {
+        delete result[key];
+        return;
+      }
+
+      const coerced = this._coerce(value, field);
+      if (coerced.error) {
+        errors[key] = coerced.error;
+      } else {
+        result[key] = coerced.value;
+      }
+    });
+
+    definitions
+      .filter(field => field.required && isEmpty(result[field.key]) && !errors[field.key])
+      .forEach(field => {
+        errors[field.key] = 'is required';
+      });
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Invalid custom field values.', { customFields: errors });
+    }
+    return result;
+  }
+
+  /**
+   * Normalize tags from an array or a comma separated string
+   * @param {Array<string>|string} tags - Raw tags
+   * @returns {Array<string>} Lowercase, trimmed, unique tags
+   * @throws {ValidationError} If a tag is too long
+   */
+  normalizeTags(tags) {
+    if (tags === undefined || tags === null || tags === '') {
+      return [];
+    }
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const normalized = Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+
+    const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) {
+      throw new ValidationError(`Tags must be at most ${MAX_TAG_LENGTH} characters.`, {
+        tags: { [tooLong]: 'is too long' }
+      });
+    }
+    return normalized;
+  }
+
+  /**
+   * Check that every list a lead is being added to belongs to the user
+   * @param {Array<string>} listIds - List IDs
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<ObjectId>>} Unique list IDs
+   * @throws {ValidationError} If an ID is malformed or the list is not the user's
+   */
+  async resolveLists(listIds, userId) {
+    const ids = Array.from(new Set((Array.isArray(listIds) ? listIds : [listIds])
+      .filter(id => !isEmpty(id))
+      .map(id => String(id))));
+
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new ValidationError('Invalid list IDs.', {
+        lists: invalid.reduce((errors, id) => ({ ...errors, [id]: 'is not a valid list ID' }), {})
+      });
+    }
+
+    const lists = await LeadList.find({ _id: { $in: ids }, user: userId }).select('_id').lean();
+    const found = new Set(lists.map(list => list._id.toString()));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new ValidationError('Unknown lists.', {
+        lists: missing.reduce((errors, id) => ({ ...errors, [id]: 'list not found' }), {})
+      });
+    }
+    return lists.map(list => list._id);
+  }
+}
+
+module.exports = new LeadFieldService();
@@ -0,0 +1,118 @@
+/**
+ * Lead Search Service
+ * Turns listing parameters (basic filters, a query-language expression, a full-text
+ * search, a sort and optionally a saved search) into the MongoDB filter and sort used
+ * by the lead listing, exports and bulk actions.
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const SavedSearch = require('../models/SavedSearch');
+const leadFieldService = require('./leadFieldService');
+const leadAccessService = require('./leadAccessService');
+const { buildLeadFilter, buildLeadSort, pickFilterParams } = require('../utils/leadQuery');
+const { compileQuery } = require('../utils/leadQueryLanguage');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { BadRequestError } = require('../utils/errors');
+
+// Longest accepted full-text search
+const MAX_SEARCH_LENGTH = 200;
+
+class LeadSearchService {
+  /**
+   * Find a saved search visible to a user (their own or shared with their organization)
+   * @param {string} searchId - Saved search ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Saved search document
+   */
+  async findSavedSearch(searchId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(searchId)) {
+      return null;
+    }
+    const organizationId = await getOrganizationId(userId);
+    return SavedSearch.findVisibleTo(userId, organizationId).findOne({ _id: searchId });
+  }
+
+  /**
+   * Build the filter and sort selecting the leads a user can see
+   *
+   * Parameters: the basic filters of buildLeadFilter, `where` (query language),
+   * `search` (full-text search over name, address and notes), `sort` and `savedSearch`
+   * (ID of a saved search). Request parameters override the saved search's filters,
+   * search and sort; both `where` expressions apply.
+   *
+   * @param {string} userId - User ID
+   * @param {Object} params - Listing parameters
+   * @returns {Promise<{filter: Object, sort: Object, savedSearch: (Object|null)}>}
+   * @throws {BadRequestError} If a parameter is invalid or the saved search is unknown
+   */
+  async buildQuery(userId, params = {}) {
+    let savedSearch = null;
+    let effective = params;
+
+    if (params.savedSearch) {
+      savedSearch = await this.findSavedSearch(params.savedSearch, userId);
+      if (!savedSearch) {
+        throw new BadRequestError('Saved search not found.');
+      }
+      effective = { ...savedSearch.toQueryParams(), ...params };
+    }
+
+    const customFields = await leadFieldService.getCustomFieldsForUser(userId);
+    const scope = await leadAccessService.scopeFilter(userId);
+    const filter = buildLeadFilter(pickFilterParams(effective), userId, { customFields, scope });
+
+    const expressions = [savedSearch && savedSearch.where, params.where].filter(Boolean);
+    expressions.forEach(where => {
+      filter.$and.push(compileQuery(where, { schema: Lead.schema, customFields }));
+    });
+
+    const search = effective.search ? String(effective.search).trim() : '';
+    if (search.length > MAX_SEARCH_LENGTH) {
+      throw new BadRequestError(`Search text can be at most ${MAX_SEARCH_LENGTH} characters long.`);
+    }
+    if (search) {
+      filter.$text = { $search: search };
+    }
+
+    // Full-text results are ranked by relevance unless another order is requested
+    const sort = search && !effective.sort
+      ? { relevance: { $meta: 'textScore' }, createdAt: -1 }
+      : buildLeadSort(effective, { customFields });
+
+    return { filter, sort, savedSearch };
+  }
+
+  /**
+   * Pick and check the stored fields of a saved search from a request body
+   * The search is compiled once so that invalid expressions are rejected when saved.
+   * @param {Object} body - { name, description, where, search, filters, sort }
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Fields to store
+   * @throws {BadRequestError} If the search would not run
+   */
+  async buildSearchData(body, userId) {
+    const data = {};
+    ['name', 'description', 'where', 'search', 'sort'].forEach(field => {
+      if (body[field] !== undefined) {
+        data[field] = body[field] === null ? '' : String(body[field]);
+      }
+    });
+
+    if (body.filters !== undefined) {
+      if (body.filters !== null && (typeof body.filters !== 'object' || Array.isArray(body.filters))) {
+        throw new BadRequestError('filters must be an object of listing parameters.');
+      }
+      data.filters = pickFilterParams(body.filters || {});
+    }
+
+    await this.buildQuery(userId, {
+      ...(data.filters || {}),
+      where: data.where,
+      search: data.search,
+      sort: data.sort
+    });
+    return data;
+  }
+}
+
+module.exports = new LeadSearchService();
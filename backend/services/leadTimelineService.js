@@ -0,0 +1,125 @@
+/**
+ * Lead Timeline Service
+ * Merges a lead's audit history, verification runs, stage and score changes and
+ * notes into a single chronological activity feed.
+ */
+const AuditLog = require('../models/AuditLog');
+const Verification = require('../models/Verification');
+
+// Lead fields shown as their own event types rather than as generic updates
+const SPECIAL_FIELDS = {
+  status: 'stage_changed',
+  score: 'score_changed',
+  notes: 'note'
+};
+
+class LeadTimelineService {
+  /**
+   * Build the activity feed of a lead
+   * @param {Object} lead - Lead document
+   * @param {Object} options - Feed options
+   * @param {number} options.limit - Maximum number of events (default 200)
+   * @param {Array<string>} options.types - Only include these event types
+   * @returns {Promise<Array<Object>>} Events, newest first: { type, at, actor, source, ... }
+   */
+  async getTimeline(lead, { limit = 200, types } = {}) {
+    const [auditEntries, verifications] = await Promise.all([
+      AuditLog.find({ lead: lead._id })
+        .sort({ createdAt: -1 })
+        .limit(limit * 2)
+        .populate('actor', 'name email')
+        .lean(),
+      Verification.find({ lead: lead._id })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+
+    // The audit entry of a verification's creation says who ran it and how
+    const verificationCreations = new Map(auditEntries
+      .filter(entry => entry.modelName === 'Verification' && entry.action === 'create')
+      .map(entry => [entry.documentId.toString(), entry]));
+
+    const events = [
+      ...auditEntries.flatMap(entry => this._fromAuditEntry(entry)),
+      ...verifications.map(verification =>
+        this._fromVerification(verification, verificationCreations.get(verification._id.toString())))
+    ];
+
+    return events
+      .filter(event => !types || types.includes(event.type))
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Turn an audit entry into timeline events
+   * A lead update becomes one event per special field plus one for the other fields.
+   * @private
+   */
+  _fromAuditEntry(entry) {
+    const base = {
+      at: entry.createdAt,
+      actor: entry.actor || null,
+      source: entry.source,
+      auditId: entry._id
+    };
+
+    if (entry.modelName === 'Verification') {
+      // Verification runs are listed from the Verification documents themselves
+      if (entry.action === 'create') return [];
+      return [{ ...base, type: 'verification_updated', verificationId: entry.documentId, changes: entry.changes }];
+    }
+
+    if (entry.action === 'create') {
+      return [{ ...base, type: 'created' }];
+    }
+    if (entry.action === 'delete') {
+      return [{ ...base, type: 'deleted' }];
+    }
+
+    const events = [];
+    const otherChanges = [];
+
+    (entry.changes || []).forEach(change => {
+      const type = SPECIAL_FIELDS[change.path];
+      if (!type) {
+        otherChanges.push(change);
+      } else if (type === 'note') {
+        events.push({ ...base, type, text: change.after, previousText: change.before });
+      } else {
+        events.push({ ...base, type, from: change.before, to: change.after });
+      }
+    });
+
+    if (otherChanges.length > 0) {
+      events.push({ ...base, type: 'updated', changes: otherChanges });
+    }
+    return events;
+  }
+
+  /**
+   * Turn a verification run into a timeline event
+   * @private
+   */
+  _fromVerification(verification, creation) {
+    const summarize = section => (section ? {
+      status: section.status,
+      provider: section.provider,
+      confidence: section.confidence
+    } : null);
+
+    return {
+      type: 'verification',
+      at: verification.createdAt,
+      actor: creation ? creation.actor : verification.user || null,
+      source: creation ? creation.source : null,
+      verificationId: verification._id,
+      phone: summarize(verification.phoneVerification),
+      address: summarize(verification.addressVerification),
+      ownership: summarize(verification.ownershipVerification)
+    };
+  }
+}
+
+module.exports = new LeadTimelineService();
@@ -0,0 +1,194 @@
+/**
+ * Lead Trash Service
+ * Deleted leads are soft-deleted into a trash, where they can be listed and restored
+ * until their organization's retention period (Organization settings.trashRetentionDays)
+ * runs out and they are purged for good. Purging and emptying the trash are the only
+ * hard deletes of leads, and also delete the leads' follow-up tasks.
+ */
+const Lead = require('../models/Lead');
+const Organization = require('../models/Organization');
+const taskService = require('./taskService');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('leadTrashService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeadTrashService {
+  constructor() {
+    // How often expired leads are purged while the server runs
+    this.purgeIntervalMs = 60 * 60 * 1000;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Days an organization keeps trashed leads
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<number>} Retention in days (the default without an organization)
+   */
+  async getRetentionDays(organizationId) {
+    const organization = organizationId
+      ? await Organization.findById(organizationId).select('settings.trashRetentionDays').lean()
+      : null;
+    return (organization && organization.settings && organization.settings.trashRetentionDays) ||
+      Organization.TRASH_RETENTION.default;
+  }
+
+  /**
+   * Change how long an organization keeps trashed leads
+   * @param {Object} organization - Organization document
+   * @param {number} days - Retention in days
+   * @returns {Promise<number>} The saved retention
+   * @throws {Error} Mongoose ValidationError if the value is out of range
+   */
+  async setRetentionDays(organization, days) {
+    organization.set('settings.trashRetentionDays', days);
+    await organization.save();
+    return organization.settings.trashRetentionDays;
+  }
+
+  /**
+   * Move a user's lead to the trash
+   * @param {string} leadId - Lead ID
+   * @param {string} userId - Owner of the lead
+   * @returns {Promise<Object|null>} The trashed lead, or null if not found (or already trashed)
+   */
+  async trashLead(leadId, userId) {
+    const lead = await Lead.findOne({ _id: leadId, user: userId });
+    if (!lead) {
+      return null;
+    }
+    return lead.softDelete(userId);
+  }
+
+  /**
+   * Restore a lead from a user's trash
+   * @param {string} leadId - Lead ID
+   * @param {string} userId - Owner of the lead
+   * @returns {Promise<Object|null>} The restored lead, or null if not in the trash
+   */
+  async restoreLead(leadId, userId) {
+    const lead = await Lead.findOne({ _id: leadId, user: userId, isDeleted: true });
+    if (!lead) {
+      return null;
+    }
+    lead.isDeleted = false;
+    lead.deletedAt = null;
+    lead.deletedBy = null;
+    return lead.save();
+  }
+
+  /**
+   * List the leads in a user's trash, most recently deleted first
+   * Each lead carries `purgeAt`, when it will be permanently deleted.
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<{leads: Array<Object>, total: number, retentionDays: number}>}
+   */
+  async listTrash(userId, { page = 1, limit = 20 } = {}) {
+    const filter = { user: userId, isDeleted: true };
+    const [leads, total, retentionDays] = await Promise.all([
+      Lead.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Lead.countDocuments(filter),
+      this.getRetentionDays(await getOrganizationId(userId))
+    ]);
+
+    // Leads are purged by the retention of the organization they belong to
+    const retentionByOrganization = new Map();
+    for (const lead of leads) {
+      const key = lead.organization ? lead.organization.toString() : '';
+      if (!retentionByOrganization.has(key)) {
+        retentionByOrganization.set(key, key ? await this.getRetentionDays(key) : Organization.TRASH_RETENTION.default);
+      }
+      lead.purgeAt = new Date(new Date(lead.deletedAt).getTime() + retentionByOrganization.get(key) * DAY_MS);
+    }
+
+    return { leads, total, retentionDays };
+  }
+
+  /**
+   * Permanently delete every lead in a user's trash
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of leads deleted
+   */
+  async emptyTrash(userId) {
+    return this._deleteLeads({ user: userId, isDeleted: true });
+  }
+
+  /**
+   * Permanently delete trashed leads whose retention period has passed
+   * Leads follow the retention of their organization; leads without one (or whose
+   * organization keeps the default) use the default retention.
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of leads deleted
+   */
+  async purgeExpired(now = new Date()) {
+    const defaultDays = Organization.TRASH_RETENTION.default;
+    const customized = await Organization.find({ 'settings.trashRetentionDays': { $nin: [null, defaultDays] } })
+      .select('settings.trashRetentionDays')
+      .lean();
+
+    let deleted = 0;
+    for (const organization of customized) {
+      const cutoff = new Date(now.getTime() - organization.settings.trashRetentionDays * DAY_MS);
+      deleted += await this._deleteLeads({
+        isDeleted: true,
+        organization: organization._id,
+        deletedAt: { $lte: cutoff }
+      });
+    }
+
+    deleted += await this._deleteLeads({
+      isDeleted: true,
+      organization: { $nin: customized.map(organization => organization._id) },
+      deletedAt: { $lte: new Date(now.getTime() - defaultDays * DAY_MS) }
+    });
+
+    if (deleted > 0) {
+      logger.info(`Purged ${deleted} trashed leads past their retention period`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Purge expired leads now and then periodically while the process runs
+   */
+  startPurgeSchedule() {
+    if (this.purgeTimer) {
+      return;
+    }
+    const purge = () => {
+      this.purgeExpired().catch(error => {
+        logger.error(`Failed to purge trashed leads: ${error.message}`, error);
+      });
+    };
+    purge();
+    this.purgeTimer = setInterval(purge, this.purgeIntervalMs);
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Permanently delete trashed leads and their tasks
+   * @param {Object} filter - Filter of trashed leads
+   * @returns {Promise<number>} Number of leads deleted
+   * @private
+   */
+  async _deleteLeads(filter) {
+    const ids = await Lead.find(filter).distinct('_id');
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    // One audit entry for the purge rather than one per lead
+    const result = await Lead.deleteMany({ _id: { $in: ids }, isDeleted: true }).setOptions({ auditSummary: true });
+    await taskService.deleteTasksForLeads(ids);
+    return result.deletedCount;
+  }
+}
+
+module.exports = new LeadTrashService();
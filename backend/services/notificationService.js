@@ -0,0 +1,63 @@
+/**
+ * Notification Service
+ * Creates and reads the in-app notifications shown in the dashboard.
+ */
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('notificationService');
+
+class NotificationService {
+  /**
+   * Send a notification to a user
+   * Never throws: a failed notification must not fail the change that caused it.
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { type, title, message, link, task, lead }
+   * @returns {Promise<Object|null>} The created notification, or null on failure
+   */
+  async notify(userId, notification) {
+    try {
+      return await Notification.create({ ...notification, user: userId });
+    } catch (error) {
+      logger.error(`Failed to notify user ${userId}: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { unreadOnly, limit }
+   * @returns {Promise<{notifications: Array<Object>, unread: number}>}
+   */
+  async list(userId, { unreadOnly = false, limit = 20 } = {}) {
+    const filter = { user: userId };
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+    return { notifications, unread };
+  }
+
+  /**
+   * Mark a user's notifications as read
+   * @param {string} userId - User ID
+   * @param {Array<string>} ids - Notification IDs; all unread notifications when omitted
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markRead(userId, ids) {
+    const filter = { user: userId, readAt: null };
+    if (ids) {
+      filter._id = { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+    }
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
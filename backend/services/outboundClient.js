@@ -0,0 +1,281 @@
+/**
+ * Outbound Client
+ * Shared HTTP client for third-party APIs configured as ApiIntegrations. Every request
+ * uses its integration's timeout and retry settings, retries transient failures with
+ * exponential backoff and goes through the integration's circuit breaker and rate limits
+ * (services/integrationRateLimiter.js); withFailover() moves on to the next active
+ * provider of the same type when one is down or its daily quota is used up. The cost of
+ * every successful request is recorded (services/usageAccountingService.js).
+ */
+const axios = require('axios');
+const ApiIntegration = require('../models/ApiIntegration');
+const integrationRateLimiter = require('./integrationRateLimiter');
+const usageAccountingService = require('./usageAccountingService');
+const { CircuitBreaker, BREAKER_STATES } = require('../utils/circuitBreaker');
+const { ServiceUnavailableError, TooManyRequestsError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('outboundClient');
+
+// Responses to a bad request; another attempt or provider would fail the same way
+const INPUT_ERROR_STATUSES = [400, 404, 422];
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed when retried: timeouts, network errors, rate
+ * limiting and server errors
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+const isTransient = (error) => !error.response || error.response.status === 429 || error.response.status >= 500;
+
+/**
+ * Whether an error is the provider's fault rather than the request's, so another
+ * provider should be tried
+ * @param {Error} error - Error of a provider call
+ * @returns {boolean}
+ */
+const isProviderFailure = (error) =>
+  !(error.response && INPUT_ERROR_STATUSES.includes(error.response.status));
+
+class OutboundClient {
+  constructor() {
+    // Integration key -> { breaker, integration: { name, provider, type } }
+    this.breakers = new Map();
+    // Delay before the first retry, doubled on every retry up to maxBackoffMs
+    this.baseBackoffMs = 250;
+    this.maxBackoffMs = 8000;
+    this.failureThreshold = parseInt(process.env.CIRCUIT_BREAKER_FAILURES, 10) || 5;
+    this.cooldownMs = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 30 * 1000;
+  }
+
+  /**
+   * Key of an integration's breaker
+   * Stored integrations are keyed by ID; others (mock and environment-configured
+   * providers) by provider and type.
+   * @param {Object} integration - ApiIntegration, or an object in its shape
+   * @returns {string}
+   */
+  integrationKey(integration) {
+    if (integration._id && !integration.isNew) {
+      return String(integration._id);
+    }
+    return `${integration.provider}:${integration.type}`;
+  }
+
+  /**
+   * Get the circuit breaker of an integration, creating it if needed
+   * @param {Object} integration - ApiIntegration
+   * @returns {CircuitBreaker}
+   */
+  getBreaker(integration) {
+    const key = this.integrationKey(integration);
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, {
+        breaker: new CircuitBreaker({ failureThreshold: this.failureThreshold, cooldownMs: this.cooldownMs }),
+        integration: { name: integration.name, provider: integration.provider, type: integration.type }
+      });
+    }
+    return this.breakers.get(key).breaker;
+  }
+
+  /**
+   * Whether an integration's breaker lets requests through
+   * @param {Object} integration - ApiIntegration
+   * @returns {boolean}
+   */
+  isAvailable(integration) {
+    return this.getBreaker(integration).getState() !== BREAKER_STATES.OPEN;
+  }
+
+  /**
+   * Active integrations of a type, the organization's own first and then the shared ones
+   * (without organization), oldest first within each
+   * @param {string} type - ApiIntegration type
+   * @param {string|null} organizationId - Organization of the user (optional)
+   * @returns {Promise<Array<Object>>} ApiIntegration documents
+   */
+  async findIntegrations(type, organizationId = null) {
+    const integrations = await ApiIntegration.find({
+      type,
+      isActive: true,
+      organization: { $in: [organizationId, null] }
+    }).sort({ createdAt: 1 });
+
+    const own = integration => organizationId && String(integration.organization) === String(organizationId);
+    return [...integrations.filter(own), ...integrations.filter(integration => !own(integration))];
+  }
+
+  /**
+   * Make an HTTP request to an integration's API
+   * Uses the integration's base URL, timeout and headers and sends its API key as a
+   * bearer token. Transient failures are retried up to settings.retryAttempts times,
+   * waiting baseBackoffMs * 2^n (with jitter, or the provider's Retry-After) in between.
+   * Every attempt first waits for the integration's per-second rate limit. A successful
+   * request is recorded as usage at the integration's price.
+   * @param {Object} integration - ApiIntegration
+   * @param {Object} options - axios request options (url relative to the base URL), and
+   *   usage: { feature, quantity } the request is billed as (default one unit of the integration type)
+   * @returns {Promise<Object>} Response body
+   * @throws {ServiceUnavailableError} If the integration's breaker is open
+   * @throws {TooManyRequestsError} If the integration's daily quota is used up
+   */
+  async request(integration, options) {
+    const breaker = this.getBreaker(integration);
+    if (!breaker.tryAcquire()) {
+      const error = new ServiceUnavailableError(`${integration.name || integration.provider} is unavailable after repeated failures.`);
+      error.circuitOpen = true;
+      throw error;
+    }
+
+    const { baseUrl, apiKey, settings = {} } = integration;
+    const { usage, ...requestOptions } = options;
+    const attempts = Math.max(settings.retryAttempts || 0, 0) + 1;
+
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        await integrationRateLimiter.acquire(integration);
+      } catch (error) {
+        // No request was made, so there is nothing to tell the breaker
+        breaker.release();
+        throw error;
+      }
+
+      try {
+        const response = await axios({
+          baseURL: baseUrl,
+          timeout: settings.timeout,
+          ...requestOptions,
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            ...settings.headers,
+            ...requestOptions.headers
+          }
+        });
+        breaker.recordSuccess();
+        // A failure to record the cost must not fail a call that was made (and billed)
+        usageAccountingService.recordCall(integration, usage).catch(error => {
+          logger.error(`Failed to record usage of ${integration.name || integration.provider}: ${error.message}`, error);
+        });
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        if (!isTransient(error)) {
+          break;
+        }
+        if (attempt < attempts) {
+          await sleep(this._backoff(attempt, error));
+        }
+      }
+    }
+
+    // Requests the provider rejected as invalid say nothing about its health
+    if (isProviderFailure(lastError)) {
+      breaker.recordFailure(lastError);
+      if (breaker.getState() === BREAKER_STATES.OPEN) {
+        logger.warn(`Circuit opened for ${integration.name || integration.provider}: ${lastError.message}`);
+      }
+    } else {
+      breaker.recordSuccess();
+    }
+    throw lastError;
+  }
+
+  /**
+   * Run a call with each integration in turn until one succeeds
+   * Integrations whose breaker is open are skipped; a provider failure (anything but a
+   * rejected request) or a used-up rate limit moves on to the next integration.
+   * @param {Array<Object>} integrations - Candidate integrations, preferred first
+   * @param {Function} call - async (integration) => result
+   * @param {string} label - What is being called, for errors (e.g. "phone verification")
+   * @returns {Promise<{result: *, integration: Object}>} Result and the integration that produced it
+   * @throws {ServiceUnavailableError} If every integration is down or failed
+   * @throws {TooManyRequestsError} If every available integration is rate limited
+   */
+  async withFailover(integrations, call, label) {
+    let lastError = null;
+    let rateLimited = null;
+
+    for (const integration of integrations) {
+      if (!this.isAvailable(integration)) {
+        continue;
+      }
+      try {
+        return { result: await call(integration), integration };
+      } catch (error) {
+        if (error.rateLimited) {
+          rateLimited = error;
+          continue;
+        }
+        if (!isProviderFailure(error) || error.statusCode === 429) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn(`${label} failed with ${integration.name || integration.provider}, trying the next provider: ${error.message}`);
+      }
+    }
+
+    if (rateLimited && !lastError) {
+      throw new TooManyRequestsError(`${label} rate limit exceeded: ${rateLimited.message}`);
+    }
+    const error = new ServiceUnavailableError(lastError
+      ? `${label} failed with every available provider: ${lastError.message}`
+      : `${label} is unavailable: every provider is down.`);
+    error.cause = lastError;
+    throw error;
+  }
+
+  /**
+   * State of every breaker in this process, for the admin view
+   * @returns {Array<Object>} { key, name, provider, type, state, failures, openedAt, retryAt,
+   *   lastError, lastFailureAt, lastSuccessAt }
+   */
+  getBreakerStates() {
+    return Array.from(this.breakers, ([key, { breaker, integration }]) => ({
+      key,
+      ...integration,
+      ...breaker.snapshot()
+    }));
+  }
+
+  /**
+   * Close a breaker by hand
+   * @param {string} key - Breaker key (see getBreakerStates)
+   * @returns {boolean} Whether the breaker exists
+   */
+  resetBreaker(key) {
+    const entry = this.breakers.get(key);
+    if (!entry) {
+      return false;
+    }
+    entry.breaker.reset();
+    return true;
+  }
+
+  /**
+   * Delay before a retry
+   * @param {number} attempt - Attempt that failed (1 for the first)
+   * @param {Error} error - Its error
+   * @returns {number} Milliseconds
+   * @private
+   */
+  _backoff(attempt, error) {
+    const retryAfter = error.response && error.response.headers && parseInt(error.response.headers['retry-after'], 10);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.maxBackoffMs);
+    }
+    const delay = Math.min(this.baseBackoffMs * 2 ** (attempt - 1), this.maxBackoffMs);
+    // Up to a quarter either way, so that clients that failed together do not retry together
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+  }
+}
+
+module.exports = new OutboundClient();
+module.exports.isProviderFailure = isProviderFailure;
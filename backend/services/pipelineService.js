@@ -0,0 +1,396 @@
+/**
+ * Pipeline Service
+ * Loads an organization's lead pipeline (or the default one), enforces stage
+ * transitions and required fields, records stage history and computes
+ * time-in-stage metrics.
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { BadRequestError, ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * Pipeline used by organizations that have not configured their own.
+ * It keeps the original new/pending/verified/rejected statuses and adds the wholesaling
+ * stages. New leads start in its initial stage and verification moves them to verified,
+ * or to invalid when their phone number cannot exist.
+ */
+const DEFAULT_PIPELINE = {
+  name: 'Default pipeline',
+  initialStage: 'new',
+  stages: [
+    { key: 'new', name: 'New', allowedTransitions: ['pending', 'verified', 'contacted', 'invalid', 'rejected', 'dead'] },
+    { key: 'pending', name: 'Pending verification', allowedTransitions: ['new', 'verified', 'invalid', 'rejected', 'dead'] },
+    { key: 'verified', name: 'Verified', allowedTransitions: ['contacted', 'rejected', 'dead'] },
+    { key: 'contacted', name: 'Contacted', allowedTransitions: ['appointment_set', 'offer_made', 'dead'] },
+    { key: 'appointment_set', name: 'Appointment set', allowedTransitions: ['contacted', 'offer_made', 'dead'] },
+    {
+      key: 'offer_made',
+      name: 'Offer made',
+      allowedTransitions: ['contacted', 'under_contract', 'dead'],
+      requiredFields: ['offerAmount']
+    },
+    { key: 'under_contract', name: 'Under contract', allowedTransitions: ['offer_made', 'closed', 'dead'] },
+    { key: 'closed', name: 'Closed', allowedTransitions: [], isTerminal: true },
+    { key: 'rejected', name: 'Rejected', allowedTransitions: ['new', 'pending'], isTerminal: true },
+    // Leads whose phone number cannot exist; fixing the number moves them back
+    { key: 'invalid', name: 'Invalid number', allowedTransitions: ['new', 'pending', 'dead'], isTerminal: true },
+    { key: 'dead', name: 'Dead', allowedTransitions: ['new', 'contacted'], isTerminal: true }
+  ]
+};
+
+/**
+ * Read a dot-notation path from a plain object or document
+ * @param {Object} source - Object to read
+ * @param {string} fieldPath - Path such as 'offerAmount' or 'propertyCondition.condition.score'
+ * @returns {*} Value, or undefined
+ */
+const getPathValue = (source, fieldPath) => {
+  if (source && typeof source.get === 'function' && source instanceof mongoose.Document) {
+    return source.get(fieldPath);
+  }
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+const hasValue = value =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+class PipelineService {
+  /**
+   * Get an organization's pipeline, or the default pipeline
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<Object>} Pipeline document (unsaved for the default pipeline)
+   */
+  async getPipeline(organizationId) {
+    const pipeline = organizationId ? await Pipeline.findOne({ organization: organizationId }) : null;
+    return pipeline || new Pipeline({ ...DEFAULT_PIPELINE, organization: organizationId || undefined });
+  }
+
+  /**
+   * Get the pipeline that applies to a user's leads
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Pipeline document
+   */
+  async getPipelineForUser(userId) {
+    return this.getPipeline(await getOrganizationId(userId));
+  }
+
+  /**
+   * Whether a pipeline is the built-in default rather than one saved by the organization
+   * @param {Object} pipeline - Pipeline document
+   * @returns {boolean}
+   */
+  isDefault(pipeline) {
+    return pipeline.isNew;
+  }
+
+  /**
+   * Create or replace an organization's pipeline
+   * Stages that still hold leads cannot be removed.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} data - { name, stages, initialStage }
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Saved Pipeline document
+   * @throws {BadRequestError} If the stages are inconsistent
+   * @throws {ConflictError} If a removed stage still holds leads
+   */
+  async savePipeline(organizationId, data, userId) {
+    const stages = this.validateStages(data.stages);
+    const initialStage = data.initialStage || stages[0].key;
+    if (!stages.some(stage => stage.key === initialStage)) {
+      throw new BadRequestError(`Initial stage "${initialStage}" is not one of the pipeline stages.`);
+    }
+
+    const current = await this.getPipeline(organizationId);
+    const removed = current.stages
+      .map(stage => stage.key)
+      .filter(key => !stages.some(stage => stage.key === key));
+    if (removed.length > 0) {
+      const inUse = await Lead.distinct('status', { organization: organizationId, status: { $in: removed } });
+      if (inUse.length > 0) {
+        throw new ConflictError(`Move the leads out of these stages before removing them: ${inUse.join(', ')}.`);
+      }
+    }
+
+    return Pipeline.findOneAndUpdate(
+      { organization: organizationId },
+      {
+        $set: {
+          name: data.name || current.name,
+          stages,
+          initialStage,
+          updatedBy: userId
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Check that stage keys are unique and transitions point at existing stages
+   * @param {Array<Object>} stages - Stage definitions
+   * @returns {Array<Object>} Normalized stages
+   * @throws {BadRequestError} If the stages are inconsistent
+   */
+  validateStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new BadRequestError('A pipeline needs at least one stage.');
+    }
+
+    const normalized = stages.map((stage, index) => {
+      const key = String((stage && stage.key) || '').trim().toLowerCase();
+      if (!key) {
+        throw new BadRequestError(`Stage ${index + 1} needs a key.`);
+      }
+      return {
+        key,
+        name: stage.name || key,
+        allowedTransitions: (stage.allowedTransitions || []).map(transition => String(transition).trim().toLowerCase()),
+        requiredFields: stage.requiredFields || [],
+        isTerminal: Boolean(stage.isTerminal),
+        color: stage.color
+      };
+    });
+
+    const keys = normalized.map(stage => stage.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      throw new BadRequestError(`Stage key "${duplicate}" is used more than once.`);
+    }
+
+    normalized.forEach(stage => {
+      const unknown = stage.allowedTransitions.filter(transition => !keys.includes(transition));
+      if (unknown.length > 0) {
+        throw new BadRequestError(`Stage "${stage.key}" allows transitions to unknown stages: ${unknown.join(', ')}.`);
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Move a lead to a new stage, enforcing the pipeline and recording the change.
+   * The lead is modified but not saved.
+   * @param {Object} lead - Lead document
+   * @param {Object} pipeline - Pipeline document
+   * @param {string} toStage - Key of the target stage
+   * @param {string} userId - User making the change
+   * @param {Object} pendingUpdates - Field values being saved with the stage change
+   * @throws {BadRequestError} If the stage is unknown, the transition is not allowed or the lead is in a final stage
+   * @throws {ValidationError} If fields required by the target stage are empty
+   */
+  changeStage(lead, pipeline, toStage, userId, pendingUpdates = {}) {
+    const target = pipeline.getStage(toStage);
+    if (!target) {
+      throw new BadRequestError(`Unknown pipeline stage "${toStage}".`);
+    }
+
+    const fromStage = lead.status;
+    const current = pipeline.getStage(fromStage);
+    // Leads in a stage the pipeline no longer has may move anywhere; a terminal stage
+    // without transitions, such as closed, is final
+    if (current && current.isTerminal && current.allowedTransitions.length === 0) {
+      throw new BadRequestError(`A lead in "${current.name}" cannot move to another stage.`);
+    }
+    if (current && current.allowedTransitions.length > 0 && !current.allowedTransitions.includes(toStage)) {
+      throw new BadRequestError(
+        `A lead cannot move from "${current.name}" to "${target.name}". ` +
+        `Allowed stages: ${current.allowedTransitions.join(', ')}.`
+      );
+    }
+
+    this.checkRequiredFields(lead, target, pendingUpdates);
+
+    // Leads created before stage history was kept get an entry for the stage they were in
+    if (lead.stageHistory.length === 0) {
+      lead.stageHistory.push({
+        stage: fromStage,
+        changedAt: lead.stageEnteredAt || lead.createdAt || new Date()
+      });
+    }
+
+    const now = new Date();
+    lead.status = toStage;
+    lead.stageEnteredAt = now;
+    lead.stageHistory.push({
+      stage: toStage,
+      previousStage: fromStage,
+      changedBy: userId,
+      changedAt: now
+    });
+  }
+
+  /**
+   * Make sure a lead has a value for every field a stage requires
+   * @param {Object} lead - Lead document or plain lead data
+   * @param {Object} stage - Pipeline stage the lead is entering
+   * @param {Object} pendingUpdates - Field values being saved with the lead
+   * @throws {ValidationError} If fields required by the stage are empty
+   */
+  checkRequiredFields(lead, stage, pendingUpdates = {}) {
+    const missingFields = stage.requiredFields.filter(field => {
+      const pending = field in pendingUpdates ? pendingUpdates[field] : getPathValue(pendingUpdates, field);
+      return !hasValue(pending !== undefined ? pending : getPathValue(lead, field));
+    });
+    if (missingFields.length > 0) {
+      throw new ValidationError(
+        `"${stage.name}" requires: ${missingFields.join(', ')}.`,
+        { missingFields }
+      );
+    }
+  }
+
+  /**
+   * Put a new lead in a pipeline stage, the pipeline's initial stage by default.
+   * The lead is modified but not saved; the Lead model starts its stage history on insert.
+   * @param {Object} lead - Lead document or plain lead data
+   * @param {Object} pipeline - Pipeline document
+   * @param {string} stage - Key of the stage (default the pipeline's initial stage)
+   * @returns {Object} The lead
+   * @throws {BadRequestError} If the stage is unknown
+   */
+  startLead(lead, pipeline, stage = pipeline.initialStage) {
+    if (!pipeline.getStage(stage)) {
+      throw new BadRequestError(`Unknown pipeline stage "${stage}".`);
+    }
+
+    lead.status = stage;
+    lead.stageEnteredAt = new Date();
+    return lead;
+  }
+
+  /**
+   * Move a lead forward to a stage on behalf of the system, e.g. to verified after a
+   * successful verification, and save the change.
+   * Automated moves never go backwards in the pipeline, out of a terminal stage or
+   * through a transition the pipeline does not allow; in those cases the lead stays
+   * where it is.
+   * @param {Object} lead - Lead document
+   * @param {string} toStage - Key of the target stage
+   * @param {string} userId - User the move is made for (optional)
+   * @param {Object} pipeline - Pipeline document (default the lead organization's pipeline)
+   * @returns {Promise<boolean>} Whether the lead moved
+   */
+  async advanceLead(lead, toStage, userId, pipeline) {
+    const fromStage = lead.status;
+    if (fromStage === toStage) {
+      return false;
+    }
+
+    pipeline = pipeline || await this.getPipeline(lead.organization);
+    const keys = pipeline.stages.map(stage => stage.key);
+    const current = pipeline.getStage(fromStage);
+    if (current && (current.isTerminal || keys.indexOf(toStage) < keys.indexOf(fromStage))) {
+      return false;
+    }
+
+    lead.stageHistory = lead.stageHistory || [];
+    const historyLength = lead.stageHistory.length;
+    try {
+      this.changeStage(lead, pipeline, toStage, userId);
+    } catch (error) {
+      if (error instanceof BadRequestError || error instanceof ValidationError) {
+        return false;
+      }
+      throw error;
+    }
+
+    // Only if the lead has not changed stage in the meantime
+    const result = await Lead.updateOne(
+      { _id: lead._id, status: fromStage },
+      {
+        $set: { status: lead.status, stageEnteredAt: lead.stageEnteredAt },
+        $push: { stageHistory: { $each: lead.stageHistory.slice(historyLength) } }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Time a lead has spent in each stage, from its stage history
+   * @param {Object} lead - Lead document or plain object
+   * @param {Date} now - Reference time for the current stage
+   * @returns {Object} { currentStage, timeInCurrentStageMs, stages: { <key>: { totalMs, visits } } }
+   */
+  getStageMetrics(lead, now = new Date()) {
+    const history = lead.stageHistory || [];
+    const stages = {};
+
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      const exitedAt = next ? next.changedAt : now;
+      const metrics = stages[entry.stage] || { totalMs: 0, visits: 0 };
+      metrics.totalMs += Math.max(new Date(exitedAt) - new Date(entry.changedAt), 0);
+      metrics.visits += 1;
+      stages[entry.stage] = metrics;
+    });
+
+    const enteredAt = lead.stageEnteredAt || lead.createdAt;
+    return {
+      currentStage: lead.status,
+      stageEnteredAt: enteredAt,
+      timeInCurrentStageMs: enteredAt ? Math.max(now - new Date(enteredAt), 0) : null,
+      stages
+    };
+  }
+
+  /**
+   * Time-in-stage statistics across leads
+   * @param {Object} filter - Lead filter (a user's or an organization's leads)
+   * @param {Object} pipeline - Pipeline document, used to order and name the stages
+   * @returns {Promise<Array<Object>>} Per stage: { stage, name, currentLeads, visits, averageMs, maxMs }
+   */
+  async getPipelineMetrics(filter, pipeline) {
+    const now = new Date();
+    const results = await Lead.aggregate([
+      { $match: { ...filter, 'stageHistory.0': { $exists: true } } },
+      { $project: { history: '$stageHistory', entry: '$stageHistory' } },
+      { $unwind: { path: '$entry', includeArrayIndex: 'index' } },
+      {
+        $project: {
+          stage: '$entry.stage',
+          enteredAt: '$entry.changedAt',
+          next: { $arrayElemAt: ['$history', { $add: ['$index', 1] }] }
+        }
+      },
+      {
+        $project: {
+          stage: 1,
+          isCurrent: { $eq: [{ $ifNull: ['$next', null] }, null] },
+          durationMs: { $subtract: [{ $ifNull: ['$next.changedAt', now] }, '$enteredAt'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$stage',
+          visits: { $sum: 1 },
+          currentLeads: { $sum: { $cond: ['$isCurrent', 1, 0] } },
+          averageMs: { $avg: '$durationMs' },
+          maxMs: { $max: '$durationMs' }
+        }
+      }
+    ]);
+
+    const byStage = new Map(results.map(result => [result._id, result]));
+    const ordered = pipeline.stages.map(stage => ({ key: stage.key, name: stage.name }));
+    // Stages no longer in the pipeline are reported after the configured ones
+    results
+      .filter(result => !pipeline.getStage(result._id))
+      .forEach(result => ordered.push({ key: result._id, name: result._id }));
+
+    return ordered.map(({ key, name }) => {
+      const result = byStage.get(key) || {};
+      return {
+        stage: key,
+        name,
+        currentLeads: result.currentLeads || 0,
+        visits: result.visits || 0,
+        averageMs: Math.round(result.averageMs || 0),
+        maxMs: result.maxMs || 0
+      };
+    });
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,467 @@
+/**
+ * Re-verification Service
+ * Records verification runs as history and keeps leads' verifications fresh. Each run adds
+ * a Verification document and supersedes the lead's previous one. Results older than
+ * their type's freshness window (utils/verificationFreshness.js) are re-verified by a
+ * schedule. Requested leads (the reverify bulk action) are re-verified first, oldest
+ * request first, whatever the budget and whether or not they belong to an organization;
+ * stale leads follow by score, each organization's up to its monthly budget
+ * (Organization settings.reverificationBudget).
+ */
+const Lead = require('../models/Lead');
+const Organization = require('../models/Organization');
+const Verification = require('../models/Verification');
+const verificationProviders = require('./verification');
+const pipelineService = require('./pipelineService');
+const usageAccountingService = require('./usageAccountingService');
+const { summarizeFreshness } = require('../utils/verificationFreshness');
+const { runWithAuditContext } = require('../utils/auditContext');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('reverificationService');
+
+const { VERIFICATION_TYPES } = verificationProviders;
+
+// Leads re-verified per organization in one pass of the schedule
+const BATCH_SIZE = 50;
+
+// Requested leads re-verified in one pass of the schedule, over all organizations
+const REQUESTED_BATCH_SIZE = 500;
+
+// Leads without a previous result of any type are re-verified for these when requested
+const DEFAULT_TYPES = ['phone', 'email', 'address'];
+
+// A claimed lead is left alone this long, so that a run that failed is retried later; leads
+// claimed while the providers were unavailable or rate limited are released straight away
+const CLAIM_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Leads whose freshness is worked out per pass, for leads verified before it was tracked
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Current month in UTC, the period of the re-verification budget
+ * @param {Date} now - Reference time
+ * @returns {string} YYYY-MM
+ */
+const budgetMonth = (now) => now.toISOString().slice(0, 7);
+
+class ReverificationService {
+  constructor() {
+    // How often due leads are re-verified while the server runs
+    this.intervalMs = 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Record the results of a verification run
+   * Adds a Verification document with the results, carrying forward the lead's other
+   * latest results, supersedes the previous document and keeps the latest result of each
+   * type, and when the first of them goes stale, on the lead. Types whose consensus
+   * found the providers disagreeing are queued for review on the lead; a new result of
+   * a type takes it off the queue otherwise. A lead whose phone number the local check
+   * found impossible moves to the invalid stage, if its pipeline has one.
+   * @param {Object} lead - Lead document
+   * @param {string} userId - User the run is recorded for
+   * @param {Object} results - Normalized results by verification type
+   * @param {string} trigger - manual, batch, requested or scheduled
+   * @returns {Promise<Object>} The new Verification document
+   */
+  async recordResults(lead, userId, results, trigger = 'manual') {
+    const current = await Verification.findCurrent(lead._id);
+    const carried = current ? current.toObject() : {};
+
+    const verification = new Verification({
+      lead: lead._id,
+      user: userId,
+      trigger,
+      verifiedTypes: Object.keys(results),
+      previousVerification: current ? current._id : undefined
+    });
+    Object.values(VERIFICATION_TYPES).forEach(({ field }) => {
+      if (carried[field]) {
+        verification.set(field, carried[field]);
+      }
+    });
+    Object.entries(results).forEach(([type, result]) => verificationProviders.applyResult(verification, type, result));
+    await verification.save();
+
+    if (current) {
+      await Verification.updateOne({ _id: current._id }, { $set: { supersededAt: verification.createdAt } });
+    }
+
+    const latest = { ...(lead.verificationResults || {}), ...results };
+    const review = new Set(lead.verificationReview || []);
+    Object.entries(results).forEach(([type, result]) => {
+      if (result.consensus && result.consensus.disagreement && !result.consensus.reviewedAt) {
+        review.add(type);
+      } else {
+        review.delete(type);
+      }
+    });
+    await Lead.updateOne({ _id: lead._id }, {
+      $set: {
+        ...Object.fromEntries(Object.entries(results).map(([type, result]) => [`verificationResults.${type}`, result])),
+        verificationExpiresAt: summarizeFreshness(latest).expiresAt,
+        verificationReview: [...review]
+      }
+    });
+
+    if (verificationProviders.isLocalResult(results.phone) && results.phone.status === 'invalid') {
+      await pipelineService.advanceLead(lead, 'invalid', userId);
+    }
+    return verification;
+  }
+
+  /**
+   * Verification documents of a lead, newest (the current one) first
+   * @param {string} leadId - Lead ID
+   * @param {Object} options - { limit (default 50) }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getHistory(leadId, { limit = 50 } = {}) {
+    return Verification.find({ lead: leadId }).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Input of a verification type from a lead's fields
+   * @param {Object} lead - Lead document
+   * @param {string} type - Verification type
+   * @returns {Object|null} Null when the lead lacks the fields
+   */
+  getInput(lead, type) {
+    const phone = lead.phone || (lead.phoneNumbers || [])[0];
+    const address = lead.address
+      ? [lead.address, lead.city, [lead.state, lead.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+      : null;
+
+    switch (type) {
+      case 'phone':
+        return phone ? { phone } : null;
+      case 'email':
+        return lead.email ? { email: lead.email } : null;
+      case 'address':
+        return address ? { address } : null;
+      case 'ownership':
+        return address ? { address, ownerName: lead.fullName } : null;
+      case 'skipTrace':
+        return lead.fullName ? { name: lead.fullName, address } : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Inputs of the types due for re-verification on a lead: when re-verification was
+   * requested, every type it has a result of (DEFAULT_TYPES without any), otherwise its
+   * stale types
+   * @param {Object} lead - Lead document
+   * @param {Date} now - Reference time (default now)
+   * @returns {Object} Input by verification type; empty when the lead lacks the fields
+   */
+  getDueInputs(lead, now = new Date()) {
+    const previous = Object.keys(lead.verificationResults || {}).filter(type => VERIFICATION_TYPES[type]);
+    const types = lead.verificationRequestedAt
+      ? (previous.length > 0 ? previous : DEFAULT_TYPES)
+      : summarizeFreshness(lead.verificationResults, now).stale;
+
+    return Object.fromEntries(types
+      .map(type => [type, this.getInput(lead, type)])
+      .filter(([, input]) => input));
+  }
+
+  /**
+   * Re-verification budget and backlog of an organization
+   * @param {Object} organization - Organization document
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<Object>} { budget, used, month, requested, stale }
+   */
+  async getStatus(organization, now = new Date()) {
+    const month = budgetMonth(now);
+    const usage = organization.reverificationUsage || {};
+    const [requested, stale] = await Promise.all([
+      Lead.countDocuments({ organization: organization._id, verificationRequestedAt: { $ne: null } }),
+      Lead.countDocuments({ organization: organization._id, verificationExpiresAt: { $lte: now } })
+    ]);
+    return {
+      budget: (organization.settings && organization.settings.reverificationBudget) || 0,
+      used: usage.month === month ? usage.count : 0,
+      month,
+      requested,
+      stale
+    };
+  }
+
+  /**
+   * Change how many leads an organization's schedule may re-verify per month
+   * @param {Object} organization - Organization document
+   * @param {number} budget - Leads per month, 0 to turn the schedule off
+   * @returns {Promise<number>} The saved budget
+   * @throws {Error} Mongoose ValidationError if the value is negative
+   */
+  async setBudget(organization, budget) {
+    organization.set('settings.reverificationBudget', budget);
+    await organization.save();
+    return organization.settings.reverificationBudget;
+  }
+
+  /**
+   * Re-verify the requested leads, then the stale leads of every organization with a budget
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of leads re-verified
+   */
+  async runDue(now = new Date()) {
+    await this._backfillExpiry();
+
+    let reverified = 0;
+    try {
+      reverified += await this._runRequested(now);
+    } catch (error) {
+      logger.error(`Failed to re-verify requested leads: ${error.message}`, error);
+    }
+
+    const organizations = await Organization.find({ 'settings.reverificationBudget': { $gt: 0 } })
+      .select('settings.reverificationBudget');
+    for (const organization of organizations) {
+      try {
+        reverified += await this._runForOrganization(organization, now);
+      } catch (error) {
+        logger.error(`Failed to re-verify leads of organization ${organization._id}: ${error.message}`, error);
+      }
+    }
+
+    if (reverified > 0) {
+      logger.info(`Re-verified ${reverified} leads`);
+    }
+    return reverified;
+  }
+
+  /**
+   * Re-verify due leads now and then periodically while the process runs
+   */
+  startSchedule() {
+    if (this.timer) {
+      return;
+    }
+    const run = () => {
+      runWithAuditContext({ source: 'system' }, () => this.runDue()).catch(error => {
+        logger.error(`Failed to re-verify leads: ${error.message}`, error);
+      });
+    };
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Re-verify requested leads, oldest request first
+   * The requests are made by users, so they do not count against any budget. An
+   * organization whose providers are unavailable or rate limited is skipped for the rest
+   * of the pass, leads without an organization together.
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of leads re-verified
+   * @private
+   */
+  async _runRequested(now) {
+    const providersDown = [];
+    let reverified = 0;
+
+    for (let i = 0; i < REQUESTED_BATCH_SIZE; i++) {
+      const filter = { verificationRequestedAt: { $ne: null } };
+      if (providersDown.length > 0) {
+        filter.organization = { $nin: providersDown };
+      }
+      const lead = await this._claimNextLead(filter, { verificationRequestedAt: 1 }, now);
+      if (!lead) {
+        break;
+      }
+
+      const outcome = await usageAccountingService.runWithAccount(
+        { user: lead.user, organization: lead.organization || null },
+        () => this._reverifyLead(lead, now)
+      );
+      if (outcome.ran) {
+        reverified++;
+      }
+      if (outcome.providersDown) {
+        providersDown.push(lead.organization || null);
+      }
+    }
+    return reverified;
+  }
+
+  /**
+   * Re-verify an organization's stale leads until its budget or backlog runs out
+   * @param {Object} organization - Organization document
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of leads re-verified
+   * @private
+   */
+  async _runForOrganization(organization, now) {
+    const month = budgetMonth(now);
+    let reverified = 0;
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      if (!await this._claimBudget(organization, month)) {
+        break;
+      }
+      const lead = await this._claimNextLead(
+        { organization: organization._id, verificationRequestedAt: null, verificationExpiresAt: { $lte: now } },
+        { score: -1, verificationExpiresAt: 1 },
+        now
+      );
+      if (!lead) {
+        await this._refundBudget(organization);
+        break;
+      }
+
+      // Provider costs are charged to the lead's owner
+      const { ran, providersDown } = await usageAccountingService.runWithAccount(
+        { user: lead.user, organization: lead.organization },
+        () => this._reverifyLead(lead, now)
+      );
+      if (ran) {
+        reverified++;
+      } else {
+        await this._refundBudget(organization);
+      }
+      // Leave the rest for the next pass rather than fail every lead the same way
+      if (providersDown) {
+        break;
+      }
+    }
+    return reverified;
+  }
+
+  /**
+   * Re-verify the due types of a claimed lead and record the results
+   * A requested lead is re-verified for every type it has a result of, a stale lead for
+   * its stale types.
+   * @param {Object} lead - Lead document
+   * @param {Date} now - Reference time
+   * @returns {Promise<{ran: boolean, providersDown: boolean}>} Whether any provider was
+   *   called, and whether the providers were unavailable or rate limited
+   * @private
+   */
+  async _reverifyLead(lead, now) {
+    const requested = Boolean(lead.verificationRequestedAt);
+    const inputs = this.getDueInputs(lead, now);
+
+    // Nothing left to verify with, e.g. the number was removed: drop the lead from the backlog
+    if (Object.keys(inputs).length === 0) {
+      await Lead.updateOne({ _id: lead._id }, {
+        $set: { verificationExpiresAt: null },
+        $unset: { verificationRequestedAt: 1, reverificationClaimedAt: 1 }
+      });
+      return { ran: false, providersDown: false };
+    }
+
+    const results = {};
+    let providersDown = false;
+    for (const [type, input] of Object.entries(inputs)) {
+      try {
+        ({ result: results[type] } = await verificationProviders.verify(type, input, { organization: lead.organization }));
+      } catch (error) {
+        if (error.statusCode === 429 || error.statusCode === 503) {
+          providersDown = true;
+          break;
+        }
+        logger.warn(`Re-verification of ${type} failed for lead ${lead._id}: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(results).length === 0) {
+      if (providersDown) {
+        // Not the lead's fault: released for the next pass
+        await Lead.updateOne({ _id: lead._id }, { $unset: { reverificationClaimedAt: 1 } });
+      }
+      // Otherwise claimed until CLAIM_TIMEOUT_MS has passed, then tried again
+      return { ran: !providersDown, providersDown };
+    }
+
+    await this.recordResults(lead, lead.user, results, requested ? 'requested' : 'scheduled');
+    await Lead.updateOne({ _id: lead._id }, {
+      $unset: { verificationRequestedAt: 1, reverificationClaimedAt: 1 }
+    });
+    return { ran: true, providersDown };
+  }
+
+  /**
+   * Claim the first unclaimed lead matching a filter
+   * @param {Object} filter - Leads due
+   * @param {Object} sort - Most urgent first
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object|null>} The lead, or null when none is due
+   * @private
+   */
+  async _claimNextLead(filter, sort, now) {
+    return Lead.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { reverificationClaimedAt: null },
+          { reverificationClaimedAt: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { reverificationClaimedAt: now } },
+      { sort, new: true }
+    );
+  }
+
+  /**
+   * Count one lead against the organization's budget of the month
+   * @param {Object} organization - Organization document
+   * @param {string} month - YYYY-MM
+   * @returns {Promise<boolean>} Whether the budget had room
+   * @private
+   */
+  async _claimBudget(organization, month) {
+    // A new month starts the count over
+    await Organization.updateOne(
+      { _id: organization._id, 'reverificationUsage.month': { $ne: month } },
+      { $set: { 'reverificationUsage.month': month, 'reverificationUsage.count': 0 } }
+    );
+    const result = await Organization.updateOne(
+      {
+        _id: organization._id,
+        'reverificationUsage.month': month,
+        'reverificationUsage.count': { $lt: organization.settings.reverificationBudget }
+      },
+      { $inc: { 'reverificationUsage.count': 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Give back a budget claim that was not used
+   * @param {Object} organization - Organization document
+   * @private
+   */
+  async _refundBudget(organization) {
+    await Organization.updateOne(
+      { _id: organization._id, 'reverificationUsage.count': { $gt: 0 } },
+      { $inc: { 'reverificationUsage.count': -1 } }
+    );
+  }
+
+  /**
+   * Work out when results go stale for leads verified before that was tracked
+   * @private
+   */
+  async _backfillExpiry() {
+    const leads = await Lead.find({ verificationExpiresAt: { $exists: false }, verificationResults: { $nin: [null, {}] } })
+      .select('verificationResults')
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (leads.length === 0) {
+      return;
+    }
+    await Lead.bulkWrite(leads.map(lead => ({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { $set: { verificationExpiresAt: summarizeFreshness(lead.verificationResults).expiresAt } }
+      }
+    })));
+  }
+}
+
+module.exports = new ReverificationService();
@@ -0,0 +1,623 @@
+/**
+ * Suppression Service
+ * Do-not-call and litigator list scrubbing: uploads and versions of the lists, manual
+ * opt-outs, checking numbers against every active list and the consent ledger of a
+ * lead's organization (or of its owner without one), the scrub flags stored on leads
+ * and the callable-only filter applied to outreach and exports.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const Lead = require('../models/Lead');
+const SuppressionList = require('../models/SuppressionList');
+const SuppressionEntry = require('../models/SuppressionEntry');
+const leadAccessService = require('./leadAccessService');
+const consentService = require('./consentService');
+const { parsePhone } = require('../utils/phoneNumber');
+const { normalizePhone } = require('../utils/leadMatching');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('suppressionService');
+
+const UPLOAD_MODES = ['replace', 'append'];
+
+// Fields a list can be created or updated with
+const LIST_FIELDS = ['name', 'description', 'type', 'state', 'isActive'];
+
+/**
+ * Find the phone number on a line of a list file
+ * Registry files have the area code and the number in separate columns ("713,5550123");
+ * other files may have a number in any column.
+ * @param {string} line - Line of the file
+ * @returns {string} E.164 number, or '' when the line has none
+ */
+const extractPhone = (line) => {
+  const fields = line.split(/[,\t|;]/).map(field => field.trim().replace(/^"|"$/g, ''));
+  if (/^\d{3}$/.test(fields[0]) && /^\d{7}$/.test(fields[1] || '')) {
+    return parsePhone(`${fields[0]}${fields[1]}`).e164;
+  }
+  for (const field of fields) {
+    const e164 = parsePhone(field).e164;
+    if (e164) return e164;
+  }
+  return '';
+};
+
+/**
+ * Area code of a NANP number
+ * @param {string} phone - E.164 number
+ * @returns {string|null}
+ */
+const areaCodeOf = (phone) => (phone.startsWith('+1') ? phone.slice(2, 5) : null);
+
+/**
+ * Unique E.164 numbers of a lead, primary phone first
+ * @param {Object} lead - Lead document or plain object
+ * @returns {Array<string>}
+ */
+const leadNumbers = (lead) =>
+  Array.from(new Set([lead.phone, ...(lead.phoneNumbers || [])].map(normalizePhone).filter(Boolean)));
+
+class SuppressionService {
+  constructor() {
+    // Numbers written per batch while an upload is read
+    this.uploadBatchSize = 1000;
+    // Leads scrubbed per batch
+    this.scrubBatchSize = 500;
+  }
+
+  /**
+   * Owner of the lists that apply to a user: their organization, or themselves
+   * @param {string} userId - User ID
+   * @returns {Promise<{organization: (string|null), user: string, canManage: boolean}>}
+   *   canManage: the user can change the lists (organization owners and admins, and
+   *   users without an organization)
+   */
+  async getScope(userId) {
+    const { organization, canManage } = await leadAccessService.getAccess(userId);
+    return {
+      organization: organization ? organization._id : null,
+      user: userId,
+      canManage: !organization || canManage
+    };
+  }
+
+  /**
+   * Filter matching the lists of a scope
+   * @param {Object} scope - { organization, user }
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _listFilter(scope) {
+    return scope.organization ? { organization: scope.organization } : { organization: null, user: scope.user };
+  }
+
+  /**
+   * Filter matching the leads a scope's lists apply to
+   * @param {Object} scope - { organization, user }
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _leadFilter(scope) {
+    return scope.organization ? { organization: scope.organization } : { user: scope.user, organization: null };
+  }
+
+  /**
+   * Throw unless the user can change their lists
+   * @param {Object} scope - Result of getScope
+   * @throws {ForbiddenError}
+   * @private
+   */
+  _requireManager(scope) {
+    if (!scope.canManage) {
+      throw new ForbiddenError('Only organization owners and admins can change suppression lists.');
+    }
+  }
+
+  /**
+   * Lists that apply to a user, without their version history
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listLists(userId) {
+    const scope = await this.getScope(userId);
+    return SuppressionList.find(this._listFilter(scope)).select('-versions').sort({ type: 1, name: 1 });
+  }
+
+  /**
+   * Get a list that applies to a user
+   * @param {string} listId - List ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} List, or null when it is missing or not the user's
+   */
+  async getList(listId, userId) {
+    const scope = await this.getScope(userId);
+    return SuppressionList.findOne({ _id: listId, ...this._listFilter(scope) });
+  }
+
+  /**
+   * Create a list
+   * @param {string} userId - User creating it
+   * @param {Object} body - { name, description, type, state, isActive }
+   * @returns {Promise<Object>} The list
+   * @throws {ForbiddenError} If the user cannot change lists
+   */
+  async createList(userId, body) {
+    const scope = await this.getScope(userId);
+    this._requireManager(scope);
+
+    return SuppressionList.create({
+      ...this._pickFields(body),
+      user: userId,
+      organization: scope.organization || undefined
+    });
+  }
+
+  /**
+   * Update a list's name, description, state or whether it is active
+   * Its type cannot change once numbers have been uploaded.
+   * @param {Object} list - SuppressionList document
+   * @param {string} userId - User making the change
+   * @param {Object} body - Fields to change
+   * @returns {Promise<Object>} The list
+   * @throws {ForbiddenError} If the user cannot change lists
+   * @throws {BadRequestError} If the type of a list with versions is changed
+   */
+  async updateList(list, userId, body) {
+    this._requireManager(await this.getScope(userId));
+
+    const fields = this._pickFields(body);
+    if (fields.type !== undefined && fields.type !== list.type && list.currentVersion > 0) {
+      throw new BadRequestError('The type of a list cannot change once it has numbers; create a new list instead.');
+    }
+    const activation = fields.isActive !== undefined && Boolean(fields.isActive) !== list.isActive;
+
+    list.set(fields);
+    await list.save();
+    if (activation) {
+      this.rescrubInBackground(list);
+    }
+    return list;
+  }
+
+  /**
+   * Delete a list and its numbers
+   * @param {Object} list - SuppressionList document
+   * @param {string} userId - User deleting it
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError} If the user cannot change lists
+   */
+  async deleteList(list, userId) {
+    this._requireManager(await this.getScope(userId));
+
+    await SuppressionEntry.deleteMany({ list: list._id });
+    await SuppressionList.deleteOne({ _id: list._id });
+    this.rescrubInBackground(list);
+  }
+
+  /**
+   * Upload a new version of a list from a CSV or text file with a number on each line
+   * In replace mode, numbers missing from the file are taken off the list; for registry
+   * lists only numbers in the area codes the file covers are. Numbers new to an internal
+   * DNC list are recorded as opt-outs in the consent ledger.
+   * @param {Object} list - SuppressionList document
+   * @param {string} userId - User uploading
+   * @param {Object} file - { path, originalName }
+   * @param {string} mode - replace or append
+   * @returns {Promise<Object>} The version record
+   * @throws {ForbiddenError} If the user cannot change lists
+   * @throws {BadRequestError} If the mode is unknown or the file has no numbers
+   */
+  async uploadVersion(list, userId, file, mode = 'replace') {
+    this._requireManager(await this.getScope(userId));
+    if (!UPLOAD_MODES.includes(mode)) {
+      throw new BadRequestError(`mode must be one of ${UPLOAD_MODES.join(', ')}.`);
+    }
+
+    const version = await this._claimVersion(list);
+    const counts = { added: 0, removed: 0, skipped: 0 };
+    const areaCodes = new Set();
+    let seen = 0;
+    let batch = [];
+
+    const flush = async () => {
+      counts.added += (await this._addNumbers(list, version, batch, { source: 'suppression_import', userId })).length;
+      batch = [];
+    };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file.path), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const phone = extractPhone(line);
+      if (!phone) {
+        counts.skipped++;
+        continue;
+      }
+      seen++;
+      if (areaCodeOf(phone)) areaCodes.add(areaCodeOf(phone));
+      batch.push(phone);
+      if (batch.length >= this.uploadBatchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (seen === 0) {
+      throw new BadRequestError('The file has no phone numbers.');
+    }
+
+    if (mode === 'replace') {
+      const stale = { list: list._id, removedInVersion: null, lastSeenVersion: { $ne: version } };
+      if (list.isAreaCodeList()) {
+        stale.areaCode = { $in: Array.from(areaCodes) };
+      }
+      counts.removed = (await SuppressionEntry.updateMany(stale, { $set: { removedInVersion: version } })).modifiedCount;
+    }
+
+    return this._recordVersion(list, {
+      version,
+      source: 'upload',
+      mode,
+      fileName: file.originalName,
+      areaCodes: list.isAreaCodeList() ? Array.from(areaCodes).sort() : [],
+      ...counts,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Add numbers to a list by hand, e.g. a lead who asked not to be called
+   * Any member may add numbers to an internal DNC list, which records them as opt-outs in
+   * the consent ledger; other lists need a manager.
+   * @param {Object} list - SuppressionList document
+   * @param {string} userId - User adding them
+   * @param {Array<string>} phones - Numbers in any format
+   * @param {string} reason - Why they were added (optional)
+   * @returns {Promise<Object>} The version record
+   * @throws {ForbiddenError} If the user cannot change the list
+   * @throws {BadRequestError} If no valid number is given
+   */
+  async addNumbers(list, userId, phones, reason) {
+    if (list.type !== 'internal_dnc') {
+      this._requireManager(await this.getScope(userId));
+    }
+    const numbers = (Array.isArray(phones) ? phones : [phones]).map(normalizePhone).filter(Boolean);
+    if (numbers.length === 0) {
+      throw new BadRequestError('phones must contain at least one valid phone number.');
+    }
+
+    const version = await this._claimVersion(list);
+    const added = await this._addNumbers(list, version, numbers, { reason, source: 'manual', userId });
+    return this._recordVersion(list, {
+      version,
+      source: 'manual',
+      mode: 'append',
+      added: added.length,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Take a number off a list
+   * An opt-out recorded in the consent ledger stays in force until consent is recorded again.
+   * @param {Object} list - SuppressionList document
+   * @param {string} userId - User removing it
+   * @param {string} phone - Number in any format
+   * @returns {Promise<Object|null>} The version record, or null when the number is not on the list
+   * @throws {ForbiddenError} If the user cannot change lists
+   */
+  async removeNumber(list, userId, phone) {
+    this._requireManager(await this.getScope(userId));
+
+    const number = normalizePhone(phone);
+    const entry = number && await SuppressionEntry.findOne({ list: list._id, phone: number, removedInVersion: null });
+    if (!entry) {
+      return null;
+    }
+
+    const version = await this._claimVersion(list);
+    await SuppressionEntry.updateOne({ _id: entry._id }, { $set: { removedInVersion: version } });
+    return this._recordVersion(list, { version, source: 'manual', mode: 'replace', removed: 1, createdBy: userId });
+  }
+
+  /**
+   * Numbers of a list, newest first
+   * @param {Object} list - SuppressionList document
+   * @param {Object} options - { version: numbers on the list in that version (default current), limit, skip }
+   * @returns {Promise<{entries: Array<Object>, total: number}>}
+   */
+  async listNumbers(list, { version, limit = 100, skip = 0 } = {}) {
+    const filter = version
+      ? {
+        list: list._id,
+        addedInVersion: { $lte: version },
+        $or: [{ removedInVersion: null }, { removedInVersion: { $gt: version } }]
+      }
+      : { list: list._id, removedInVersion: null };
+
+    const [entries, total] = await Promise.all([
+      SuppressionEntry.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit)
+        .select('phone areaCode reason addedInVersion removedInVersion createdAt'),
+      SuppressionEntry.countDocuments(filter)
+    ]);
+    return { entries, total };
+  }
+
+  /**
+   * Check numbers against the active lists and the consent ledger of a scope
+   * @param {Object} scope - { organization, user } whose lists apply
+   * @param {Array<string>} phones - Numbers in any format
+   * @param {string} channel - call or sms; decides which ledger opt-outs apply (default call)
+   * @returns {Promise<Map<string, Array<Object>>>} Lists matched by each E.164 number
+   *   ({ list, name, type, version }, or { type: 'opt_out', consentRecord } for an opt-out);
+   *   numbers on no list map to []
+   */
+  async checkPhones(scope, phones, channel = 'call') {
+    const numbers = Array.from(new Set(phones.map(normalizePhone).filter(Boolean)));
+    const matches = new Map(numbers.map(phone => [phone, []]));
+    if (numbers.length === 0) {
+      return matches;
+    }
+
+    const lists = await SuppressionList.find({ ...this._listFilter(scope), isActive: true })
+      .select('name type currentVersion');
+    if (lists.length > 0) {
+      const byId = new Map(lists.map(list => [list._id.toString(), list]));
+      const entries = await SuppressionEntry.find({
+        list: { $in: lists.map(list => list._id) },
+        phone: { $in: numbers },
+        removedInVersion: null
+      }).select('list phone');
+
+      entries.forEach(entry => {
+        const list = byId.get(entry.list.toString());
+        matches.get(entry.phone).push({ list: list._id, name: list.name, type: list.type, version: list.currentVersion });
+      });
+    }
+
+    const optOuts = await consentService.getOptOuts(scope, numbers, channel);
+    optOuts.forEach((record, phone) => {
+      matches.get(phone).push({ name: 'Consent ledger opt-out', type: 'opt_out', consentRecord: record._id });
+    });
+    return matches;
+  }
+
+  /**
+   * Check the numbers of leads against the lists and ledgers of their organizations (or owners)
+   * @param {Array<Object>} leads - Leads with phone, phoneNumbers, organization and user
+   * @param {string} channel - call or sms
+   * @returns {Promise<Map<Object, Map<string, Array<Object>>>>} Matches of each lead's numbers, by lead
+   * @private
+   */
+  async _checkLeads(leads, channel = 'call') {
+    const results = new Map();
+    for (const group of consentService.groupByScope(leads)) {
+      const matches = await this.checkPhones(group.scope, group.leads.flatMap(leadNumbers), channel);
+      group.leads.forEach(lead => {
+        results.set(lead, new Map(leadNumbers(lead).map(phone => [phone, matches.get(phone) || []])));
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Scrub leads and store the result on each (lead.phoneScrub)
+   * The stored flags are left out of the audit history, so they are written in one bulkWrite.
+   * @param {Array<Object>} leads - Lead documents or plain objects; documents get the new phoneScrub
+   * @param {Date} now - Time of the check
+   * @returns {Promise<number>} Number of leads scrubbed
+   */
+  async scrubLeads(leads, now = new Date()) {
+    if (leads.length === 0) {
+      return 0;
+    }
+
+    const results = await this._checkLeads(leads);
+    const operations = leads.map(lead => {
+      const numbers = Array.from(results.get(lead), ([phone, matches]) => ({
+        phone,
+        flagged: matches.length > 0,
+        matches,
+        checkedAt: now
+      }));
+      const phoneScrub = { checkedAt: now, callable: numbers.some(number => !number.flagged), numbers };
+      lead.phoneScrub = phoneScrub;
+      return { updateOne: { filter: { _id: lead._id }, update: { $set: { phoneScrub } } } };
+    });
+
+    await Lead.bulkWrite(operations);
+    return leads.length;
+  }
+
+  /**
+   * Scrub every lead matching a filter, batch by batch
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<number>} Number of leads scrubbed
+   */
+  async scrubMatching(filter) {
+    const cursor = Lead.find(filter).select('phone phoneNumbers organization user').lean().cursor();
+    let batch = [];
+    let count = 0;
+
+    for await (const lead of cursor) {
+      batch.push(lead);
+      if (batch.length >= this.scrubBatchSize) {
+        count += await this.scrubLeads(batch);
+        batch = [];
+      }
+    }
+    return count + await this.scrubLeads(batch);
+  }
+
+  /**
+   * Scrub every lead the lists of a user apply to (their organization's leads, or their own)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of leads scrubbed
+   */
+  async scrubUserLeads(userId) {
+    return this.scrubMatching(this._leadFilter(await this.getScope(userId)));
+  }
+
+  /**
+   * Scrub the leads of a scope with any of the given primary numbers, without waiting
+   * Used after consent to call a number is recorded or withdrawn.
+   * @param {Object} scope - { organization, user }
+   * @param {Array<string>} phones - E.164 numbers
+   */
+  rescrubPhonesInBackground(scope, phones) {
+    if (phones.length === 0) {
+      return;
+    }
+    const filter = { ...this._leadFilter(scope), 'matchKeys.phone': { $in: phones } };
+    setImmediate(() => {
+      this.scrubMatching(filter).catch(error => {
+        logger.error(`Failed to rescrub leads after a consent change: ${error.message}`, error);
+      });
+    });
+  }
+
+  /**
+   * Scrub the leads a list applies to after it changed, without waiting
+   * @param {Object} list - SuppressionList document
+   */
+  rescrubInBackground(list) {
+    const filter = this._leadFilter({ organization: list.organization, user: list.user });
+    setImmediate(() => {
+      this.scrubMatching(filter).catch(error => {
+        logger.error(`Failed to rescrub leads after suppression list ${list._id} changed: ${error.message}`, error);
+      });
+    });
+  }
+
+  /**
+   * Keep only the leads that can be called or texted, with their flagged numbers removed
+   * The lists and the consent ledger are checked live rather than trusting the stored
+   * scrub, so numbers added or opted out since the last scrub are never let through.
+   * @param {Array<Object>} leads - Plain lead objects with phone, phoneNumbers, organization and user
+   * @param {string} channel - call or sms (default call)
+   * @returns {Promise<Array<Object>>} Copies of the callable leads; phone is the first callable
+   *   number and phoneNumbers the callable ones
+   */
+  async keepCallable(leads, channel = 'call') {
+    if (leads.length === 0) {
+      return [];
+    }
+
+    const results = await this._checkLeads(leads, channel);
+    return leads.reduce((callable, lead) => {
+      const numbers = results.get(lead);
+      const isCallable = phone => {
+        const matches = numbers.get(normalizePhone(phone));
+        return Boolean(matches) && matches.length === 0;
+      };
+      const phoneNumbers = [lead.phone, ...(lead.phoneNumbers || [])].filter(Boolean).filter(isCallable);
+      if (phoneNumbers.length > 0) {
+        callable.push({
+          ...lead,
+          phone: phoneNumbers[0],
+          phoneNumbers: Array.from(new Set(lead.phoneNumbers && lead.phoneNumbers.length
+            ? lead.phoneNumbers.filter(isCallable)
+            : phoneNumbers))
+        });
+      }
+      return callable;
+    }, []);
+  }
+
+  /**
+   * Reserve the next version number of a list
+   * @param {Object} list - SuppressionList document
+   * @returns {Promise<number>}
+   * @private
+   */
+  async _claimVersion(list) {
+    const updated = await SuppressionList.findOneAndUpdate(
+      { _id: list._id },
+      { $inc: { currentVersion: 1 } },
+      { new: true, projection: { currentVersion: 1 } }
+    );
+    return updated.currentVersion;
+  }
+
+  /**
+   * Add numbers to a list in a version; numbers already on it are marked as seen
+   * Numbers new to an internal DNC list are recorded as opt-outs in the consent ledger.
+   * @param {Object} list - SuppressionList document
+   * @param {number} version - Version adding them
+   * @param {Array<string>} phones - E.164 numbers
+   * @param {Object} details - { reason (optional), source (consent ledger source), userId }
+   * @returns {Promise<Array<string>>} Numbers that were not on the list
+   * @private
+   */
+  async _addNumbers(list, version, phones, { reason, source, userId }) {
+    const numbers = Array.from(new Set(phones));
+    if (numbers.length === 0) {
+      return [];
+    }
+
+    const existing = await SuppressionEntry.find({ list: list._id, phone: { $in: numbers }, removedInVersion: null })
+      .select('phone');
+    if (existing.length > 0) {
+      await SuppressionEntry.updateMany(
+        { _id: { $in: existing.map(entry => entry._id) } },
+        { $set: { lastSeenVersion: version } }
+      );
+    }
+
+    const known = new Set(existing.map(entry => entry.phone));
+    const entries = numbers.filter(phone => !known.has(phone)).map(phone => ({
+      list: list._id,
+      phone,
+      areaCode: areaCodeOf(phone),
+      reason,
+      addedInVersion: version,
+      lastSeenVersion: version
+    }));
+    if (entries.length > 0) {
+      await SuppressionEntry.insertMany(entries, { ordered: false });
+    }
+
+    const added = entries.map(entry => entry.phone);
+    if (list.type === 'internal_dnc' && added.length > 0) {
+      await consentService.recordOptOuts({ organization: list.organization, user: list.user }, added, {
+        source,
+        message: reason,
+        recordedBy: userId,
+        suppressionList: list._id
+      });
+    }
+    return added;
+  }
+
+  /**
+   * Record a version on its list, refresh the list's count and rescrub its leads
+   * @param {Object} list - SuppressionList document
+   * @param {Object} record - Version record
+   * @returns {Promise<Object>} The version record with the list's new total
+   * @private
+   */
+  async _recordVersion(list, record) {
+    const total = await SuppressionEntry.countDocuments({ list: list._id, removedInVersion: null });
+    const version = { ...record, total, createdAt: new Date() };
+
+    await SuppressionList.updateOne({ _id: list._id }, { $push: { versions: version }, $set: { entryCount: total } });
+    logger.info(`Suppression list ${list._id} version ${version.version}: +${version.added || 0} -${version.removed || 0}`);
+    this.rescrubInBackground(list);
+    return version;
+  }
+
+  /**
+   * Pick the fields a list is created or updated with
+   * @param {Object} body - Request body
+   * @returns {Object}
+   * @private
+   */
+  _pickFields(body) {
+    return LIST_FIELDS.reduce((fields, field) => {
+      if (body[field] !== undefined) fields[field] = body[field];
+      return fields;
+    }, {});
+  }
+}
+
+module.exports = new SuppressionService();
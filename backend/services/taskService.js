@@ -0,0 +1,498 @@
+/**
+ * Task Service
+ * Follow-up tasks on leads: creation and updates with assignee checks, overdue and
+ * upcoming lists, the next open task of each lead, reminders delivered as in-app
+ * notifications and the ICS calendar feed of a user's tasks.
+ */
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Lead = require('../models/Lead');
+const CalendarFeed = require('../models/CalendarFeed');
+const leadAccessService = require('./leadAccessService');
+const leadAssignmentService = require('./leadAssignmentService');
+const notificationService = require('./notificationService');
+const suppressionService = require('./suppressionService');
+const { buildCalendar } = require('../utils/icsCalendar');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('taskService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default and longest look-ahead of the upcoming list, in days
+const DEFAULT_UPCOMING_DAYS = 7;
+const MAX_UPCOMING_DAYS = 90;
+
+// The calendar feed covers open tasks due from this many days ago onwards
+const CALENDAR_PAST_DAYS = 30;
+
+// Reminders claimed per pass of the reminder schedule
+const REMINDER_BATCH_SIZE = 100;
+
+// Lead fields shown with each task
+const LEAD_SUMMARY_FIELDS = 'fullName phone address status';
+
+const TYPE_LABELS = {
+  call: 'Call',
+  text: 'Text',
+  visit: 'Visit',
+  send_offer: 'Send offer'
+};
+
+class TaskService {
+  constructor() {
+    // How often due reminders are sent while the server runs
+    this.reminderIntervalMs = 60 * 1000;
+    this.reminderTimer = null;
+  }
+
+  /**
+   * Filter matching the tasks a user can see: tasks they created or are assigned, and
+   * for organization admins every task of the organization. Limited members only see
+   * the tasks assigned to them.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  async scopeFilter(userId) {
+    const { organization, role, canManage } = await leadAccessService.getAccess(userId);
+    const user = new mongoose.Types.ObjectId(String(userId));
+
+    if (role === 'limited') {
+      return { assignee: user };
+    }
+    const conditions = [{ user }, { assignee: user }];
+    if (canManage) {
+      conditions.push({ organization: organization._id });
+    }
+    return { $or: conditions };
+  }
+
+  /**
+   * Find a task visible to a user
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Task document
+   */
+  async getTask(taskId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return null;
+    }
+    return Task.findOne({ _id: taskId, ...await this.scopeFilter(userId) });
+  }
+
+  /**
+   * List tasks visible to a user, soonest due first
+   *
+   * Options: view (overdue, upcoming, open, completed or all; default open), assignee
+   * ("me" by default, a user ID or "all"), lead, type, days (look-ahead of the upcoming
+   * view) and limit. Tasks of deleted leads are left out.
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options - List options
+   * @returns {Promise<Array<Object>>} Tasks with a summary of their lead
+   * @throws {BadRequestError} If an option is invalid
+   */
+  async listTasks(userId, { view = 'open', assignee = 'me', lead, type, days, limit = 100 } = {}, now = new Date()) {
+    const filter = { $and: [await this.scopeFilter(userId)] };
+
+    switch (view) {
+      case 'overdue':
+        filter.status = 'open';
+        filter.dueAt = { $lt: now };
+        break;
+      case 'upcoming': {
+        const lookAhead = days === undefined ? DEFAULT_UPCOMING_DAYS : Number(days);
+        if (!Number.isInteger(lookAhead) || lookAhead < 1 || lookAhead > MAX_UPCOMING_DAYS) {
+          throw new BadRequestError(`days must be a whole number between 1 and ${MAX_UPCOMING_DAYS}.`);
+        }
+        filter.status = 'open';
+        filter.dueAt = { $gte: now, $lte: new Date(now.getTime() + lookAhead * DAY_MS) };
+        break;
+      }
+      case 'open':
+      case 'completed':
+        filter.status = view;
+        break;
+      case 'all':
+        break;
+      default:
+        throw new BadRequestError('view must be one of overdue, upcoming, open, completed or all.');
+    }
+
+    if (assignee === 'me') {
+      filter.assignee = userId;
+    } else if (assignee !== 'all') {
+      if (!mongoose.Types.ObjectId.isValid(assignee)) {
+        throw new BadRequestError('assignee must be a user ID, "me" or "all".');
+      }
+      filter.assignee = assignee;
+    }
+
+    if (lead) {
+      if (!mongoose.Types.ObjectId.isValid(lead)) {
+        throw new BadRequestError('lead must be a lead ID.');
+      }
+      filter.lead = lead;
+    }
+    if (type) {
+      if (!Task.TASK_TYPES.includes(type)) {
+        throw new BadRequestError(`type must be one of ${Task.TASK_TYPES.join(', ')}.`);
+      }
+      filter.type = type;
+    }
+
+    const tasks = await Task.find(filter)
+      .sort({ dueAt: view === 'completed' ? -1 : 1 })
+      .limit(limit)
+      .populate('lead', LEAD_SUMMARY_FIELDS);
+    // Leads in the trash are not loaded by populate
+    return tasks.filter(task => task.lead);
+  }
+
+  /**
+   * Create a task on a lead the user can see
+   * @param {string} userId - Creator
+   * @param {Object} body - { lead, type, title, notes, dueAt, reminderMinutes, assignee }
+   * @returns {Promise<Object>} The created task
+   * @throws {BadRequestError} If a field is invalid or the lead is not visible to the user
+   * @throws {ConflictError} If a call or text task's lead has no number that may be called
+   */
+  async createTask(userId, body) {
+    if (!body.lead || !mongoose.Types.ObjectId.isValid(body.lead)) {
+      throw new BadRequestError('lead must be a lead ID.');
+    }
+    const lead = await Lead.findOne({ _id: body.lead, ...await leadAccessService.scopeFilter(userId) })
+      .select('fullName organization user phone phoneNumbers');
+    if (!lead) {
+      throw new BadRequestError('Lead not found or you do not have permission to access it.');
+    }
+
+    const data = await this._buildTaskData({ assignee: userId, ...body }, userId);
+    if (Task.PHONE_TASK_TYPES.includes(data.type)) {
+      data.phone = await this._requireCallableNumber(lead, data.type);
+    }
+    const task = await Task.create({
+      ...data,
+      lead: lead._id,
+      user: userId,
+      organization: lead.organization
+    });
+
+    await this._notifyAssignee(task, lead, userId);
+    return task;
+  }
+
+  /**
+   * Update a task
+   * Setting status to completed records who completed it; a new due time re-arms the reminder.
+   * @param {Object} task - Task document
+   * @param {Object} body - Fields to change
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} The updated task
+   * @throws {BadRequestError} If a field is invalid
+   * @throws {ConflictError} If the task becomes a call or text and the lead has no number that may be called
+   */
+  async updateTask(task, body, userId) {
+    const data = await this._buildTaskData(body, userId, { partial: true });
+    if (data.type !== undefined && data.type !== task.type) {
+      data.phone = Task.PHONE_TASK_TYPES.includes(data.type)
+        ? await this._requireCallableNumber(
+          await Lead.findById(task.lead).select('organization user phone phoneNumbers'),
+          data.type
+        )
+        : undefined;
+    }
+    const reassigned = data.assignee !== undefined && String(data.assignee) !== String(task.assignee);
+
+    task.set(data);
+    if (data.status === 'completed' && task.isModified('status')) {
+      task.completedBy = userId;
+    }
+    await task.save();
+
+    if (reassigned) {
+      await this._notifyAssignee(task, await Lead.findById(task.lead).select('fullName'), userId);
+    }
+    return task;
+  }
+
+  /**
+   * Next open task of each lead
+   * @param {Array<ObjectId>} leadIds - Lead IDs
+   * @returns {Promise<Map<string, Object>>} Next task by lead ID
+   */
+  async getNextTasks(leadIds) {
+    if (leadIds.length === 0) {
+      return new Map();
+    }
+
+    const next = await Task.aggregate([
+      { $match: { lead: { $in: leadIds }, status: 'open' } },
+      { $sort: { dueAt: 1 } },
+      {
+        $group: {
+          _id: '$lead',
+          task: { $first: { _id: '$_id', type: '$type', title: '$title', dueAt: '$dueAt', assignee: '$assignee' } }
+        }
+      }
+    ]);
+    return new Map(next.map(entry => [entry._id.toString(), entry.task]));
+  }
+
+  /**
+   * Delete the tasks of permanently deleted leads
+   * @param {Array<ObjectId>} leadIds - Lead IDs
+   * @returns {Promise<void>}
+   */
+  async deleteTasksForLeads(leadIds) {
+    if (leadIds.length > 0) {
+      await Task.deleteMany({ lead: { $in: leadIds } });
+    }
+  }
+
+  /**
+   * Send the reminders that are due
+   * Each task is claimed atomically so that a reminder is only sent once.
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    let sent = 0;
+
+    for (let i = 0; i < REMINDER_BATCH_SIZE; i++) {
+      const task = await Task.findOneAndUpdate(
+        { status: 'open', reminderSentAt: null, remindAt: { $ne: null, $lte: now } },
+        { $set: { reminderSentAt: now } },
+        { sort: { remindAt: 1 }, new: true }
+      );
+      if (!task) {
+        break;
+      }
+
+      // Tasks of leads in the trash stay quiet
+      const lead = await Lead.findById(task.lead).select('fullName organization user phone phoneNumbers');
+      if (!lead) {
+        continue;
+      }
+
+      // Numbers may have been added to a suppression list since the task was created
+      let phone = '';
+      if (Task.PHONE_TASK_TYPES.includes(task.type)) {
+        phone = await this._callableNumber(lead, task.type) ||
+          'no callable number, every number is on a DNC or litigator list or opted out';
+      }
+
+      await notificationService.notify(task.assignee, {
+        type: 'task_reminder',
+        title: `${this._describe(task)} due ${task.dueAt < now ? 'now' : 'soon'}`,
+        message: `${lead.fullName}${phone ? ` (${phone})` : ''} - due ${task.dueAt.toISOString()}`,
+        link: '/leads/verified',
+        task: task._id,
+        lead: task.lead
+      });
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send due reminders now and then periodically while the process runs
+   */
+  startReminderSchedule() {
+    if (this.reminderTimer) {
+      return;
+    }
+    const send = () => {
+      this.sendDueReminders().catch(error => {
+        logger.error(`Failed to send task reminders: ${error.message}`, error);
+      });
+    };
+    send();
+    this.reminderTimer = setInterval(send, this.reminderIntervalMs);
+    this.reminderTimer.unref();
+  }
+
+  /**
+   * Get the token of a user's calendar feed, creating it if needed
+   * @param {string} userId - User ID
+   * @param {Object} options - { rotate: replace an existing token }
+   * @returns {Promise<string>} Feed token
+   */
+  async getFeedToken(userId, { rotate = false } = {}) {
+    const feed = await CalendarFeed.findOne({ user: userId });
+    if (feed && !rotate) {
+      return feed.token;
+    }
+
+    const token = CalendarFeed.generateToken();
+    await CalendarFeed.updateOne({ user: userId }, { $set: { token, createdAt: new Date() } }, { upsert: true });
+    return token;
+  }
+
+  /**
+   * Revoke a user's calendar feed
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether a feed existed
+   */
+  async revokeFeed(userId) {
+    const result = await CalendarFeed.deleteOne({ user: userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Find the user of a calendar feed token
+   * @param {string} token - Feed token
+   * @returns {Promise<string|null>} User ID
+   */
+  async findFeedUser(token) {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { token: String(token) },
+      { $set: { lastAccessedAt: new Date() } }
+    );
+    return feed ? feed.user : null;
+  }
+
+  /**
+   * Build the ICS calendar of the open tasks assigned to a user
+   * @param {string} userId - User ID
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<string>} ICS text
+   */
+  async buildCalendarFeed(userId, now = new Date()) {
+    const tasks = await Task.find({
+      assignee: userId,
+      status: 'open',
+      dueAt: { $gte: new Date(now.getTime() - CALENDAR_PAST_DAYS * DAY_MS) }
+    })
+      .sort({ dueAt: 1 })
+      .populate('lead', LEAD_SUMMARY_FIELDS);
+
+    const events = tasks.filter(task => task.lead).map(task => ({
+      uid: `task-${task._id}@leadverifypro`,
+      start: task.dueAt,
+      updatedAt: task.updatedAt,
+      summary: `${this._describe(task)}: ${task.lead.fullName}`,
+      description: [task.phone && `Phone: ${task.phone}`, task.notes].filter(Boolean).join('\n'),
+      location: task.type === 'visit' ? task.lead.address : undefined,
+      alarmMinutes: task.reminderMinutes
+    }));
+
+    return buildCalendar({ name: 'LeadVerifyPro follow-ups', events }, now);
+  }
+
+  /**
+   * Check and pick the editable task fields of a request body
+   * @param {Object} body - Request body
+   * @param {string} userId - User making the change
+   * @param {Object} options - { partial: only check the fields present }
+   * @returns {Promise<Object>} Fields to set
+   * @throws {BadRequestError} If a field is invalid
+   * @private
+   */
+  async _buildTaskData(body, userId, { partial = false } = {}) {
+    const data = {};
+
+    if (body.type !== undefined || !partial) {
+      if (!Task.TASK_TYPES.includes(body.type)) {
+        throw new BadRequestError(`type must be one of ${Task.TASK_TYPES.join(', ')}.`);
+      }
+      data.type = body.type;
+    }
+
+    if (body.dueAt !== undefined || !partial) {
+      const dueAt = new Date(body.dueAt);
+      if (!body.dueAt || Number.isNaN(dueAt.getTime())) {
+        throw new BadRequestError('dueAt must be a date and time.');
+      }
+      data.dueAt = dueAt;
+    }
+
+    if (body.reminderMinutes !== undefined) {
+      const minutes = body.reminderMinutes === null ? null : Number(body.reminderMinutes);
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0 || minutes > 10080)) {
+        throw new BadRequestError('reminderMinutes must be a whole number of minutes up to a week, or null.');
+      }
+      data.reminderMinutes = minutes;
+    }
+
+    ['title', 'notes'].forEach(field => {
+      if (body[field] !== undefined) {
+        data[field] = body[field] === null ? '' : String(body[field]);
+      }
+    });
+
+    if (body.status !== undefined) {
+      if (!Task.TASK_STATUSES.includes(body.status)) {
+        throw new BadRequestError(`status must be one of ${Task.TASK_STATUSES.join(', ')}.`);
+      }
+      data.status = body.status;
+    }
+
+    if (body.assignee !== undefined) {
+      if (body.assignee === null) {
+        throw new BadRequestError('A task must have an assignee.');
+      }
+      data.assignee = await leadAssignmentService.resolveAssignee(body.assignee, userId);
+    }
+
+    return data;
+  }
+
+  /**
+   * First of a lead's numbers that is on no suppression list and has not opted out
+   * @param {Object} lead - Lead document with phone, phoneNumbers, organization and user
+   * @param {string} taskType - call or text
+   * @returns {Promise<string|null>} The number as stored on the lead, or null
+   * @private
+   */
+  async _callableNumber(lead, taskType) {
+    const [callable] = await suppressionService.keepCallable([lead.toObject()], taskType === 'text' ? 'sms' : 'call');
+    return callable ? callable.phone : null;
+  }
+
+  /**
+   * First callable number of a lead, for a call or text task
+   * @param {Object} lead - Lead document
+   * @param {string} taskType - call or text
+   * @returns {Promise<string>}
+   * @throws {ConflictError} If the lead has no number that may be called
+   * @private
+   */
+  async _requireCallableNumber(lead, taskType) {
+    const phone = lead && await this._callableNumber(lead, taskType);
+    if (!phone) {
+      throw new ConflictError(`The lead has no number that may be ${taskType === 'text' ? 'texted' : 'called'}; every number is missing, on a DNC or litigator list or opted out.`);
+    }
+    return phone;
+  }
+
+  /**
+   * Tell the assignee about a task someone else gave them
+   * @private
+   */
+  async _notifyAssignee(task, lead, userId) {
+    if (String(task.assignee) === String(userId)) {
+      return;
+    }
+    await notificationService.notify(task.assignee, {
+      type: 'task_assigned',
+      title: `New task: ${this._describe(task)}`,
+      message: `${lead ? lead.fullName : 'A lead'} - due ${task.dueAt.toISOString()}`,
+      link: '/leads/verified',
+      task: task._id,
+      lead: task.lead
+    });
+  }
+
+  /**
+   * Short description of a task, its title or its type
+   * @private
+   */
+  _describe(task) {
+    return task.title || TYPE_LABELS[task.type] || task.type;
+  }
+}
+
+module.exports = new TaskService();
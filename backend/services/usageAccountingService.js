@@ -0,0 +1,199 @@
+/**
+ * Usage Accounting Service
+ * Records the cost of every successful call to an external provider (verification, skip
+ * tracing, image and document analysis) as a usage Transaction: the feature, the units
+ * billed and the integration's unit price (ApiIntegration pricing). Calls are charged to
+ * the user and import job of the audit context, or to the account set with
+ * runWithAccount() for background work done on someone's behalf, so costs can be broken
+ * down by user, organization, feature, import job and month.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const leadAccessService = require('./leadAccessService');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { getAuditContext } = require('../utils/auditContext');
+const { BadRequestError } = require('../utils/errors');
+
+// Dimensions a cost breakdown can be grouped by, and the expression of each
+const GROUP_FIELDS = {
+  user: '$user',
+  organization: '$organization',
+  feature: '$usageDetails.feature',
+  provider: '$usageDetails.provider',
+  importJob: '$usageDetails.importJob',
+  month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }
+};
+
+/**
+ * Round an amount to hundredths of a cent, the precision of per-lookup prices
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 10000) / 10000;
+
+class UsageAccountingService {
+  constructor() {
+    // Account that calls made outside a user's request are charged to
+    this.accounts = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function whose external calls are charged to an account rather than to the
+   * actor of the audit context, e.g. scheduled re-verification for the lead's owner
+   * @param {Object} account - { user, organization }
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's return value
+   */
+  runWithAccount(account, fn) {
+    return this.accounts.run(account, fn);
+  }
+
+  /**
+   * Record a successful call to an integration as a usage Transaction
+   * @param {Object} integration - ApiIntegration, or an object in its shape
+   * @param {Object} usage - { feature (default the integration type), quantity (units billed, default 1) }
+   * @returns {Promise<Object>} The Transaction document
+   */
+  async recordCall(integration, { feature = integration.type, quantity = 1 } = {}) {
+    const { user, organization, importJob } = await this._resolveAccount();
+    const { unitPrice = 0, currency = 'USD' } = integration.pricing || {};
+    const name = integration.name || integration.provider;
+
+    return Transaction.create({
+      type: 'usage',
+      status: 'completed',
+      amount: roundAmount(quantity * unitPrice),
+      currency,
+      description: `${feature} via ${name}`,
+      paymentMethod: 'other',
+      usageDetails: {
+        feature,
+        quantity,
+        unitPrice,
+        integration: integration._id && !integration.isNew ? integration._id : undefined,
+        provider: integration.provider,
+        importJob
+      },
+      user,
+      organization
+    });
+  }
+
+  /**
+   * Cost of the usage visible to a user, grouped by the given dimensions
+   * Organization owners and admins see their organization's usage, other users their own.
+   * Amounts in different currencies are never added up.
+   * @param {string} userId - User ID
+   * @param {Object} options - Breakdown options
+   * @param {Array<string>} options.groupBy - Dimensions from GROUP_FIELDS (default month and feature)
+   * @param {string} options.from - Start date (inclusive)
+   * @param {string} options.to - End date (exclusive)
+   * @param {string} options.feature - Only this feature
+   * @param {string} options.user - Only usage charged to this user
+   * @param {string} options.importJob - Only usage of this import
+   * @returns {Promise<Object>} { groupBy, rows: [{ ...dimensions, currency, calls, quantity,
+   *   amount }] most expensive first, totals: [{ currency, calls, quantity, amount }] }
+   * @throws {BadRequestError} If a dimension or filter is invalid
+   */
+  async getCostBreakdown(userId, { groupBy = ['month', 'feature'], from, to, feature, user, importJob } = {}) {
+    const unknown = groupBy.filter(field => !GROUP_FIELDS[field]);
+    if (groupBy.length === 0 || unknown.length > 0) {
+      throw new BadRequestError(`groupBy must list dimensions from ${Object.keys(GROUP_FIELDS).join(', ')}.`);
+    }
+
+    const match = { type: 'usage', ...await this._scopeFilter(userId) };
+    if (from || to) {
+      match.createdAt = {};
+      [['from', from, '$gte'], ['to', to, '$lt']].forEach(([label, value, operator]) => {
+        if (!value) {
+          return;
+        }
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new BadRequestError(`${label} must be a date.`);
+        }
+        match.createdAt[operator] = date;
+      });
+    }
+    if (feature) {
+      match['usageDetails.feature'] = String(feature);
+    }
+    [['user', user, 'user'], ['importJob', importJob, 'usageDetails.importJob']].forEach(([label, value, path]) => {
+      if (!value) {
+        return;
+      }
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new BadRequestError(`${label} must be an ID.`);
+      }
+      // Within the scope: a member filtering by another user gets nothing
+      match[path] = new mongoose.Types.ObjectId(String(value));
+    });
+
+    const groups = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            ...Object.fromEntries(groupBy.map(field => [field, GROUP_FIELDS[field]])),
+            currency: '$currency'
+          },
+          calls: { $sum: 1 },
+          quantity: { $sum: '$usageDetails.quantity' },
+          amount: { $sum: '$amount' }
+        }
+      },
+      { $sort: { amount: -1, calls: -1 } }
+    ]);
+
+    const rows = groups.map(({ _id, calls, quantity, amount }) => ({
+      ..._id,
+      calls,
+      quantity,
+      amount: roundAmount(amount)
+    }));
+    const totals = new Map();
+    rows.forEach(({ currency, calls, quantity, amount }) => {
+      const total = totals.get(currency) || { currency, calls: 0, quantity: 0, amount: 0 };
+      total.calls += calls;
+      total.quantity += quantity;
+      total.amount = roundAmount(total.amount + amount);
+      totals.set(currency, total);
+    });
+
+    return { groupBy, rows, totals: [...totals.values()] };
+  }
+
+  /**
+   * Who a call is charged to: the account of runWithAccount(), or else the actor and
+   * import job of the audit context
+   * @returns {Promise<{user: (string|null), organization: (string|null), importJob: (string|undefined)}>}
+   * @private
+   */
+  async _resolveAccount() {
+    const account = this.accounts.getStore() || {};
+    const { actor, importJob } = getAuditContext();
+    const user = account.user !== undefined ? account.user : actor;
+    const organization = account.organization !== undefined
+      ? account.organization
+      : (user ? await getOrganizationId(user) : null);
+
+    return { user: user || null, organization: organization || null, importJob: importJob || undefined };
+  }
+
+  /**
+   * Filter matching the usage a user can see
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} MongoDB filter
+   * @private
+   */
+  async _scopeFilter(userId) {
+    const { organization, canManage } = await leadAccessService.getAccess(userId);
+    if (organization && canManage) {
+      return { organization: organization._id };
+    }
+    return { user: new mongoose.Types.ObjectId(String(userId)) };
+  }
+}
+
+module.exports = new UsageAccountingService();
@@ -0,0 +1,118 @@
+const outboundClient = require('../outboundClient');
+
+/**
+ * Verification types handled by provider adapters
+ * integrationType: the ApiIntegration type configured for the verification
+ * field: the Verification field the normalized result is stored in
+ * statuses: the result statuses allowed by that field
+ */
+const VERIFICATION_TYPES = {
+  phone: {
+    integrationType: 'phoneVerification',
+    field: 'phoneVerification',
+    statuses: ['valid', 'invalid', 'unknown']
+  },
+  address: {
+    integrationType: 'addressVerification',
+    field: 'addressVerification',
+    statuses: ['valid', 'invalid', 'unknown']
+  },
+  email: {
+    integrationType: 'emailVerification',
+    field: 'emailVerification',
+    statuses: ['valid', 'invalid', 'unknown']
+  },
+  ownership: {
+    integrationType: 'propertyData',
+    field: 'ownershipVerification',
+    statuses: ['confirmed', 'unconfirmed', 'unknown']
+  },
+  skipTrace: {
+    integrationType: 'skipTracing',
+    field: 'skipTrace',
+    statuses: ['found', 'not_found', 'unknown']
+  }
+};
+
+/**
+ * VerificationAdapter - Base class of the verification provider adapters
+ *
+ * An adapter talks to one provider for one verification type. Subclasses implement
+ * request(input), which calls the provider, and normalize(response, input), which maps
+ * the provider's response to { status, confidence, details } in the shape of the
+ * Verification field of the type. verify(input) runs both and stamps the provider
+ * and time.
+ *
+ * Inputs by type: phone { phone }, email { email }, address { address },
+ * ownership { address, ownerName }, skipTrace { name, address }.
+ */
+class VerificationAdapter {
+  /**
+   * @param {Object} integration - ApiIntegration the adapter calls
+   * @param {string} type - Verification type (a key of VERIFICATION_TYPES)
+   */
+  constructor(integration, type) {
+    if (!VERIFICATION_TYPES[type]) {
+      throw new Error(`Unknown verification type ${type}`);
+    }
+    this.integration = integration;
+    this.type = type;
+  }
+
+  /**
+   * Verify an input with the provider
+   * @param {Object} input - Values to verify (see the class description)
+   * @returns {Promise<Object>} { status, provider, verifiedAt, details, confidence }
+   */
+  async verify(input) {
+    const response = await this.request(input);
+    const { status, confidence, details } = this.normalize(response, input);
+
+    if (!VERIFICATION_TYPES[this.type].statuses.includes(status)) {
+      throw new Error(`${this.integration.provider} returned unsupported ${this.type} status ${status}`);
+    }
+    return {
+      status,
+      provider: this.integration.provider,
+      verifiedAt: new Date(),
+      details: details || {},
+      confidence: Math.min(Math.max(Math.round(Number(confidence) || 0), 0), 100)
+    };
+  }
+
+  /**
+   * Call the provider
+   * @param {Object} _input - Values to verify
+   * @returns {Promise<Object>} Provider response
+   */
+  async request(_input) {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+
+  /**
+   * Map a provider response to { status, confidence, details }
+   * @param {Object} _response - Provider response
+   * @param {Object} _input - Values that were verified
+   * @returns {Object} Normalized result
+   */
+  normalize(_response, _input) {
+    throw new Error(`${this.constructor.name} does not implement normalize()`);
+  }
+
+  /**
+   * Make an HTTP request to the integration's API through the shared outbound client,
+   * with the integration's timeout, retries and circuit breaker, billed as one lookup of
+   * the verification type
+   * @param {Object} options - axios request options (url relative to the base URL)
+   * @returns {Promise<Object>} Response body
+   * @protected
+   */
+  async callApi(options) {
+    return outboundClient.request(this.integration, { usage: { feature: this.type }, ...options });
+  }
+}
+
+module.exports = {
+  VERIFICATION_TYPES,
+  VerificationAdapter
+};
@@ -0,0 +1,70 @@
+/**
+ * Consensus of several providers' answers to the same verification
+ *
+ * Each answer votes for its status with its provider's reliability (ApiIntegration
+ * reliability, 0 to 1) times its confidence. The status with the most votes wins;
+ * "unknown" only wins when no provider gave a definite answer, and ties go to the
+ * preferred provider. The consensus confidence is the reliability-weighted confidence
+ * of the agreeing answers over the reliability of every answer, so dissent and
+ * "unknown" answers lower it. Different definite statuses are a disagreement, which is
+ * flagged for manual review.
+ */
+
+const UNKNOWN_STATUS = 'unknown';
+
+/**
+ * Reliability of the provider that gave an answer, 1 when not configured
+ * @param {Object} answer - { reliability }
+ * @returns {number}
+ */
+const reliabilityOf = (answer) => (typeof answer.reliability === 'number' ? answer.reliability : 1);
+
+/**
+ * Combine providers' answers into one result
+ * @param {Array<Object>} answers - { status, confidence, details, reliability, error }, preferred
+ *   provider first; answers with an error are left out
+ * @returns {Object|null} { status, confidence, details, disagreement }, or null when no
+ *   provider answered
+ */
+function combineAnswers(answers) {
+  const answered = answers.filter(answer => !answer.error);
+  if (answered.length === 0) {
+    return null;
+  }
+
+  const definite = answered.filter(answer => answer.status !== UNKNOWN_STATUS);
+  const voters = definite.length > 0 ? definite : answered;
+
+  // Insertion order keeps ties with the preferred provider
+  const votes = new Map();
+  voters.forEach(answer => {
+    votes.set(answer.status, (votes.get(answer.status) || 0) + reliabilityOf(answer) * (answer.confidence || 0));
+  });
+  let status = voters[0].status;
+  votes.forEach((weight, candidate) => {
+    if (weight > votes.get(status)) {
+      status = candidate;
+    }
+  });
+
+  const agreeing = answered.filter(answer => answer.status === status);
+  const totalReliability = answered.reduce((sum, answer) => sum + reliabilityOf(answer), 0);
+  const confidence = totalReliability > 0
+    ? Math.round(agreeing.reduce((sum, answer) => sum + reliabilityOf(answer) * (answer.confidence || 0), 0) / totalReliability)
+    : 0;
+
+  // Details of the most trusted agreeing answer
+  const best = agreeing.reduce((top, answer) =>
+    (reliabilityOf(answer) * (answer.confidence || 0) > reliabilityOf(top) * (top.confidence || 0) ? answer : top));
+
+  return {
+    status,
+    confidence,
+    details: best.details || {},
+    disagreement: new Set(definite.map(answer => answer.status)).size > 1
+  };
+}
+
+module.exports = {
+  combineAnswers
+};
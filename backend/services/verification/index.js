@@ -0,0 +1,280 @@
+const ApiIntegration = require('../../models/ApiIntegration');
+const { VERIFICATION_TYPES, VerificationAdapter } = require('./adapter');
+const mockAdapters = require('./mock-adapters');
+const localChecks = require('./local-checks');
+const { combineAnswers } = require('./consensus');
+const outboundClient = require('../outboundClient');
+const { ServiceUnavailableError, TooManyRequestsError } = require('../../utils/errors');
+
+// Provider name of the built-in mock adapters
+const MOCK_PROVIDER = 'mock';
+
+// Provider recorded on results settled by a local check
+const LOCAL_PROVIDER = 'local';
+
+// Provider recorded on results combined from several providers' answers
+const CONSENSUS_PROVIDER = 'consensus';
+
+/**
+ * VerificationProviderRegistry - Picks and runs the provider adapter of a verification
+ *
+ * Adapters are registered per ApiIntegration.provider and verification type. A
+ * verification uses the active ApiIntegrations of the type's integration type, the
+ * organization's own before shared ones (without organization), and runs the adapter
+ * registered for the provider. When a provider fails, is rate limited or has its circuit
+ * breaker open (see outboundClient), the next integration is tried.
+ *
+ * Types with a local check (see local-checks.js) are checked offline first; inputs the
+ * check rejects are settled without calling, or being billed by, the provider.
+ *
+ * verifyConsensus() instead asks every available integration of the type and combines
+ * their answers (see consensus.js), keeping each answer on the result.
+ *
+ * The deterministic mock adapters are registered as provider "mock". Setting
+ * VERIFICATION_PROVIDER=mock serves every verification from them without any
+ * ApiIntegration, so the flow works offline.
+ */
+class VerificationProviderRegistry {
+  constructor() {
+    // `${provider}:${type}` -> adapter class
+    this.adapters = new Map();
+
+    Object.entries(mockAdapters).forEach(([type, Adapter]) => this.register(MOCK_PROVIDER, type, Adapter));
+  }
+
+  /**
+   * Register the adapter of a provider for a verification type
+   * @param {string} provider - ApiIntegration.provider value
+   * @param {string} type - Verification type (phone, address, email, ownership or skipTrace)
+   * @param {Function} Adapter - VerificationAdapter subclass, constructed with the integration
+   */
+  register(provider, type, Adapter) {
+    if (!VERIFICATION_TYPES[type]) {
+      throw new Error(`Unknown verification type ${type}`);
+    }
+    if (!(Adapter.prototype instanceof VerificationAdapter)) {
+      throw new Error(`The ${provider} ${type} adapter must extend VerificationAdapter`);
+    }
+    this.adapters.set(`${provider.toLowerCase()}:${type}`, Adapter);
+  }
+
+  /**
+   * Registered providers and the verification types each supports
+   * @returns {Array<{provider: string, types: Array<string>}>}
+   */
+  listProviders() {
+    const providers = new Map();
+    for (const key of this.adapters.keys()) {
+      const [provider, type] = key.split(':');
+      providers.set(provider, [...(providers.get(provider) || []), type]);
+    }
+    return [...providers].map(([provider, types]) => ({ provider, types }));
+  }
+
+  /**
+   * Whether a provider has an adapter for a verification type
+   * @param {string} provider - ApiIntegration.provider value
+   * @param {string} type - Verification type
+   * @returns {boolean}
+   */
+  supports(provider, type) {
+    return this.adapters.has(`${String(provider).toLowerCase()}:${type}`);
+  }
+
+  /**
+   * Find the integrations that serve a verification type, preferred first
+   * Integrations of providers without an adapter for the type are left out.
+   * @param {string} type - Verification type
+   * @param {string|null} organizationId - Organization of the user verifying
+   * @returns {Promise<Array<Object>>} ApiIntegrations (one unsaved integration for the mock provider)
+   */
+  async findIntegrations(type, organizationId = null) {
+    const { integrationType } = VERIFICATION_TYPES[type];
+
+    if (process.env.VERIFICATION_PROVIDER === MOCK_PROVIDER) {
+      return [new ApiIntegration({
+        name: `Mock ${type} verification`,
+        provider: MOCK_PROVIDER,
+        type: integrationType,
+        apiKey: MOCK_PROVIDER,
+        baseUrl: 'mock://local'
+      })];
+    }
+
+    const integrations = await outboundClient.findIntegrations(integrationType, organizationId);
+    return integrations.filter(integration => this.supports(integration.provider, type));
+  }
+
+  /**
+   * Create the adapter of an integration
+   * @param {Object} integration - ApiIntegration
+   * @param {string} type - Verification type
+   * @returns {VerificationAdapter}
+   * @throws {ServiceUnavailableError} If no adapter is registered for the provider
+   */
+  createAdapter(integration, type) {
+    const Adapter = this.adapters.get(`${String(integration.provider).toLowerCase()}:${type}`);
+    if (!Adapter) {
+      throw new ServiceUnavailableError(`No ${type} verification adapter is registered for provider ${integration.provider}.`);
+    }
+    return new Adapter(integration);
+  }
+
+  /**
+   * Run a verification with the integration that serves its type
+   * @param {string} type - Verification type
+   * @param {Object} input - Values to verify (see VerificationAdapter)
+   * @param {Object} options - { organization: organization ID of the user verifying }
+   * @returns {Promise<{result: Object, integration: Object|null}>} Normalized result and the
+   *   integration used (null when a local check settled the verification)
+   * @throws {ServiceUnavailableError} If no integration serves the type (notConfigured set)
+   *   or every one failed
+   * @throws {TooManyRequestsError} If every integration is rate limited (daily quota used up)
+   */
+  async verify(type, input, { organization = null } = {}) {
+    if (!VERIFICATION_TYPES[type]) {
+      throw new Error(`Unknown verification type ${type}`);
+    }
+
+    const check = localChecks[type] ? localChecks[type](input) : {};
+    if (check.result) {
+      return {
+        result: { ...check.result, provider: LOCAL_PROVIDER, verifiedAt: new Date() },
+        integration: null
+      };
+    }
+
+    const integrations = await this.findIntegrations(type, organization);
+    if (integrations.length === 0) {
+      throw this._notConfigured(type);
+    }
+
+    // Rate limits are enforced (and usage recorded) by the outbound client on every request
+    const { result, integration } = await outboundClient.withFailover(integrations,
+      candidate => this.createAdapter(candidate, type).verify(check.input || input),
+      `${type} verification`);
+    this._mergeCheckDetails(result, check);
+    return { result, integration };
+  }
+
+  /**
+   * Run a verification with every available integration that serves its type and
+   * combine their answers into a consensus status and confidence
+   * The result carries consensus: { answers, disagreement }, with each provider's
+   * answer (or error); disagreement is set when providers gave different definite statuses.
+   * @param {string} type - Verification type
+   * @param {Object} input - Values to verify (see VerificationAdapter)
+   * @param {Object} options - { organization: organization ID of the user verifying }
+   * @returns {Promise<{result: Object, integration: null}>} Combined result
+   * @throws {ServiceUnavailableError} If no integration serves the type (notConfigured set),
+   *   none is available or every one failed
+   * @throws {TooManyRequestsError} If every integration is rate limited
+   */
+  async verifyConsensus(type, input, { organization = null } = {}) {
+    if (!VERIFICATION_TYPES[type]) {
+      throw new Error(`Unknown verification type ${type}`);
+    }
+
+    const check = localChecks[type] ? localChecks[type](input) : {};
+    if (check.result) {
+      return {
+        result: { ...check.result, provider: LOCAL_PROVIDER, verifiedAt: new Date() },
+        integration: null
+      };
+    }
+
+    const configured = await this.findIntegrations(type, organization);
+    if (configured.length === 0) {
+      throw this._notConfigured(type);
+    }
+    const integrations = configured.filter(integration => outboundClient.isAvailable(integration));
+    if (integrations.length === 0) {
+      throw new ServiceUnavailableError(`${type} verification service is currently unavailable.`);
+    }
+
+    const outcomes = await Promise.all(integrations.map(async (integration) => {
+      const answer = {
+        integration: integration.isNew ? null : integration._id,
+        name: integration.name,
+        provider: integration.provider,
+        reliability: integration.reliability
+      };
+      try {
+        const { status, confidence, details, verifiedAt } = await this.createAdapter(integration, type).verify(check.input || input);
+        return { answer: { ...answer, status, confidence, details, verifiedAt } };
+      } catch (error) {
+        return { answer: { ...answer, error: error.message }, error };
+      }
+    }));
+    const answers = outcomes.map(outcome => outcome.answer);
+
+    const combined = combineAnswers(answers);
+    if (!combined) {
+      if (outcomes.every(outcome => outcome.error.statusCode === 429)) {
+        throw new TooManyRequestsError(`${type} verification rate limit exceeded with every provider.`);
+      }
+      throw new ServiceUnavailableError(`${type} verification failed with every available provider: ${outcomes[0].error.message}`);
+    }
+
+    const { disagreement, ...consensus } = combined;
+    const result = {
+      ...consensus,
+      provider: CONSENSUS_PROVIDER,
+      verifiedAt: new Date(),
+      consensus: { answers, disagreement }
+    };
+    this._mergeCheckDetails(result, check);
+    return { result, integration: null };
+  }
+
+  /**
+   * Error for a type no integration serves; unlike an outage it lasts until one is configured
+   * @param {string} type - Verification type
+   * @returns {ServiceUnavailableError} Error with notConfigured set
+   * @private
+   */
+  _notConfigured(type) {
+    const error = new ServiceUnavailableError(`${type} verification service is currently unavailable.`);
+    error.notConfigured = true;
+    return error;
+  }
+
+  /**
+   * Whether a result was settled by a local check rather than by a provider
+   * @param {Object} result - Normalized result
+   * @returns {boolean}
+   */
+  isLocalResult(result) {
+    return Boolean(result) && result.provider === LOCAL_PROVIDER;
+  }
+
+  /**
+   * Add what a local check inferred to a provider result's details
+   * What the provider reports wins over what the local check inferred.
+   * @param {Object} result - Normalized result
+   * @param {Object} check - Local check of the input
+   * @private
+   */
+  _mergeCheckDetails(result, check) {
+    if (check.details) {
+      const reported = Object.entries(result.details).filter(([, value]) => value !== undefined && value !== null);
+      result.details = { ...check.details, ...Object.fromEntries(reported) };
+    }
+  }
+
+  /**
+   * Store a normalized result on a Verification document
+   * @param {Object} verification - Verification document
+   * @param {string} type - Verification type
+   * @param {Object} result - Result of verify()
+   */
+  applyResult(verification, type, result) {
+    verification[VERIFICATION_TYPES[type].field] = result;
+  }
+}
+
+const registry = new VerificationProviderRegistry();
+
+module.exports = registry;
+module.exports.VERIFICATION_TYPES = VERIFICATION_TYPES;
+module.exports.VerificationAdapter = VerificationAdapter;
@@ -0,0 +1,106 @@
+const { parsePhone } = require('../../utils/phoneNumber');
+const { parseEmail } = require('../../utils/emailAddress');
+const { parseAddress } = require('../../utils/usAddress');
+
+/**
+ * Local Verification Checks
+ * Offline checks run before a verification's provider is called, keyed by verification
+ * type. A check returns { result: { status, confidence, details } } to settle the
+ * verification without spending a provider call, or { input, details } to call the
+ * provider with a cleaned-up input and keep the details the check found.
+ */
+
+/**
+ * Reject impossible phone numbers and send the rest to the provider in E.164
+ * @param {Object} input - { phone }
+ * @returns {Object} Check outcome
+ */
+const checkPhone = ({ phone }) => {
+  const parsed = parsePhone(phone);
+  const details = {
+    e164: parsed.e164 || undefined,
+    nationalFormat: parsed.nationalFormat || undefined,
+    extension: parsed.extension || undefined,
+    countryCode: parsed.countryCode || undefined,
+    areaCode: parsed.areaCode || undefined,
+    region: parsed.region || undefined,
+    timeZone: parsed.timeZone || undefined,
+    numberType: parsed.numberType || undefined
+  };
+
+  if (!parsed.valid) {
+    return { result: { status: 'invalid', confidence: 100, details: { ...details, invalidReason: parsed.reason } } };
+  }
+  return { input: { phone: parsed.e164 }, details };
+};
+
+/**
+ * Reject malformed and disposable email addresses and send the rest to the mailbox
+ * check provider
+ * Role accounts and likely domain typos are flagged in the details, not rejected:
+ * the mailbox may still exist.
+ * @param {Object} input - { email }
+ * @returns {Object} Check outcome
+ */
+const checkEmail = ({ email }) => {
+  const parsed = parseEmail(email);
+  const details = {
+    domain: parsed.domain || undefined,
+    disposable: parsed.valid ? parsed.disposable : undefined,
+    roleAccount: parsed.valid ? parsed.roleAccount : undefined,
+    suggestion: parsed.suggestion || undefined
+  };
+
+  if (!parsed.valid) {
+    return { result: { status: 'invalid', confidence: 100, details: { ...details, deliverable: false, invalidReason: parsed.reason } } };
+  }
+  if (parsed.disposable) {
+    return {
+      result: {
+        status: 'invalid',
+        confidence: 100,
+        details: { ...details, invalidReason: `${parsed.domain} is a disposable email provider.` }
+      }
+    };
+  }
+  return { input: { email: parsed.normalized }, details };
+};
+
+/**
+ * Reject addresses without a house number or street and send the rest to the provider
+ * standardized the USPS way
+ * @param {Object} input - { address }
+ * @returns {Object} Check outcome
+ */
+const checkAddress = ({ address }) => {
+  const parsed = parseAddress(address);
+  const details = {
+    standardizedAddress: parsed.standardizedAddress || undefined,
+    city: parsed.city || undefined,
+    state: parsed.state || undefined,
+    zipCode: parsed.zip || undefined
+  };
+
+  if (!parsed.valid) {
+    return { result: { status: 'invalid', confidence: 100, details: { ...details, invalidReason: parsed.reason } } };
+  }
+  return { input: { address: parsed.standardizedAddress }, details: { ...details, country: 'US' } };
+};
+
+/**
+ * Send ownership lookups the standardized address, so owner records are searched the
+ * same way whatever the address looked like
+ * @param {Object} input - { address, ownerName }
+ * @returns {Object} Check outcome
+ */
+const checkOwnership = (input) => {
+  const parsed = parseAddress(input.address);
+  return parsed.valid ? { input: { ...input, address: parsed.standardizedAddress } } : {};
+};
+
+module.exports = {
+  phone: checkPhone,
+  email: checkEmail,
+  address: checkAddress,
+  ownership: checkOwnership
+};
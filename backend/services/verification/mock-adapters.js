@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { VerificationAdapter } = require('./adapter');
+const { isDisposableDomain, isRoleAccount } = require('../../utils/emailAddress');
+
+/**
+ * Mock Verification Providers
+ * Deterministic local adapters for developing and testing the verification flow offline.
+ * The same input always gives the same result, and simple rules pick the outcome:
+ *
+ * - phone: numbers with fewer than 10 digits or ending in 0 are invalid, ending in 9 unknown;
+ *   numbers outside North America are unknown
+ * - email: malformed addresses, local parts starting with "bounce" and .invalid domains
+ *   are invalid; local parts starting with "unknown" are unknown
+ * - address: addresses without a street number are invalid
+ * - ownership: confirmed when an owner name is given, unless the street number ends in 0
+ *   (the mock owner of record is then someone else)
+ * - skipTrace: names containing "unknown" are not found
+ *
+ * Mock providers never make network calls; request() only echoes the input.
+ */
+
+const CARRIERS = ['Verizon Wireless', 'AT&T Mobility', 'T-Mobile USA', 'US Cellular'];
+const LINE_TYPES = ['mobile', 'mobile', 'landline', 'voip'];
+const PROPERTY_TYPES = ['Single Family', 'Multi Family', 'Condo', 'Land'];
+const OWNER_NAMES = ['Pat Morgan', 'Chris Alvarez', 'Jordan Lee', 'Sam Patel'];
+
+/**
+ * Stable pseudo-random number derived from a value
+ * @param {string} value - Seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+const seed = (value) => crypto.createHash('sha256').update(String(value)).digest().readUInt32BE(0);
+
+/**
+ * Pick an item of a list by seed
+ */
+const pick = (list, value) => list[seed(value) % list.length];
+
+/**
+ * Confidence between min and max derived from a value
+ */
+const confidenceFor = (value, min, max) => min + (seed(`confidence:${value}`) % (max - min + 1));
+
+/**
+ * Street number at the start of an address, or null
+ */
+const streetNumber = (address) => {
+  const match = String(address || '').trim().match(/^(\d+)\b/);
+  return match ? match[1] : null;
+};
+
+class MockPhoneAdapter extends VerificationAdapter {
+  constructor(integration) {
+    super(integration, 'phone');
+  }
+
+  async request({ phone }) {
+    const raw = String(phone || '').trim();
+    return { phone: raw.replace(/\D/g, ''), international: raw.startsWith('+') && !raw.startsWith('+1') };
+  }
+
+  normalize({ phone, international }) {
+    if (international) {
+      return { status: 'unknown', confidence: 0, details: {} };
+    }
+    const digits = phone.length === 11 && phone.startsWith('1') ? phone.slice(1) : phone;
+    if (digits.length !== 10 || digits.endsWith('0')) {
+      return { status: 'invalid', confidence: confidenceFor(digits, 80, 95), details: { countryCode: 'US' } };
+    }
+    if (digits.endsWith('9')) {
+      return { status: 'unknown', confidence: 0, details: { countryCode: 'US' } };
+    }
+    return {
+      status: 'valid',
+      confidence: confidenceFor(digits, 60, 100),
+      details: {
+        carrier: pick(CARRIERS, digits),
+        lineType: pick(LINE_TYPES, `line:${digits}`),
+        countryCode: 'US'
+      }
+    };
+  }
+}
+
+class MockEmailAdapter extends VerificationAdapter {
+  constructor(integration) {
+    super(integration, 'email');
+  }
+
+  async request({ email }) {
+    return { email: String(email || '').trim().toLowerCase() };
+  }
+
+  normalize({ email }) {
+    const match = email.match(/^([^@\s]+)@([^@\s]+\.[^@\s]+)$/);
+    if (!match) {
+      return { status: 'invalid', confidence: 100, details: { deliverable: false } };
+    }
+
+    const [, local, domain] = match;
+    const details = {
+      domain,
+      deliverable: true,
+      disposable: isDisposableDomain(domain),
+      roleAccount: isRoleAccount(local)
+    };
+    if (local.startsWith('unknown')) {
+      return { status: 'unknown', confidence: 0, details: { ...details, deliverable: undefined } };
+    }
+    if (local.startsWith('bounce') || domain.endsWith('.invalid')) {
+      return { status: 'invalid', confidence: confidenceFor(email, 85, 100), details: { ...details, deliverable: false } };
+    }
+    return { status: 'valid', confidence: confidenceFor(email, details.roleAccount ? 50 : 70, details.roleAccount ? 80 : 100), details };
+  }
+}
+
+class MockAddressAdapter extends VerificationAdapter {
+  constructor(integration) {
+    super(integration, 'address');
+  }
+
+  async request({ address }) {
+    return { address: String(address || '').trim().replace(/\s+/g, ' ') };
+  }
+
+  normalize({ address }) {
+    if (!streetNumber(address)) {
+      return { status: 'invalid', confidence: confidenceFor(address, 70, 90), details: {} };
+    }
+
+    // "123 Main St, Springfield, IL 62701"
+    const parts = address.split(',').map(part => part.trim());
+    const stateZip = (parts[2] || '').match(/^([A-Za-z]{2})\s*(\d{5})?/);
+    const city = parts[1] || undefined;
+    const state = stateZip ? stateZip[1].toUpperCase() : undefined;
+    const zipCode = stateZip && stateZip[2] ? stateZip[2] : String(10000 + (seed(`zip:${address}`) % 90000));
+
+    return {
+      status: 'valid',
+      confidence: confidenceFor(address, 75, 100),
+      details: {
+        standardizedAddress: [parts[0], city, [state, zipCode].filter(Boolean).join(' ')]
+          .filter(Boolean).join(', ').toUpperCase(),
+        city,
+        state,
+        zipCode,
+        country: 'US'
+      }
+    };
+  }
+}
+
+class MockOwnershipAdapter extends VerificationAdapter {
+  constructor(integration) {
+    super(integration, 'ownership');
+  }
+
+  async request({ address, ownerName }) {
+    return { address: String(address || '').trim(), ownerName: ownerName ? String(ownerName).trim() : null };
+  }
+
+  normalize({ address, ownerName }) {
+    const number = streetNumber(address);
+    if (!number) {
+      return { status: 'unknown', confidence: 0, details: {} };
+    }
+
+    const ownerOfRecord = ownerName && !number.endsWith('0') ? ownerName : pick(OWNER_NAMES, `owner:${address}`);
+    const matches = Boolean(ownerName) && ownerOfRecord === ownerName;
+    const confidence = confidenceFor(address, 70, 100);
+    return {
+      status: matches ? 'confirmed' : 'unconfirmed',
+      confidence,
+      details: {
+        ownerName: ownerOfRecord,
+        matchConfidence: matches ? confidence : 0,
+        ownershipStartDate: new Date(Date.UTC(1995 + (seed(`since:${address}`) % 28), seed(`month:${address}`) % 12, 1)),
+        propertyType: pick(PROPERTY_TYPES, `type:${address}`)
+      }
+    };
+  }
+}
+
+class MockSkipTraceAdapter extends VerificationAdapter {
+  constructor(integration) {
+    super(integration, 'skipTrace');
+  }
+
+  async request({ name, address }) {
+    return { name: String(name || '').trim(), address: address ? String(address).trim() : null };
+  }
+
+  normalize({ name, address }) {
+    if (!name || /unknown/i.test(name)) {
+      return { status: 'not_found', confidence: confidenceFor(name, 60, 90), details: {} };
+    }
+
+    // 555-01xx numbers are reserved for fiction and never reach a real person
+    const suffix = String(seed(`phone:${name}`) % 100).padStart(2, '0');
+    const handle = name.toLowerCase().replace(/[^a-z]+/g, '.').replace(/^\.|\.$/g, '');
+    return {
+      status: 'found',
+      confidence: confidenceFor(name, 50, 95),
+      details: {
+        phones: [`(555) 555-01${suffix}`],
+        emails: [`${handle}@example.com`],
+        mailingAddress: address || undefined
+      }
+    };
+  }
+}
+
+module.exports = {
+  phone: MockPhoneAdapter,
+  email: MockEmailAdapter,
+  address: MockAddressAdapter,
+  ownership: MockOwnershipAdapter,
+  skipTrace: MockSkipTraceAdapter
+};
@@ -0,0 +1,445 @@
+/**
+ * Verification Job Service
+ * Verifies many leads in a background job (POST /api/verify/batch). Leads are selected
+ * once, like bulk actions, and verified in batches of the plan's batchSize; every
+ * provider call goes through the integration rate limiter (see outboundClient), so a
+ * job never runs faster than the providers allow. Progress is checkpointed on the
+ * VerificationJob after each batch. When the providers' limits run out the job pauses
+ * and the schedule resumes it later, and jobs interrupted by a restart are picked up
+ * again from their checkpoint. A type no integration is configured for fails for every
+ * lead instead, and the job fails once none of its types can be verified.
+ */
+const Lead = require('../models/Lead');
+const VerificationJob = require('../models/VerificationJob');
+const User = require('../dist/models/User');
+const bulkActionService = require('./bulkActionService');
+const leadAccessService = require('./leadAccessService');
+const pipelineService = require('./pipelineService');
+const reverificationService = require('./reverificationService');
+const verificationProviders = require('./verification');
+const usageAccountingService = require('./usageAccountingService');
+const { getOrganizationId } = require('../utils/accountHelpers');
+const { runWithAuditContext } = require('../utils/auditContext');
+const { BadRequestError } = require('../utils/errors');
+const { createChildLogger } = require('../utils/logger');
+
+const logger = createChildLogger('verificationJobService');
+
+// Leads verified at the same time for plans without a batchSize limit
+const DEFAULT_BATCH_SIZE = 10;
+
+// How long a job waits after the providers' limits ran out or they were unavailable
+const PAUSE_MS = 15 * 60 * 1000;
+
+// A processing job without a checkpoint for this long was interrupted, e.g. by a restart
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// How often a running batch records that the job is still alive
+const HEARTBEAT_MS = 60 * 1000;
+
+class VerificationJobService {
+  constructor() {
+    // How often paused and interrupted jobs are looked for
+    this.intervalMs = 60 * 1000;
+    this.timer = null;
+    // Jobs running in this process, to avoid starting the same job twice
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Create a batch verification job
+   * @param {Object} params - Job parameters
+   * @param {string} params.userId - User verifying
+   * @param {Array<string>} params.types - Verification types to run, from VerificationJob.BATCH_TYPES
+   * @param {boolean} params.consensus - Ask every configured provider and combine their answers
+   * @param {Array<string>} params.leadIds - Explicit lead IDs
+   * @param {string} params.savedSearch - Saved search ID
+   * @param {Object} params.query - Listing parameters (filters, where, search)
+   * @returns {Promise<Object>} The created VerificationJob document
+   * @throws {BadRequestError} If the types or the selection are invalid
+   */
+  async createJob({ userId, types, consensus = false, leadIds, savedSearch, query }) {
+    if (!Array.isArray(types) || types.length === 0 || types.some(type => !VerificationJob.BATCH_TYPES.includes(type))) {
+      throw new BadRequestError(`types must list verification types from ${VerificationJob.BATCH_TYPES.join(', ')}.`);
+    }
+
+    const { ids, selection } = await bulkActionService.selectLeads(userId, { leadIds, savedSearch, query });
+    if (ids.length === 0) {
+      throw new BadRequestError('No leads match the selection.');
+    }
+
+    const user = await User.findById(userId);
+    const limits = user && user.subscription && user.subscription.limits;
+
+    return VerificationJob.create({
+      user: userId,
+      organization: await getOrganizationId(userId),
+      types: [...new Set(types)],
+      consensus: consensus === true,
+      leadIds: ids,
+      selection,
+      batchSize: (limits && limits.batchSize) || DEFAULT_BATCH_SIZE,
+      counts: { total: ids.length }
+    });
+  }
+
+  /**
+   * Start processing a job in the background
+   * @param {Object} job - VerificationJob document
+   */
+  start(job) {
+    setImmediate(() => {
+      runWithAuditContext({ source: 'api', actor: job.user }, () => this.run(job._id))
+        .catch(error => {
+          logger.error(`Verification job ${job._id} crashed: ${error.message}`, error);
+        });
+    });
+  }
+
+  /**
+   * Find a job owned by a user
+   * @param {string} jobId - VerificationJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} VerificationJob document
+   */
+  getJob(jobId, userId) {
+    return VerificationJob.findOne({ _id: jobId, user: userId });
+  }
+
+  /**
+   * List the most recent jobs of a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} VerificationJob documents, without their lead IDs
+   */
+  listJobs(userId, limit = 20) {
+    return VerificationJob.find({ user: userId })
+      .select('-leadIds -deferredLeadIds')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Cancel a job. Queued and paused jobs stop immediately; running jobs stop after the
+   * current batch. Verifications already recorded are kept.
+   * @param {string} jobId - VerificationJob ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated VerificationJob document, or null if not found
+   */
+  async cancel(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    if (!job || job.isFinished()) {
+      return job;
+    }
+
+    job.cancelRequested = true;
+    if (job.status === 'queued' || job.status === 'paused') {
+      job.status = 'cancelled';
+      job.completedAt = new Date();
+    }
+
+    return job.save();
+  }
+
+  /**
+   * Process a job from its checkpoint until it finishes or has to pause
+   * Queued jobs, paused jobs due to resume and processing jobs that were interrupted
+   * can be run.
+   * @param {string} jobId - VerificationJob ID
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<void>}
+   */
+  async run(jobId, now = new Date()) {
+    const key = jobId.toString();
+    if (this.runningJobs.has(key)) {
+      return;
+    }
+
+    // Claim the job atomically so only one worker processes it
+    const job = await VerificationJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        cancelRequested: false,
+        $or: [
+          { status: 'queued' },
+          { status: 'paused', resumeAt: { $lte: now } },
+          { status: 'processing', heartbeatAt: { $lte: new Date(now.getTime() - STALE_JOB_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', heartbeatAt: now },
+        $min: { startedAt: now },
+        $unset: { resumeAt: 1, pauseReason: 1 }
+      },
+      { new: true }
+    );
+    if (!job) {
+      return;
+    }
+
+    this.runningJobs.add(key);
+
+    try {
+      const { filter: scope } = await leadAccessService.getAccess(job.user);
+      let { cursor } = job;
+      let deferred = job.deferredLeadIds;
+      const unconfigured = new Set(job.unconfiguredTypes);
+
+      while (deferred.length > 0 || cursor < job.leadIds.length) {
+        if (await this._isCancelRequested(job._id)) {
+          await this._finish(job, 'cancelled');
+          return;
+        }
+        // Nothing left that could be verified: waiting would not help
+        if (job.types.every(type => unconfigured.has(type))) {
+          await this._finish(job, 'failed', `No integration is configured for ${job.types.join(', ')} verification.`);
+          return;
+        }
+
+        // Leads deferred when the job paused go first, then the next batch from the checkpoint
+        const batch = deferred.length > 0 ? deferred : job.leadIds.slice(cursor, cursor + job.batchSize);
+        if (deferred.length === 0) {
+          cursor += batch.length;
+        }
+
+        // Provider costs are charged to the job's user and organization
+        const { deferred: left, providerError } = await usageAccountingService.runWithAccount(
+          { user: job.user, organization: job.organization || null },
+          () => this._processBatch(job, batch, scope, unconfigured)
+        );
+        deferred = left;
+        await VerificationJob.updateOne({ _id: job._id }, { $set: { cursor, deferredLeadIds: deferred } });
+
+        if (providerError) {
+          await this._pause(job, providerError);
+          return;
+        }
+      }
+
+      await this._finish(job, 'completed');
+    } catch (error) {
+      logger.error(`Verification job ${job._id} failed: ${error.message}`, error);
+      await this._finish(job, 'failed', error.message);
+    } finally {
+      this.runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Resume paused jobs that are due and jobs interrupted while processing
+   * Queued jobs left over from a restart before they started are picked up too.
+   * @param {Date} now - Reference time (default now)
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeDue(now = new Date()) {
+    const jobs = await VerificationJob.find({
+      cancelRequested: false,
+      $or: [
+        { status: 'queued', createdAt: { $lte: new Date(now.getTime() - this.intervalMs) } },
+        { status: 'paused', resumeAt: { $lte: now } },
+        { status: 'processing', heartbeatAt: { $lte: new Date(now.getTime() - STALE_JOB_MS) } }
+      ]
+    }).select('user').lean();
+
+    const resumable = jobs.filter(job => !this.runningJobs.has(job._id.toString()));
+    resumable.forEach(job => this.start(job));
+    return resumable.length;
+  }
+
+  /**
+   * Resume due jobs now and then periodically while the process runs
+   */
+  startSchedule() {
+    if (this.timer) {
+      return;
+    }
+    const run = () => {
+      runWithAuditContext({ source: 'system' }, () => this.resumeDue()).catch(error => {
+        logger.error(`Failed to resume verification jobs: ${error.message}`, error);
+      });
+    };
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Verify one batch of leads at the same time and record the counts and failures on the job
+   * The job's heartbeat is kept up while the batch waits on the providers.
+   * @param {Object} job - VerificationJob document
+   * @param {Array<ObjectId>} leadIds - Leads of the batch
+   * @param {Object} scope - Lead filter of the leads visible to the job's user
+   * @param {Set<string>} unconfigured - Types no integration is configured for; types found
+   *   unconfigured during the batch are added
+   * @returns {Promise<{deferred: Array<ObjectId>, providerError: Error|null}>} Leads left
+   *   unverified because the providers were rate limited or unavailable, and that error
+   * @private
+   */
+  async _processBatch(job, leadIds, scope, unconfigured) {
+    const leads = await Lead.find({ _id: { $in: leadIds }, ...scope });
+    const leadsById = new Map(leads.map(lead => [lead._id.toString(), lead]));
+    // Shared by the batch's leads, so that they stop calling providers once one is refused
+    const state = { providerError: null, unconfigured };
+
+    const heartbeat = setInterval(() => {
+      VerificationJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } }).catch(error => {
+        logger.warn(`Failed to record the heartbeat of verification job ${job._id}: ${error.message}`);
+      });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    let outcomes;
+    try {
+      outcomes = await Promise.all(leadIds.map(async (leadId) => {
+        const lead = leadsById.get(leadId.toString());
+        if (!lead) {
+          return { leadId, failure: 'Lead no longer exists or is no longer visible to you.' };
+        }
+        try {
+          return { leadId, ...await this._verifyLead(job, lead, state) };
+        } catch (error) {
+          return { leadId, failure: error.message };
+        }
+      }));
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const deferred = outcomes.filter(outcome => outcome.deferred).map(outcome => outcome.leadId);
+    const failures = outcomes
+      .filter(outcome => outcome.failure)
+      .map(outcome => ({ lead: outcome.leadId, reason: outcome.failure }));
+
+    await VerificationJob.updateOne({ _id: job._id }, {
+      $inc: {
+        'counts.processed': outcomes.length - deferred.length,
+        'counts.succeeded': outcomes.length - deferred.length - failures.length,
+        'counts.failed': failures.length,
+        'counts.verifications': outcomes.reduce((sum, outcome) => sum + (outcome.verifications || 0), 0)
+      },
+      $set: { heartbeatAt: new Date() },
+      $addToSet: { unconfiguredTypes: { $each: [...unconfigured] } },
+      // Only the first failures are kept on the job
+      $push: { failures: { $each: failures, $slice: VerificationJob.MAX_RECORDED_FAILURES } }
+    });
+
+    return { deferred, providerError: state.providerError };
+  }
+
+  /**
+   * Run the job's verification types on a lead and record the results as a batch run
+   * The lead moves to the verified stage, as with POST /api/verify/phone, when its phone
+   * and its address or ownership check out and its pipeline allows the move.
+   * @param {Object} job - VerificationJob document
+   * @param {Object} lead - Lead document
+   * @param {Object} state - { providerError, unconfigured } shared by the batch
+   * @returns {Promise<Object>} { verifications }, { failure } when no type could be
+   *   verified, or { deferred } when the providers were rate limited or unavailable
+   * @private
+   */
+  async _verifyLead(job, lead, state) {
+    const inputs = job.types
+      .map(type => [type, reverificationService.getInput(lead, type)])
+      .filter(([, input]) => input);
+    if (inputs.length === 0) {
+      return { failure: `Lead has none of the fields needed to verify ${job.types.join(', ')}.` };
+    }
+
+    const results = {};
+    const errors = [];
+    for (const [type, input] of inputs) {
+      if (state.providerError) {
+        break;
+      }
+      if (state.unconfigured.has(type)) {
+        errors.push(`${type}: no integration is configured`);
+        continue;
+      }
+      try {
+        ({ result: results[type] } = job.consensus
+          ? await verificationProviders.verifyConsensus(type, input, { organization: job.organization })
+          : await verificationProviders.verify(type, input, { organization: job.organization }));
+      } catch (error) {
+        // Permanent until an integration is added, so the type fails rather than pausing the job
+        if (error.notConfigured) {
+          state.unconfigured.add(type);
+          errors.push(`${type}: no integration is configured`);
+          continue;
+        }
+        if (error.statusCode === 429 || error.statusCode === 503) {
+          state.providerError = state.providerError || error;
+          break;
+        }
+        errors.push(`${type}: ${error.message}`);
+      }
+    }
+
+    const verifications = Object.keys(results).length;
+    if (verifications > 0) {
+      const verification = await reverificationService.recordResults(lead, job.user, results, 'batch');
+      if (verification.phoneVerification?.status === 'valid' &&
+        (verification.addressVerification?.status === 'valid' || verification.ownershipVerification?.status === 'confirmed')) {
+        await Lead.updateOne({ _id: lead._id }, { $set: { score: verification.calculateScore() } });
+        await pipelineService.advanceLead(lead, 'verified', job.user);
+      }
+    }
+
+    // Verified again in full when the job resumes
+    if (state.providerError && verifications + errors.length < inputs.length) {
+      return { deferred: true, verifications };
+    }
+    if (verifications === 0) {
+      return { failure: errors.join('; '), verifications };
+    }
+    return { verifications };
+  }
+
+  /**
+   * Pause a job until the providers can be called again
+   * @param {Object} job - VerificationJob document
+   * @param {Error} error - Rate limit or unavailability error of the providers
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pause(job, error) {
+    await VerificationJob.updateOne({ _id: job._id, status: 'processing' }, {
+      $set: {
+        status: 'paused',
+        resumeAt: new Date(Date.now() + PAUSE_MS),
+        pauseReason: error.message
+      }
+    });
+    logger.info(`Verification job ${job._id} paused: ${error.message}`);
+  }
+
+  /**
+   * Check whether a cancellation has been requested for a job
+   * @param {string} jobId - VerificationJob ID
+   * @returns {Promise<boolean>} True if the job should stop
+   * @private
+   */
+  async _isCancelRequested(jobId) {
+    const job = await VerificationJob.findById(jobId).select('cancelRequested').lean();
+    return !job || job.cancelRequested === true;
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {Object} job - VerificationJob document
+   * @param {string} status - completed, failed or cancelled
+   * @param {string} error - Error message for failed jobs
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finish(job, status, error) {
+    const update = { status, completedAt: new Date() };
+    if (error) {
+      update.error = error;
+    }
+
+    await VerificationJob.updateOne({ _id: job._id }, { $set: update });
+    logger.info(`Verification job ${job._id} ${status}`);
+  }
+}
+
+module.exports = new VerificationJobService();
@@ -0,0 +1,105 @@
+/**
+ * Verification Review Service
+ * Queue of leads whose providers disagreed in a consensus verification (Lead
+ * verificationReview). A reviewer looks at each provider's answer and settles the
+ * status by hand, which is recorded as a new verification run of the lead.
+ */
+const Lead = require('../models/Lead');
+const leadAccessService = require('./leadAccessService');
+const reverificationService = require('./reverificationService');
+const { VERIFICATION_TYPES } = require('./verification');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Provider recorded on results settled by a reviewer
+const REVIEW_PROVIDER = 'manual_review';
+
+class VerificationReviewService {
+  /**
+   * Leads visible to a user that wait for review, most recently updated first
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<{leads: Array<Object>, total: number}>} Leads with reviews: [{ type,
+   *   status, confidence, answers }] holding the consensus and each provider's answer
+   */
+  async listReviews(userId, { limit = 50, skip = 0 } = {}) {
+    const filter = {
+      ...await leadAccessService.scopeFilter(userId),
+      'verificationReview.0': { $exists: true }
+    };
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .select('fullName phone email address city state zipCode verificationReview verificationResults')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Lead.countDocuments(filter)
+    ]);
+
+    return {
+      leads: leads.map(({ verificationResults = {}, verificationReview, ...lead }) => ({
+        ...lead,
+        reviews: verificationReview.map(type => {
+          const result = verificationResults[type] || {};
+          return {
+            type,
+            status: result.status,
+            confidence: result.confidence,
+            answers: result.consensus ? result.consensus.answers : []
+          };
+        })
+      })),
+      total
+    };
+  }
+
+  /**
+   * Settle a disagreement of a lead's providers
+   * The chosen status gets the confidence and details of the most confident provider
+   * that gave it; the result keeps the providers' answers and when they were given.
+   * @param {string} userId - Reviewer
+   * @param {string} leadId - Lead ID
+   * @param {string} type - Verification type under review
+   * @param {Object} review - { status, note }
+   * @returns {Promise<Object>} The new Verification document
+   * @throws {NotFoundError} If the lead is not visible to the user
+   * @throws {BadRequestError} If the type does not wait for review or the status is not one of the type's
+   */
+  async resolve(userId, leadId, type, { status, note }) {
+    const lead = await Lead.findOne({ _id: leadId, ...await leadAccessService.scopeFilter(userId) });
+    if (!lead) {
+      throw new NotFoundError('Lead not found.');
+    }
+    if (!(lead.verificationReview || []).includes(type)) {
+      throw new BadRequestError(`No ${type} verification of this lead waits for review.`);
+    }
+    const { statuses } = VERIFICATION_TYPES[type];
+    if (!statuses.includes(status)) {
+      throw new BadRequestError(`status must be one of ${statuses.join(', ')}.`);
+    }
+
+    const previous = lead.verificationResults[type];
+    const answers = (previous.consensus && previous.consensus.answers) || [];
+    const supporting = answers
+      .filter(answer => answer.status === status)
+      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+
+    const result = {
+      status,
+      provider: REVIEW_PROVIDER,
+      // A review settles the answers already given; it does not make them any fresher
+      verifiedAt: previous.verifiedAt,
+      details: supporting ? supporting.details || {} : previous.details,
+      confidence: supporting ? supporting.confidence || 0 : 0,
+      consensus: {
+        ...previous.consensus,
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }
+    };
+    return reverificationService.recordResults(lead, userId, { [type]: result });
+  }
+}
+
+module.exports = new VerificationReviewService();
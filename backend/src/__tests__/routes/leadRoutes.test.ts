@@ -0,0 +1,307 @@
+import express, { Request, Response, NextFunction } from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import leadRoutes from '../../../routes/leadRoutes';
+import Lead from '../../../models/Lead';
+import User from '../../models/User';
+
+// config/env exits without a database URI; the connection itself comes from setup.ts
+jest.mock('../../../config/env', () => {
+  process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/leadverifypro-test';
+  return jest.requireActual('../../../config/env');
+});
+// The routes load the compiled User model; the tests use the source one so no build is needed
+jest.mock('../../../dist/models/User', () => jest.requireActual('../../models/User').default, { virtual: true });
+// Requests are authenticated as the user id in the X-User-Id header
+jest.mock('../../../middleware/auth', () => {
+  const authenticate = (req: Request & { userId?: string }, res: Response, next: NextFunction) => {
+    const userId = req.header('X-User-Id');
+    if (!userId) {
+      return res.status(401).json({ success: false, error: { code: 'UNAUTHORIZED', message: 'Authentication required.' } });
+    }
+    req.userId = userId;
+    next();
+  };
+  return Object.assign(authenticate, { authenticate, auth: authenticate });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/leads', leadRoutes);
+
+describe('Lead API Routes', () => {
+  let userId: string;
+
+  const testLeads = () => [
+    {
+      fullName: 'John Doe',
+      email: 'john.doe@example.com',
+      address: '123 Test St',
+      city: 'Testville',
+      state: 'TX',
+      zipCode: '12345',
+      status: 'new',
+      user: userId
+    },
+    {
+      fullName: 'Jane Smith',
+      email: 'jane.smith@example.com',
+      address: '456 Example Ave',
+      city: 'Sampletown',
+      state: 'CA',
+      zipCode: '54321',
+      status: 'verified',
+      user: userId
+    }
+  ];
+
+  // setup.ts clears every collection before each test, so the user is created each time
+  beforeEach(async () => {
+    const user = await User.create({
+      email: 'test@example.com',
+      password: '$2b$10$test-hashed-password',
+      firstName: 'Test',
+      lastName: 'User'
+    });
+    userId = user._id.toString();
+  });
+
+  describe('GET /api/leads', () => {
+    it('should return the leads of the authenticated user', async () => {
+      await Lead.insertMany(testLeads());
+
+      const response = await request(app)
+        .get('/api/leads?sort=fullName')
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data.map((lead: { fullName: string }) => lead.fullName)).toEqual(['Jane Smith', 'John Doe']);
+      expect(response.body.data[0].nextTask).toBeNull();
+    });
+
+    it('should support filtering by status', async () => {
+      await Lead.insertMany(testLeads());
+
+      const response = await request(app)
+        .get('/api/leads?status=verified')
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].status).toBe('verified');
+    });
+  });
+
+  describe('POST /api/leads', () => {
+    it('should create a new lead in the initial stage', async () => {
+      const newLead = {
+        fullName: 'New Owner',
+        email: 'new.owner@example.com',
+        address: '789 New Lead Blvd'
+      };
+
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-User-Id', userId)
+        .send(newLead);
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.address).toBe(newLead.address);
+      expect(response.body.data.status).toBe('new');
+      expect(String(response.body.data.user)).toBe(userId);
+
+      // Verify it was saved to database
+      const savedLead = await Lead.findOne({ email: newLead.email });
+      expect(savedLead).not.toBeNull();
+      expect(savedLead.fullName).toBe(newLead.fullName);
+    });
+
+    it('should require the fields of the stage a lead is created in', async () => {
+      const newLead = {
+        fullName: 'New Owner',
+        email: 'new.owner@example.com',
+        status: 'offer_made'
+      };
+
+      const missing = await request(app)
+        .post('/api/leads')
+        .set('X-User-Id', userId)
+        .send(newLead);
+
+      expect(missing.status).toBe(422);
+      expect(missing.body.error.code).toBe('MISSING_REQUIRED_FIELDS');
+      expect(missing.body.error.details.missingFields).toEqual(['offerAmount']);
+      expect(await Lead.countDocuments()).toBe(0);
+
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-User-Id', userId)
+        .send({ ...newLead, offerAmount: 150000 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('offer_made');
+      expect(response.body.data.offerAmount).toBe(150000);
+    });
+
+    it('should return validation errors for invalid input', async () => {
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-User-Id', userId)
+        .send({ address: '1 Nameless Rd' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/leads/:id', () => {
+    it('should return a single lead by ID', async () => {
+      const lead = await Lead.create(testLeads()[0]);
+
+      const response = await request(app)
+        .get(`/api/leads/${lead._id}`)
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.address).toBe(lead.address);
+    });
+
+    it('should return 404 for non-existent lead', async () => {
+      const response = await request(app)
+        .get(`/api/leads/${new mongoose.Types.ObjectId()}`)
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for another user\'s lead', async () => {
+      const anotherUser = await User.create({
+        email: 'another@example.com',
+        password: '$2b$10$test-hashed-password'
+      });
+      const anotherUserLead = await Lead.create({ ...testLeads()[0], user: anotherUser._id });
+
+      const response = await request(app)
+        .get(`/api/leads/${anotherUserLead._id}`)
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/leads/:id', () => {
+    it('should update an existing lead', async () => {
+      const lead = await Lead.create(testLeads()[0]);
+
+      const updateData = {
+        fullName: 'Updated Owner',
+        status: 'contacted',
+        notes: 'This is a test note'
+      };
+
+      const response = await request(app)
+        .put(`/api/leads/${lead._id}`)
+        .set('X-User-Id', userId)
+        .send(updateData);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.fullName).toBe(updateData.fullName);
+      expect(response.body.data.status).toBe(updateData.status);
+      expect(response.body.data.notes).toBe(updateData.notes);
+
+      // Verify it was updated in database
+      const updatedLead = await Lead.findById(lead._id);
+      expect(updatedLead.fullName).toBe(updateData.fullName);
+    });
+
+    it('should ignore fields that only the server may change', async () => {
+      const [lead, otherLead] = await Lead.create(testLeads());
+
+      const response = await request(app)
+        .put(`/api/leads/${lead._id}`)
+        .set('X-User-Id', userId)
+        .send({
+          notes: 'Allowed change',
+          isDeleted: true,
+          deletedAt: new Date().toISOString(),
+          duplicateOf: otherLead._id,
+          matchKeys: { email: 'forged@example.com' },
+          verificationResults: { phone: { status: 'valid' } },
+          verificationReview: ['phone']
+        });
+
+      expect(response.status).toBe(200);
+
+      const updatedLead = await Lead.findById(lead._id);
+      expect(updatedLead).not.toBeNull();
+      expect(updatedLead.notes).toBe('Allowed change');
+      expect(updatedLead.isDeleted).toBe(false);
+      expect(updatedLead.deletedAt).toBeNull();
+      expect(updatedLead.duplicateOf).toBeUndefined();
+      expect(updatedLead.matchKeys.email).not.toBe('forged@example.com');
+      expect(updatedLead.verificationResults).toEqual({});
+      expect(updatedLead.verificationReview).toHaveLength(0);
+    });
+  });
+
+  describe('DELETE /api/leads/:id', () => {
+    it('should move an existing lead to the trash', async () => {
+      const lead = await Lead.create(testLeads()[0]);
+
+      const response = await request(app)
+        .delete(`/api/leads/${lead._id}`)
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.deletedAt).toBeTruthy();
+
+      // Hidden from normal queries, but kept in the database as soft-deleted
+      expect(await Lead.findById(lead._id)).toBeNull();
+      const trashedLead = await Lead.findById(lead._id).setOptions({ includeDeleted: true });
+      expect(trashedLead.isDeleted).toBe(true);
+      expect(String(trashedLead.deletedBy)).toBe(userId);
+
+      // Listed in the trash
+      const trash = await request(app)
+        .get('/api/leads/trash')
+        .set('X-User-Id', userId);
+
+      expect(trash.status).toBe(200);
+      expect(trash.body.data.leads.map((trashed: { _id?: string; id?: string }) => String(trashed._id || trashed.id))).toEqual([String(lead._id)]);
+    });
+
+    it('should restore a trashed lead', async () => {
+      const lead = await Lead.create(testLeads()[0]);
+      await request(app)
+        .delete(`/api/leads/${lead._id}`)
+        .set('X-User-Id', userId);
+
+      const response = await request(app)
+        .post(`/api/leads/trash/${lead._id}/restore`)
+        .set('X-User-Id', userId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      // Back in normal queries and out of the trash
+      const restoredLead = await Lead.findById(lead._id);
+      expect(restoredLead).not.toBeNull();
+      expect(restoredLead.isDeleted).toBe(false);
+      expect(restoredLead.deletedAt).toBeNull();
+
+      const trash = await request(app)
+        .get('/api/leads/trash')
+        .set('X-User-Id', userId);
+      expect(trash.body.data.leads).toHaveLength(0);
+    });
+  });
+});
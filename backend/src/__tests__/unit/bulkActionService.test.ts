@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import bulkActionService from '../../../services/bulkActionService';
+import pipelineService from '../../../services/pipelineService';
+import BulkActionJob from '../../../models/BulkActionJob';
+import Lead from '../../../models/Lead';
+
+// accountHelpers loads the environment config, which needs a database URI; these tests use the default pipeline
+jest.mock('../../../utils/accountHelpers', () => ({ canAccessFeature: jest.fn(), getOrganizationId: jest.fn() }));
+// The service loads the compiled User model, which these tests do not use
+jest.mock('../../../dist/models/User', () => ({}), { virtual: true });
+
+describe('bulkActionService', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count leads a viewer cannot change as failures and leave them unchanged', async () => {
+    const lead = new Lead({ fullName: 'John Doe', email: 'john.doe@example.com', status: 'new', user: ownerId });
+    const save = jest.spyOn(lead, 'save').mockResolvedValue(lead);
+    jest.spyOn(Lead, 'find').mockResolvedValue([lead]);
+    const updateJob = jest.spyOn(BulkActionJob, 'updateOne').mockResolvedValue({});
+
+    const job = new BulkActionJob({
+      user: viewerId,
+      action: 'change_status',
+      params: { status: 'contacted' },
+      leadIds: [lead._id],
+      counts: { total: 1 }
+    });
+    const context = {
+      pipeline: await pipelineService.getPipeline(null),
+      scope: {},
+      access: { organization: null, role: 'viewer', canManage: false, filter: {} }
+    };
+
+    await bulkActionService._processChunk(job, [lead._id], context);
+
+    expect(save).not.toHaveBeenCalled();
+    expect(lead.status).toBe('new');
+    expect(updateJob).toHaveBeenCalledWith({ _id: job._id }, expect.objectContaining({
+      $inc: { 'counts.processed': 1, 'counts.succeeded': 0, 'counts.failed': 1 },
+      $push: {
+        failures: {
+          $each: [{ lead: lead._id, reason: 'Only the lead\'s owner or an organization admin can change it.' }],
+          $slice: BulkActionJob.MAX_RECORDED_FAILURES
+        }
+      }
+    }));
+  });
+});
@@ -0,0 +1,62 @@
+import { CircuitBreaker, BREAKER_STATES } from '../../../utils/circuitBreaker';
+
+describe('CircuitBreaker', () => {
+  const now = 1000000;
+
+  it('should open after the failure threshold is reached in a row', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+
+    breaker.recordFailure(new Error('HTTP 503'), now);
+    expect(breaker.getState(now)).toBe(BREAKER_STATES.CLOSED);
+    breaker.recordFailure(new Error('HTTP 503'), now);
+    expect(breaker.getState(now)).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.tryAcquire(now)).toBe(false);
+    expect(breaker.snapshot(now)).toMatchObject({ failures: 2, lastError: 'HTTP 503', retryAt: new Date(now + 1000) });
+  });
+
+  it('should reset the failure count on success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+
+    breaker.recordFailure(new Error('HTTP 503'), now);
+    breaker.recordSuccess(now);
+    breaker.recordFailure(new Error('HTTP 503'), now);
+    expect(breaker.getState(now)).toBe(BREAKER_STATES.CLOSED);
+  });
+
+  it('should let one trial request through once the cooldown has passed', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('timeout'), now);
+
+    expect(breaker.getState(now + 999)).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.tryAcquire(now + 1000)).toBe(true);
+    expect(breaker.getState(now + 1000)).toBe(BREAKER_STATES.HALF_OPEN);
+    expect(breaker.tryAcquire(now + 1000)).toBe(false);
+
+    breaker.release();
+    expect(breaker.tryAcquire(now + 1000)).toBe(true);
+  });
+
+  it('should close after a successful trial and open again after a failed one', () => {
+    const closing = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    ['a', 'b', 'c'].forEach(message => closing.recordFailure(new Error(message), now));
+    closing.tryAcquire(now + 1000);
+    closing.recordSuccess(now + 1000);
+    expect(closing.getState(now + 1000)).toBe(BREAKER_STATES.CLOSED);
+
+    const reopening = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    ['a', 'b', 'c'].forEach(message => reopening.recordFailure(new Error(message), now));
+    reopening.tryAcquire(now + 1000);
+    reopening.recordFailure(new Error('still down'), now + 1000);
+    expect(reopening.getState(now + 1000)).toBe(BREAKER_STATES.OPEN);
+    expect(reopening.snapshot(now + 1000).retryAt).toEqual(new Date(now + 2000));
+  });
+
+  it('should close when reset by hand', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('timeout'), now);
+
+    breaker.reset();
+    expect(breaker.tryAcquire(now)).toBe(true);
+    expect(breaker.failures).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+import { combineAnswers } from '../../../services/verification/consensus';
+
+describe('combineAnswers', () => {
+  it('should return null when no provider answered', () => {
+    expect(combineAnswers([])).toBeNull();
+    expect(combineAnswers([{ error: 'timeout' }, { error: 'HTTP 503' }])).toBeNull();
+  });
+
+  it('should agree with confidence weighted by reliability when every provider agrees', () => {
+    const result = combineAnswers([
+      { status: 'valid', confidence: 90, reliability: 1, details: { carrier: 'A' } },
+      { status: 'valid', confidence: 70, reliability: 0.5, details: { carrier: 'B' } }
+    ]);
+
+    expect(result).toEqual({
+      status: 'valid',
+      confidence: Math.round((90 + 0.5 * 70) / 1.5),
+      details: { carrier: 'A' },
+      disagreement: false
+    });
+  });
+
+  it('should let the most weighted status win and flag the disagreement', () => {
+    const result = combineAnswers([
+      { status: 'valid', confidence: 60, reliability: 0.5 },
+      { status: 'invalid', confidence: 90, reliability: 1, details: { reason: 'disconnected' } }
+    ]);
+
+    expect(result.status).toBe('invalid');
+    expect(result.confidence).toBe(Math.round(90 / 1.5));
+    expect(result.details).toEqual({ reason: 'disconnected' });
+    expect(result.disagreement).toBe(true);
+  });
+
+  it('should break ties in favour of the preferred provider', () => {
+    const result = combineAnswers([
+      { status: 'invalid', confidence: 80 },
+      { status: 'valid', confidence: 80 }
+    ]);
+
+    expect(result.status).toBe('invalid');
+    expect(result.disagreement).toBe(true);
+  });
+
+  it('should ignore unknown answers for the status but count them against the confidence', () => {
+    const result = combineAnswers([
+      { status: 'unknown', confidence: 0 },
+      { status: 'valid', confidence: 80 }
+    ]);
+
+    expect(result.status).toBe('valid');
+    expect(result.confidence).toBe(40);
+    expect(result.disagreement).toBe(false);
+  });
+
+  it('should answer unknown only when no provider gave a definite answer', () => {
+    const result = combineAnswers([
+      { status: 'unknown', confidence: 0 },
+      { status: 'unknown', confidence: 0 },
+      { error: 'timeout' }
+    ]);
+
+    expect(result).toEqual({ status: 'unknown', confidence: 0, details: {}, disagreement: false });
+  });
+
+  it('should treat a provider without a configured reliability as fully reliable', () => {
+    const result = combineAnswers([
+      { status: 'valid', confidence: 50 },
+      { status: 'invalid', confidence: 90, reliability: 0.5 }
+    ]);
+
+    expect(result.status).toBe('valid');
+    expect(result.confidence).toBe(Math.round(50 / 1.5));
+  });
+});
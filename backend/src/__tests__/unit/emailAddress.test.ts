@@ -0,0 +1,25 @@
+import { parseEmail } from '../../../utils/emailAddress';
+
+describe('parseEmail', () => {
+  it('should normalize the address and suggest the intended domain of a typo', () => {
+    expect(parseEmail(' <John.Doe@Gmial.com> ')).toMatchObject({
+      valid: true,
+      normalized: 'john.doe@gmial.com',
+      local: 'john.doe',
+      domain: 'gmial.com',
+      suggestion: 'john.doe@gmail.com'
+    });
+    expect(parseEmail('mailto:jane@gmail.com')).toMatchObject({ valid: true, normalized: 'jane@gmail.com', suggestion: null });
+  });
+
+  it('should flag disposable domains and role accounts', () => {
+    expect(parseEmail('info@mailinator.com')).toMatchObject({ valid: true, disposable: true, roleAccount: true });
+    expect(parseEmail('sales+leads@company.com')).toMatchObject({ valid: true, disposable: false, roleAccount: true });
+  });
+
+  it('should reject malformed addresses and reserved domains', () => {
+    expect(parseEmail('jane').valid).toBe(false);
+    expect(parseEmail('jane@@gmail.com').valid).toBe(false);
+    expect(parseEmail('jane@example.com')).toMatchObject({ valid: false, reason: 'example.com is reserved and cannot receive mail.' });
+  });
+});
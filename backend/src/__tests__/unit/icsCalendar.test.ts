@@ -0,0 +1,55 @@
+import { escapeText, formatDateTime, foldLine, buildCalendar } from '../../../utils/icsCalendar';
+
+describe('icsCalendar', () => {
+  it('should escape text values', () => {
+    expect(escapeText('Call back; ask re: roof, gutters\nthen \\ offer')).toBe('Call back\\; ask re: roof\\, gutters\\nthen \\\\ offer');
+    expect(escapeText(null)).toBe('');
+  });
+
+  it('should format dates as UTC date-times', () => {
+    expect(formatDateTime(new Date('2024-01-31T15:30:00.123Z'))).toBe('20240131T153000Z');
+  });
+
+  it('should fold lines longer than 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(150)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines[0]).toHaveLength(75);
+    expect(lines.slice(1).every((line: string) => line.startsWith(' ') && Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.map((line: string, index: number) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(150)}`);
+  });
+
+  it('should not split multi-byte characters when folding', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+    expect(folded.split('\r\n').every((line: string) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  it('should build a calendar with one event per task', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    const ics = buildCalendar({
+      name: 'Follow-ups, Houston',
+      events: [{
+        uid: 'task-1@leadverifypro',
+        start: '2024-01-31T15:30:00Z',
+        summary: 'Call Jane Doe',
+        description: 'Ask about the roof',
+        alarmMinutes: 15
+      }]
+    }, now);
+    const lines = ics.split('\r\n');
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Follow-ups\\, Houston');
+    expect(lines).toContain('UID:task-1@leadverifypro');
+    expect(lines).toContain('DTSTAMP:20240101T000000Z');
+    expect(lines).toContain('DTSTART:20240131T153000Z');
+    expect(lines).toContain('DTEND:20240131T160000Z');
+    expect(lines).toContain('DESCRIPTION:Ask about the roof');
+    expect(lines).toContain('TRIGGER:-PT15M');
+    expect(lines.filter((line: string) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+    expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+  });
+});
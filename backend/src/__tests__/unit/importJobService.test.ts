@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import importJobService from '../../../services/importJobService';
+import leadDeduplicationService from '../../../services/leadDeduplicationService';
+import pipelineService from '../../../services/pipelineService';
+import suppressionService from '../../../services/suppressionService';
+import ImportJob from '../../../models/ImportJob';
+import Lead from '../../../models/Lead';
+
+// accountHelpers loads the environment config, which needs a database URI; these tests use the default pipeline
+jest.mock('../../../utils/accountHelpers', () => ({ getOrganizationId: jest.fn() }));
+
+type Entry = { row: number; lead: object };
+
+describe('importJobService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not insert the leads of a replayed chunk again', async () => {
+    const job = new ImportJob({
+      user: new mongoose.Types.ObjectId(),
+      filePath: 'leads.csv',
+      originalFilename: 'leads.csv',
+      fileType: '.csv',
+      duplicatePolicy: 'keep_both'
+    });
+    const rows = [
+      { fullName: 'John Doe', email: 'john.doe@example.com' },
+      { fullName: 'Jane Smith', email: 'jane.smith@example.com' }
+    ];
+
+    // Row 1 was inserted before the job was interrupted, row 2 was not
+    const alreadyImported = { setOptions: () => alreadyImported, select: () => alreadyImported, lean: async () => [{ importRow: 1 }] };
+    jest.spyOn(Lead, 'find').mockReturnValue(alreadyImported);
+    const resolveChunk = jest.spyOn(leadDeduplicationService, 'resolveChunk')
+      .mockImplementation(async (_job, entries) => ({
+        inserts: (entries as Entry[]).map(entry => entry.lead), updates: [], matches: [], updatedRows: 0
+      }));
+    const insertMany = jest.spyOn(Lead, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(suppressionService, 'scrubLeads').mockResolvedValue(0);
+    const updateJob = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({});
+
+    await importJobService._processRows(job, rows, 0, leadDeduplicationService.createContext(job), await pipelineService.getPipeline(null));
+
+    expect((resolveChunk.mock.calls[0][1] as Entry[]).map(entry => entry.row)).toEqual([2]);
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ email: 'jane.smith@example.com', importJob: job._id, importRow: 2 })]);
+    expect(updateJob).toHaveBeenCalledWith({ _id: job._id }, {
+      $inc: expect.objectContaining({ 'counts.processedRows': 2, 'counts.insertedRows': 2 })
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { parseQuery, compileQuery } from '../../../utils/leadQueryLanguage';
+import { BadRequestError } from '../../../utils/errors';
+import Lead from '../../../models/Lead';
+
+describe('leadQueryLanguage', () => {
+  const compile = (text: string, customFields: Array<object> = []) => compileQuery(text, { schema: Lead.schema, customFields });
+
+  it('should parse comparisons joined with AND', () => {
+    expect(parseQuery('score >= 50 AND county = "Fort Bend"')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'comparison', field: 'score', operator: '>=', value: { raw: '50', quoted: false, position: 9 } },
+        { type: 'comparison', field: 'county', operator: '=', value: { raw: 'Fort Bend', quoted: true, position: 25 } }
+      ]
+    });
+  });
+
+  it('should compile ranges, groups, negation and lists', () => {
+    const filter = compile('score BETWEEN 60 AND 90 AND (county = Harris OR NOT status IN (dead, rejected))');
+
+    expect(filter.$and[0]).toEqual({ score: { $gte: 60, $lte: 90 } });
+    const [county, notStatus] = filter.$and[1].$or;
+    expect(county.county).toBeInstanceOf(RegExp);
+    expect(county.county.test('harris')).toBe(true);
+    expect(county.county.test('Harrison')).toBe(false);
+    expect(notStatus).toEqual({ $nor: [{ status: { $in: ['dead', 'rejected'] } }] });
+  });
+
+  it('should compile custom fields, contains and exists', () => {
+    const filter = compile('cf.roof ~ metal AND email EXISTS', [{ key: 'roof', type: 'text' }]);
+
+    expect(filter.$and[0]['customFields.roof'].test('Standing seam METAL')).toBe(true);
+    expect(filter.$and[1]).toEqual({ email: { $exists: true, $ne: null } });
+  });
+
+  it('should reject unknown fields, mistyped values and malformed queries', () => {
+    expect(() => compile('nope = 1')).toThrow(new BadRequestError('Unknown field "nope".'));
+    expect(() => compile('score > abc')).toThrow('Field "score" expects a number, got "abc".');
+    expect(() => compile('score BETWEEN 1')).toThrow(BadRequestError);
+    expect(() => compile('(score = 1')).toThrow('Expected ")" at the end of the query.');
+  });
+});
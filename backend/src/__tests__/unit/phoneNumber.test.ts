@@ -0,0 +1,35 @@
+import { parsePhone, formatPhone } from '../../../utils/phoneNumber';
+
+describe('parsePhone', () => {
+  it('should normalize North American numbers to E.164 with their area code', () => {
+    const parsed = parsePhone('(713) 222-1234 ext. 12');
+
+    expect(parsed).toMatchObject({
+      valid: true,
+      e164: '+17132221234',
+      nationalFormat: '(713) 222-1234',
+      extension: '12',
+      areaCode: '713',
+      numberType: 'geographic'
+    });
+    expect(parsePhone('1.713.222.1234').e164).toBe('+17132221234');
+  });
+
+  it('should reject impossible North American numbers', () => {
+    expect(parsePhone('411-555-1234')).toMatchObject({ valid: false, reason: '411 is a service code, not an area code.' });
+    expect(parsePhone('212-911-1234').valid).toBe(false);
+    expect(parsePhone('713-555-0100')).toMatchObject({ valid: false, e164: '+17135550100' });
+    expect(parsePhone('123')).toMatchObject({ valid: false, reason: 'North American numbers have 10 digits.' });
+    expect(parsePhone('')).toMatchObject({ valid: false, reason: 'No phone number given.' });
+  });
+
+  it('should keep international numbers in E.164', () => {
+    expect(parsePhone('+44 20 7946 0958')).toMatchObject({ valid: true, e164: '+442079460958', numberType: 'international' });
+    expect(parsePhone('+44 20').valid).toBe(false);
+  });
+
+  it('should format numbers for display and leave unparseable input unchanged', () => {
+    expect(formatPhone('7132221234 x7')).toBe('(713) 222-1234 ext. 7');
+    expect(formatPhone(' not a number ')).toBe('not a number');
+  });
+});
@@ -0,0 +1,42 @@
+import pipelineService from '../../../services/pipelineService';
+import { BadRequestError, ValidationError } from '../../../utils/errors';
+
+// accountHelpers loads the environment config, which needs a database URI; these tests use the default pipeline
+jest.mock('../../../utils/accountHelpers', () => ({ getOrganizationId: jest.fn() }));
+
+describe('pipelineService', () => {
+  const userId = '64b000000000000000000001';
+  const leadIn = (status: string, fields: object = {}) => ({ status, stageHistory: [], ...fields });
+
+  it('should move a lead through an allowed transition and record it', async () => {
+    const pipeline = await pipelineService.getPipeline(null);
+    const lead = leadIn('contacted');
+
+    pipelineService.changeStage(lead, pipeline, 'offer_made', userId, { offerAmount: 150000 });
+
+    expect(lead.status).toBe('offer_made');
+    expect(lead.stageHistory.map((entry: { stage: string }) => entry.stage)).toEqual(['contacted', 'offer_made']);
+  });
+
+  it('should reject transitions the stage does not allow and missing required fields', async () => {
+    const pipeline = await pipelineService.getPipeline(null);
+
+    expect(() => pipelineService.changeStage(leadIn('new'), pipeline, 'closed', userId)).toThrow(BadRequestError);
+    expect(() => pipelineService.changeStage(leadIn('contacted'), pipeline, 'offer_made', userId))
+      .toThrow(new ValidationError('"Offer made" requires: offerAmount.'));
+  });
+
+  it('should not move a closed lead to any stage', async () => {
+    const pipeline = await pipelineService.getPipeline(null);
+    const lead = leadIn('closed');
+
+    pipeline.stages
+      .filter((stage: { key: string }) => stage.key !== 'closed')
+      .forEach((stage: { key: string }) => {
+        expect(() => pipelineService.changeStage(lead, pipeline, stage.key, userId, { offerAmount: 150000 }))
+          .toThrow('A lead in "Closed" cannot move to another stage.');
+      });
+    expect(lead.status).toBe('closed');
+    expect(lead.stageHistory).toHaveLength(0);
+  });
+});
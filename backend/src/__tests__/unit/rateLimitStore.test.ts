@@ -0,0 +1,56 @@
+import { MemoryRateLimitStore } from '../../../utils/rateLimitStore';
+
+describe('MemoryRateLimitStore', () => {
+  const now = Date.UTC(2024, 0, 31, 12, 0, 0);
+  let store = new MemoryRateLimitStore();
+
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+  });
+
+  it('should let a full bucket burst up to its capacity', async () => {
+    const limits = { rate: 1, capacity: 3, dayLimit: 0 };
+
+    for (let call = 1; call <= 3; call++) {
+      expect(await store.take('provider', limits, now)).toEqual({ waitMs: 0, usedToday: call, dayExhausted: false });
+    }
+    expect(await store.take('provider', limits, now)).toEqual({ waitMs: 1000, usedToday: 3, dayExhausted: false });
+  });
+
+  it('should refill at the bucket rate', async () => {
+    const limits = { rate: 2, capacity: 1, dayLimit: 0 };
+
+    await store.take('provider', limits, now);
+    expect((await store.take('provider', limits, now + 250)).waitMs).toBe(250);
+    expect((await store.take('provider', limits, now + 500)).waitMs).toBe(0);
+  });
+
+  it('should not refill beyond the capacity', async () => {
+    const limits = { rate: 10, capacity: 2, dayLimit: 0 };
+
+    await store.take('provider', limits, now);
+    const later = now + 60 * 1000;
+    expect((await store.take('provider', limits, later)).waitMs).toBe(0);
+    expect((await store.take('provider', limits, later)).waitMs).toBe(0);
+    expect((await store.take('provider', limits, later)).waitMs).toBeGreaterThan(0);
+  });
+
+  it('should refuse calls once the daily quota is used up, until the next UTC day', async () => {
+    const limits = { rate: 100, capacity: 100, dayLimit: 2 };
+
+    await store.take('provider', limits, now);
+    await store.take('provider', limits, now);
+    expect(await store.take('provider', limits, now)).toEqual({ waitMs: 0, usedToday: 2, dayExhausted: true });
+
+    const nextDay = Date.UTC(2024, 1, 1, 0, 0, 1);
+    expect(await store.take('provider', limits, nextDay)).toEqual({ waitMs: 0, usedToday: 1, dayExhausted: false });
+  });
+
+  it('should keep a bucket per key', async () => {
+    const limits = { rate: 1, capacity: 1, dayLimit: 0 };
+
+    await store.take('first', limits, now);
+    expect((await store.take('first', limits, now)).waitMs).toBeGreaterThan(0);
+    expect((await store.take('second', limits, now)).waitMs).toBe(0);
+  });
+});
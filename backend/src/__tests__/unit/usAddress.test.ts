@@ -0,0 +1,35 @@
+import { parseAddress, standardizeAddress, sameAddress, normalizeState } from '../../../utils/usAddress';
+
+describe('parseAddress', () => {
+  it('should split and standardize the parts of an address', () => {
+    expect(parseAddress('123 North Main Street Apt 4, Houston, Texas 77002-1234')).toMatchObject({
+      valid: true,
+      number: '123',
+      preDirectional: 'N',
+      streetName: 'MAIN',
+      suffix: 'ST',
+      unitType: 'APT',
+      unit: '4',
+      city: 'HOUSTON',
+      state: 'TX',
+      zip: '77002',
+      zip4: '1234',
+      standardizedAddress: '123 N MAIN ST APT 4, HOUSTON, TX 77002'
+    });
+  });
+
+  it('should standardize an address given in parts', () => {
+    expect(standardizeAddress({ address: '123 n main st #4', city: 'houston', state: 'tx', zip: '77002' }))
+      .toBe('123 N MAIN ST # 4, HOUSTON, TX 77002');
+  });
+
+  it('should match the same address written differently', () => {
+    expect(sameAddress('123 North Main Street', '123 N Main St')).toBe(true);
+    expect(sameAddress('123 N Main St', '125 N Main St')).toBe(false);
+  });
+
+  it('should normalize state names to their abbreviation', () => {
+    expect(normalizeState('texas')).toBe('TX');
+    expect(normalizeState('TX')).toBe('TX');
+  });
+});
@@ -0,0 +1,156 @@
+import registry, { VerificationAdapter } from '../../../services/verification';
+import outboundClient from '../../../services/outboundClient';
+import { ServiceUnavailableError } from '../../../utils/errors';
+
+// Usage accounting writes to the database; the adapters under test make no billed calls
+jest.mock('../../../services/usageAccountingService', () => ({ recordCall: jest.fn() }));
+
+// Provider answering with a fixed phone status
+const fixedPhoneAdapter = (status: string, confidence: number) => class extends VerificationAdapter {
+  constructor(integration: object) {
+    super(integration, 'phone');
+  }
+
+  async request({ phone }: { phone: string }) {
+    return { phone, status, score: confidence };
+  }
+
+  normalize(response: { phone: string, status: string, score: number }) {
+    return { status: response.status, confidence: response.score, details: { checked: response.phone } };
+  }
+};
+
+// Provider that is down
+class DownPhoneAdapter extends VerificationAdapter {
+  constructor(integration: object) {
+    super(integration, 'phone');
+  }
+
+  async request() {
+    throw new Error('HTTP 503');
+  }
+
+  normalize() {
+    return {};
+  }
+}
+
+registry.register('primary', 'phone', fixedPhoneAdapter('valid', 90));
+registry.register('secondary', 'phone', fixedPhoneAdapter('invalid', 60));
+registry.register('down', 'phone', DownPhoneAdapter);
+
+const integration = (provider: string, reliability?: number) => ({
+  name: `${provider} phone`,
+  provider,
+  type: 'phoneVerification',
+  reliability,
+  isNew: true
+});
+
+describe('VerificationAdapter', () => {
+  it('should normalize the provider response and stamp the provider', async () => {
+    const Adapter = fixedPhoneAdapter('valid', 140.4);
+    const result = await new Adapter(integration('primary')).verify({ phone: '+17132221234' });
+
+    expect(result).toEqual({
+      status: 'valid',
+      provider: 'primary',
+      verifiedAt: expect.any(Date),
+      details: { checked: '+17132221234' },
+      confidence: 100
+    });
+  });
+
+  it('should reject statuses the verification type does not allow', async () => {
+    const Adapter = fixedPhoneAdapter('confirmed', 50);
+
+    await expect(new Adapter(integration('primary')).verify({ phone: '+17132221234' }))
+      .rejects.toThrow('primary returned unsupported phone status confirmed');
+  });
+
+  it('should refuse adapters that do not extend VerificationAdapter', () => {
+    expect(() => registry.register('plain', 'phone', class {})).toThrow('must extend VerificationAdapter');
+    expect(() => registry.register('primary', 'fax', DownPhoneAdapter)).toThrow('Unknown verification type fax');
+  });
+});
+
+describe('VerificationProviderRegistry', () => {
+  const findIntegrations = jest.spyOn(outboundClient, 'findIntegrations');
+
+  afterEach(() => {
+    delete process.env.VERIFICATION_PROVIDER;
+    findIntegrations.mockReset();
+  });
+
+  it('should serve verifications from the mock adapters in mock mode', async () => {
+    process.env.VERIFICATION_PROVIDER = 'mock';
+
+    const { result, integration: used } = await registry.verify('phone', { phone: '(713) 222-1234' });
+
+    expect(used.provider).toBe('mock');
+    expect(result).toMatchObject({ status: 'valid', provider: 'mock' });
+    expect(result.details).toMatchObject({ e164: '+17132221234', areaCode: '713', countryCode: 'US' });
+    expect(findIntegrations).not.toHaveBeenCalled();
+  });
+
+  it('should settle impossible inputs with the local check without calling a provider', async () => {
+    const { result, integration: used } = await registry.verify('phone', { phone: '123' });
+
+    expect(used).toBeNull();
+    expect(result).toMatchObject({ status: 'invalid', confidence: 100, provider: 'local' });
+    expect(registry.isLocalResult(result)).toBe(true);
+    expect(findIntegrations).not.toHaveBeenCalled();
+  });
+
+  it('should send the provider the input cleaned up by the local check', async () => {
+    findIntegrations.mockResolvedValue([integration('primary')]);
+
+    const { result } = await registry.verify('phone', { phone: '(713) 222-1234' });
+
+    expect(result.details.checked).toBe('+17132221234');
+  });
+
+  it('should fail over to the next provider when one is down', async () => {
+    findIntegrations.mockResolvedValue([integration('down'), integration('primary')]);
+
+    const { result, integration: used } = await registry.verify('phone', { phone: '(713) 222-1234' });
+
+    expect(used.provider).toBe('primary');
+    expect(result).toMatchObject({ status: 'valid', provider: 'primary', confidence: 90 });
+  });
+
+  it('should report when every provider failed', async () => {
+    findIntegrations.mockResolvedValue([integration('down')]);
+
+    const error = await registry.verify('phone', { phone: '(713) 222-1234' }).catch((caught: Error) => caught);
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.message).toContain('HTTP 503');
+    expect(error.notConfigured).toBeUndefined();
+  });
+
+  it('should tell a type without integrations apart from an outage', async () => {
+    findIntegrations.mockResolvedValue([]);
+
+    const error = await registry.verify('phone', { phone: '(713) 222-1234' }).catch((caught: Error) => caught);
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.notConfigured).toBe(true);
+  });
+
+  it('should combine every provider answer in consensus mode', async () => {
+    findIntegrations.mockResolvedValue([integration('primary', 1), integration('secondary', 0.5), integration('down')]);
+
+    const { result, integration: used } = await registry.verifyConsensus('phone', { phone: '(713) 222-1234' });
+
+    expect(used).toBeNull();
+    expect(result).toMatchObject({ status: 'valid', provider: 'consensus', confidence: Math.round(90 / 1.5) });
+    expect(result.consensus.disagreement).toBe(true);
+    expect(result.consensus.answers.map((answer: { provider: string, status?: string, error?: string }) =>
+      [answer.provider, answer.status || answer.error])).toEqual([
+      ['primary', 'valid'],
+      ['secondary', 'invalid'],
+      ['down', 'HTTP 503']
+    ]);
+  });
+});
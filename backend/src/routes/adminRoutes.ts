@@ -10,6 +10,8 @@ import User from '../models/User'; // Import TypeScript User model
 // Import remaining JS models
 const Lead = require('../../models/Lead');
 const Organization = require('../../models/Organization');
+const leadTrashService = require('../../services/leadTrashService');
+const outboundClient = require('../../services/outboundClient');
 
 const router = express.Router();
 
@@ -256,6 +258,98 @@ router.post('/users', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/users/:userId/trash
+ * @desc    List a user's trashed leads (query: page, limit)
+ * @access  Admin
+ */
+router.get('/users/:userId/trash', async (req: Request, res: Response) => {
+  try {
+    if (req.userRole !== 'admin' && req.userRole !== 'superadmin') {
+      return res.status(403).json({ message: 'Only admins can view other users\' trash' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const page = Math.max(parseInt(req.query.page as string) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 20, 1), 100);
+    const { leads, total, retentionDays } = await leadTrashService.listTrash(req.params.userId, { page, limit });
+
+    res.json({
+      leads,
+      retentionDays,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin trash list error:', error);
+    res.status(500).json({ message: 'Error fetching user trash' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:userId/trash
+ * @desc    Permanently delete every lead in a user's trash
+ * @access  Admin
+ */
+router.delete('/users/:userId/trash', async (req: Request, res: Response) => {
+  try {
+    if (req.userRole !== 'admin' && req.userRole !== 'superadmin') {
+      return res.status(403).json({ message: 'Only admins can empty other users\' trash' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const deleted = await leadTrashService.emptyTrash(req.params.userId);
+
+    res.json({ message: 'Trash emptied successfully', deleted });
+  } catch (error) {
+    console.error('Admin empty trash error:', error);
+    res.status(500).json({ message: 'Error emptying user trash' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/integrations/breakers
+ * @desc    Circuit breaker state of the external API providers called by this server process
+ * @access  Admin
+ */
+router.get('/integrations/breakers', async (req: Request, res: Response) => {
+  if (req.userRole !== 'admin' && req.userRole !== 'superadmin') {
+    return res.status(403).json({ message: 'Only admins can view provider health' });
+  }
+
+  const breakers = outboundClient.getBreakerStates();
+  res.json({
+    breakers,
+    down: breakers.filter((breaker: { state: string }) => breaker.state === 'open').length
+  });
+});
+
+/**
+ * @route   POST /api/admin/integrations/breakers/:key/reset
+ * @desc    Close a provider's circuit breaker, e.g. once the provider is back up
+ * @access  Admin
+ */
+router.post('/integrations/breakers/:key/reset', async (req: Request, res: Response) => {
+  if (req.userRole !== 'admin' && req.userRole !== 'superadmin') {
+    return res.status(403).json({ message: 'Only admins can reset provider circuit breakers' });
+  }
+
+  if (!outboundClient.resetBreaker(req.params.key)) {
+    return res.status(404).json({ message: 'Circuit breaker not found' });
+  }
+  res.json({ message: 'Circuit breaker reset' });
+});
+
 // Additional routes can be added as needed
 
 export default router; 
\ No newline at end of file
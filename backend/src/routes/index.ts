@@ -2,19 +2,26 @@ import express, { Router, Request, Response } from 'express';
 
 // Import migrated TypeScript route modules
 import authRoutes from './authRoutes';
-import leadRoutes from './leadRoutes';
 import subscriptionRoutes from './subscriptionRoutes';
 import adminRoutes from './adminRoutes'; // Import from TypeScript file
 
 // Import existing JavaScript route modules (ensure they are .js or compiled to .js in your build process)
 // It's better to import them from their original location if they are not part of the TS build
 // For now, assuming they will be available in the dist folder or need to be accessed via require
+// Leads, imports, exports, lists, saved searches, bulk actions and the trash (MongoDB-backed)
+const leadRoutes = require('../../routes/leadRoutes');
 const geoSpatialRoutes = require('../../routes/geoSpatialRoutes'); // Adjust path if needed
 const aiRoutes = require('../../routes/aiRoutes'); // Adjust path if needed
 const documentAnalysisRoutes = require('../../routes/documentAnalysisRoutes'); // Adjust path if needed
 const propertyAnalysisRoutes = require('../../routes/propertyAnalysisRoutes'); // Adjust path if needed
 const firecrawlRoutes = require('../../routes/firecrawl'); // Adjust path if needed
 const verificationRoutes = require('../../routes/verificationRoutes'); // Adjust path if needed
+const pipelineRoutes = require('../../routes/pipelineRoutes');
+const taskRoutes = require('../../routes/taskRoutes');
+const notificationRoutes = require('../../routes/notificationRoutes');
+const suppressionListRoutes = require('../../routes/suppressionListRoutes');
+const consentRoutes = require('../../routes/consentRoutes');
+const usageRoutes = require('../../routes/usageRoutes');
 
 const router: Router = express.Router();
 
@@ -35,6 +42,12 @@ router.use('/document-analysis', documentAnalysisRoutes);
 router.use('/property-analysis', propertyAnalysisRoutes);
 router.use('/firecrawl', firecrawlRoutes);
 router.use('/verify', verificationRoutes);
+router.use('/pipeline', pipelineRoutes);
+router.use('/tasks', taskRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/suppression-lists', suppressionListRoutes);
+router.use('/consent', consentRoutes);
+router.use('/usage', usageRoutes);
 
 // Placeholder route handler
 const createPlaceholderRoute = (req: Request, res: Response) => {
@@ -48,9 +61,6 @@ const createPlaceholderRoute = (req: Request, res: Response) => {
 };
 
 // Placeholder routes
-router.post('/leads/import', createPlaceholderRoute);
-router.get('/leads/export', createPlaceholderRoute);
-
 router.get('/users/me', createPlaceholderRoute);
 router.put('/users/me', createPlaceholderRoute);
 router.put('/users/me/password', createPlaceholderRoute);
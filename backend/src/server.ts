@@ -30,6 +30,20 @@ import seedDefaultUser from './utils/seedUsers';
 const firecrawlRoutes = require('../routes/firecrawl');
 // Import verification routes - kept as require for backward compatibility
 const verificationRoutes = require('../routes/verificationRoutes');
+// Audit context: attributes model changes made during a request to its user and source
+const { auditContextMiddleware } = require('../utils/auditContext');
+// Purges trashed leads once their retention period has passed
+const leadTrashService = require('../services/leadTrashService');
+// Sends follow-up task reminders as in-app notifications
+const taskService = require('../services/taskService');
+// Re-verifies requested leads and leads with stale verification results
+const reverificationService = require('../services/reverificationService');
+// Resumes batch verification jobs that paused on provider limits or were interrupted
+const verificationJobService = require('../services/verificationJobService');
+// Resumes lead imports that were interrupted, or still queued, when the server stopped
+const importJobService = require('../services/importJobService');
+// Resumes bulk actions that were interrupted, or still queued, when the server stopped
+const bulkActionService = require('../services/bulkActionService');
 
 // Import rate limiting middleware
 import { apiLimiter, authLimiter, verificationLimiter } from './middleware/rateLimit';
@@ -154,13 +168,27 @@ connectDB().then(async connected => {
   
   // Seed default admin user if needed
   await seedDefaultUser();
+
+  // Purge expired leads from the trash now and periodically
+  leadTrashService.startPurgeSchedule();
+  // Send due task reminders every minute
+  taskService.startReminderSchedule();
+  // Re-verify requested leads, and stale leads within each organization's budget, every hour
+  reverificationService.startSchedule();
+  // Resume paused and interrupted batch verification jobs every minute
+  verificationJobService.startSchedule();
+  // Resume interrupted and left-over import jobs every minute
+  importJobService.startSchedule();
+  // Resume interrupted and left-over bulk action jobs every minute
+  bulkActionService.startSchedule();
   
 }).catch(err => {
   console.error('Critical error during the database connection process. Server cannot start. Exiting.', err instanceof Error ? err.message : String(err));
   process.exit(1); // Exit on unexpected errors during the connection attempt itself
 });
 
-// Mount the main router
+// Open an audit context for every API request, then mount the main router
+app.use('/api', auditContextMiddleware());
 app.use('/api', mainRouter);
 
 // API Documentation route
@@ -0,0 +1,21 @@
+// JavaScript modules of the backend imported by the TypeScript tests; they have no type declarations
+declare module '*/services/verification';
+declare module '*/services/outboundClient';
+declare module '*/utils/errors';
+declare module '*/utils/leadQueryLanguage';
+declare module '*/models/Lead';
+declare module '*/utils/icsCalendar';
+declare module '*/utils/phoneNumber';
+declare module '*/utils/emailAddress';
+declare module '*/utils/usAddress';
+declare module '*/utils/circuitBreaker';
+declare module '*/utils/rateLimitStore';
+declare module '*/services/verification/consensus';
+declare module '*/routes/leadRoutes';
+declare module '*/services/pipelineService';
+declare module '*/services/bulkActionService';
+declare module '*/models/BulkActionJob';
+declare module '*/services/importJobService';
+declare module '*/services/leadDeduplicationService';
+declare module '*/services/suppressionService';
+declare module '*/models/ImportJob';
@@ -109,6 +109,7 @@ const canAccessFeature = (user, feature) => {
   // Feature-specific checks
   switch (feature) {
     case 'advancedSearch':
+    case 'bulkActions':
     case 'bulkExport':
     case 'customReports':
     case 'apiAccess':
@@ -224,6 +225,16 @@ const resetMonthlyUsageStats = async () => {
   }
 };
 
+/**
+ * Get the ID of the organization a user belongs to
+ * @param {String} userId - User ID
+ * @returns {Promise<ObjectId|null>} Organization ID, or null if the user has no team
+ */
+const getOrganizationId = async (userId) => {
+  const user = await User.findById(userId).select('team.organization').lean();
+  return (user && user.team && user.team.organization) || null;
+};
+
 // Export all utilities
 module.exports = {
   hasExceededLeadLimit,
@@ -232,5 +243,6 @@ module.exports = {
   canAccessFeature,
   trackLeadUpload,
   trackApiCall,
-  resetMonthlyUsageStats
+  resetMonthlyUsageStats,
+  getOrganizationId
 }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Audit Context
+ *
+ * Carries who is making a change, and through which channel, from the request
+ * (or background job) down to the model hooks that write the audit history,
+ * without passing it through every service call.
+ *
+ * Sources: api, import, scraper, admin and system (anything outside a request or job).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const AUDIT_SOURCES = ['api', 'import', 'scraper', 'admin', 'system'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with an audit context
+ * @param {Object} context - { source, actor, importJob }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithAuditContext = (context, fn) => storage.run({ source: 'system', ...context }, fn);
+
+/**
+ * Get the current audit context
+ * The actor of a request is read lazily, because authentication runs after this middleware.
+ * @returns {Object} { source, actor, importJob }
+ */
+const getAuditContext = () => {
+  const context = storage.getStore();
+  if (!context) {
+    return { source: 'system', actor: null };
+  }
+
+  return {
+    source: context.source,
+    actor: context.req ? context.req.userId || null : context.actor || null,
+    importJob: context.importJob
+  };
+};
+
+/**
+ * Work out the source of a request from its path
+ * @param {Object} req - Express request
+ * @returns {string} admin, scraper or api
+ */
+const sourceFromRequest = (req) => {
+  const url = req.originalUrl || req.url || '';
+  if (/^\/api\/admin(\/|$|\?)/.test(url)) return 'admin';
+  if (/^\/api\/firecrawl(\/|$|\?)/.test(url)) return 'scraper';
+  return 'api';
+};
+
+/**
+ * Express middleware opening an audit context for each request
+ * @returns {Function} Middleware
+ */
+const auditContextMiddleware = () => (req, res, next) => {
+  storage.run({ source: sourceFromRequest(req), req }, next);
+};
+
+module.exports = {
+  AUDIT_SOURCES,
+  runWithAuditContext,
+  getAuditContext,
+  auditContextMiddleware
+};
@@ -0,0 +1,130 @@
+/**
+ * Circuit Breaker
+ * Stops calling a provider that keeps failing. After `failureThreshold` failed requests
+ * in a row the breaker opens and requests are refused for `cooldownMs`; then one trial
+ * request is let through (half open), which closes the breaker on success or opens it
+ * again on failure.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold (default 5), cooldownMs (default 30s) }
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Current state; an open breaker turns half open once its cooldown has passed
+   * @param {number} now - Time in ms (default now)
+   * @returns {string} closed, open or half_open
+   */
+  getState(now = Date.now()) {
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+    return this.state;
+  }
+
+  /**
+   * Take permission for a request
+   * A half open breaker lets only one trial request through at a time.
+   * @param {number} now - Time in ms (default now)
+   * @returns {boolean} Whether the request may be made
+   */
+  tryAcquire(now = Date.now()) {
+    const state = this.getState(now);
+    if (state === STATES.CLOSED) {
+      return true;
+    }
+    if (state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Give back a permission taken with tryAcquire when no request was made after all
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a successful request
+   * @param {number} now - Time in ms (default now)
+   */
+  recordSuccess(now = Date.now()) {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = now;
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Why it failed
+   * @param {number} now - Time in ms (default now)
+   */
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = now;
+    this.trialInFlight = false;
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * Close the breaker by hand, e.g. after the provider was fixed
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * State of the breaker for display
+   * @param {number} now - Time in ms (default now)
+   * @returns {Object} { state, failures, openedAt, retryAt, lastError, lastFailureAt, lastSuccessAt }
+   */
+  snapshot(now = Date.now()) {
+    const state = this.getState(now);
+    const toDate = time => (time ? new Date(time) : null);
+    return {
+      state,
+      failures: this.failures,
+      openedAt: toDate(this.openedAt),
+      retryAt: state === STATES.OPEN ? new Date(this.openedAt + this.cooldownMs) : null,
+      lastError: this.lastError,
+      lastFailureAt: toDate(this.lastFailureAt),
+      lastSuccessAt: toDate(this.lastSuccessAt)
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  BREAKER_STATES: STATES
+};
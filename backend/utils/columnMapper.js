@@ -0,0 +1,310 @@
+/**
+ * Column Mapper Utility
+ *
+ * Maps spreadsheet columns to Lead fields using explicit mapping rules, and
+ * suggests rules for an unseen file from its header row.
+ *
+ * A mapping is an array of rules of the form:
+ *   { field: 'phone', columns: ['Wireless 1', 'Landline 1'], transform: 'firstNonEmpty', options: {} }
+ */
+
+const { BadRequestError } = require('./errors');
+
+/**
+ * Lead fields that can be mapped, with header synonyms used for suggestions.
+ * Synonyms are compared after normalizing headers (lowercase, alphanumerics only).
+ */
+const TARGET_FIELDS = {
+  fullName: ['ownerfullname', 'fullname', 'name', 'ownername', 'owner', 'contactname'],
+  firstName: ['ownerfirstname', 'firstname', 'first', 'fname'],
+  lastName: ['ownerlastname', 'lastname', 'last', 'lname', 'surname'],
+  email: ['email', 'emailaddress', 'email1', 'owneremail', 'email2', 'email3'],
+  phone: ['phone', 'phonenumber', 'wireless1', 'mobile', 'cell', 'landline1', 'primaryphone'],
+  phoneNumbers: ['wireless', 'landline', 'phone', 'mobile', 'cell'],
+  address: ['propertyaddress', 'address', 'siteaddress', 'situsaddress', 'streetaddress', 'street'],
+  city: ['propertycity', 'city', 'sitecity', 'situscity'],
+  zipCode: ['propertyzip', 'zip', 'zipcode', 'postalcode', 'sitezip', 'situszip'],
+  county: ['countyname', 'county'],
+  state: ['propertystate', 'state', 'sitestate', 'st'],
+  company: ['company', 'companyname', 'business'],
+  notes: ['notes', 'comments', 'remarks']
+};
+
+// Fields that hold a list of values rather than a single value
+const LIST_FIELDS = ['phoneNumbers'];
+
+const TRANSFORMS = ['direct', 'firstNonEmpty', 'join', 'splitName', 'collect'];
+
+/**
+ * Normalize a header for comparison
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Convert a cell value to a trimmed string
+ * @param {*} value - Cell value
+ * @returns {string} Trimmed string ('' for empty cells)
+ */
+const cellToString = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+};
+
+/**
+ * Split a full name into parts
+ * Handles "First Middle Last", "Last, First" and county style "Last First & Spouse" names.
+ * @param {string} fullName - Full name
+ * @param {string} order - firstLast (default) or lastFirst
+ * @returns {Object} { first, middle, last }
+ */
+const splitName = (fullName, order = 'firstLast') => {
+  // Drop co-owners ("Walsh William & Carol" -> "Walsh William")
+  let name = cellToString(fullName).split(/\s+(?:&|and)\s+/i)[0].trim();
+  let nameOrder = order;
+
+  if (name.includes(',')) {
+    const [last, rest] = name.split(',', 2);
+    name = `${last.trim()} ${rest.trim()}`.trim();
+    nameOrder = 'lastFirst';
+  }
+
+  const parts = name.split(/\s+/).filter(Boolean);
+  if (parts.length === 0) {
+    return { first: '', middle: '', last: '' };
+  }
+  if (parts.length === 1) {
+    return { first: parts[0], middle: '', last: '' };
+  }
+
+  if (nameOrder === 'lastFirst') {
+    return { last: parts[0], first: parts[1], middle: parts.slice(2).join(' ') };
+  }
+  return { first: parts[0], middle: parts.slice(1, -1).join(' '), last: parts[parts.length - 1] };
+};
+
+/**
+ * Apply a single mapping rule to a row
+ * @param {Object} row - Raw spreadsheet row keyed by header
+ * @param {Object} rule - Mapping rule
+ * @returns {string|Array<string>} Mapped value
+ */
+const applyRule = (row, rule) => {
+  const values = (rule.columns || []).map(column => cellToString(row[column]));
+  const nonEmpty = values.filter(Boolean);
+  const options = rule.options || {};
+
+  switch (rule.transform) {
+    case 'firstNonEmpty':
+      return nonEmpty[0] || '';
+    case 'join':
+      return nonEmpty.join(options.separator !== undefined ? options.separator : ' ');
+    case 'splitName': {
+      const parts = splitName(nonEmpty[0] || '', options.order);
+      return parts[options.part || 'first'] || '';
+    }
+    case 'collect':
+      return Array.from(new Set(nonEmpty));
+    case 'direct':
+    default:
+      return values[0] || '';
+  }
+};
+
+/**
+ * Validate a mapping supplied by a client
+ * @param {Array<Object>} mapping - Mapping rules
+ * @returns {Array<Object>} The validated rules
+ * @throws {BadRequestError} If a rule is malformed
+ */
+const validateMapping = (mapping) => {
+  if (!Array.isArray(mapping) || mapping.length === 0) {
+    throw new BadRequestError('Mapping must be a non-empty array of rules.');
+  }
+
+  mapping.forEach((rule, index) => {
+    if (!rule || !Object.prototype.hasOwnProperty.call(TARGET_FIELDS, rule.field)) {
+      throw new BadRequestError(`Rule ${index + 1}: unknown field "${rule && rule.field}".`);
+    }
+    if (!Array.isArray(rule.columns) || rule.columns.length === 0) {
+      throw new BadRequestError(`Rule ${index + 1}: at least one source column is required.`);
+    }
+    if (rule.transform && !TRANSFORMS.includes(rule.transform)) {
+      throw new BadRequestError(`Rule ${index + 1}: unknown transform "${rule.transform}".`);
+    }
+    if (rule.transform === 'splitName' && rule.options && rule.options.part &&
+        !['first', 'middle', 'last'].includes(rule.options.part)) {
+      throw new BadRequestError(`Rule ${index + 1}: splitName part must be first, middle or last.`);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Map a raw row to standardized lead data using mapping rules
+ * Produces the same shape as the default column guessing in leadFileParser.
+ * @param {Object} row - Raw spreadsheet row keyed by header
+ * @param {Array<Object>} mapping - Mapping rules
+ * @returns {Object} Standardized lead data
+ */
+const applyMapping = (row, mapping) => {
+  const leadData = {
+    fullName: '',
+    firstName: '',
+    lastName: '',
+    address: '',
+    phoneNumbers: [],
+    primaryPhone: '',
+    email: '',
+    county: '',
+    state: '',
+    rawData: { ...row }
+  };
+
+  mapping.forEach(rule => {
+    const value = applyRule(row, rule);
+
+    if (LIST_FIELDS.includes(rule.field)) {
+      const list = Array.isArray(value) ? value : [value].filter(Boolean);
+      leadData[rule.field] = Array.from(new Set([...leadData[rule.field], ...list]));
+    } else {
+      leadData[rule.field] = Array.isArray(value) ? (value[0] || '') : value;
+    }
+  });
+
+  if (!leadData.fullName && (leadData.firstName || leadData.lastName)) {
+    leadData.fullName = `${leadData.firstName} ${leadData.lastName}`.trim();
+  }
+
+  // Keep phone and phoneNumbers consistent whichever one was mapped
+  if (leadData.phone && !leadData.phoneNumbers.includes(leadData.phone)) {
+    leadData.phoneNumbers.unshift(leadData.phone);
+  }
+  leadData.primaryPhone = leadData.phoneNumbers[0] || '';
+
+  // Lead requires an email; use the same placeholder as column guessing
+  if (!leadData.email) {
+    leadData.email = 'no-email@example.com';
+  }
+
+  return leadData;
+};
+
+/**
+ * Suggest mapping rules for a file from its headers
+ * Exact synonym matches score highest; columns that only contain a synonym score lower.
+ * Numbered columns such as "Wireless 1".."Wireless 5" are collected into phoneNumbers.
+ * @param {Array<string>} headers - Column headers in file order
+ * @returns {Array<Object>} Suggested rules, each with a confidence between 0 and 1
+ */
+const suggestMappings = (headers) => {
+  const normalized = headers.map(header => ({ header, key: normalizeHeader(header) }));
+  const suggestions = [];
+
+  const candidates = [];
+
+  Object.entries(TARGET_FIELDS).forEach(([field, synonyms]) => {
+    if (LIST_FIELDS.includes(field)) {
+      const columns = normalized
+        .filter(({ key }) => synonyms.some(synonym => key.startsWith(synonym)))
+        .map(({ header }) => header);
+      if (columns.length > 0) {
+        suggestions.push({ field, columns, transform: 'collect', options: {}, confidence: 0.9 });
+      }
+      return;
+    }
+
+    // Earlier synonyms are more specific, so they score slightly higher
+    normalized.forEach(({ header, key }) => {
+      synonyms.forEach((synonym, index) => {
+        let confidence = 0;
+        if (key === synonym) {
+          confidence = 1 - (index * 0.02);
+        } else if (key.includes(synonym) && synonym.length > 3) {
+          confidence = 0.6 - (index * 0.02);
+        }
+        if (confidence > 0) {
+          candidates.push({ field, header, confidence });
+        }
+      });
+    });
+  });
+
+  // Assign the strongest matches first; each field and each column is used once
+  const assignedFields = new Set();
+  const assignedHeaders = new Set();
+  candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(({ field, header, confidence }) => {
+      if (assignedFields.has(field) || assignedHeaders.has(header)) return;
+      assignedFields.add(field);
+      assignedHeaders.add(header);
+      suggestions.push({
+        field,
+        columns: [header],
+        transform: 'direct',
+        options: {},
+        confidence: Math.round(confidence * 100) / 100
+      });
+    });
+
+  // Build the full name from first and last name columns when there is no full name column
+  const firstName = suggestions.find(rule => rule.field === 'firstName');
+  const lastName = suggestions.find(rule => rule.field === 'lastName');
+  if (!assignedFields.has('fullName') && firstName && lastName) {
+    suggestions.push({
+      field: 'fullName',
+      columns: [...firstName.columns, ...lastName.columns],
+      transform: 'join',
+      options: { separator: ' ' },
+      confidence: 0.8
+    });
+  }
+
+  // Without first/last name columns, derive them from the full name column
+  const fullName = suggestions.find(rule => rule.field === 'fullName');
+  ['firstName', 'lastName'].forEach(field => {
+    if (fullName && !suggestions.some(rule => rule.field === field)) {
+      suggestions.push({
+        field,
+        columns: fullName.columns,
+        transform: 'splitName',
+        options: { part: field === 'firstName' ? 'first' : 'last' },
+        confidence: 0.5
+      });
+    }
+  });
+
+  // Prefer the first non-empty phone across all phone columns
+  const phoneNumbers = suggestions.find(rule => rule.field === 'phoneNumbers');
+  const phone = suggestions.find(rule => rule.field === 'phone');
+  if (phone && phoneNumbers && phoneNumbers.columns.length > 1) {
+    phone.columns = phoneNumbers.columns;
+    phone.transform = 'firstNonEmpty';
+  }
+
+  // Same for numbered email columns
+  const emailColumns = normalized
+    .filter(({ key }) => /^email\d+$/.test(key))
+    .map(({ header }) => header);
+  const email = suggestions.find(rule => rule.field === 'email');
+  if (email && emailColumns.length > 1) {
+    email.columns = emailColumns;
+    email.transform = 'firstNonEmpty';
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  TARGET_FIELDS,
+  TRANSFORMS,
+  applyMapping,
+  applyRule,
+  validateMapping,
+  suggestMappings,
+  splitName,
+  normalizeHeader
+};
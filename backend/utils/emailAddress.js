@@ -0,0 +1,197 @@
+/**
+ * Email Address Utility
+ *
+ * Offline checks of email addresses: syntax, domains that can never receive mail,
+ * disposable (temporary inbox) domains, role accounts such as info@ and admin@ that
+ * reach a team rather than a person, and likely typos of common mail domains
+ * (gmial.com -> gmail.com). Whether the mailbox exists is left to the email
+ * verification provider.
+ */
+
+const natural = require('natural');
+
+// Longest address and local part allowed by RFC 5321
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const MAX_LABEL_LENGTH = 63;
+
+// Characters allowed unquoted in a local part (RFC 5322 atext)
+const LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+const TLD_PATTERN = /^(?:[a-z]{2,}|xn--[a-z0-9-]+)$/;
+
+// Top-level domains and domains reserved for documentation and testing (RFC 2606)
+const RESERVED_TLDS = ['example', 'invalid', 'localhost', 'test', 'local'];
+const RESERVED_DOMAINS = ['example.com', 'example.net', 'example.org'];
+
+// Temporary inbox providers
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonbox.net', 'burnermail.io',
+  'discard.email', 'dispostable.com', 'dropmail.me', 'emailondeck.com', 'fakeinbox.com', 'getairmail.com',
+  'getnada.com', 'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.net',
+  'guerrillamail.org', 'guerrillamailblock.com', 'harakirimail.com', 'inboxkitten.com', 'mailcatch.com',
+  'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailnesia.com', 'mailpoof.com', 'mintemail.com',
+  'moakt.com', 'mohmal.com', 'mytemp.email', 'sharklasers.com', 'spam4.me', 'spamgourmet.com', 'temp-mail.io',
+  'temp-mail.org', 'tempail.com', 'tempinbox.com', 'tempmail.com', 'tempmail.net', 'tempmailo.com', 'tempr.email',
+  'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'trashmail.net', 'yopmail.com', 'yopmail.fr',
+  'yopmail.net'
+]);
+
+// Local parts that reach a team or a system rather than a person
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'accounting', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact', 'customerservice',
+  'enquiries', 'frontdesk', 'hello', 'help', 'hostmaster', 'hr', 'info', 'inquiries', 'jobs', 'legal', 'mail',
+  'marketing', 'media', 'no-reply', 'noreply', 'office', 'postmaster', 'press', 'privacy', 'reception', 'sales',
+  'security', 'service', 'support', 'team', 'webmaster'
+]);
+
+// Mail domains common enough that a near miss is almost certainly a typo
+const COMMON_DOMAINS = [
+  'aol.com', 'att.net', 'bellsouth.net', 'charter.net', 'comcast.net', 'cox.net', 'earthlink.net', 'gmail.com',
+  'googlemail.com', 'hotmail.com', 'icloud.com', 'live.com', 'mac.com', 'me.com', 'msn.com', 'outlook.com',
+  'protonmail.com', 'sbcglobal.net', 'verizon.net', 'yahoo.com', 'ymail.com'
+];
+
+/**
+ * Edits allowed between a domain and the common domain it is suggested as
+ * @param {string} common - Common domain
+ * @returns {number} 1, or 2 for long domains such as googlemail.com
+ */
+const maxTypoDistance = (common) => (common.length >= 12 ? 2 : 1);
+
+/**
+ * Common mail domain a domain is likely a typo of
+ * @param {string} domain - Lowercase domain
+ * @returns {string|null} The common domain, or null when the domain is common or not close to one
+ */
+const suggestDomain = (domain) => {
+  if (COMMON_DOMAINS.includes(domain)) {
+    return null;
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+  COMMON_DOMAINS.forEach(common => {
+    const distance = natural.DamerauLevenshteinDistance(domain, common);
+    if (distance <= maxTypoDistance(common) && distance < bestDistance) {
+      best = common;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * Why a domain cannot receive mail, or null
+ * @param {string} domain - Lowercase domain
+ * @returns {string|null}
+ */
+const findDomainProblem = (domain) => {
+  const labels = domain.split('.');
+  if (labels.length < 2) {
+    return 'The domain needs a top-level domain such as .com.';
+  }
+  if (labels.some(label => label.length > MAX_LABEL_LENGTH || !DOMAIN_LABEL_PATTERN.test(label))) {
+    return `${domain} is not a valid domain.`;
+  }
+
+  const tld = labels[labels.length - 1];
+  if (!TLD_PATTERN.test(tld)) {
+    return `.${tld} is not a valid top-level domain.`;
+  }
+  if (RESERVED_TLDS.includes(tld) || RESERVED_DOMAINS.includes(labels.slice(-2).join('.'))) {
+    return `${domain} is reserved and cannot receive mail.`;
+  }
+  return null;
+};
+
+/**
+ * Whether a domain, or the domain it is a subdomain of, is a disposable inbox provider
+ * @param {string} domain - Domain
+ * @returns {boolean}
+ */
+const isDisposableDomain = (domain) => {
+  const labels = String(domain || '').toLowerCase().split('.');
+  return labels.some((_label, index) => index < labels.length - 1 && DISPOSABLE_DOMAINS.has(labels.slice(index).join('.')));
+};
+
+/**
+ * Whether a local part is a role account, ignoring any +tag
+ * @param {string} local - Local part
+ * @returns {boolean}
+ */
+const isRoleAccount = (local) => ROLE_ACCOUNTS.has(String(local || '').toLowerCase().split('+')[0]);
+
+/**
+ * Parse an email address
+ *
+ * Accepts the address with surrounding whitespace, angle brackets or a mailto: prefix.
+ * Quoted local parts and IP address domains are not accepted; lead sources do not use them.
+ *
+ * @param {string} input - Email address as written
+ * @returns {Object} {
+ *   valid, reason (why it is invalid), normalized (lowercase address), local, domain,
+ *   disposable, roleAccount, suggestion (address with the likely intended domain)
+ * }
+ *   disposable, roleAccount and suggestion are set for syntactically valid addresses only.
+ */
+const parseEmail = (input) => {
+  const result = {
+    valid: false,
+    reason: null,
+    normalized: '',
+    local: null,
+    domain: null,
+    disposable: false,
+    roleAccount: false,
+    suggestion: null
+  };
+
+  const address = String(input || '').trim().replace(/^<(.*)>$/, '$1').replace(/^mailto:/i, '').trim().toLowerCase();
+  if (!address) {
+    result.reason = 'No email address given.';
+    return result;
+  }
+
+  const at = address.lastIndexOf('@');
+  if (at < 1 || at === address.length - 1) {
+    result.reason = 'Email addresses need a name, an @ and a domain.';
+    return result;
+  }
+
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  Object.assign(result, { normalized: address, local, domain });
+
+  if (address.length > MAX_ADDRESS_LENGTH) {
+    result.reason = `Email addresses have at most ${MAX_ADDRESS_LENGTH} characters.`;
+    return result;
+  }
+  if (local.length > MAX_LOCAL_LENGTH) {
+    result.reason = `The part before the @ has at most ${MAX_LOCAL_LENGTH} characters.`;
+    return result;
+  }
+  if (!LOCAL_PART_PATTERN.test(local)) {
+    result.reason = `"${local}" is not a valid name before the @.`;
+    return result;
+  }
+  result.reason = findDomainProblem(domain);
+  if (result.reason) {
+    return result;
+  }
+
+  const suggested = suggestDomain(domain);
+  return {
+    ...result,
+    valid: true,
+    disposable: isDisposableDomain(domain),
+    roleAccount: isRoleAccount(local),
+    suggestion: suggested ? `${local}@${suggested}` : null
+  };
+};
+
+module.exports = {
+  parseEmail,
+  isDisposableDomain,
+  isRoleAccount
+};
@@ -59,6 +59,13 @@ class ValidationError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests') {
+    super(message, 429);
+    this.name = 'TooManyRequestsError';
+  }
+}
+
 class InternalServerError extends AppError {
   constructor(message = 'Internal server error') {
     super(message, 500);
@@ -66,6 +73,13 @@ class InternalServerError extends AppError {
   }
 }
 
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable') {
+    super(message, 503);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
 /**
  * Global error handler middleware for Express
  * @param {Error} err - The error object
@@ -111,6 +125,8 @@ module.exports = {
   NotFoundError,
   ConflictError,
   ValidationError,
+  TooManyRequestsError,
   InternalServerError,
+  ServiceUnavailableError,
   errorHandler
 }; 
\ No newline at end of file
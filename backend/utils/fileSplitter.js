@@ -8,8 +8,13 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const xlsx = require('xlsx');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 
+// Excel files above either threshold are split before processing
+const EXCEL_SPLIT_SIZE_BYTES = 2 * 1024 * 1024; // 2MB
+const EXCEL_ROWS_PER_CHUNK = 5000;
+
 /**
  * Split a large CSV file into smaller chunks
  * @param {string} filePath - Path to the CSV file
@@ -152,8 +157,92 @@ const readCsvFile = (filePath) => {
   });
 };
 
+/**
+ * Check whether an Excel file is large enough to be split into chunks
+ * @param {string} filePath - Path to the Excel file
+ * @param {number} maxRows - Maximum number of rows processed in one chunk
+ * @returns {Promise<boolean>} - True if the file should be split
+ */
+const needsSplitting = async (filePath, maxRows = EXCEL_ROWS_PER_CHUNK) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > EXCEL_SPLIT_SIZE_BYTES) {
+    return true;
+  }
+
+  const workbook = xlsx.readFile(filePath, { sheetRows: maxRows + 2 });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet || !sheet['!ref']) {
+    return false;
+  }
+
+  // Header row plus data rows
+  const range = xlsx.utils.decode_range(sheet['!ref']);
+  return range.e.r > maxRows;
+};
+
+/**
+ * Split the first sheet of an Excel file into smaller Excel files
+ * @param {string} filePath - Path to the Excel file
+ * @param {number} chunkSize - Number of data rows per chunk
+ * @param {string} outputDir - Directory to save chunks
+ * @returns {Promise<string[]>} - Array of paths to the chunk files
+ */
+const splitExcelFile = async (filePath, chunkSize = EXCEL_ROWS_PER_CHUNK, outputDir = null) => {
+  if (!outputDir) {
+    outputDir = path.join(path.dirname(filePath), 'chunks');
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const workbook = xlsx.readFile(filePath);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+
+  if (rows.length <= chunkSize + 1) {
+    return [filePath];
+  }
+
+  const [headers, ...dataRows] = rows;
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const chunkPaths = [];
+
+  for (let i = 0; i < dataRows.length; i += chunkSize) {
+    const chunkPath = path.join(outputDir, `${baseName}_chunk_${chunkPaths.length}.xlsx`);
+    const chunkWorkbook = xlsx.utils.book_new();
+    const chunkSheet = xlsx.utils.aoa_to_sheet([headers, ...dataRows.slice(i, i + chunkSize)]);
+
+    xlsx.utils.book_append_sheet(chunkWorkbook, chunkSheet, workbook.SheetNames[0]);
+    xlsx.writeFile(chunkWorkbook, chunkPath);
+    chunkPaths.push(chunkPath);
+  }
+
+  return chunkPaths;
+};
+
+/**
+ * Delete chunk files created by splitExcelFile or splitCsvFile
+ * @param {string[]} filePaths - Paths to the chunk files
+ * @returns {Promise<void>}
+ */
+const cleanupSplitFiles = async (filePaths) => {
+  await Promise.all(filePaths.map(async (filePath) => {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error deleting chunk file ${filePath}:`, error);
+      }
+    }
+  }));
+};
+
 module.exports = {
   splitCsvFile,
   mergeCsvFiles,
-  readCsvFile
+  readCsvFile,
+  needsSplitting,
+  splitExcelFile,
+  cleanupSplitFiles
 }; 
\ No newline at end of file
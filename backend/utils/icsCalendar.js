@@ -0,0 +1,122 @@
+/**
+ * ICS Calendar Utility
+ *
+ * Writes iCalendar (RFC 5545) documents so follow-up tasks can be subscribed to
+ * from Google Calendar, Outlook or Apple Calendar.
+ */
+
+const PRODUCT_ID = '-//LeadVerifyPro//Lead Tasks//EN';
+
+// Length of the calendar event of a task, in minutes
+const EVENT_DURATION_MINUTES = 30;
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for a TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME (20240131T153000Z)
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line into chunks of at most 75 octets, continuation lines starting with a space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build the VEVENT lines of one event
+ * @param {Object} event - { uid, start, durationMinutes, summary, description, location, url, alarmMinutes, updatedAt }
+ * @param {Date} now - Timestamp of the calendar
+ * @returns {Array<string>} Content lines
+ */
+const buildEvent = (event, now) => {
+  const start = new Date(event.start);
+  const end = new Date(start.getTime() + (event.durationMinutes || EVENT_DURATION_MINUTES) * 60 * 1000);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  if (event.alarmMinutes !== undefined && event.alarmMinutes !== null) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${Math.round(event.alarmMinutes)}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - { name, events }
+ * @param {Date} now - Timestamp of the calendar (default now)
+ * @returns {string} ICS text with CRLF line endings
+ */
+const buildCalendar = ({ name, events = [] }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => buildEvent(event, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar
+};
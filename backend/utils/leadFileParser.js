@@ -0,0 +1,252 @@
+/**
+ * Lead File Parser
+ *
+ * Parses uploaded CSV, Excel and JSON lead files into standardized lead objects.
+ * Shared by the upload routes and the background import jobs.
+ */
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const xlsx = require('xlsx');
+const { applyMapping } = require('./columnMapper');
+
+/**
+ * Standardizes lead data from various potential input column names.
+ * It looks for common variations of field names (e.g., 'Full Name', 'Owner Full Name')
+ * and maps them to a consistent internal structure.
+ * Also collects multiple phone numbers into an array.
+ * @param {object} row - A row object from the parsed CSV or Excel file.
+ * @returns {object} - A standardized lead data object.
+ */
+function mapColumnNames(row) {
+  // Preserve the original row data for reference or future use.
+  const rawData = { ...row };
+  
+  // Initialize the standardized lead data structure.
+  const leadData = {
+    fullName: '',
+    firstName: '',
+    lastName: '',
+    address: '',
+    phoneNumbers: [],
+    primaryPhone: '',
+    email: '',
+    county: '',
+    state: '',
+    rawData: rawData
+  };
+  
+  // Name mapping
+  leadData.fullName = row['Owner Full Name'] || row['Full Name'] || row['Name'] || row['name'] || '';
+  leadData.firstName = row['Owner First Name'] || row['First Name'] || row['firstName'] || '';
+  leadData.lastName = row['Owner Last Name'] || row['Last Name'] || row['lastName'] || '';
+  
+  // If we have first and last but no full name, create it
+  if (!leadData.fullName && (leadData.firstName || leadData.lastName)) {
+    leadData.fullName = `${leadData.firstName} ${leadData.lastName}`.trim();
+  }
+  
+  // Address mapping
+  leadData.address = row['Property Address'] || row['Address'] || row['address'] || '';
+  
+  // County and State mapping
+  leadData.county = row['County Name'] || row['County'] || row['county'] || '';
+  leadData.state = row['State'] || row['state'] || '';
+  
+  // Email mapping - ensure it's never undefined
+  leadData.email = row['Email'] || row['email'] || row['Email Address'] || 'no-email@example.com';
+  
+  // Phone number mapping - collect all possible phone numbers
+  const phoneFields = [
+    'Phone', 'phone', 'Phone Number', 'phoneNumber',
+    'Wireless 1', 'Wireless 2', 'Wireless 3', 'Wireless 4', 'Wireless 5',
+    'Landline 1', 'Landline 2', 'Landline 3', 'Landline 4', 'Landline 5'
+  ];
+  
+  phoneFields.forEach(field => {
+    // Excel cells can hold numbers, so coerce before trimming
+    const value = row[field] !== undefined && row[field] !== null ? String(row[field]).trim() : '';
+    if (value !== '') {
+      leadData.phoneNumbers.push(value);
+    }
+  });
+  
+  // Set primary phone (first available phone number)
+  if (leadData.phoneNumbers.length > 0) {
+    leadData.primaryPhone = leadData.phoneNumbers[0];
+  }
+  
+  return leadData;
+}
+
+/**
+ * Parses a CSV file stream and standardizes lead data.
+ * Uses the 'csv-parser' library to handle streaming and parsing.
+ * @param {string} filePath - Path to the CSV file.
+ * @param {Function} mapRow - Function converting a raw row to lead data (defaults to column guessing).
+ * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ */
+function parseCsvFile(filePath, mapRow = mapColumnNames) {
+  return new Promise((resolve, reject) => {
+    // Array to accumulate the processed lead data.
+    const leadsToInsert = [];
+
+    fs.createReadStream(filePath)
+      // Pipe the stream through csv-parser to convert CSV rows to objects.
+      .pipe(csv())
+      .on('data', (row) => {
+        // For each row (data event), standardize the column names.
+        const leadData = mapRow(row);
+        leadsToInsert.push(leadData);
+      })
+      // When the stream ends, resolve the promise with the collected leads.
+      .on('end', () => {
+        resolve(leadsToInsert);
+      })
+      // If an error occurs during streaming or parsing, reject the promise.
+      .on('error', (error) => {
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Parses an Excel file and standardizes lead data.
+ * Uses the 'xlsx' library to handle file reading and conversion.
+ * @param {string} filePath - Path to the Excel file.
+ * @param {Function} mapRow - Function converting a raw row to lead data (defaults to column guessing).
+ * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ */
+function parseExcelFile(filePath, mapRow = mapColumnNames) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Use xlsx library to read the file content.
+      const workbook = xlsx.readFile(filePath);
+      // Assume data is in the first sheet.
+      const sheetName = workbook.SheetNames[0];
+      const worksheet = workbook.Sheets[sheetName];
+
+      // Convert the sheet to an array of JavaScript objects. 'defval: ''' handles empty cells.
+      const jsonData = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+
+      // Apply the column name standardization to each row.
+      const leadsToInsert = jsonData.map(row => mapRow(row));
+
+      // Resolve the promise with the array of processed lead data.
+      resolve(leadsToInsert);
+    } catch (error) {
+      // If any error occurs during file reading or parsing, reject the promise.
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Parses a JSON file containing an array of lead rows and standardizes lead data.
+ * Used for leads submitted as JSON to POST /api/leads/import.
+ * @param {string} filePath - Path to the JSON file.
+ * @param {Function} mapRow - Function converting a raw row to lead data (defaults to column guessing).
+ * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ */
+async function parseJsonFile(filePath, mapRow = mapColumnNames) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const rows = JSON.parse(content);
+
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON import file must contain an array of leads');
+  }
+
+  return rows.map(row => mapRow(row));
+}
+
+/**
+ * Parses a lead file, selecting the parser from the file extension.
+ * @param {string} filePath - Path to the file.
+ * @param {string} fileExt - Extension of the original upload (e.g. '.csv').
+ * @param {Object} options - Parser options.
+ * @param {Array<object>} options.mapping - Column-mapping rules; without them column names are guessed.
+ * @returns {Promise<Array<object>>} - A promise that resolves with an array of standardized lead objects.
+ */
+function parseLeadFile(filePath, fileExt = path.extname(filePath), options = {}) {
+  const mapRow = options.mapping && options.mapping.length > 0
+    ? row => applyMapping(row, options.mapping)
+    : mapColumnNames;
+
+  switch (fileExt.toLowerCase()) {
+    case '.csv':
+      return parseCsvFile(filePath, mapRow);
+    case '.xlsx':
+    case '.xls':
+      return parseExcelFile(filePath, mapRow);
+    case '.json':
+      return parseJsonFile(filePath, mapRow);
+    default:
+      return Promise.reject(new Error('Unsupported file format'));
+  }
+}
+
+/**
+ * Reads the header row and the first rows of a lead file without standardizing them.
+ * Used to preview a file before choosing a column mapping.
+ * @param {string} filePath - Path to the file.
+ * @param {string} fileExt - Extension of the original upload (e.g. '.csv').
+ * @param {number} limit - Maximum number of data rows to return.
+ * @returns {Promise<{headers: Array<string>, rows: Array<object>, totalRows: (number|null)}>}
+ *   totalRows is null when it cannot be known without reading the whole file (CSV).
+ */
+function readRawRows(filePath, fileExt = path.extname(filePath), limit = 10) {
+  switch (fileExt.toLowerCase()) {
+    case '.csv':
+      return new Promise((resolve, reject) => {
+        const rows = [];
+        let headers = [];
+        const stream = fs.createReadStream(filePath);
+
+        stream
+          .pipe(csv())
+          .on('headers', (headerList) => {
+            headers = headerList;
+          })
+          .on('data', function(row) {
+            rows.push(row);
+            // Stop reading once we have enough rows for the preview
+            if (rows.length >= limit) {
+              stream.destroy();
+              this.end();
+            }
+          })
+          .on('end', () => resolve({ headers, rows: rows.slice(0, limit), totalRows: null }))
+          .on('error', reject);
+      });
+    case '.xlsx':
+    case '.xls':
+      return new Promise((resolve, reject) => {
+        try {
+          const workbook = xlsx.readFile(filePath, { sheetRows: limit + 1 });
+          const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+          const [headers = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+          const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+          const ref = worksheet['!fullref'] || worksheet['!ref'];
+
+          resolve({
+            headers: headers.map(header => String(header)),
+            rows,
+            totalRows: ref ? xlsx.utils.decode_range(ref).e.r : 0
+          });
+        } catch (error) {
+          reject(error);
+        }
+      });
+    default:
+      return Promise.reject(new Error('Unsupported file format'));
+  }
+}
+
+module.exports = {
+  mapColumnNames,
+  parseCsvFile,
+  parseExcelFile,
+  parseJsonFile,
+  parseLeadFile,
+  readRawRows
+};
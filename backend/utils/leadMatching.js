@@ -0,0 +1,137 @@
+/**
+ * Lead Matching Utility
+ *
+ * Normalizes the contact fields used to recognize the same lead across uploads
+ * and decides whether two leads are duplicates.
+ *
+ * Leads match when at least two of email, phone and address agree. When only one
+ * of them agrees (households share a landline, relatives share an address), the
+ * owner names must also be similar.
+ */
+
+const natural = require('natural');
+const { parsePhone } = require('./phoneNumber');
+const { addressKey } = require('./usAddress');
+
+// Placeholder email given to rows that have none; it must never match
+const PLACEHOLDER_EMAIL = 'no-email@example.com';
+
+// Minimum Jaro-Winkler similarity for names to break a single-key tie
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+const MATCH_FIELDS = ['email', 'phone', 'address'];
+
+/**
+ * Normalize an email for matching
+ * @param {string} email - Email address
+ * @returns {string} Lowercased email, or '' for empty and placeholder emails
+ */
+const normalizeEmail = (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized === PLACEHOLDER_EMAIL ? '' : normalized;
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Ten digit numbers, and eleven digit numbers starting with 1, are treated as NANP;
+ * extensions are dropped (see utils/phoneNumber.js).
+ * @param {string} phone - Phone number in any format
+ * @returns {string} E.164 number (e.g. +15551234567), or '' if it has too few digits
+ */
+const normalizePhone = (phone) => parsePhone(phone).e164;
+
+/**
+ * Normalize a street address for matching
+ * Only the street line counts, so "123 Main Street, Houston TX" matches "123 MAIN ST."
+ * (see utils/usAddress.js).
+ * @param {string} address - Street address
+ * @returns {string} Canonical street line (e.g. "123 n main st apt 4"), or '' without an address
+ */
+const normalizeAddress = (address) => addressKey(address);
+
+/**
+ * Build the normalized keys a lead is matched on
+ * @param {Object} lead - Lead data or document
+ * @returns {Object} { email, phone, address } ('' where the lead has no usable value)
+ */
+const buildMatchKeys = (lead) => ({
+  email: normalizeEmail(lead.email),
+  phone: normalizePhone(lead.phone || (lead.phoneNumbers && lead.phoneNumbers[0])),
+  address: normalizeAddress(lead.address)
+});
+
+/**
+ * Similarity of two names between 0 and 1, ignoring case and punctuation
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Jaro-Winkler similarity (0 when either name is missing)
+ */
+const nameSimilarity = (a, b) => {
+  const clean = name => String(name || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+  const left = clean(a);
+  const right = clean(b);
+
+  if (!left || !right) {
+    return 0;
+  }
+  return natural.JaroWinklerDistance(left, right);
+};
+
+/**
+ * Compare an incoming lead with an existing one
+ * @param {Object} incoming - { fullName, matchKeys }
+ * @param {Object} existing - { fullName, matchKeys }
+ * @returns {Object|null} { matchedOn, nameSimilarity } if they are duplicates, otherwise null
+ */
+const compareLeads = (incoming, existing) => {
+  const matchedOn = MATCH_FIELDS.filter(field =>
+    incoming.matchKeys[field] && incoming.matchKeys[field] === (existing.matchKeys || {})[field]
+  );
+
+  if (matchedOn.length === 0) {
+    return null;
+  }
+
+  const similarity = Math.round(nameSimilarity(incoming.fullName, existing.fullName) * 100) / 100;
+  if (matchedOn.length === 1 && similarity < NAME_SIMILARITY_THRESHOLD) {
+    return null;
+  }
+
+  return { matchedOn, nameSimilarity: similarity };
+};
+
+/**
+ * Pick the best duplicate of a lead among candidates
+ * More matching keys win; name similarity breaks ties.
+ * @param {Object} incoming - { fullName, matchKeys }
+ * @param {Array<Object>} candidates - Existing leads with fullName and matchKeys
+ * @returns {Object|null} { lead, matchedOn, nameSimilarity } or null if none match
+ */
+const findBestMatch = (incoming, candidates) => {
+  let best = null;
+
+  candidates.forEach(candidate => {
+    const match = compareLeads(incoming, candidate);
+    if (!match) return;
+
+    if (!best ||
+        match.matchedOn.length > best.matchedOn.length ||
+        (match.matchedOn.length === best.matchedOn.length && match.nameSimilarity > best.nameSimilarity)) {
+      best = { lead: candidate, ...match };
+    }
+  });
+
+  return best;
+};
+
+module.exports = {
+  MATCH_FIELDS,
+  PLACEHOLDER_EMAIL,
+  normalizeEmail,
+  normalizePhone,
+  normalizeAddress,
+  buildMatchKeys,
+  nameSimilarity,
+  compareLeads,
+  findBestMatch
+};
@@ -0,0 +1,283 @@
+/**
+ * Lead Query Utility
+ *
+ * Translates the query-string filters accepted by the lead listing and export
+ * endpoints into a MongoDB filter, so both endpoints select exactly the same leads.
+ */
+
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+// Prefix of custom field filter parameters: cf.<key>, cf.<key>.min, cf.<key>.max
+const CUSTOM_FIELD_PREFIX = 'cf.';
+
+// Basic filter parameters understood by buildLeadFilter (besides cf.<key> parameters)
+const FILTER_PARAMS = [
+  'status', 'minScore', 'maxScore', 'source', 'county', 'state',
+  'createdFrom', 'createdTo', 'tags', 'list', 'assignedTo', 'owner'
+];
+
+// Lead fields the listing and export can be sorted by, besides custom fields
+const SORTABLE_FIELDS = [
+  'createdAt', 'updatedAt', 'fullName', 'status', 'score', 'source',
+  'county', 'state', 'offerAmount', 'stageEnteredAt'
+];
+
+/**
+ * Escape a user supplied string for use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma separated query parameter into a list of trimmed values
+ * @param {string|Array} value - Query parameter value
+ * @returns {Array<string>} List of values
+ */
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Parse a numeric query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @returns {number} Parsed number
+ */
+const parseNumber = (value, name) => {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new BadRequestError(`Query parameter "${name}" must be a number.`);
+  }
+  return parsed;
+};
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @returns {Date} Parsed date
+ */
+const parseDate = (value, name) => {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new BadRequestError(`Query parameter "${name}" must be a valid date.`);
+  }
+  return parsed;
+};
+
+/**
+ * Parse a custom field filter value according to the field's type
+ * @param {string} value - Raw value
+ * @param {Object} field - Custom field definition
+ * @param {string} name - Parameter name used in error messages
+ * @returns {number|Date|string} Parsed value
+ */
+const parseCustomFieldValue = (value, field, name) => {
+  if (field.type === 'number') return parseNumber(value, name);
+  if (field.type === 'date') return parseDate(value, name);
+
+  // Select values are stored with the option's own casing
+  const text = String(value).trim();
+  const option = (field.options || []).find(candidate => candidate.toLowerCase() === text.toLowerCase());
+  return option !== undefined ? option : text;
+};
+
+/**
+ * Add the custom field conditions found in the query to a filter
+ * cf.<key>=a,b matches any of the values; cf.<key>.min / cf.<key>.max give an inclusive
+ * range for number and date fields.
+ * @param {Object} filter - Filter being built
+ * @param {Object} query - Express request query object
+ * @param {Array<Object>} customFields - The organization's custom field definitions
+ */
+const addCustomFieldFilters = (filter, query, customFields) => {
+  const fieldsByKey = new Map(customFields.map(field => [field.key, field]));
+
+  Object.keys(query)
+    .filter(name => name.startsWith(CUSTOM_FIELD_PREFIX))
+    .forEach(name => {
+      const [key, bound] = name.slice(CUSTOM_FIELD_PREFIX.length).split('.');
+      const field = fieldsByKey.get(key);
+      if (!field) {
+        throw new BadRequestError(`Unknown custom field "${key}".`);
+      }
+
+      const path = `customFields.${key}`;
+      if (bound === 'min' || bound === 'max') {
+        if (field.type !== 'number' && field.type !== 'date') {
+          throw new BadRequestError(`Custom field "${key}" does not support range filters.`);
+        }
+        filter[path] = {
+          ...(filter[path] || {}),
+          [bound === 'min' ? '$gte' : '$lte']: parseCustomFieldValue(query[name], field, name)
+        };
+      } else if (bound === undefined) {
+        filter[path] = { $in: toList(query[name]).map(value => parseCustomFieldValue(value, field, name)) };
+      } else {
+        throw new BadRequestError(`Unknown filter parameter "${name}".`);
+      }
+    });
+};
+
+/**
+ * Build a MongoDB filter for leads from request query parameters
+ *
+ * Supported parameters:
+ * - status: one or more comma separated statuses
+ * - minScore / maxScore: inclusive score range
+ * - source: one or more comma separated sources
+ * - county / state: case-insensitive exact match
+ * - createdFrom / createdTo: inclusive creation date range
+ * - tags: comma separated tags the lead must all have
+ * - list: one or more comma separated list IDs the lead must belong to (any of them)
+ * - assignedTo: ID of the assigned teammate, "me" or "none"
+ * - owner: ID of the teammate who owns (created) the lead, or "me"
+ * - cf.<key>, cf.<key>.min, cf.<key>.max: custom field values
+ *
+ * Without a scope only the user's own leads are selected.
+ *
+ * @param {Object} query - Express request query object
+ * @param {string} userId - ID of the user whose leads are being queried
+ * @param {Object} options - Filter options
+ * @param {Array<Object>} options.customFields - Custom field definitions, needed for cf.* parameters
+ * @param {Object} options.scope - Filter of the leads visible to the user (see leadAccessService),
+ *   kept in $and so that no parameter can widen it
+ * @returns {Object} MongoDB filter
+ */
+const buildLeadFilter = (query = {}, userId, { customFields = [], scope } = {}) => {
+  const filter = scope ? { $and: [scope] } : { user: userId };
+
+  if (query.status) {
+    filter.status = { $in: toList(query.status) };
+  }
+
+  if (query.minScore || query.maxScore) {
+    filter.score = {};
+    if (query.minScore) {
+      filter.score.$gte = parseNumber(query.minScore, 'minScore');
+    }
+    if (query.maxScore) {
+      filter.score.$lte = parseNumber(query.maxScore, 'maxScore');
+    }
+  }
+
+  if (query.source) {
+    filter.source = { $in: toList(query.source) };
+  }
+
+  if (query.county) {
+    filter.county = new RegExp(`^${escapeRegex(String(query.county).trim())}$`, 'i');
+  }
+
+  if (query.state) {
+    filter.state = String(query.state).trim().toUpperCase();
+  }
+
+  if (query.createdFrom || query.createdTo) {
+    filter.createdAt = {};
+    if (query.createdFrom) {
+      filter.createdAt.$gte = parseDate(query.createdFrom, 'createdFrom');
+    }
+    if (query.createdTo) {
+      filter.createdAt.$lte = parseDate(query.createdTo, 'createdTo');
+    }
+  }
+
+  if (query.tags) {
+    filter.tags = { $all: toList(query.tags).map(tag => tag.toLowerCase()) };
+  }
+
+  if (query.list) {
+    const listIds = toList(query.list);
+    if (listIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new BadRequestError('Query parameter "list" must contain valid list IDs.');
+    }
+    filter.lists = { $in: listIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (query.assignedTo) {
+    const assignee = String(query.assignedTo).trim();
+    if (assignee === 'none') {
+      filter.assignedTo = null;
+    } else if (assignee === 'me') {
+      filter.assignedTo = userId;
+    } else if (mongoose.Types.ObjectId.isValid(assignee)) {
+      filter.assignedTo = new mongoose.Types.ObjectId(assignee);
+    } else {
+      throw new BadRequestError('Query parameter "assignedTo" must be a user ID, "me" or "none".');
+    }
+  }
+
+  if (query.owner) {
+    const owner = String(query.owner).trim();
+    if (owner === 'me') {
+      filter.user = userId;
+    } else if (mongoose.Types.ObjectId.isValid(owner)) {
+      filter.user = new mongoose.Types.ObjectId(owner);
+    } else {
+      throw new BadRequestError('Query parameter "owner" must be a user ID or "me".');
+    }
+  }
+
+  addCustomFieldFilters(filter, query, customFields);
+
+  return filter;
+};
+
+/**
+ * Pick the basic filter parameters out of a query object
+ * @param {Object} query - Query parameters
+ * @returns {Object} Only the parameters understood by buildLeadFilter
+ */
+const pickFilterParams = (query = {}) => Object.keys(query)
+  .filter(name => FILTER_PARAMS.includes(name) || name.startsWith(CUSTOM_FIELD_PREFIX))
+  .reduce((params, name) => ({ ...params, [name]: query[name] }), {});
+
+/**
+ * Build a MongoDB sort from the `sort` query parameter
+ * A comma separated list of fields, each optionally prefixed with "-" for descending order.
+ * Custom fields are given as cf.<key>. Defaults to newest first.
+ * @param {Object} query - Express request query object
+ * @param {Object} options - Sort options
+ * @param {Array<Object>} options.customFields - Custom field definitions
+ * @returns {Object} MongoDB sort
+ */
+const buildLeadSort = (query = {}, { customFields = [] } = {}) => {
+  if (!query.sort) {
+    return { createdAt: -1 };
+  }
+
+  const customKeys = new Set(customFields.map(field => field.key));
+  const sort = {};
+
+  toList(query.sort).forEach(entry => {
+    const descending = entry.startsWith('-');
+    const name = descending ? entry.slice(1) : entry;
+    let path = name;
+
+    if (name.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const key = name.slice(CUSTOM_FIELD_PREFIX.length);
+      if (!customKeys.has(key)) {
+        throw new BadRequestError(`Unknown custom field "${key}".`);
+      }
+      path = `customFields.${key}`;
+    } else if (!SORTABLE_FIELDS.includes(name)) {
+      throw new BadRequestError(`Cannot sort by "${name}".`);
+    }
+
+    sort[path] = descending ? -1 : 1;
+  });
+
+  return sort;
+};
+
+module.exports = {
+  buildLeadFilter,
+  buildLeadSort,
+  pickFilterParams,
+  toList,
+  escapeRegex
+};
@@ -0,0 +1,476 @@
+/**
+ * Lead Query Language
+ *
+ * Parses the compound filters accepted by the lead listing (`where` parameter) and
+ * compiles them into a MongoDB filter, checking every field against the Lead schema.
+ *
+ * Grammar (keywords are case-insensitive):
+ *   query      := or
+ *   or         := and ( OR and )*
+ *   and        := not ( AND not )*
+ *   not        := NOT not | primary
+ *   primary    := "(" query ")" | comparison
+ *   comparison := field ( "=" | "!=" | ">" | ">=" | "<" | "<=" ) value
+ *               | field [NOT] IN "(" value ( "," value )* ")"
+ *               | field BETWEEN value AND value
+ *               | field ( CONTAINS | INCLUDES | "~" ) value
+ *               | field EXISTS
+ *
+ * Fields use dot notation (propertyCondition.vacancyIndicators.probability) and custom
+ * fields are written cf.<key>. Values are bare words, numbers, dates or quoted strings.
+ *
+ * Example:
+ *   score BETWEEN 60 AND 90 AND propertyCondition.vacancyIndicators.probability = high
+ *   AND documentAnalysis.legalStatus INCLUDES probate AND county = Harris
+ */
+
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+// Longest accepted query and most comparisons in one query
+const MAX_QUERY_LENGTH = 2000;
+const MAX_COMPARISONS = 50;
+
+// Fields that scope or support the lead collection and cannot be queried
+const EXCLUDED_ROOTS = ['user', 'organization', 'matchKeys', '__v'];
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'CONTAINS', 'INCLUDES', 'EXISTS'];
+
+const COMPARISON_OPERATORS = {
+  '=': '$eq',
+  '!=': '$ne',
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Tokens: { type: word|string|op|lparen|rparen|comma, value, position }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: { '(': 'lparen', ')': 'rparen', ',': 'comma' }[char], value: char, position: index });
+      index++;
+    } else if (char === '"' || char === "'") {
+      const start = index;
+      let value = '';
+      index++;
+      while (index < text.length && text[index] !== char) {
+        if (text[index] === '\\' && index + 1 < text.length) {
+          index++;
+        }
+        value += text[index];
+        index++;
+      }
+      if (index >= text.length) {
+        throw new BadRequestError(`Unterminated string starting at position ${start}.`);
+      }
+      index++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (/[=!<>~]/.test(char)) {
+      const two = text.slice(index, index + 2);
+      const value = ['!=', '>=', '<='].includes(two) ? two : char;
+      if (value === '!') {
+        throw new BadRequestError(`Unexpected "!" at position ${index}.`);
+      }
+      tokens.push({ type: 'op', value, position: index });
+      index += value.length;
+    } else if (/[A-Za-z0-9_.\-:+$]/.test(char)) {
+      const start = index;
+      while (index < text.length && /[A-Za-z0-9_.\-:+$]/.test(text[index])) {
+        index++;
+      }
+      tokens.push({ type: 'word', value: text.slice(start, index), position: start });
+    } else {
+      throw new BadRequestError(`Unexpected "${char}" at position ${index}.`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser producing the query's syntax tree
+ * Nodes: { type: 'and'|'or', children }, { type: 'not', child } and
+ * { type: 'comparison', field, operator, value | values }.
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.comparisons = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(token, keyword) {
+    return Boolean(token) && token.type === 'word' && token.value.toUpperCase() === keyword;
+  }
+
+  fail(message, token = this.peek()) {
+    const where = token ? ` at position ${token.position}` : ' at the end of the query';
+    throw new BadRequestError(`${message}${where}.`);
+  }
+
+  expect(type, description) {
+    const token = this.peek();
+    if (!token || token.type !== type) {
+      this.fail(`Expected ${description}`);
+    }
+    return this.next();
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new BadRequestError('The query is empty.');
+    }
+    const node = this.parseOr();
+    if (this.peek()) {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), 'OR')) {
+      this.next();
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseNot()];
+    while (this.isKeyword(this.peek(), 'AND')) {
+      this.next();
+      children.push(this.parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseNot() {
+    if (this.isKeyword(this.peek(), 'NOT')) {
+      this.next();
+      return { type: 'not', child: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (token && token.type === 'lparen') {
+      this.next();
+      const node = this.parseOr();
+      this.expect('rparen', '")"');
+      return node;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const fieldToken = this.peek();
+    if (!fieldToken || fieldToken.type !== 'word' || KEYWORDS.includes(fieldToken.value.toUpperCase())) {
+      this.fail('Expected a field name');
+    }
+    this.next();
+
+    this.comparisons++;
+    if (this.comparisons > MAX_COMPARISONS) {
+      throw new BadRequestError(`A query can have at most ${MAX_COMPARISONS} comparisons.`);
+    }
+
+    const field = fieldToken.value;
+    const token = this.peek();
+
+    if (token && token.type === 'op') {
+      this.next();
+      const operator = token.value === '~' ? 'contains' : token.value;
+      return { type: 'comparison', field, operator, value: this.parseValue() };
+    }
+
+    if (this.isKeyword(token, 'NOT') && this.isKeyword(this.tokens[this.index + 1], 'IN')) {
+      this.index += 2;
+      return { type: 'comparison', field, operator: 'nin', values: this.parseList() };
+    }
+    if (this.isKeyword(token, 'IN')) {
+      this.next();
+      return { type: 'comparison', field, operator: 'in', values: this.parseList() };
+    }
+    if (this.isKeyword(token, 'BETWEEN')) {
+      this.next();
+      const low = this.parseValue();
+      if (!this.isKeyword(this.peek(), 'AND')) {
+        this.fail('Expected AND in BETWEEN');
+      }
+      this.next();
+      return { type: 'comparison', field, operator: 'between', values: [low, this.parseValue()] };
+    }
+    if (this.isKeyword(token, 'CONTAINS') || this.isKeyword(token, 'INCLUDES')) {
+      this.next();
+      return { type: 'comparison', field, operator: 'contains', value: this.parseValue() };
+    }
+    if (this.isKeyword(token, 'EXISTS')) {
+      this.next();
+      return { type: 'comparison', field, operator: 'exists' };
+    }
+
+    return this.fail(`Expected an operator after "${field}"`);
+  }
+
+  parseValue() {
+    const token = this.peek();
+    if (!token || (token.type !== 'word' && token.type !== 'string') ||
+      (token.type === 'word' && KEYWORDS.includes(token.value.toUpperCase()))) {
+      this.fail('Expected a value');
+    }
+    this.next();
+    return { raw: token.value, quoted: token.type === 'string', position: token.position };
+  }
+
+  parseList() {
+    this.expect('lparen', '"(" after IN');
+    const values = [this.parseValue()];
+    while (this.peek() && this.peek().type === 'comma') {
+      this.next();
+      values.push(this.parseValue());
+    }
+    this.expect('rparen', '")" closing the IN list');
+    return values;
+  }
+}
+
+/**
+ * Parse a query into its syntax tree
+ * @param {string} text - Query text
+ * @returns {Object} Syntax tree
+ * @throws {BadRequestError} If the query is malformed
+ */
+const parseQuery = (text) => {
+  const query = String(text || '');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new BadRequestError(`A query can be at most ${MAX_QUERY_LENGTH} characters long.`);
+  }
+  return new Parser(tokenize(query)).parse();
+};
+
+/**
+ * Map a schema type to the kind of values compared against it
+ * @returns {{kind: string, isArray: boolean, transform: (string|undefined), options: (Array|undefined)}}
+ */
+const describeSchemaType = (schemaType) => {
+  const isArray = schemaType.instance === 'Array';
+  const base = isArray ? schemaType.caster : schemaType;
+  const instance = base ? base.instance : 'Mixed';
+  const kinds = {
+    Number: 'number',
+    Date: 'date',
+    Boolean: 'boolean',
+    ObjectId: 'objectId',
+    String: 'string'
+  };
+  const options = (base && base.options) || {};
+
+  return {
+    kind: kinds[instance] || 'mixed',
+    isArray,
+    transform: options.lowercase ? 'lowercase' : (options.uppercase ? 'uppercase' : undefined)
+  };
+};
+
+/**
+ * Resolve a field name to its MongoDB path and value kind
+ * @param {string} name - Field name as written in the query
+ * @param {Object} schema - Lead schema
+ * @param {Array<Object>} customFields - Custom field definitions
+ * @returns {Object} { path, kind, isArray, transform, options }
+ */
+const resolveField = (name, schema, customFields) => {
+  const segments = name.split('.');
+  if (segments.some(segment => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(segment))) {
+    throw new BadRequestError(`Invalid field name "${name}".`);
+  }
+
+  if (segments[0] === 'cf' || segments[0] === 'customFields') {
+    const field = segments.length === 2 && customFields.find(candidate => candidate.key === segments[1]);
+    if (!field) {
+      throw new BadRequestError(`Unknown custom field "${segments.slice(1).join('.')}".`);
+    }
+    return {
+      path: `customFields.${field.key}`,
+      kind: field.type === 'number' || field.type === 'date' ? field.type : 'string',
+      isArray: false,
+      options: field.type === 'select' ? field.options : undefined
+    };
+  }
+
+  const schemaType = schema.path(name);
+  if (EXCLUDED_ROOTS.includes(segments[0]) || !schemaType) {
+    throw new BadRequestError(`Unknown field "${name}".`);
+  }
+  return { path: name, ...describeSchemaType(schemaType) };
+};
+
+/**
+ * Convert a query value to the field's type
+ * @returns {*} Value to compare against
+ */
+const coerceValue = (value, field, fieldName) => {
+  const { raw, quoted } = value;
+  const fail = (expected) => {
+    throw new BadRequestError(`Field "${fieldName}" expects ${expected}, got "${raw}".`);
+  };
+
+  if (!quoted && raw.toLowerCase() === 'null') {
+    return null;
+  }
+
+  switch (field.kind) {
+    case 'number': {
+      const number = Number(raw);
+      return Number.isFinite(number) ? number : fail('a number');
+    }
+    case 'date': {
+      const date = new Date(raw);
+      return Number.isNaN(date.getTime()) ? fail('a date') : date;
+    }
+    case 'boolean': {
+      const lower = raw.toLowerCase();
+      return lower === 'true' || lower === 'false' ? lower === 'true' : fail('true or false');
+    }
+    case 'objectId':
+      return mongoose.Types.ObjectId.isValid(raw) ? new mongoose.Types.ObjectId(raw) : fail('an ID');
+    case 'string': {
+      if (field.options) {
+        const option = field.options.find(candidate => candidate.toLowerCase() === raw.toLowerCase());
+        return option !== undefined ? option : raw;
+      }
+      if (field.transform === 'lowercase') return raw.toLowerCase();
+      if (field.transform === 'uppercase') return raw.toUpperCase();
+      return raw;
+    }
+    default: {
+      // Free-form values: bare numbers and booleans keep their type
+      if (quoted) return raw;
+      if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+      if (/^(true|false)$/i.test(raw)) return raw.toLowerCase() === 'true';
+      return raw;
+    }
+  }
+};
+
+/**
+ * Whether string equality on the field should ignore case
+ * Fields normalized by the schema (lowercase/uppercase) and select fields compare exactly.
+ */
+const matchesCaseInsensitively = (field, value) =>
+  typeof value === 'string' && (field.kind === 'string' || field.kind === 'mixed') &&
+  !field.transform && !field.options;
+
+const exactRegex = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+/**
+ * Compile a single comparison into a MongoDB condition
+ */
+const compileComparison = (node, schema, customFields) => {
+  const field = resolveField(node.field, schema, customFields);
+  const { path } = field;
+  const coerce = value => coerceValue(value, field, node.field);
+  const forEquality = value => {
+    const coerced = coerce(value);
+    return matchesCaseInsensitively(field, coerced) ? exactRegex(coerced) : coerced;
+  };
+
+  switch (node.operator) {
+    case '=':
+      return { [path]: forEquality(node.value) };
+    case '!=': {
+      const value = forEquality(node.value);
+      return { [path]: value instanceof RegExp ? { $not: value } : { $ne: value } };
+    }
+    case '>':
+    case '>=':
+    case '<':
+    case '<=':
+      if (field.kind === 'boolean' || field.kind === 'objectId') {
+        throw new BadRequestError(`Field "${node.field}" does not support "${node.operator}".`);
+      }
+      return { [path]: { [COMPARISON_OPERATORS[node.operator]]: coerce(node.value) } };
+    case 'in':
+      return { [path]: { $in: node.values.map(forEquality) } };
+    case 'nin':
+      return { [path]: { $nin: node.values.map(forEquality) } };
+    case 'between': {
+      const [low, high] = node.values.map(coerce);
+      return { [path]: { $gte: low, $lte: high } };
+    }
+    case 'contains': {
+      if (field.kind !== 'string' && field.kind !== 'mixed') {
+        throw new BadRequestError(`Field "${node.field}" does not support CONTAINS.`);
+      }
+      const text = String(node.value.raw);
+      const condition = { [path]: new RegExp(escapeRegex(text), 'i') };
+      // Free-form objects (e.g. documentAnalysis.legalStatus) "include" a value when it is one of their keys
+      if (field.kind === 'mixed' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(text)) {
+        return { $or: [condition, { [`${path}.${text}`]: { $exists: true } }] };
+      }
+      return condition;
+    }
+    case 'exists':
+      return { [path]: { $exists: true, $ne: null } };
+    default:
+      throw new BadRequestError(`Unsupported operator "${node.operator}".`);
+  }
+};
+
+/**
+ * Compile a syntax tree into a MongoDB filter
+ */
+const compileNode = (node, schema, customFields) => {
+  switch (node.type) {
+    case 'and':
+      return { $and: node.children.map(child => compileNode(child, schema, customFields)) };
+    case 'or':
+      return { $or: node.children.map(child => compileNode(child, schema, customFields)) };
+    case 'not':
+      return { $nor: [compileNode(node.child, schema, customFields)] };
+    default:
+      return compileComparison(node, schema, customFields);
+  }
+};
+
+/**
+ * Compile a query into a MongoDB filter
+ * @param {string} text - Query text
+ * @param {Object} options - Compile options
+ * @param {Object} options.schema - Lead schema used to check fields and types
+ * @param {Array<Object>} options.customFields - Custom field definitions, for cf.<key> fields
+ * @returns {Object} MongoDB filter
+ * @throws {BadRequestError} If the query is malformed or uses unknown fields
+ */
+const compileQuery = (text, { schema, customFields = [] }) =>
+  compileNode(parseQuery(text), schema, customFields);
+
+module.exports = {
+  parseQuery,
+  compileQuery
+};
@@ -3,7 +3,9 @@
  * Provides consistent validation and data transformation
  */
 
+const mongoose = require('mongoose');
 const { createChildLogger } = require('./logger');
+const { getAuditContext } = require('./auditContext');
 const logger = createChildLogger('modelHooks');
 
 /**
@@ -112,6 +114,9 @@ const addValidationHooks = (schema, options = {}) => {
 
 /**
  * Adds soft delete functionality to schema
+ * Queries, updates, distinct and aggregations skip soft-deleted documents unless the
+ * query names `isDeleted` itself or is run with the `includeDeleted` option
+ * (`Model.find(filter).setOptions({ includeDeleted: true })`).
  * @param {Object} schema - Mongoose schema
  */
 const addSoftDelete = (schema) => {
@@ -125,45 +130,66 @@ const addSoftDelete = (schema) => {
     deletedAt: {
       type: Date,
       default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   });
   
   // Filter out soft-deleted documents
-  schema.pre('find', function() {
+  const excludeDeleted = function() {
     // Skip if explicitly querying for deleted items
     if (this._conditions.includeDeleted) {
       delete this._conditions.includeDeleted;
       return;
     }
+    if (this.getOptions().includeDeleted) {
+      return;
+    }
     
     // Only apply if isDeleted is not already in the query
     if (!('isDeleted' in this._conditions)) {
       this._conditions.isDeleted = { $ne: true };
     }
-  });
+  };
   
-  // Add similar hooks for findOne, findById, etc.
-  const queryMethods = ['findOne', 'findById', 'countDocuments', 'count'];
+  const queryMethods = [
+    'find', 'findOne', 'countDocuments', 'count', 'distinct',
+    'updateOne', 'updateMany', 'findOneAndUpdate'
+  ];
   queryMethods.forEach(method => {
-    schema.pre(method, function() {
-      if (this._conditions.includeDeleted) {
-        delete this._conditions.includeDeleted;
-        return;
-      }
-      
-      if (!('isDeleted' in this._conditions)) {
-        this._conditions.isDeleted = { $ne: true };
+    schema.pre(method, excludeDeleted);
+  });
+  
+  // Aggregations: merge into a leading $match/$geoNear (which must stay first) or prepend one
+  schema.pre('aggregate', function() {
+    if (this.options.includeDeleted) {
+      return;
+    }
+    
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (!('isDeleted' in first.$match)) {
+        first.$match.isDeleted = { $ne: true };
       }
-    });
+    } else if (first && first.$geoNear) {
+      first.$geoNear.query = { ...(first.$geoNear.query || {}), isDeleted: { $ne: true } };
+    } else {
+      pipeline.unshift({ $match: { isDeleted: { $ne: true } } });
+    }
   });
   
   // Add restore method to model
   schema.statics.restore = async function(id) {
-    return this.findByIdAndUpdate(
-      id,
+    return this.findOneAndUpdate(
+      { _id: id, isDeleted: true },
       { 
         isDeleted: false, 
         deletedAt: null,
+        deletedBy: null,
         $inc: { __v: 1 } // Increment version
       },
       { new: true }
@@ -171,17 +197,313 @@ const addSoftDelete = (schema) => {
   };
   
   // Add soft delete method to model
-  schema.statics.softDelete = async function(id) {
+  schema.statics.softDelete = async function(id, deletedBy = null) {
     return this.findByIdAndUpdate(
       id,
       { 
         isDeleted: true, 
         deletedAt: new Date(),
+        deletedBy,
         $inc: { __v: 1 } // Increment version
       },
       { new: true }
     );
   };
+  
+  // Soft delete a loaded document
+  schema.methods.softDelete = async function(deletedBy = null) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+};
+
+/**
+ * Flattens a document into dot-notation paths with JSON-comparable values
+ * Arrays are kept whole; ObjectIds become strings and dates ISO strings.
+ * @param {Object} value - Plain object
+ * @param {Set<string>} ignored - Top-level paths to leave out
+ * @param {string} prefix - Path prefix (internal)
+ * @param {Object} result - Accumulator (internal)
+ * @returns {Object} Flattened values
+ */
+const flattenForAudit = (value, ignored, prefix = '', result = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && ignored.has(key)) return;
+
+    if (child && typeof child === 'object' && !Array.isArray(child) && !(child instanceof Date) &&
+        !(child instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(child)) {
+      flattenForAudit(child, ignored, path, result);
+    } else {
+      result[path] = normalizeAuditValue(child);
+    }
+  });
+  return result;
+};
+
+/**
+ * Converts a value to its JSON form, so values loaded in different ways compare equal
+ * @param {*} value - Field value
+ * @returns {*} JSON-compatible value (undefined becomes null)
+ */
+const normalizeAuditValue = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Lists the paths that differ between two flattened snapshots
+ * @param {Object} before - Flattened values before the change
+ * @param {Object} after - Flattened values after the change
+ * @returns {Array<Object>} Changes as { path, before, after }
+ */
+const diffSnapshots = (before, after) => {
+  const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  paths.forEach(path => {
+    const previous = path in before ? before[path] : null;
+    const current = path in after ? after[path] : null;
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes.push({ path, before: previous, after: current });
+    }
+  });
+
+  return changes;
+};
+
+// Most documents a query write is audited for one by one; larger writes get one summary entry
+const MAX_AUDITED_DOCUMENTS = 1000;
+
+/**
+ * Top-level paths written by an update document
+ * @param {Object|Array} update - Update document or aggregation pipeline
+ * @returns {Array<string>|null} Paths, or null when they cannot be told (pipelines)
+ */
+const updatedPaths = (update) => {
+  if (!update || Array.isArray(update)) return null;
+
+  const paths = new Set();
+  Object.entries(update).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      Object.keys(value || {}).forEach(path => paths.add(path.split('.')[0]));
+    } else {
+      paths.add(key.split('.')[0]);
+    }
+  });
+  return [...paths];
+};
+
+/**
+ * Keeps the given top-level paths of a plain object
+ * @param {Object} value - Plain object
+ * @param {Array<string>|null} paths - Paths to keep; null keeps everything
+ * @returns {Object} Picked values
+ */
+const pickPaths = (value, paths) => {
+  if (!paths) return value;
+  return Object.fromEntries(paths.filter(path => value && path in value).map(path => [path, value[path]]));
+};
+
+/**
+ * Adds an immutable audit history to a schema
+ * Every create, update and delete writes an AuditLog entry with the actor and source
+ * from the audit context (utils/auditContext.js) and a before/after diff of the fields
+ * written. Saves load the stored values of the modified fields first, and query writes
+ * load the matched documents' written fields before and after. A query write matching
+ * more than MAX_AUDITED_DOCUMENTS documents, or run with the auditSummary query option
+ * (bulk and system writes), gets one summary entry instead.
+ * Writes made with bulkWrite or the native driver are not audited.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Configuration options
+ * @param {string} options.leadField - Path holding the related lead ('_id' for Lead itself)
+ * @param {Array<string>} options.ignore - Top-level paths left out of the diff
+ */
+const addAuditTrail = (schema, options = {}) => {
+  const ignored = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'lastModified', ...(options.ignore || [])]);
+  const auditBefore = Symbol('auditBefore');
+  const auditPaths = Symbol('auditPaths');
+
+  const toPlain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+  const snapshot = (doc, paths = null) => flattenForAudit(pickPaths(toPlain(doc), paths), ignored);
+  const leadOf = doc => (options.leadField ? doc[options.leadField] : undefined);
+  const audited = paths => paths.filter(path => !ignored.has(path));
+  // Projection of the written paths, with the lead for the entries
+  const projectionOf = paths => (paths
+    ? [...paths, options.leadField].filter(Boolean).join(' ')
+    : null);
+
+  const insertEntries = async (modelName, entries) => {
+    if (entries.length === 0) return;
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.insertMany(entries, { ordered: false });
+    } catch (error) {
+      logger.error(`Failed to write audit history for ${modelName}`, error);
+    }
+  };
+
+  // Write entries without ever failing the change being audited
+  const writeEntries = async (modelName, records) => {
+    const context = getAuditContext();
+    await insertEntries(modelName, records
+      .map(({ action, doc, before, after }) => ({
+        modelName,
+        documentId: doc._id,
+        lead: leadOf(doc),
+        action,
+        changes: diffSnapshots(before, after),
+        actor: context.actor || undefined,
+        source: context.source,
+        importJob: context.importJob
+      }))
+      .filter(entry => entry.action !== 'update' || entry.changes.length > 0));
+  };
+
+  // One entry for a write to many documents
+  const writeSummary = async (modelName, action, operation, paths, result) => {
+    const context = getAuditContext();
+    const counts = result || {};
+    await insertEntries(modelName, [{
+      modelName,
+      action,
+      summary: {
+        operation,
+        paths: paths || undefined,
+        matchedCount: counts.matchedCount !== undefined ? counts.matchedCount : counts.deletedCount,
+        modifiedCount: counts.modifiedCount !== undefined ? counts.modifiedCount : counts.deletedCount
+      },
+      actor: context.actor || undefined,
+      source: context.source,
+      importJob: context.importJob
+    }]);
+  };
+
+  // Saves of loaded documents: read the stored values of the modified fields to diff against
+  schema.pre('save', async function() {
+    this.$locals.auditWasNew = this.isNew;
+    if (this.isNew) return;
+
+    const paths = audited([...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]);
+    this.$locals.auditPaths = paths;
+    if (paths.length === 0) return;
+
+    const stored = await this.constructor.findOne({ _id: this._id })
+      .select(paths.join(' '))
+      .setOptions({ includeDeleted: true })
+      .lean();
+    this.$locals.auditBefore = snapshot(stored || {}, paths);
+  });
+
+  schema.post('save', async function(doc) {
+    const wasNew = doc.$locals.auditWasNew;
+    const paths = wasNew ? null : doc.$locals.auditPaths;
+    if (paths && paths.length === 0) return;
+
+    await writeEntries(doc.constructor.modelName, [{
+      action: wasNew ? 'create' : 'update',
+      doc,
+      before: wasNew ? {} : (doc.$locals.auditBefore || {}),
+      after: snapshot(doc, paths)
+    }]);
+    delete doc.$locals.auditBefore;
+    delete doc.$locals.auditPaths;
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await writeEntries(this.modelName, docs.map(doc => ({
+      action: 'create',
+      doc,
+      before: {},
+      after: snapshot(doc)
+    })));
+  });
+
+  // Query writes: load the matched documents before (and for updates after) the write
+  const singleDocumentMethods = ['updateOne', 'findOneAndUpdate', 'deleteOne', 'findOneAndDelete'];
+
+  const loadMatched = async function() {
+    // Deletes and replacements change every field
+    const wholeDocument = ['deleteOne', 'deleteMany', 'findOneAndDelete', 'replaceOne'].includes(this.op);
+    const written = wholeDocument ? null : updatedPaths(this.getUpdate());
+    const paths = written && audited(written);
+    this[auditPaths] = paths;
+    this[auditBefore] = [];
+
+    // Only unaudited fields change, e.g. re-verification claims
+    if (paths && paths.length === 0) return;
+    if (this.getOptions().auditSummary) {
+      this[auditBefore] = null;
+      return;
+    }
+
+    // The filter is already final, so soft-delete hooks must not narrow it again
+    const query = this.model.find(this.getFilter()).setOptions({ includeDeleted: true }).lean();
+    if (paths) {
+      query.select(projectionOf(paths));
+    }
+    query.limit(singleDocumentMethods.includes(this.op) ? 1 : MAX_AUDITED_DOCUMENTS + 1);
+    const matched = await query;
+    this[auditBefore] = matched.length > MAX_AUDITED_DOCUMENTS ? null : matched;
+  };
+
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(method => {
+    schema.pre(method, loadMatched);
+    schema.post(method, async function(result) {
+      const matched = this[auditBefore];
+      const paths = this[auditPaths];
+      if (matched === null) {
+        await writeSummary(this.model.modelName, 'update', method, paths, result);
+        return;
+      }
+      if (!matched || matched.length === 0) return;
+
+      const query = this.model.find({ _id: { $in: matched.map(doc => doc._id) } })
+        .setOptions({ includeDeleted: true })
+        .lean();
+      if (paths) {
+        query.select(projectionOf(paths));
+      }
+      const updated = await query;
+      const updatedById = new Map(updated.map(doc => [doc._id.toString(), doc]));
+
+      await writeEntries(this.model.modelName, matched.map(doc => ({
+        action: 'update',
+        doc,
+        before: snapshot(doc, paths),
+        after: snapshot(updatedById.get(doc._id.toString()) || doc, paths)
+      })));
+    });
+  });
+
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(method => {
+    schema.pre(method, loadMatched);
+    schema.post(method, async function(result) {
+      const matched = this[auditBefore];
+      if (matched === null) {
+        await writeSummary(this.model.modelName, 'delete', method, null, result);
+        return;
+      }
+      await writeEntries(this.model.modelName, (matched || []).map(doc => ({
+        action: 'delete',
+        doc,
+        before: snapshot(doc),
+        after: {}
+      })));
+    });
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await writeEntries(doc.constructor.modelName, [{
+      action: 'delete',
+      doc,
+      before: snapshot(doc),
+      after: {}
+    }]);
+  });
 };
 
 /**
@@ -237,5 +559,6 @@ module.exports = {
   commonModelHooks,
   addTimestamps,
   addValidationHooks,
-  addSoftDelete
+  addSoftDelete,
+  addAuditTrail
 }; 
\ No newline at end of file
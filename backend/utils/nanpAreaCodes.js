@@ -0,0 +1,186 @@
+/**
+ * NANP Area Codes
+ *
+ * Geographic area codes of the North American Numbering Plan by US state, Canadian
+ * province or NANP country, with the time zone that covers most of each. Area codes
+ * of regions split across time zones are listed in TIME_ZONE_OVERRIDES. Codes missing
+ * here are not rejected by the phone parser, only left without a region.
+ */
+
+const REGIONS = {
+  // United States
+  AL: { country: 'US', timeZone: 'America/Chicago', areaCodes: [205, 251, 256, 334, 659, 938] },
+  AK: { country: 'US', timeZone: 'America/Anchorage', areaCodes: [907] },
+  AZ: { country: 'US', timeZone: 'America/Phoenix', areaCodes: [480, 520, 602, 623, 928] },
+  AR: { country: 'US', timeZone: 'America/Chicago', areaCodes: [327, 479, 501, 870] },
+  CA: {
+    country: 'US',
+    timeZone: 'America/Los_Angeles',
+    areaCodes: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+      657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951]
+  },
+  CO: { country: 'US', timeZone: 'America/Denver', areaCodes: [303, 719, 720, 970] },
+  CT: { country: 'US', timeZone: 'America/New_York', areaCodes: [203, 475, 860, 959] },
+  DE: { country: 'US', timeZone: 'America/New_York', areaCodes: [302] },
+  DC: { country: 'US', timeZone: 'America/New_York', areaCodes: [202, 771] },
+  FL: {
+    country: 'US',
+    timeZone: 'America/New_York',
+    areaCodes: [239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 850, 863, 904, 941, 954]
+  },
+  GA: { country: 'US', timeZone: 'America/New_York', areaCodes: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943] },
+  HI: { country: 'US', timeZone: 'Pacific/Honolulu', areaCodes: [808] },
+  ID: { country: 'US', timeZone: 'America/Boise', areaCodes: [208, 986] },
+  IL: {
+    country: 'US',
+    timeZone: 'America/Chicago',
+    areaCodes: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 872]
+  },
+  IN: { country: 'US', timeZone: 'America/Indiana/Indianapolis', areaCodes: [219, 260, 317, 463, 574, 765, 812, 930] },
+  IA: { country: 'US', timeZone: 'America/Chicago', areaCodes: [319, 515, 563, 641, 712] },
+  KS: { country: 'US', timeZone: 'America/Chicago', areaCodes: [316, 620, 785, 913] },
+  KY: { country: 'US', timeZone: 'America/New_York', areaCodes: [270, 364, 502, 606, 859] },
+  LA: { country: 'US', timeZone: 'America/Chicago', areaCodes: [225, 318, 337, 504, 985] },
+  ME: { country: 'US', timeZone: 'America/New_York', areaCodes: [207] },
+  MD: { country: 'US', timeZone: 'America/New_York', areaCodes: [227, 240, 301, 410, 443, 667] },
+  MA: { country: 'US', timeZone: 'America/New_York', areaCodes: [339, 351, 413, 508, 617, 774, 781, 857, 978] },
+  MI: {
+    country: 'US',
+    timeZone: 'America/Detroit',
+    areaCodes: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989]
+  },
+  MN: { country: 'US', timeZone: 'America/Chicago', areaCodes: [218, 320, 507, 612, 651, 763, 924, 952] },
+  MS: { country: 'US', timeZone: 'America/Chicago', areaCodes: [228, 601, 662, 769] },
+  MO: { country: 'US', timeZone: 'America/Chicago', areaCodes: [235, 314, 417, 557, 573, 636, 660, 816, 975] },
+  MT: { country: 'US', timeZone: 'America/Denver', areaCodes: [406] },
+  NE: { country: 'US', timeZone: 'America/Chicago', areaCodes: [308, 402, 531] },
+  NV: { country: 'US', timeZone: 'America/Los_Angeles', areaCodes: [702, 725, 775] },
+  NH: { country: 'US', timeZone: 'America/New_York', areaCodes: [603] },
+  NJ: { country: 'US', timeZone: 'America/New_York', areaCodes: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973] },
+  NM: { country: 'US', timeZone: 'America/Denver', areaCodes: [505, 575] },
+  NY: {
+    country: 'US',
+    timeZone: 'America/New_York',
+    areaCodes: [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914,
+      917, 929, 934]
+  },
+  NC: { country: 'US', timeZone: 'America/New_York', areaCodes: [252, 336, 472, 704, 743, 828, 910, 919, 980, 984] },
+  ND: { country: 'US', timeZone: 'America/Chicago', areaCodes: [701] },
+  OH: {
+    country: 'US',
+    timeZone: 'America/New_York',
+    areaCodes: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937]
+  },
+  OK: { country: 'US', timeZone: 'America/Chicago', areaCodes: [405, 539, 572, 580, 918] },
+  OR: { country: 'US', timeZone: 'America/Los_Angeles', areaCodes: [458, 503, 541, 971] },
+  PA: {
+    country: 'US',
+    timeZone: 'America/New_York',
+    areaCodes: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878]
+  },
+  RI: { country: 'US', timeZone: 'America/New_York', areaCodes: [401] },
+  SC: { country: 'US', timeZone: 'America/New_York', areaCodes: [803, 821, 839, 843, 854, 864] },
+  SD: { country: 'US', timeZone: 'America/Chicago', areaCodes: [605] },
+  TN: { country: 'US', timeZone: 'America/Chicago', areaCodes: [423, 615, 629, 731, 865, 901, 931] },
+  TX: {
+    country: 'US',
+    timeZone: 'America/Chicago',
+    areaCodes: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830,
+      832, 903, 915, 936, 940, 945, 956, 972, 979]
+  },
+  UT: { country: 'US', timeZone: 'America/Denver', areaCodes: [385, 435, 801] },
+  VT: { country: 'US', timeZone: 'America/New_York', areaCodes: [802] },
+  VA: { country: 'US', timeZone: 'America/New_York', areaCodes: [276, 434, 540, 571, 686, 703, 757, 804, 826, 948] },
+  WA: { country: 'US', timeZone: 'America/Los_Angeles', areaCodes: [206, 253, 360, 425, 509, 564] },
+  WV: { country: 'US', timeZone: 'America/New_York', areaCodes: [304, 681] },
+  WI: { country: 'US', timeZone: 'America/Chicago', areaCodes: [262, 274, 353, 414, 534, 608, 715, 920] },
+  WY: { country: 'US', timeZone: 'America/Denver', areaCodes: [307] },
+  // Canada
+  AB: { country: 'CA', timeZone: 'America/Edmonton', areaCodes: [368, 403, 587, 780, 825] },
+  BC: { country: 'CA', timeZone: 'America/Vancouver', areaCodes: [236, 250, 604, 672, 778] },
+  MB: { country: 'CA', timeZone: 'America/Winnipeg', areaCodes: [204, 431, 584] },
+  NB: { country: 'CA', timeZone: 'America/Moncton', areaCodes: [428, 506] },
+  NL: { country: 'CA', timeZone: 'America/St_Johns', areaCodes: [709, 879] },
+  NS: { country: 'CA', timeZone: 'America/Halifax', areaCodes: [782, 902] },
+  ON: {
+    country: 'CA',
+    timeZone: 'America/Toronto',
+    areaCodes: [226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 807, 905]
+  },
+  QC: { country: 'CA', timeZone: 'America/Toronto', areaCodes: [263, 354, 367, 418, 438, 450, 514, 579, 581, 819, 873] },
+  SK: { country: 'CA', timeZone: 'America/Regina', areaCodes: [306, 639] }
+};
+
+// NANP countries and US territories outside the regions above, by country code
+const COUNTRIES = {
+  // US territories
+  PR: { timeZone: 'America/Puerto_Rico', areaCodes: [787, 939] },
+  VI: { timeZone: 'America/St_Thomas', areaCodes: [340] },
+  GU: { timeZone: 'Pacific/Guam', areaCodes: [671] },
+  MP: { timeZone: 'Pacific/Saipan', areaCodes: [670] },
+  AS: { timeZone: 'Pacific/Pago_Pago', areaCodes: [684] },
+  // Caribbean countries in the NANP
+  BS: { timeZone: 'America/Nassau', areaCodes: [242] },
+  BB: { timeZone: 'America/Barbados', areaCodes: [246] },
+  AI: { timeZone: 'America/Anguilla', areaCodes: [264] },
+  AG: { timeZone: 'America/Antigua', areaCodes: [268] },
+  VG: { timeZone: 'America/Tortola', areaCodes: [284] },
+  KY: { timeZone: 'America/Cayman', areaCodes: [345] },
+  BM: { timeZone: 'Atlantic/Bermuda', areaCodes: [441] },
+  GD: { timeZone: 'America/Grenada', areaCodes: [473] },
+  TC: { timeZone: 'America/Grand_Turk', areaCodes: [649] },
+  JM: { timeZone: 'America/Jamaica', areaCodes: [658, 876] },
+  MS: { timeZone: 'America/Montserrat', areaCodes: [664] },
+  SX: { timeZone: 'America/Lower_Princes', areaCodes: [721] },
+  LC: { timeZone: 'America/St_Lucia', areaCodes: [758] },
+  DM: { timeZone: 'America/Dominica', areaCodes: [767] },
+  VC: { timeZone: 'America/St_Vincent', areaCodes: [784] },
+  DO: { timeZone: 'America/Santo_Domingo', areaCodes: [809, 829, 849] },
+  TT: { timeZone: 'America/Port_of_Spain', areaCodes: [868] },
+  KN: { timeZone: 'America/St_Kitts', areaCodes: [869] }
+};
+
+// Area codes mostly in a different time zone than the rest of their region
+const TIME_ZONE_OVERRIDES = {
+  219: 'America/Chicago', // Northwest Indiana
+  270: 'America/Chicago', // Western Kentucky
+  364: 'America/Chicago',
+  423: 'America/New_York', // East Tennessee
+  865: 'America/New_York',
+  850: 'America/Chicago', // Florida panhandle
+  915: 'America/Denver' // El Paso
+};
+
+// Toll-free area codes
+const TOLL_FREE = [800, 833, 844, 855, 866, 877, 888];
+
+// Premium-rate and other non-geographic service area codes
+const PREMIUM = [900];
+const NON_GEOGRAPHIC = [500, 521, 522, 523, 524, 525, 526, 527, 528, 529, 533, 544, 566, 577, 588, 600, 622, 700,
+  710];
+
+const byAreaCode = new Map();
+Object.entries(REGIONS).forEach(([region, { country, timeZone, areaCodes }]) => {
+  areaCodes.forEach(code => byAreaCode.set(code, {
+    country,
+    region,
+    timeZone: TIME_ZONE_OVERRIDES[code] || timeZone
+  }));
+});
+Object.entries(COUNTRIES).forEach(([country, { timeZone, areaCodes }]) => {
+  areaCodes.forEach(code => byAreaCode.set(code, { country, region: null, timeZone }));
+});
+
+/**
+ * Look up where a geographic area code is
+ * @param {number|string} areaCode - Three digit area code
+ * @returns {Object|null} { country, region, timeZone } or null for unlisted codes
+ */
+const lookupAreaCode = (areaCode) => byAreaCode.get(Number(areaCode)) || null;
+
+module.exports = {
+  TOLL_FREE,
+  PREMIUM,
+  NON_GEOGRAPHIC,
+  lookupAreaCode
+};
@@ -0,0 +1,161 @@
+/**
+ * Phone Number Utility
+ *
+ * Offline parsing, formatting and classification of phone numbers. North American
+ * (NANP) numbers are checked against the numbering plan: impossible area codes and
+ * exchanges, N11 service codes and the 555-01XX range reserved for fiction are
+ * rejected, and the area code gives the region and time zone. Numbers written in
+ * international form outside the NANP are normalized to E.164 but not checked further.
+ */
+
+const { TOLL_FREE, PREMIUM, NON_GEOGRAPHIC, lookupAreaCode } = require('./nanpAreaCodes');
+
+// Trailing extension: "x12", "ext. 12", "extension 12", "#12" or ";ext=12"
+const EXTENSION_PATTERN = /\s*(?:;\s*ext=|#|(?:extension|ext|x)\.?)\s*(\d{1,6})\s*$/i;
+
+// Shortest and longest E.164 numbers accepted outside the NANP, in digits
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+/**
+ * Check the area code and exchange of a ten digit NANP number
+ * @param {string} digits - Ten digits
+ * @returns {string|null} Why the number is impossible, or null
+ */
+const findNanpProblem = (digits) => {
+  const areaCode = digits.slice(0, 3);
+  const exchange = digits.slice(3, 6);
+  const line = digits.slice(6);
+
+  if (!/^[2-9]/.test(areaCode)) {
+    return 'Area codes cannot start with 0 or 1.';
+  }
+  if (areaCode.slice(1) === '11') {
+    return `${areaCode} is a service code, not an area code.`;
+  }
+  if (areaCode[1] === '9' || /^(37|96)/.test(areaCode)) {
+    return `${areaCode} is a reserved area code.`;
+  }
+  if (!/^[2-9]/.test(exchange)) {
+    return 'Exchanges cannot start with 0 or 1.';
+  }
+  if (exchange.slice(1) === '11') {
+    return `${exchange} is a service code (N11), not an exchange.`;
+  }
+  if (exchange === '555' && (line.startsWith('01') || line === '1212')) {
+    return line === '1212'
+      ? '555-1212 is directory assistance.'
+      : '555-0100 through 555-0199 are reserved for fictional use.';
+  }
+  return null;
+};
+
+/**
+ * Kind of number an area code gives
+ * @param {string} areaCode - Three digit area code
+ * @returns {string} geographic, toll_free, premium or non_geographic
+ */
+const classifyAreaCode = (areaCode) => {
+  const code = Number(areaCode);
+  if (TOLL_FREE.includes(code)) return 'toll_free';
+  if (PREMIUM.includes(code)) return 'premium';
+  if (NON_GEOGRAPHIC.includes(code)) return 'non_geographic';
+  return 'geographic';
+};
+
+/**
+ * Parse a phone number
+ *
+ * Accepts common formats such as "(713) 555-0100", "713.555.0100", "+17135550100" and
+ * "713-555-0100 ext. 12". Ten digit numbers, and eleven digit numbers starting with 1,
+ * are treated as NANP numbers.
+ *
+ * @param {string} input - Phone number as written
+ * @returns {Object} {
+ *   valid, reason (why it is invalid), e164, nationalFormat, extension, countryCode,
+ *   areaCode, region (state or province), timeZone (IANA), numberType
+ *   (geographic, toll_free, premium, non_geographic or international)
+ * }
+ *   e164 is set for every number of a usable length, including impossible NANP numbers.
+ */
+const parsePhone = (input) => {
+  const result = {
+    valid: false,
+    reason: null,
+    e164: '',
+    nationalFormat: null,
+    extension: null,
+    countryCode: null,
+    areaCode: null,
+    region: null,
+    timeZone: null,
+    numberType: null
+  };
+
+  let raw = String(input || '').trim();
+  const extension = raw.match(EXTENSION_PATTERN);
+  if (extension) {
+    result.extension = extension[1];
+    raw = raw.slice(0, extension.index);
+  }
+
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    result.reason = 'No phone number given.';
+    return result;
+  }
+
+  // International form outside the NANP
+  if (raw.startsWith('+') && !digits.startsWith('1')) {
+    if (digits.length < MIN_INTERNATIONAL_DIGITS || digits.length > MAX_INTERNATIONAL_DIGITS) {
+      result.reason = `International numbers have ${MIN_INTERNATIONAL_DIGITS} to ${MAX_INTERNATIONAL_DIGITS} digits.`;
+      return result;
+    }
+    return { ...result, valid: true, e164: `+${digits}`, numberType: 'international' };
+  }
+
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (national.length !== 10) {
+    result.reason = 'North American numbers have 10 digits.';
+    return result;
+  }
+
+  result.e164 = `+1${national}`;
+  result.reason = findNanpProblem(national);
+  if (result.reason) {
+    return result;
+  }
+
+  const areaCode = national.slice(0, 3);
+  const location = lookupAreaCode(areaCode);
+  return {
+    ...result,
+    valid: true,
+    nationalFormat: `(${areaCode}) ${national.slice(3, 6)}-${national.slice(6)}`,
+    countryCode: location ? location.country : null,
+    areaCode,
+    region: location ? location.region : null,
+    timeZone: location ? location.timeZone : null,
+    numberType: classifyAreaCode(areaCode)
+  };
+};
+
+/**
+ * Format a phone number for display
+ * @param {string} input - Phone number as written
+ * @returns {string} "(713) 555-0100 ext. 12" for NANP numbers, E.164 for other valid
+ *   numbers, or the input unchanged when it cannot be parsed
+ */
+const formatPhone = (input) => {
+  const parsed = parsePhone(input);
+  if (!parsed.valid) {
+    return String(input || '').trim();
+  }
+  const number = parsed.nationalFormat || parsed.e164;
+  return parsed.extension ? `${number} ext. ${parsed.extension}` : number;
+};
+
+module.exports = {
+  parsePhone,
+  formatPhone
+};
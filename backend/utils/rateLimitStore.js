@@ -0,0 +1,148 @@
+/**
+ * Rate Limit Store
+ *
+ * Token buckets with a daily quota, shared by every worker through Redis when REDIS_URL
+ * is set and kept in memory (per process) otherwise. A bucket holds up to `capacity`
+ * tokens and refills at `rate` tokens per second; a request takes one token and counts
+ * towards the quota of the current UTC day. Both checks happen in one atomic step.
+ */
+
+const Redis = require('ioredis');
+const { logger } = require('./logger');
+
+const REDIS_URL = process.env.REDIS_URL;
+const KEY_PREFIX = 'lvp:ratelimit:';
+
+/**
+ * Current UTC day and the seconds left in it
+ * @param {number} now - Time in ms
+ * @returns {{day: string, secondsLeft: number}}
+ */
+const utcDay = (now) => {
+  const date = new Date(now);
+  const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return { day: date.toISOString().slice(0, 10), secondsLeft: Math.ceil((next - now) / 1000) };
+};
+
+// KEYS: bucket hash, day counter
+// ARGV: rate (tokens/s), capacity, now (ms), day limit (0 for none), day counter TTL (s)
+// Returns { wait ms (0 when a token was taken, -1 when the day's quota is used up), calls today }
+const TAKE_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local dayLimit = tonumber(ARGV[4])
+local used = tonumber(redis.call('GET', KEYS[2]) or '0')
+if dayLimit > 0 and used >= dayLimit then
+  return {-1, used}
+end
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(now - ts, 0) * rate / 1000)
+local ttl = math.ceil(capacity / rate * 1000) + 1000
+if tokens < 1 then
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+  redis.call('PEXPIRE', KEYS[1], ttl)
+  return {math.ceil((1 - tokens) * 1000 / rate), used}
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens - 1), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], ttl)
+used = redis.call('INCR', KEYS[2])
+if used == 1 then
+  redis.call('EXPIRE', KEYS[2], tonumber(ARGV[5]) + 3600)
+end
+return {0, used}
+`;
+
+// In-memory store (fallback if Redis is not available); limits apply per process
+class MemoryRateLimitStore {
+  constructor() {
+    // key -> { tokens, ts, day, used }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token from a bucket
+   * @param {string} key - Bucket key
+   * @param {Object} limits - { rate, capacity, dayLimit }
+   * @param {number} now - Time in ms (default now)
+   * @returns {Promise<{waitMs: number, usedToday: number, dayExhausted: boolean}>}
+   *   waitMs: how long until a token is free (0 when one was taken)
+   */
+  async take(key, { rate, capacity, dayLimit }, now = Date.now()) {
+    const { day } = utcDay(now);
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, ts: now, day, used: 0 };
+      this.buckets.set(key, bucket);
+    }
+    if (bucket.day !== day) {
+      bucket.day = day;
+      bucket.used = 0;
+    }
+    if (dayLimit > 0 && bucket.used >= dayLimit) {
+      return { waitMs: 0, usedToday: bucket.used, dayExhausted: true };
+    }
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(now - bucket.ts, 0) * rate / 1000);
+    bucket.ts = now;
+    if (bucket.tokens < 1) {
+      return { waitMs: Math.ceil((1 - bucket.tokens) * 1000 / rate), usedToday: bucket.used, dayExhausted: false };
+    }
+    bucket.tokens -= 1;
+    bucket.used += 1;
+    return { waitMs: 0, usedToday: bucket.used, dayExhausted: false };
+  }
+}
+
+// Redis store, shared by every worker and server
+class RedisRateLimitStore {
+  constructor(redisUrl) {
+    this.client = new Redis(redisUrl);
+    this.client.defineCommand('takeToken', { numberOfKeys: 2, lua: TAKE_SCRIPT });
+    // Used while Redis cannot be reached, so that calls are still limited per process
+    this.fallback = new MemoryRateLimitStore();
+
+    this.client.on('error', (err) => {
+      logger.error('Redis rate limit store error:', err);
+    });
+  }
+
+  async take(key, { rate, capacity, dayLimit }, now = Date.now()) {
+    const { day, secondsLeft } = utcDay(now);
+    try {
+      const [wait, used] = await this.client.takeToken(
+        `${KEY_PREFIX}${key}:bucket`,
+        `${KEY_PREFIX}${key}:day:${day}`,
+        rate,
+        capacity,
+        now,
+        dayLimit || 0,
+        secondsLeft
+      );
+      return { waitMs: Math.max(wait, 0), usedToday: used, dayExhausted: wait === -1 };
+    } catch (error) {
+      logger.error(`Redis rate limit error, limiting in memory: ${error.message}`);
+      return this.fallback.take(key, { rate, capacity, dayLimit }, now);
+    }
+  }
+}
+
+// Create the store based on configuration
+let storeInstance;
+
+if (REDIS_URL) {
+  try {
+    storeInstance = new RedisRateLimitStore(REDIS_URL);
+  } catch (error) {
+    logger.error(`Failed to initialize the Redis rate limit store: ${error.message}`);
+    logger.info('Falling back to in-memory rate limiting');
+    storeInstance = new MemoryRateLimitStore();
+  }
+} else {
+  storeInstance = new MemoryRateLimitStore();
+}
+
+module.exports = storeInstance;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
@@ -4,6 +4,9 @@
  */
 
 const NodeCache = require('node-cache');
+const { parseEmail } = require('./emailAddress');
+const { normalizeEmail } = require('./leadMatching');
+const { summarizeFreshness, STALE_WEIGHT } = require('./verificationFreshness');
 
 // Cache scoring results (TTL: 1 hour)
 const scoreCache = new NodeCache({ stdTTL: 3600 });
@@ -23,6 +26,51 @@ const DEFAULT_WEIGHTS = {
   ownershipVerified: 0.15
 };
 
+// Points for an email address, by the outcome of its verification
+const EMAIL_SCORES = {
+  valid: 20,
+  unknown: 10,
+  invalid: 0
+};
+
+/**
+ * Scores a lead's email address
+ * Uses the lead's latest email verification (verificationResults.email) when it has one,
+ * and otherwise the offline checks of utils/emailAddress.js. Role accounts and addresses
+ * with a likely domain typo get half the points of a valid address.
+ * @param {Object} lead Lead to score
+ * @returns {Object} Score and details for the email address
+ */
+function scoreEmail(lead) {
+  const email = normalizeEmail(lead.email);
+  if (!email) {
+    return { score: 0, present: false };
+  }
+
+  const verification = lead.verificationResults && lead.verificationResults.email;
+  const verified = verification && EMAIL_SCORES[verification.status] !== undefined;
+  const parsed = parseEmail(email);
+  const details = verified ? { ...verification.details } : parsed;
+  const status = verified
+    ? verification.status
+    : (parsed.valid && !parsed.disposable ? 'unverified' : 'invalid');
+
+  let score = verified ? EMAIL_SCORES[status] : (status === 'invalid' ? 0 : EMAIL_SCORES.valid);
+  if (status !== 'invalid' && (details.roleAccount || details.suggestion)) {
+    score = Math.min(score, EMAIL_SCORES.valid / 2);
+  }
+
+  return {
+    score,
+    present: true,
+    status,
+    confidence: verified ? verification.confidence : undefined,
+    roleAccount: Boolean(details.roleAccount),
+    disposable: Boolean(details.disposable),
+    suggestion: details.suggestion || undefined
+  };
+}
+
 /**
  * Scores the quality of contact information
  * @param {Object} lead Lead to score
@@ -45,13 +93,9 @@ function scoreContactQuality(lead) {
     details.phoneNumbers = { score: 0, count: 0 };
   }
   
-  // Score based on email
-  if (lead.email && lead.email.trim()) {
-    details.email = { score: 20, present: true };
-    score += 20;
-  } else {
-    details.email = { score: 0, present: false };
-  }
+  // Score based on email and its verification
+  details.email = scoreEmail(lead);
+  score += details.email.score;
   
   // Score based on name completeness
   if (lead.name && lead.name.trim()) {
@@ -233,6 +277,16 @@ function scoreVerificationStatus(lead) {
     details.addressVerified = lead.verificationDetails.addressVerification && 
                             lead.verificationDetails.addressVerification.isValid;
   }
+
+  // Results past their type's freshness window count for less, in proportion to how many
+  // of the lead's results are stale (see utils/verificationFreshness.js)
+  const results = Object.values(lead.verificationResults || {}).filter(result => result && result.verifiedAt);
+  const { stale } = summarizeFreshness(lead.verificationResults);
+  if (stale.length > 0) {
+    score = Math.round(score * (1 - (1 - STALE_WEIGHT) * stale.length / results.length));
+    details.staleVerifications = stale;
+    details.reason += ` (${stale.join(', ')} verification out of date)`;
+  }
   
   return {
     score,
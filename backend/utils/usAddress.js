@@ -0,0 +1,390 @@
+/**
+ * US Address Utility
+ *
+ * Offline parsing and standardization of US street addresses. An address is split into
+ * house number, pre-directional, street name, suffix, post-directional, unit, city,
+ * state and ZIP, with street suffixes, directionals and unit designators abbreviated the
+ * way USPS Publication 28 does ("123 North Main Street Apt. 4" -> "123 N MAIN ST APT 4").
+ * The canonical key of the street line is what addresses are compared on, so the same
+ * street address matches however it was written and whether or not it includes the city.
+ */
+
+// USPS standard suffix abbreviations by every spelling in common use
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', ALY: 'ALY', ALLEE: 'ALY', ANNEX: 'ANX', ANX: 'ANX', ARCADE: 'ARC', ARC: 'ARC',
+  AVENUE: 'AVE', AVE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE',
+  BAYOU: 'BYU', BYU: 'BYU', BEND: 'BND', BND: 'BND', BLUFF: 'BLF', BLF: 'BLF',
+  BOULEVARD: 'BLVD', BLVD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD', BRANCH: 'BR', BR: 'BR',
+  BRIDGE: 'BRG', BRG: 'BRG', BROOK: 'BRK', BRK: 'BRK', BYPASS: 'BYP', BYP: 'BYP',
+  CAUSEWAY: 'CSWY', CSWY: 'CSWY', CENTER: 'CTR', CTR: 'CTR', CENTRE: 'CTR', CIRCLE: 'CIR', CIR: 'CIR',
+  CIRC: 'CIR', CLIFF: 'CLF', CLF: 'CLF', CLUB: 'CLB', CLB: 'CLB', COMMON: 'CMN', CMN: 'CMN',
+  CORNER: 'COR', COR: 'COR', COURSE: 'CRSE', CRSE: 'CRSE', COURT: 'CT', CT: 'CT', COVE: 'CV', CV: 'CV',
+  CREEK: 'CRK', CRK: 'CRK', CRESCENT: 'CRES', CRES: 'CRES', CROSSING: 'XING', XING: 'XING',
+  DALE: 'DL', DL: 'DL', DRIVE: 'DR', DR: 'DR', DRIV: 'DR', DRV: 'DR', ESTATE: 'EST', EST: 'EST',
+  ESTATES: 'ESTS', ESTS: 'ESTS', EXPRESSWAY: 'EXPY', EXPY: 'EXPY', EXTENSION: 'EXT', EXT: 'EXT',
+  FALLS: 'FLS', FLS: 'FLS', FERRY: 'FRY', FRY: 'FRY', FIELD: 'FLD', FLD: 'FLD', FIELDS: 'FLDS', FLDS: 'FLDS',
+  FLAT: 'FLT', FLT: 'FLT', FOREST: 'FRST', FRST: 'FRST', FORK: 'FRK', FRK: 'FRK', FREEWAY: 'FWY', FWY: 'FWY',
+  GARDEN: 'GDN', GDN: 'GDN', GARDENS: 'GDNS', GDNS: 'GDNS', GATEWAY: 'GTWY', GTWY: 'GTWY', GLEN: 'GLN',
+  GLN: 'GLN', GREEN: 'GRN', GRN: 'GRN', GROVE: 'GRV', GRV: 'GRV', HARBOR: 'HBR', HBR: 'HBR', HAVEN: 'HVN',
+  HVN: 'HVN', HEIGHTS: 'HTS', HTS: 'HTS', HIGHWAY: 'HWY', HWY: 'HWY', HILL: 'HL', HL: 'HL', HILLS: 'HLS',
+  HLS: 'HLS', HOLLOW: 'HOLW', HOLW: 'HOLW', ISLAND: 'IS', IS: 'IS', JUNCTION: 'JCT', JCT: 'JCT',
+  KNOLL: 'KNL', KNL: 'KNL', LAKE: 'LK', LK: 'LK', LAKES: 'LKS', LKS: 'LKS', LANDING: 'LNDG', LNDG: 'LNDG',
+  LANE: 'LN', LN: 'LN', LOOP: 'LOOP', MALL: 'MALL', MANOR: 'MNR', MNR: 'MNR', MEADOW: 'MDW', MDW: 'MDW',
+  MEADOWS: 'MDWS', MDWS: 'MDWS', MILL: 'ML', ML: 'ML', MOTORWAY: 'MTWY', MTWY: 'MTWY', MOUNT: 'MT', MT: 'MT',
+  MOUNTAIN: 'MTN', MTN: 'MTN', ORCHARD: 'ORCH', ORCH: 'ORCH', OVAL: 'OVAL', OVERPASS: 'OPAS', OPAS: 'OPAS',
+  PARK: 'PARK', PARKWAY: 'PKWY', PKWY: 'PKWY', PKY: 'PKWY', PASS: 'PASS', PATH: 'PATH', PIKE: 'PIKE',
+  PINES: 'PNES', PNES: 'PNES', PLACE: 'PL', PL: 'PL', PLAIN: 'PLN', PLN: 'PLN', PLAZA: 'PLZ', PLZ: 'PLZ',
+  POINT: 'PT', PT: 'PT', POINTE: 'PT', PORT: 'PRT', PRT: 'PRT', PRAIRIE: 'PR', PR: 'PR', RANCH: 'RNCH',
+  RNCH: 'RNCH', RIDGE: 'RDG', RDG: 'RDG', RIVER: 'RIV', RIV: 'RIV', ROAD: 'RD', RD: 'RD', ROUTE: 'RTE',
+  RTE: 'RTE', ROW: 'ROW', RUN: 'RUN', SHORE: 'SHR', SHR: 'SHR', SHORES: 'SHRS', SHRS: 'SHRS',
+  SKYWAY: 'SKWY', SKWY: 'SKWY', SPRING: 'SPG', SPG: 'SPG', SPRINGS: 'SPGS', SPGS: 'SPGS', SQUARE: 'SQ',
+  SQ: 'SQ', STATION: 'STA', STA: 'STA', STREET: 'ST', ST: 'ST', STR: 'ST', STRT: 'ST', STREAM: 'STRM',
+  STRM: 'STRM', SUMMIT: 'SMT', SMT: 'SMT', TERRACE: 'TER', TER: 'TER', TRACE: 'TRCE', TRCE: 'TRCE',
+  TRACK: 'TRAK', TRAK: 'TRAK', TRAIL: 'TRL', TRL: 'TRL', TUNNEL: 'TUNL', TUNL: 'TUNL', TURNPIKE: 'TPKE',
+  TPKE: 'TPKE', VALLEY: 'VLY', VLY: 'VLY', VIEW: 'VW', VW: 'VW', VILLAGE: 'VLG', VLG: 'VLG', VILLE: 'VL',
+  VL: 'VL', VISTA: 'VIS', VIS: 'VIS', WALK: 'WALK', WAY: 'WAY', WY: 'WAY', WELLS: 'WLS', WLS: 'WLS'
+};
+
+// Suffixes that are rarely also a word of a city name; preferred when an address without
+// commas has to be split into street and city
+const COMMON_SUFFIXES = ['AVE', 'BLVD', 'CIR', 'CT', 'DR', 'EXPY', 'FWY', 'HWY', 'LN', 'LOOP', 'PKWY', 'PL', 'RD',
+  'ST', 'TER', 'TRL', 'WAY'];
+
+// Suffixes written before a route number ("Highway 6", "FM Road 1960") rather than after a name
+const ROUTE_SUFFIXES = ['EXPY', 'FWY', 'HWY', 'PIKE', 'RD', 'RTE', 'TPKE'];
+
+const DIRECTIONALS = {
+  NORTH: 'N', N: 'N', SOUTH: 'S', S: 'S', EAST: 'E', E: 'E', WEST: 'W', W: 'W',
+  NORTHEAST: 'NE', NE: 'NE', NORTHWEST: 'NW', NW: 'NW', SOUTHEAST: 'SE', SE: 'SE', SOUTHWEST: 'SW', SW: 'SW'
+};
+
+// USPS secondary unit designators; the ones in UNITS_WITHOUT_NUMBER take no unit number
+const UNIT_DESIGNATORS = {
+  APARTMENT: 'APT', APT: 'APT', BUILDING: 'BLDG', BLDG: 'BLDG', DEPARTMENT: 'DEPT', DEPT: 'DEPT',
+  FLOOR: 'FL', FL: 'FL', HANGAR: 'HNGR', HNGR: 'HNGR', LOT: 'LOT', PIER: 'PIER', ROOM: 'RM', RM: 'RM',
+  SLIP: 'SLIP', SPACE: 'SPC', SPC: 'SPC', STOP: 'STOP', SUITE: 'STE', STE: 'STE', TRAILER: 'TRLR',
+  TRLR: 'TRLR', UNIT: 'UNIT', '#': '#',
+  BASEMENT: 'BSMT', BSMT: 'BSMT', FRONT: 'FRNT', FRNT: 'FRNT', LOBBY: 'LBBY', LBBY: 'LBBY', LOWER: 'LOWR',
+  LOWR: 'LOWR', OFFICE: 'OFC', OFC: 'OFC', PENTHOUSE: 'PH', PH: 'PH', REAR: 'REAR', UPPER: 'UPPR', UPPR: 'UPPR'
+};
+const UNITS_WITHOUT_NUMBER = ['BSMT', 'FRNT', 'LBBY', 'LOWR', 'OFC', 'PH', 'REAR', 'UPPR'];
+
+// States, DC and territories by name
+const STATES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA', HAWAII: 'HI',
+  IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY', LOUISIANA: 'LA',
+  MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN', MISSISSIPPI: 'MS',
+  MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ',
+  'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', OHIO: 'OH', OKLAHOMA: 'OK',
+  OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD',
+  TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT', VIRGINIA: 'VA', WASHINGTON: 'WA',
+  'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY', 'PUERTO RICO': 'PR', GUAM: 'GU',
+  'VIRGIN ISLANDS': 'VI', 'AMERICAN SAMOA': 'AS', 'NORTHERN MARIANA ISLANDS': 'MP'
+};
+const STATE_CODES = new Set(Object.values(STATES));
+
+// Longest state name, in words
+const MAX_STATE_WORDS = 3;
+
+const ZIP_PATTERN = /^(\d{5})(?:-?(\d{4}))?$/;
+const HOUSE_NUMBER_PATTERN = /^\d+[A-Z]?$|^\d+-\d+[A-Z]?$|^[A-Z]\d+$/;
+const FRACTION_PATTERN = /^\d\/\d$/;
+const PO_BOX_PATTERN = /^(?:P\s*O|POST\s+OFFICE)\s*BOX\s+(\w+)/;
+
+/**
+ * Uppercase an address and strip the punctuation USPS addresses do without
+ * @param {string} value - Address or part of one
+ * @returns {string}
+ */
+const clean = (value) => String(value || '')
+  .toUpperCase()
+  .replace(/\./g, '')
+  .replace(/#\s*/g, ' # ')
+  .replace(/[^A-Z0-9#/,\s-]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Two letter code of a state written as a code or a name
+ * @param {string} value - State
+ * @returns {string|null}
+ */
+const normalizeState = (value) => {
+  const state = clean(value).replace(/,/g, '');
+  if (STATE_CODES.has(state)) return state;
+  return STATES[state] || null;
+};
+
+/**
+ * Take a ZIP code and a state off the end of an address
+ * Without commas or a ZIP code, a last word that can also end a street line ("CT" for
+ * court, "NE" for northeast) is left to the street.
+ * @param {Array<string>} tokens - Words and commas of the address, changed in place
+ * @returns {Object} { state, zip, zip4 }
+ */
+const takeStateAndZip = (tokens) => {
+  const found = { state: null, zip: null, zip4: null };
+  const dropCommas = () => {
+    while (tokens[tokens.length - 1] === ',') tokens.pop();
+  };
+  const words = () => tokens.filter(token => token !== ',').length;
+
+  dropCommas();
+  const zip = words() > 1 && tokens[tokens.length - 1].match(ZIP_PATTERN);
+  if (zip) {
+    tokens.pop();
+    [, found.zip, found.zip4 = null] = zip;
+    dropCommas();
+  }
+
+  // Needs a street before it: a segment of its own, or a house number and a name
+  const hasCommas = tokens.includes(',');
+  for (let count = MAX_STATE_WORDS; count >= 1; count--) {
+    const candidate = tokens.slice(-count);
+    if (candidate.length < count || candidate.includes(',') || words() - count < (hasCommas ? 1 : 2)) continue;
+    const last = candidate[candidate.length - 1];
+    if (!hasCommas && !found.zip && (STREET_SUFFIXES[last] || DIRECTIONALS[last] || UNIT_DESIGNATORS[last])) continue;
+
+    const state = normalizeState(candidate.join(' '));
+    if (state) {
+      tokens.splice(-count);
+      found.state = state;
+      dropCommas();
+      break;
+    }
+  }
+  return found;
+};
+
+/**
+ * Split the words of a street line, possibly followed by a city, into its parts
+ * @param {Array<string>} words - Uppercase words without commas
+ * @param {boolean} mayHaveCity - Whether words after the street are the city
+ * @returns {Object} Street parts, with the words left over as city
+ */
+const parseStreet = (words, mayHaveCity) => {
+  const street = {
+    number: null,
+    preDirectional: null,
+    streetName: null,
+    suffix: null,
+    postDirectional: null,
+    unitType: null,
+    unit: null,
+    poBox: null,
+    city: null
+  };
+
+  const poBox = words.join(' ').match(PO_BOX_PATTERN);
+  if (poBox) {
+    street.poBox = poBox[1];
+    const rest = words.join(' ').slice(poBox[0].length).trim();
+    street.city = mayHaveCity && rest ? rest : null;
+    return street;
+  }
+
+  let index = 0;
+  if (HOUSE_NUMBER_PATTERN.test(words[0] || '')) {
+    street.number = words[0];
+    index = 1;
+    if (FRACTION_PATTERN.test(words[1] || '')) {
+      street.number = `${words[0]} ${words[1]}`;
+      index = 2;
+    }
+  }
+
+  // A directional is the street name itself when nothing but a suffix follows ("N ST")
+  const rest = words.slice(index);
+  if (DIRECTIONALS[rest[0]] && rest.length > 1 && !(rest.length === 2 && STREET_SUFFIXES[rest[1]])) {
+    street.preDirectional = DIRECTIONALS[rest[0]];
+    rest.shift();
+  }
+
+  // Unit: "APT 4", "# 4", "STE 200", "REAR"
+  let end = rest.length;
+  for (let i = 1; i < rest.length; i++) {
+    const designator = UNIT_DESIGNATORS[rest[i]];
+    if (!designator) continue;
+    const takesNumber = !UNITS_WITHOUT_NUMBER.includes(designator);
+    if (takesNumber && !rest[i + 1]) continue;
+    street.unitType = designator;
+    street.unit = takesNumber ? rest[i + 1] : null;
+    street.city = mayHaveCity ? rest.slice(i + (takesNumber ? 2 : 1)).join(' ') || null : null;
+    end = i;
+    break;
+  }
+  const nameWords = rest.slice(0, end);
+
+  // Suffix: the last one, or with a city to split off, the last common one
+  const candidates = nameWords
+    .map((word, i) => (i > 0 && STREET_SUFFIXES[word] ? i : -1))
+    .filter(i => i > 0 && !(ROUTE_SUFFIXES.includes(STREET_SUFFIXES[nameWords[i]]) && /^\d/.test(nameWords[i + 1] || '')));
+  const common = candidates.filter(i => COMMON_SUFFIXES.includes(STREET_SUFFIXES[nameWords[i]]));
+  let suffixAt = -1;
+  if (mayHaveCity && street.city === null) {
+    suffixAt = common.length ? common[common.length - 1] : candidates[candidates.length - 1];
+  } else if (STREET_SUFFIXES[nameWords[nameWords.length - 1]] && candidates.includes(nameWords.length - 1)) {
+    suffixAt = nameWords.length - 1;
+  } else if (DIRECTIONALS[nameWords[nameWords.length - 1]] && candidates.includes(nameWords.length - 2)) {
+    suffixAt = nameWords.length - 2;
+  }
+
+  if (suffixAt > 0) {
+    street.suffix = STREET_SUFFIXES[nameWords[suffixAt]];
+    let after = suffixAt + 1;
+    if (DIRECTIONALS[nameWords[after]] && (nameWords.length === after + 1 || mayHaveCity)) {
+      street.postDirectional = DIRECTIONALS[nameWords[after]];
+      after++;
+    }
+    if (mayHaveCity && street.city === null && after < nameWords.length) {
+      street.city = nameWords.slice(after).join(' ');
+    }
+    street.streetName = nameWords.slice(0, suffixAt).join(' ') || null;
+  } else {
+    street.streetName = nameWords.join(' ') || null;
+  }
+  return street;
+};
+
+/**
+ * Standardized street line of parsed parts
+ * @param {Object} parts - Result of parseAddress
+ * @returns {string} "123 N MAIN ST APT 4"
+ */
+const formatStreet = (parts) => {
+  if (parts.poBox) {
+    return `PO BOX ${parts.poBox}`;
+  }
+  const unit = parts.unitType && [parts.unitType, parts.unit].filter(Boolean).join(' ');
+  return [parts.number, parts.preDirectional, parts.streetName, parts.suffix, parts.postDirectional, unit]
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Parse and standardize a US address
+ *
+ * Accepts a full address ("123 North Main Street Apt. 4, Houston, Texas 77002", with or
+ * without commas) or the address fields of a lead, where the street line may also hold
+ * the city, state and ZIP. Fields given separately win over the ones found in the line.
+ *
+ * @param {string|Object} input - Address, or { address, city, state, zip|zipCode }
+ * @returns {Object} {
+ *   valid, reason (why it is invalid), number, preDirectional, streetName, suffix,
+ *   postDirectional, unitType, unit, poBox, city, state, zip, zip4, street (standardized
+ *   street line), standardizedAddress ("123 N MAIN ST APT 4, HOUSTON, TX 77002"),
+ *   key (canonical street line for comparing addresses, numbered units written "#")
+ * }
+ */
+const parseAddress = (input) => {
+  const fields = input && typeof input === 'object' ? input : { address: input };
+  const segments = clean(fields.address).split(',').map(segment => segment.trim()).filter(Boolean);
+
+  const result = {
+    valid: false,
+    reason: null,
+    number: null,
+    preDirectional: null,
+    streetName: null,
+    suffix: null,
+    postDirectional: null,
+    unitType: null,
+    unit: null,
+    poBox: null,
+    city: null,
+    state: null,
+    zip: null,
+    zip4: null,
+    street: '',
+    standardizedAddress: '',
+    key: ''
+  };
+  if (!segments.length) {
+    result.reason = 'No address given.';
+    return result;
+  }
+
+  // State and ZIP end the address, in their own segments or not
+  const tokens = segments.join(' , ').split(' ');
+  const { state, zip, zip4 } = takeStateAndZip(tokens);
+  segments.splice(0, segments.length, ...tokens.join(' ').split(',').map(segment => segment.trim()).filter(Boolean));
+
+  // A segment right after the street that is only a unit ("Apt 4") belongs to the street
+  if (segments.length > 1 && UNIT_DESIGNATORS[segments[1].split(' ')[0]]) {
+    segments.splice(0, 2, `${segments[0]} ${segments[1]}`);
+  }
+
+  const [streetLine = '', ...citySegments] = segments;
+  const mayHaveCity = citySegments.length === 0 && Boolean(state || zip);
+  const street = parseStreet(streetLine.split(' ').filter(Boolean), mayHaveCity);
+
+  const givenZip = String(fields.zip || fields.zipCode || '').trim().match(ZIP_PATTERN);
+  Object.assign(result, street, {
+    city: clean(fields.city).replace(/,/g, '') || citySegments.join(' ') || street.city || null,
+    state: normalizeState(fields.state) || state,
+    zip: givenZip ? givenZip[1] : zip,
+    zip4: givenZip ? givenZip[2] || null : zip4
+  });
+
+  result.street = formatStreet(result);
+  // "APT 4", "UNIT 4" and "# 4" are the same unit as far as matching goes
+  result.key = formatStreet({ ...result, unitType: result.unit ? '#' : result.unitType }).toLowerCase();
+  result.standardizedAddress = [result.street, result.city, [result.state, result.zip].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+  if (!result.poBox && !result.number) {
+    result.reason = 'The address has no house number.';
+  } else if (!result.poBox && !result.streetName) {
+    result.reason = 'The address has no street name.';
+  }
+  result.valid = !result.reason;
+  return result;
+};
+
+/**
+ * Standardize an address
+ * @param {string|Object} input - Address, or { address, city, state, zip|zipCode }
+ * @returns {string} "123 N MAIN ST APT 4, HOUSTON, TX 77002", or the input unchanged when
+ *   it cannot be parsed
+ */
+const standardizeAddress = (input) => {
+  const parsed = parseAddress(input);
+  if (!parsed.valid) {
+    return input && typeof input === 'object' ? String(input.address || '').trim() : String(input || '').trim();
+  }
+  return parsed.standardizedAddress;
+};
+
+/**
+ * Canonical key of the street line of an address
+ * @param {string|Object} input - Address, or { address, city, state, zip|zipCode }
+ * @returns {string} "123 n main st apt 4", or '' without an address
+ */
+const addressKey = (input) => parseAddress(input).key;
+
+/**
+ * Whether two addresses are the same place
+ * The street lines must match; city, state and ZIP are only compared when both
+ * addresses have them.
+ * @param {string|Object} a - First address
+ * @param {string|Object} b - Second address
+ * @returns {boolean}
+ */
+const sameAddress = (a, b) => {
+  const left = parseAddress(a);
+  const right = parseAddress(b);
+  if (!left.key || left.key !== right.key) {
+    return false;
+  }
+  return ['zip', 'state', 'city'].every(field => !left[field] || !right[field] || left[field] === right[field]);
+};
+
+module.exports = {
+  parseAddress,
+  standardizeAddress,
+  addressKey,
+  sameAddress,
+  normalizeState
+};
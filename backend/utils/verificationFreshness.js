@@ -0,0 +1,81 @@
+/**
+ * Verification Freshness
+ * How long a verification result can be relied on, by verification type. Numbers are
+ * reassigned and inboxes abandoned far sooner than properties change hands, so a result
+ * older than its type's window is stale: it is flagged, discounted in lead scoring and
+ * picked up by the re-verification schedule (see services/reverificationService.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a result stays fresh, by verification type
+const FRESHNESS_DAYS = {
+  phone: 90,
+  email: 180,
+  skipTrace: 180,
+  address: 365,
+  ownership: 365
+};
+
+// Share of its score a stale result still earns
+const STALE_WEIGHT = 0.5;
+
+/**
+ * When a result goes stale
+ * @param {string} type - Verification type (phone, address, email, ownership or skipTrace)
+ * @param {Date|string} verifiedAt - When it was verified
+ * @returns {Date|null} Null for results that were never verified or types without a window
+ */
+function getExpiresAt(type, verifiedAt) {
+  const days = FRESHNESS_DAYS[type];
+  const time = verifiedAt ? new Date(verifiedAt).getTime() : NaN;
+  if (!days || Number.isNaN(time)) {
+    return null;
+  }
+  return new Date(time + days * DAY_MS);
+}
+
+/**
+ * Whether a result is older than its type's window
+ * @param {string} type - Verification type
+ * @param {Date|string} verifiedAt - When it was verified
+ * @param {Date} now - Reference time (default now)
+ * @returns {boolean} False for results that were never verified
+ */
+function isStale(type, verifiedAt, now = new Date()) {
+  const expiresAt = getExpiresAt(type, verifiedAt);
+  return Boolean(expiresAt && expiresAt <= now);
+}
+
+/**
+ * Freshness of a lead's latest results (lead.verificationResults)
+ * @param {Object} results - Normalized results by verification type
+ * @param {Date} now - Reference time (default now)
+ * @returns {{stale: Array<string>, expiresAt: Date|null}} Stale types, and when the first
+ *   of the results goes (or went) stale
+ */
+function summarizeFreshness(results, now = new Date()) {
+  const stale = [];
+  let expiresAt = null;
+  Object.entries(results || {}).forEach(([type, result]) => {
+    const typeExpiresAt = result && getExpiresAt(type, result.verifiedAt);
+    if (!typeExpiresAt) {
+      return;
+    }
+    if (typeExpiresAt <= now) {
+      stale.push(type);
+    }
+    if (!expiresAt || typeExpiresAt < expiresAt) {
+      expiresAt = typeExpiresAt;
+    }
+  });
+  return { stale, expiresAt };
+}
+
+module.exports = {
+  FRESHNESS_DAYS,
+  STALE_WEIGHT,
+  getExpiresAt,
+  isStale,
+  summarizeFreshness
+};
@@ -1,6 +1,43 @@
 import { useState, useRef, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { cn } from '../../utils/cn';
+import { notificationsApi } from '../../utils/api';
+
+// Shown while the API is unavailable
+const SAMPLE_NOTIFICATIONS = [
+  {
+    id: 1,
+    title: 'New Lead Verified',
+    message: 'A new lead has been successfully verified.',
+    time: '5 minutes ago',
+    read: false,
+  },
+  {
+    id: 2,
+    title: 'Subscription Renewal',
+    message: 'Your subscription will renew in 7 days.',
+    time: '2 hours ago',
+    read: true,
+  },
+  {
+    id: 3,
+    title: 'New Feature Available',
+    message: 'Check out our new lead scoring system.',
+    time: '1 day ago',
+    read: true,
+  },
+];
+
+// Format a timestamp as "5 minutes ago"
+const timeAgo = (date) => {
+  const minutes = Math.max(Math.round((Date.now() - new Date(date).getTime()) / 60000), 0);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
 
 const DashboardHeader = ({ toggleSidebar }) => {
   const [notificationsOpen, setNotificationsOpen] = useState(false);
@@ -8,29 +45,37 @@ const DashboardHeader = ({ toggleSidebar }) => {
   const notificationsRef = useRef(null);
   const profileRef = useRef(null);
   
-  const notifications = [
-    {
-      id: 1,
-      title: 'New Lead Verified',
-      message: 'A new lead has been successfully verified.',
-      time: '5 minutes ago',
-      read: false,
-    },
-    {
-      id: 2,
-      title: 'Subscription Renewal',
-      message: 'Your subscription will renew in 7 days.',
-      time: '2 hours ago',
-      read: true,
-    },
-    {
-      id: 3,
-      title: 'New Feature Available',
-      message: 'Check out our new lead scoring system.',
-      time: '1 day ago',
-      read: true,
-    },
-  ];
+  const [notifications, setNotifications] = useState(SAMPLE_NOTIFICATIONS);
+  const [isLive, setIsLive] = useState(false);
+  
+  // Load notifications such as task reminders
+  useEffect(() => {
+    const loadNotifications = async () => {
+      const response = await notificationsApi.getNotifications({ limit: 5 });
+      if (response.success) {
+        setIsLive(true);
+        setNotifications(response.data.notifications.map((notification) => ({
+          id: notification._id,
+          title: notification.title,
+          message: notification.message,
+          time: timeAgo(notification.createdAt),
+          read: Boolean(notification.readAt),
+        })));
+      }
+    };
+    
+    loadNotifications();
+  }, []);
+  
+  const markAllAsRead = async () => {
+    if (isLive) {
+      const response = await notificationsApi.markAllRead();
+      if (!response.success) return;
+    }
+    setNotifications((current) => current.map((notification) => ({ ...notification, read: true })));
+  };
+  
+  const hasUnread = notifications.some((notification) => !notification.read);
   
   // Close dropdowns when clicking outside
   useEffect(() => {
@@ -130,7 +175,9 @@ const DashboardHeader = ({ toggleSidebar }) => {
               </svg>
               
               {/* Notification badge */}
-              <span className="absolute right-0 top-0 flex h-2 w-2 rounded-full bg-notification"></span>
+              {hasUnread && (
+                <span className="absolute right-0 top-0 flex h-2 w-2 rounded-full bg-notification"></span>
+              )}
             </button>
             
             {/* Notifications dropdown */}
@@ -139,10 +186,13 @@ const DashboardHeader = ({ toggleSidebar }) => {
                 <div className="p-4">
                   <div className="mb-4 flex items-center justify-between">
                     <h3 className="text-lg font-semibold text-dark">Notifications</h3>
-                    <button className="text-sm text-primary hover:underline">Mark all as read</button>
+                    <button onClick={markAllAsRead} className="text-sm text-primary hover:underline">Mark all as read</button>
                   </div>
                   
                   <div className="space-y-3">
+                    {notifications.length === 0 && (
+                      <p className="text-sm text-text/70">You have no notifications.</p>
+                    )}
                     {notifications.map((notification) => (
                       <div
                         key={notification.id}
@@ -1,70 +1,73 @@
-import { useState } from 'react';
-import { FiDownload, FiFilter, FiSearch, FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { useState, useEffect } from 'react';
+import { FiDownload, FiFilter, FiSearch, FiCheckCircle, FiXCircle, FiClock } from 'react-icons/fi';
+import { leadsApi } from '../utils/api';
 
-const MOCK_LEADS = [
-  {
-    id: 1,
-    name: 'John Smith',
-    email: 'john.smith@example.com',
-    company: 'Acme Inc',
-    position: 'Marketing Director',
-    phone: '(555) 123-4567',
-    status: 'verified',
-    score: 98,
-    verifiedDate: '2023-08-15',
-  },
-  {
-    id: 2,
-    name: 'Sarah Johnson',
-    email: 'sarah.j@techcorp.com',
-    company: 'TechCorp',
-    position: 'CEO',
-    phone: '(555) 987-6543',
-    status: 'verified',
-    score: 95,
-    verifiedDate: '2023-08-14',
-  },
-  {
-    id: 3,
-    name: 'Michael Brown',
-    email: 'michael.b@globex.net',
-    company: 'Globex',
-    position: 'Sales Manager',
-    phone: '(555) 456-7890',
-    status: 'invalid',
-    score: 45,
-    verifiedDate: '2023-08-12',
-  },
-  {
-    id: 4,
-    name: 'Emily Davis',
-    email: 'e.davis@startup.io',
-    company: 'StartUp.io',
-    position: 'Product Manager',
-    phone: '(555) 234-5678',
-    status: 'verified',
-    score: 92,
-    verifiedDate: '2023-08-10',
-  },
-  {
-    id: 5,
-    name: 'David Wilson',
-    email: 'david.w@enterprise.com',
-    company: 'Enterprise Solutions',
-    position: 'CTO',
-    phone: '(555) 876-5432',
-    status: 'invalid',
-    score: 30,
-    verifiedDate: '2023-08-09',
-  },
-];
+// Table row of a lead from GET /api/leads, which carries the lead's next open task
+const toRow = (lead) => ({
+  id: lead._id || lead.id,
+  name: lead.fullName || '',
+  email: lead.email || '',
+  company: lead.company || '',
+  phone: lead.phone || '',
+  status: lead.status,
+  score: lead.score || 0,
+  // Verification moves a lead to the verified or invalid stage when it finishes
+  verifiedDate: (lead.stageEnteredAt || lead.updatedAt || '').slice(0, 10),
+  nextTask: lead.nextTask,
+});
+
+const TASK_TYPE_LABELS = {
+  call: 'Call',
+  text: 'Text',
+  visit: 'Visit',
+  send_offer: 'Send offer',
+};
+
+// Next open follow-up task of a lead, highlighted when overdue
+const NextTask = ({ task }) => {
+  if (!task) {
+    return <span className="text-gray-400">None</span>;
+  }
+
+  const dueAt = new Date(task.dueAt);
+  const isOverdue = dueAt < new Date();
+  return (
+    <div className={`flex items-center ${isOverdue ? 'text-red-500' : ''}`}>
+      <FiClock className="mr-1" />
+      <span>
+        {task.title || TASK_TYPE_LABELS[task.type] || task.type}
+        <span className="block text-xs text-gray-500">
+          {isOverdue ? 'Overdue: ' : ''}
+          {dueAt.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+        </span>
+      </span>
+    </div>
+  );
+};
 
 const VerifiedLeadsPage = () => {
-  const [leads, setLeads] = useState(MOCK_LEADS);
+  const [leads, setLeads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [sortConfig, setSortConfig] = useState({ key: 'verifiedDate', direction: 'desc' });
 
+  useEffect(() => {
+    const fetchLeads = async () => {
+      setLoading(true);
+      const result = await leadsApi.getAllLeads({ status: 'verified,invalid' });
+      if (result.success) {
+        setLeads(result.data.map(toRow));
+      } else {
+        setError(result.error || 'Failed to load leads. Please try again.');
+      }
+      setLoading(false);
+    };
+
+    fetchLeads();
+  }, []);
+
   // Handle search
   const handleSearch = (e) => {
     setSearchTerm(e.target.value);
@@ -105,8 +108,7 @@ const VerifiedLeadsPage = () => {
         return (
           lead.name.toLowerCase().includes(searchLower) ||
           lead.email.toLowerCase().includes(searchLower) ||
-          lead.company.toLowerCase().includes(searchLower) ||
-          lead.position.toLowerCase().includes(searchLower)
+          lead.company.toLowerCase().includes(searchLower)
         );
       }
       
@@ -124,12 +126,11 @@ const VerifiedLeadsPage = () => {
 
   // Handle export to CSV
   const handleExport = () => {
-    const headers = ['Name', 'Email', 'Company', 'Position', 'Phone', 'Status', 'Score', 'Verified Date'];
+    const headers = ['Name', 'Email', 'Company', 'Phone', 'Status', 'Score', 'Verified Date'];
     const data = filteredLeads.map((lead) => [
       lead.name,
       lead.email,
       lead.company,
-      lead.position,
       lead.phone,
       lead.status,
       lead.score,
@@ -230,15 +231,6 @@ const VerifiedLeadsPage = () => {
                     <span className={getSortButtonClass('company')}>▼</span>
                   </button>
                 </th>
-                <th className="px-4 py-3 text-left">
-                  <button
-                    onClick={() => requestSort('position')}
-                    className="group font-medium flex items-center"
-                  >
-                    Position
-                    <span className={getSortButtonClass('position')}>▼</span>
-                  </button>
-                </th>
                 <th className="px-4 py-3 text-left">Phone</th>
                 <th className="px-4 py-3 text-left">
                   <button
@@ -267,16 +259,28 @@ const VerifiedLeadsPage = () => {
                     <span className={getSortButtonClass('verifiedDate')}>▼</span>
                   </button>
                 </th>
+                <th className="px-4 py-3 text-left">Next Task</th>
               </tr>
             </thead>
             <tbody>
-              {filteredLeads.length > 0 ? (
+              {loading ? (
+                <tr>
+                  <td colSpan="8" className="px-4 py-6 text-center text-gray-500">
+                    Loading leads...
+                  </td>
+                </tr>
+              ) : error ? (
+                <tr>
+                  <td colSpan="8" className="px-4 py-6 text-center text-red-600">
+                    {error}
+                  </td>
+                </tr>
+              ) : filteredLeads.length > 0 ? (
                 filteredLeads.map((lead) => (
                   <tr key={lead.id} className="border-b hover:bg-gray-50">
                     <td className="px-4 py-3">{lead.name}</td>
                     <td className="px-4 py-3">{lead.email}</td>
                     <td className="px-4 py-3">{lead.company}</td>
-                    <td className="px-4 py-3">{lead.position}</td>
                     <td className="px-4 py-3">{lead.phone}</td>
                     <td className="px-4 py-3">
                       <div className="flex items-center">
@@ -313,6 +317,9 @@ const VerifiedLeadsPage = () => {
                       </div>
                     </td>
                     <td className="px-4 py-3">{lead.verifiedDate}</td>
+                    <td className="px-4 py-3">
+                      <NextTask task={lead.nextTask} />
+                    </td>
                   </tr>
                 ))
               ) : (
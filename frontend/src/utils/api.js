@@ -94,10 +94,10 @@ const checkApiAvailability = async () => {
  * Lead management API endpoints
  */
 const leadsApi = {
-  // Get all leads
-  getAllLeads: async () => {
+  // Get all leads visible to the user, optionally filtered by listing parameters (e.g. status)
+  getAllLeads: async (params = {}) => {
     try {
-      const response = await api.get('/leads');
+      const response = await api.get('/leads', { params });
       return response.data;
     } catch (error) {
       return handleApiError(error, 'Error fetching leads');
@@ -351,6 +351,116 @@ const userApi = {
   },
 };
 
+/**
+ * Lead follow-up task API endpoints
+ */
+const tasksApi = {
+  // Get tasks (params: view, assignee, lead, type, days, limit)
+  getTasks: async (params = {}) => {
+    try {
+      const response = await api.get('/tasks', { params });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error fetching tasks');
+    }
+  },
+
+  // Get open tasks past their due time
+  getOverdueTasks: async () => {
+    try {
+      const response = await api.get('/tasks/overdue');
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error fetching overdue tasks');
+    }
+  },
+
+  // Get open tasks due in the next few days
+  getUpcomingTasks: async (days = 7) => {
+    try {
+      const response = await api.get('/tasks/upcoming', { params: { days } });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error fetching upcoming tasks');
+    }
+  },
+
+  // Create a task on a lead
+  createTask: async (taskData) => {
+    try {
+      const response = await api.post('/tasks', taskData);
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error creating task');
+    }
+  },
+
+  // Update a task
+  updateTask: async (id, taskData) => {
+    try {
+      const response = await api.put(`/tasks/${id}`, taskData);
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, `Error updating task ${id}`);
+    }
+  },
+
+  // Mark a task as completed
+  completeTask: async (id) => {
+    try {
+      const response = await api.post(`/tasks/${id}/complete`);
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, `Error completing task ${id}`);
+    }
+  },
+
+  // Get the URL of the user's calendar (ICS) feed
+  getCalendarFeed: async (rotate = false) => {
+    try {
+      const response = await api.post('/tasks/calendar-feed', { rotate });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error fetching calendar feed');
+    }
+  },
+};
+
+/**
+ * In-app notification API endpoints
+ */
+const notificationsApi = {
+  // Get notifications, newest first
+  getNotifications: async (params = {}) => {
+    try {
+      const response = await api.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error fetching notifications');
+    }
+  },
+
+  // Mark one notification as read
+  markRead: async (id) => {
+    try {
+      const response = await api.post(`/notifications/${id}/read`);
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, `Error updating notification ${id}`);
+    }
+  },
+
+  // Mark all notifications as read
+  markAllRead: async () => {
+    try {
+      const response = await api.post('/notifications/read-all');
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'Error updating notifications');
+    }
+  },
+};
+
 // Export all API modules
 export {
   api,
@@ -358,6 +468,8 @@ export {
   authApi,
   subscriptionApi,
   userApi,
+  tasksApi,
+  notificationsApi,
   API_URL,
   checkApiAvailability
 }; 
\ No newline at end of file